@@ -0,0 +1,43 @@
+/**
+ * The site's access code check, used when signing in with the shared code (`api/_lib/session.js`),
+ * when `middleware.js` exchanges an old `?access_code=...` link for a session, and by the API routes
+ * that hold team data for requests without a session (e.g. scripts).
+ *
+ * The code is the `ACCESS_CODE` environment variable. API requests must send it in an `X-Access-Code`
+ * header; a `?access_code=...` query parameter is ignored, since URLs end up in logs, browser history and
+ * shared links. As in the middleware, the check is skipped when `NODE_ENV` is
+ * `development` (`vercel dev`). The code is compared with `secretsMatch`, so response timing does not
+ * reveal how much of a guess was right.
+ */
+
+import { secretsMatch } from './secrets.js';
+
+/**
+ * @typedef {object} AccessCodeResult
+ * @property {boolean} ok True if the request may proceed.
+ * @property {number} [status] The HTTP status to reply with when not ok (401 or 500).
+ * @property {string} [error] The message to reply with when not ok.
+ */
+
+/**
+ * Checks a provided access code against `ACCESS_CODE`.
+ * @param {string|null|undefined} providedCode The code sent with the request.
+ * @returns {Promise<AccessCodeResult>} The result.
+ */
+export async function checkAccessCode(providedCode) {
+    if (process.env.NODE_ENV === 'development') return { ok: true };
+
+    const accessCode = process.env.ACCESS_CODE;
+    if (!accessCode) return { ok: false, status: 500, error: 'Access code not configured on server.' };
+    if (typeof providedCode === 'string' && await secretsMatch(providedCode, accessCode)) return { ok: true };
+    return { ok: false, status: 401, error: 'Access Denied' };
+}
+
+/**
+ * Reads the access code from a Node.js API request's `X-Access-Code` header.
+ * @param {object} request The Vercel Node.js request.
+ * @returns {string|null} The provided code, or null if none was sent.
+ */
+export function getRequestAccessCode(request) {
+    return request.headers['x-access-code'] || null;
+}
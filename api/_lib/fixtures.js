@@ -0,0 +1,108 @@
+/**
+ * Record/replay of upstream API responses, so the app can be developed, demoed and debugged offline
+ * without an RIDB API key or any requests to Recreation.gov.
+ *
+ * The mode is chosen with the `RIDB_FIXTURE_MODE` environment variable:
+ * - unset (default): The upstream APIs are called as usual.
+ * - `record`: Each successful upstream response is also saved as a fixture.
+ * - `replay`: Responses are served from the saved fixtures only; a request without a fixture fails
+ *   with 404, and no network request or API key is needed.
+ *
+ * Fixtures are JSON files in `RIDB_FIXTURE_DIR` (default `fixtures/`), one folder per route type and
+ * one file per set of parameters, e.g. `fixtures/availability/campgroundId-232447_start_date-2025-07-01T00-00-00.000Z-703687db.json`.
+ * Each file holds the route type, parameters, recording time and response, so fixtures can be inspected and
+ * hand-edited (e.g. to reproduce a rendering bug). The API key is never part of a fixture.
+ *
+ * The mode applies to every upstream request made by the server, since `fetchUpstream` (`ridb.js`) goes through
+ * `fetchWithFixtures`: the proxy and the scheduled watch runs alike.
+ *
+ * Recording needs a writable disk, so it is meant for `vercel dev`; replay works anywhere the files are deployed.
+ */
+
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+import { isKnownRouteType, UpstreamError } from './ridb.js';
+
+/**
+ * @typedef {object} Fixture
+ * @property {string} type The route type.
+ * @property {object} params The request parameters.
+ * @property {string} recordedAt When the response was recorded (ISO 8601).
+ * @property {any} data The upstream response.
+ */
+
+/**
+ * Reads the fixture mode from the environment.
+ * @returns {'record'|'replay'|null} The mode, or null when fixtures are off.
+ * @throws {Error} If `RIDB_FIXTURE_MODE` names an unknown mode.
+ */
+export function getFixtureMode() {
+    const mode = process.env.RIDB_FIXTURE_MODE;
+    if (!mode) return null;
+    if (mode === 'record' || mode === 'replay') return mode;
+    throw new Error(`Unknown RIDB_FIXTURE_MODE '${mode}'. Expected 'record' or 'replay'.`);
+}
+
+/**
+ * Builds the path of the fixture for a request. Parameter order does not matter. The file name is a
+ * readable summary of the parameters plus a short hash of all of them, so long or unusual values stay unique.
+ * @param {string} type The route type.
+ * @param {object} params The request parameters.
+ * @returns {string} The fixture's file path.
+ */
+export function getFixturePath(type, params) {
+    const directory = process.env.RIDB_FIXTURE_DIR || path.join(process.cwd(), 'fixtures');
+    const sortedEntries = Object.keys(params).sort().map(key => [key, String(params[key])]);
+    const readableName = sortedEntries
+        .map(([key, value]) => `${key}-${value}`)
+        .join('_')
+        .replace(/[^A-Za-z0-9_.-]+/g, '-')
+        .slice(0, 80);
+    const hash = createHash('sha1').update(JSON.stringify(sortedEntries)).digest('hex').slice(0, 8);
+    const safeType = type.replace(/[^A-Za-z0-9_-]+/g, '-');
+    return path.join(directory, safeType, `${readableName ? `${readableName}-` : ''}${hash}.json`);
+}
+
+/**
+ * Fetches a response through the fixtures, following `RIDB_FIXTURE_MODE`.
+ * @param {string} type The route type (a key of `API_ROUTES`).
+ * @param {object} params The request parameters.
+ * @param {function(): Promise<any>} fetchLive Fetches the response from the upstream API.
+ * @returns {Promise<any>} The response data.
+ * @throws {UpstreamError} In replay mode, if the type is unknown or no fixture was recorded for the request.
+ */
+export async function fetchWithFixtures(type, params, fetchLive) {
+    const mode = getFixtureMode();
+    if (!mode) return fetchLive();
+
+    const fixturePath = getFixturePath(type, params);
+
+    if (mode === 'replay') {
+        if (!isKnownRouteType(type)) {
+            throw new UpstreamError(`Invalid API type specified: '${type}'`, 400);
+        }
+        try {
+            /** @type {Fixture} */
+            const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+            console.log(`[fetchWithFixtures] Replayed '${type}' from ${fixturePath} (recorded ${fixture.recordedAt}).`);
+            return fixture.data;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            throw new UpstreamError(`No fixture recorded for type '${type}' with these parameters. Record one with RIDB_FIXTURE_MODE=record.`, 404, fixturePath);
+        }
+    }
+
+    const data = await fetchLive();
+    try {
+        /** @type {Fixture} */
+        const fixture = { type, params, recordedAt: new Date().toISOString(), data };
+        await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+        await fs.writeFile(fixturePath, JSON.stringify(fixture, null, 2));
+        console.log(`[fetchWithFixtures] Recorded '${type}' to ${fixturePath}.`);
+    } catch (error) {
+        // A failed recording should not fail the request itself.
+        console.error(`[fetchWithFixtures] Could not record '${type}' to ${fixturePath}:`, error);
+    }
+    return data;
+}
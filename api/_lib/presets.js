@@ -0,0 +1,73 @@
+/**
+ * Shared logic for team presets: named searches stored on the server so everyone on a team sees the same list.
+ *
+ * A preset has the same shape as an entry in the bundled `presets.json` (`campgroundId` and `sites`), plus an
+ * optional `config` holding the full search form as saved by the web UI. Presets are keyed by name.
+ */
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CAMPGROUNDS = 5;
+const MAX_SITES = 30;
+const MAX_CONFIG_BYTES = 20000;
+
+/**
+ * @typedef {object} Preset
+ * @property {string} name The display name. Unique among presets.
+ * @property {string} campgroundId One Recreation.gov campground ID, or several separated by ', '.
+ * @property {string[]} sites Site names. Empty means all sites.
+ * @property {object|null} config The full search form from the web UI, or null for a plain preset.
+ * @property {string} createdAt ISO timestamp of creation.
+ * @property {string} updatedAt ISO timestamp of the last change.
+ */
+
+/**
+ * Validates user input for a preset.
+ * @param {object} input The request body.
+ * @returns {{preset: Pick<Preset, 'name'|'campgroundId'|'sites'|'config'>|null, errors: string[]}} The cleaned preset, or a list of problems.
+ */
+export function validatePresetInput(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { preset: null, errors: ['Request body must be a JSON object.'] };
+    }
+
+    const name = String(input.name ?? '').trim();
+    if (!name) errors.push("'name' is required.");
+    if (name.length > MAX_NAME_LENGTH) errors.push(`'name' may be at most ${MAX_NAME_LENGTH} characters.`);
+
+    const campgroundIds = [...new Set(String(input.campgroundId ?? '').split(',').map(id => id.trim()).filter(Boolean))];
+    if (campgroundIds.length === 0 || campgroundIds.some(id => !/^\d+$/.test(id))) {
+        errors.push("'campgroundId' must be a numeric Recreation.gov campground ID, or several separated by commas.");
+    }
+    if (campgroundIds.length > MAX_CAMPGROUNDS) errors.push(`A preset may list at most ${MAX_CAMPGROUNDS} campgrounds.`);
+
+    if (input.sites !== undefined && !Array.isArray(input.sites)) errors.push("'sites' must be an array of site names.");
+    const rawSites = Array.isArray(input.sites) ? input.sites : [];
+    if (rawSites.some(site => typeof site !== 'string' && typeof site !== 'number')) errors.push("'sites' may only contain strings and numbers.");
+    const sites = [...new Set(rawSites.map(site => String(site).trim()).filter(Boolean))];
+    if (sites.length > MAX_SITES) errors.push(`A preset may list at most ${MAX_SITES} sites.`);
+
+    const config = input.config ?? null;
+    if (config !== null && (typeof config !== 'object' || Array.isArray(config))) {
+        errors.push("'config' must be an object.");
+    } else if (config !== null && JSON.stringify(config).length > MAX_CONFIG_BYTES) {
+        errors.push(`'config' may be at most ${MAX_CONFIG_BYTES} bytes of JSON.`);
+    }
+
+    if (errors.length > 0) return { preset: null, errors };
+    return { preset: { name, campgroundId: campgroundIds.join(', '), sites, config }, errors };
+}
+
+/**
+ * Converts stored presets into the `presets.json` shape (an object keyed by name), sorted by name.
+ * The object has no prototype, so names like `__proto__` or `constructor` are kept as ordinary keys.
+ * @param {Preset[]} presets The stored presets.
+ * @returns {Object<string, {campgroundId: string, sites: string[], config?: object, updatedAt: string}>} The collection.
+ */
+export function toPresetCollection(presets) {
+    const collection = Object.create(null);
+    [...presets].sort((a, b) => a.name.localeCompare(b.name)).forEach(({ name, campgroundId, sites, config, updatedAt }) => {
+        collection[name] = { campgroundId, sites, ...(config ? { config } : {}), updatedAt };
+    });
+    return collection;
+}
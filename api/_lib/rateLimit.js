@@ -0,0 +1,128 @@
+/**
+ * Server-side rate limiting for the proxy, so a script or a second browser tab cannot bypass the
+ * page's search cooldown and run through the upstream APIs' limits.
+ *
+ * Each client gets a token bucket per route type: a request takes one token, and tokens refill at a
+ * steady rate up to the bucket's size, which allows short bursts (one search fetches several months and
+ * site details at once) but not sustained hammering. A client is the signed-in user, or the IP address
+ * for requests authorized with the access code (or under `vercel dev`).
+ *
+ * Sign-in uses the same buckets, keyed by IP address, but only failed attempts take a token: a client
+ * that keeps guessing the access code or a password is refused for a while, and signing in successfully
+ * costs nothing.
+ *
+ * Buckets live in process memory, like the proxy's default response cache: each serverless instance
+ * limits independently and starts over on a cold start, so the limits are approximate.
+ */
+
+/**
+ * @typedef {object} RateLimit
+ * @property {number} burst The bucket size: how many requests may be made at once.
+ * @property {number} perMinute How many tokens are added back per minute.
+ */
+
+/**
+ * @typedef {object} RateLimitResult
+ * @property {boolean} allowed True if the request may proceed.
+ * @property {number} remaining Whole tokens left after this request.
+ * @property {number} retryAfterSeconds When not allowed, how long until a token is available.
+ */
+
+/** The limit for route types without their own `rateLimit` in `API_ROUTES` (see `ridb.js`). */
+export const DEFAULT_RATE_LIMIT = { burst: 60, perMinute: 60 };
+
+/** The limit on failed sign-in attempts per IP address (`api/session.js` and the middleware's legacy link exchange). */
+export const LOGIN_RATE_LIMIT = { burst: 10, perMinute: 2 };
+
+/** Buckets are swept once there are this many, dropping those that have refilled completely. */
+const SWEEP_THRESHOLD = 1000;
+
+/**
+ * Reads the client's IP address from a Vercel Node.js request.
+ * @param {object} request The request.
+ * @returns {string} The address, or 'unknown'.
+ */
+export function getClientAddress(request) {
+    return String(request.headers['x-forwarded-for'] || request.socket?.remoteAddress || 'unknown').split(',')[0].trim();
+}
+
+/**
+ * Identifies the client a request is counted against: the signed-in user, or the IP address.
+ * @param {object} request The Vercel Node.js request.
+ * @param {{username?: string}} access The result of `checkRequestAccess` (see `session.js`).
+ * @returns {string} The client key (e.g., 'alice' or 'ip:203.0.113.7').
+ */
+export function getClientKey(request, access) {
+    return access.username || `ip:${getClientAddress(request)}`;
+}
+
+/**
+ * Creates a rate limiter with in-memory token buckets.
+ * @returns {{take: function(string, RateLimit, number=): RateLimitResult, peek: function(string, RateLimit, number=): RateLimitResult}} The limiter.
+ */
+export function createRateLimiter() {
+    /** @type {Map<string, {tokens: number, updatedAt: number, limit: RateLimit}>} */
+    const buckets = new Map();
+
+    /**
+     * Returns a bucket's tokens at a given time, after refilling.
+     * @param {{tokens: number, updatedAt: number, limit: RateLimit}} bucket The bucket.
+     * @param {number} now The current time, in milliseconds.
+     * @returns {number} The tokens.
+     */
+    const refill = (bucket, now) => Math.min(bucket.limit.burst, bucket.tokens + ((now - bucket.updatedAt) / 60000) * bucket.limit.perMinute);
+
+    /**
+     * Drops buckets that have refilled completely, since a new bucket would be identical.
+     * @param {number} now The current time, in milliseconds.
+     */
+    const sweep = (now) => {
+        for (const [key, bucket] of buckets) {
+            if (refill(bucket, now) >= bucket.limit.burst) buckets.delete(key);
+        }
+    };
+
+    /**
+     * Describes a bucket holding a number of tokens.
+     * @param {number} tokens The tokens in the bucket.
+     * @param {RateLimit} limit The bucket's limit.
+     * @returns {RateLimitResult} Whether a request may take a token.
+     */
+    const toResult = (tokens, limit) => (tokens < 1
+        ? { allowed: false, remaining: 0, retryAfterSeconds: Math.ceil(((1 - tokens) / limit.perMinute) * 60) }
+        : { allowed: true, remaining: Math.floor(tokens), retryAfterSeconds: 0 });
+
+    return {
+        /**
+         * Takes a token from a bucket, if one is available.
+         * @param {string} key The bucket key (e.g., the client key and route type).
+         * @param {RateLimit} limit The bucket's limit.
+         * @param {number} [now=Date.now()] The current time, in milliseconds.
+         * @returns {RateLimitResult} Whether the request is allowed.
+         */
+        take(key, limit, now = Date.now()) {
+            if (buckets.size >= SWEEP_THRESHOLD) sweep(now);
+
+            const bucket = buckets.get(key) || { tokens: limit.burst, updatedAt: now, limit };
+            bucket.tokens = refill(bucket, now);
+            bucket.updatedAt = now;
+            buckets.set(key, bucket);
+
+            if (bucket.tokens < 1) return toResult(bucket.tokens, limit);
+            bucket.tokens -= 1;
+            return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+        },
+
+        /**
+         * Checks whether a bucket has a token, without taking one.
+         * @param {string} key The bucket key.
+         * @param {RateLimit} limit The bucket's limit.
+         * @param {number} [now=Date.now()] The current time, in milliseconds.
+         * @returns {RateLimitResult} Whether a request would be allowed; `remaining` counts the tokens available now.
+         */
+        peek(key, limit, now = Date.now()) {
+            const bucket = buckets.get(key);
+            return toResult(bucket ? refill(bucket, now) : limit.burst, limit);
+        },
+    };
+}
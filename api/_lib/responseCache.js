@@ -0,0 +1,158 @@
+/**
+ * An in-process cache for upstream API responses, used by the proxy so repeated requests for the same
+ * campground do not all go to Recreation.gov.
+ *
+ * Entries are fresh for the route's TTL. After that they are served stale for up to the same TTL again
+ * while one background request refreshes them (stale-while-revalidate). Concurrent misses for the same
+ * key share a single upstream request.
+ *
+ * The backend is chosen with the `PROXY_CACHE_DRIVER` environment variable:
+ * - `memory` (default): An LRU map in the current process, capped at `PROXY_CACHE_MAX_ENTRIES` (default 500).
+ *   Each serverless instance has its own cache, and it is lost on every cold start.
+ * - `store`: The shared key/value store from `store.js` (which follows `STORE_DRIVER`), so the cache survives
+ *   restarts of `vercel dev` or a self-hosted server. Entries are overwritten but never evicted.
+ * - `none`: Caching is disabled.
+ *
+ * Note: on serverless platforms the background refresh may be cut short if the instance is frozen
+ * after the response is sent. The stale entry is then simply refreshed by a later request.
+ */
+
+import { createStore } from './store.js';
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {any} data The parsed upstream response.
+ * @property {number} storedAt When the entry was stored (ms since epoch).
+ */
+
+/**
+ * @typedef {object} CacheResult
+ * @property {any} data The response data.
+ * @property {'HIT'|'STALE'|'MISS'|'BYPASS'} status How the request was served.
+ * @property {number} ageSeconds How old the data is. 0 for data fetched by this request.
+ */
+
+/**
+ * Creates an LRU cache backend in process memory.
+ * @param {number} maxEntries The maximum number of entries to keep.
+ * @returns {{get: function(string): Promise<CacheEntry|null>, set: function(string, CacheEntry): Promise<void>}} The backend.
+ */
+function createMemoryBackend(maxEntries) {
+    const entries = new Map();
+    return {
+        async get(key) {
+            if (!entries.has(key)) return null;
+            // Re-insert so the Map's insertion order tracks recency of use.
+            const entry = entries.get(key);
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        async set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+    };
+}
+
+/**
+ * Creates the cache backend configured in the environment.
+ * @returns {{get: function(string): Promise<CacheEntry|null>, set: function(string, CacheEntry): Promise<void>}|null} The backend, or null if caching is disabled.
+ * @throws {Error} If `PROXY_CACHE_DRIVER` names an unknown driver.
+ */
+function createBackendFromEnv() {
+    const driver = process.env.PROXY_CACHE_DRIVER || 'memory';
+    switch (driver) {
+        case 'memory':
+            return createMemoryBackend(parseInt(process.env.PROXY_CACHE_MAX_ENTRIES, 10) || 500);
+        case 'store':
+            return createStore('proxy-cache');
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown PROXY_CACHE_DRIVER '${driver}'. Expected 'memory', 'store' or 'none'.`);
+    }
+}
+
+/**
+ * Builds a cache key from a route type and its parameters. Parameter order does not matter.
+ * @param {string} type The route type.
+ * @param {object} params The request parameters.
+ * @returns {string} The cache key.
+ */
+export function buildCacheKey(type, params) {
+    const sortedParams = Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&');
+    return `${type}?${sortedParams}`;
+}
+
+/**
+ * Creates a response cache.
+ * @param {object|null} [backend] A backend with async `get(key)` and `set(key, entry)`. Defaults to the one configured in the environment; null disables caching.
+ * @returns {{getOrFetch: function(string, number, function(): Promise<any>, object=): Promise<CacheResult>}} The cache.
+ */
+export function createResponseCache(backend = createBackendFromEnv()) {
+    const inFlight = new Map();
+
+    /**
+     * Fetches and stores a value, sharing the request with any concurrent caller for the same key.
+     * @param {string} key The cache key.
+     * @param {function(): Promise<any>} fetcher Fetches the value from upstream.
+     * @returns {Promise<any>} The fetched data.
+     */
+    const fetchAndStore = (key, fetcher) => {
+        if (inFlight.has(key)) return inFlight.get(key);
+
+        const request = (async () => {
+            try {
+                const data = await fetcher();
+                if (backend) await backend.set(key, { data, storedAt: Date.now() });
+                return data;
+            } finally {
+                inFlight.delete(key);
+            }
+        })();
+        inFlight.set(key, request);
+        return request;
+    };
+
+    return {
+        /**
+         * Returns cached data when it is fresh (or stale but within the revalidation window), and otherwise fetches it.
+         * Failed fetches are never cached.
+         * @param {string} key The cache key, from `buildCacheKey`.
+         * @param {number} ttlSeconds How long an entry is fresh. 0 disables caching for this call.
+         * @param {function(): Promise<any>} fetcher Fetches the value from upstream.
+         * @param {object} [options={}] Optional settings.
+         * @param {boolean} [options.bypass=false] If true, always fetches, but still stores the result for later requests.
+         * @returns {Promise<CacheResult>} The data and how it was served.
+         */
+        async getOrFetch(key, ttlSeconds, fetcher, options = {}) {
+            const { bypass = false } = options;
+            if (!backend || !ttlSeconds) {
+                return { data: await fetcher(), status: 'BYPASS', ageSeconds: 0 };
+            }
+            if (bypass) {
+                return { data: await fetchAndStore(key, fetcher), status: 'BYPASS', ageSeconds: 0 };
+            }
+
+            const entry = await backend.get(key);
+            if (entry) {
+                const ageSeconds = Math.floor((Date.now() - entry.storedAt) / 1000);
+                if (ageSeconds < ttlSeconds) {
+                    return { data: entry.data, status: 'HIT', ageSeconds };
+                }
+                if (ageSeconds < ttlSeconds * 2) {
+                    fetchAndStore(key, fetcher).catch(error => {
+                        console.error(`[responseCache] Background refresh failed for '${key}':`, error);
+                    });
+                    return { data: entry.data, status: 'STALE', ageSeconds };
+                }
+            }
+
+            return { data: await fetchAndStore(key, fetcher), status: 'MISS', ageSeconds: 0 };
+        },
+    };
+}
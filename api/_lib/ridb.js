@@ -0,0 +1,301 @@
+/**
+ * Shared helpers for server-side Recreation.gov and RIDB API access.
+ *
+ * Files in `api/_lib/` are not deployed as routes (Vercel ignores files and folders starting with
+ * an underscore), so the proxy and the watch routes can share this code.
+ *
+ * Every upstream request goes through `fetchUpstream`, so the fixture modes (`fixtures.js`) and the usage
+ * counts (`usage.js`) apply to every server route, not just the proxy.
+ */
+
+import { fetchWithFixtures } from './fixtures.js';
+import { recordUpstreamCall } from './usage.js';
+import { normalizeResponse } from '../../services/responseSchemas.js';
+import { toResponseModel } from '../../services/responseModels.js';
+
+/**
+ * The upstream routes the proxy can call. `cacheTtlSeconds` is how long the proxy's response cache
+ * (see `responseCache.js`) and the browser's cache treat a response as fresh. `rateLimit` overrides the
+ * proxy's per-client limit for the route (see `DEFAULT_RATE_LIMIT` in `rateLimit.js`). `requiredParams` and
+ * `optionalParams` list every parameter the route reads; the proxy drops any others (see `pickRouteParams`).
+ */
+export const API_ROUTES = {
+    campgroundMetadata: {
+        urlTemplate: (p) => `https://www.recreation.gov/api/camps/campgrounds/${p.campgroundId}`,
+        requiredParams: ['campgroundId'],
+        cacheTtlSeconds: 60 * 60,
+    },
+    availability: {
+        urlTemplate: (p) => `https://www.recreation.gov/api/camps/availability/campground/${p.campgroundId}/month?start_date=${encodeURIComponent(p.start_date)}`,
+        requiredParams: ['campgroundId', 'start_date'],
+        cacheTtlSeconds: 60, // Short: openings appear and disappear within minutes.
+        rateLimit: { burst: 150, perMinute: 120 }, // A rec area search checks several months of many campgrounds at once.
+    },
+    'rec-gov-search': {
+        urlTemplate: (p) => `https://www.recreation.gov/api/search?fq=id:${p.campgroundId}_asset`,
+        requiredParams: ['campgroundId'],
+        needsApiKey: false,
+        cacheTtlSeconds: 60 * 60,
+    },
+    facilityDetails: {
+        urlTemplate: (p) => `https://ridb.recreation.gov/api/v1/facilities/${p.facilityId}`,
+        requiredParams: ['facilityId'],
+        needsApiKey: true,
+        cacheTtlSeconds: 24 * 60 * 60,
+    },
+    recAreaDetails: {
+        urlTemplate: (p) => `https://ridb.recreation.gov/api/v1/recareas/${p.recAreaId}`,
+        requiredParams: ['recAreaId'],
+        needsApiKey: true,
+        cacheTtlSeconds: 24 * 60 * 60,
+    },
+    recAreaEvents: {
+        urlTemplate: (p) => `https://ridb.recreation.gov/api/v1/recareas/${p.recAreaId}/events`,
+        requiredParams: ['recAreaId'],
+        needsApiKey: true,
+        cacheTtlSeconds: 60 * 60,
+    },
+    recAreaMedia: {
+        urlTemplate: (p) => `https://ridb.recreation.gov/api/v1/recareas/${p.recAreaId}/media`,
+        requiredParams: ['recAreaId'],
+        needsApiKey: true,
+        cacheTtlSeconds: 24 * 60 * 60,
+    },
+    campsiteDetails: {
+        urlTemplate: (p) => `https://ridb.recreation.gov/api/v1/facilities/${p.facilityId}/campsites/${p.campsiteId}`,
+        requiredParams: ['facilityId', 'campsiteId'],
+        needsApiKey: true,
+        cacheTtlSeconds: 24 * 60 * 60,
+        rateLimit: { burst: 100, perMinute: 60 }, // Site feature filters may fetch up to 50 sites' details per search.
+    },
+    facilityCampsites: {
+        urlTemplate: (p) => {
+            const searchParams = new URLSearchParams({
+                limit: p.limit || 50,
+                offset: p.offset || 0,
+            });
+            return `https://ridb.recreation.gov/api/v1/facilities/${p.facilityId}/campsites?${searchParams.toString()}`;
+        },
+        requiredParams: ['facilityId'],
+        optionalParams: ['limit', 'offset'],
+        needsApiKey: true,
+        cacheTtlSeconds: 24 * 60 * 60,
+    },
+    facilitySearch: {
+        urlTemplate: (p) => {
+            const searchParams = new URLSearchParams({
+                limit: p.limit || 50,
+                offset: p.offset || 0,
+            });
+            if (p.query) searchParams.set('query', p.query);
+            if (p.state) searchParams.set('state', p.state);
+            searchParams.set('sort', 'Name'); // Sort by name for consistent results
+            return `https://ridb.recreation.gov/api/v1/facilities?${searchParams.toString()}`;
+        },
+        requiredParams: ['query'],
+        optionalParams: ['state', 'limit', 'offset'],
+        needsApiKey: true,
+        cacheTtlSeconds: 60 * 60,
+    },
+    recAreaSearch: {
+        urlTemplate: (p) => {
+            const searchParams = new URLSearchParams({
+                limit: p.limit || 50,
+                offset: p.offset || 0,
+            });
+            if (p.query) searchParams.set('query', p.query);
+            if (p.state) searchParams.set('state', p.state);
+            return `https://ridb.recreation.gov/api/v1/recareas?${searchParams.toString()}`;
+        },
+        requiredParams: ['query'],
+        optionalParams: ['state', 'limit', 'offset'],
+        needsApiKey: true,
+        cacheTtlSeconds: 60 * 60,
+    },
+    recAreaFacilities: {
+        urlTemplate: (p) => {
+            const searchParams = new URLSearchParams({
+                limit: p.limit || 50,
+                offset: p.offset || 0,
+            });
+            return `https://ridb.recreation.gov/api/v1/recareas/${p.recAreaId}/facilities?${searchParams.toString()}`;
+        },
+        requiredParams: ['recAreaId'],
+        optionalParams: ['limit', 'offset'],
+        needsApiKey: true,
+        cacheTtlSeconds: 24 * 60 * 60,
+    },
+};
+
+/**
+ * Checks whether a value names a route in `API_ROUTES` (and not, say, an `Object.prototype` key).
+ * @param {any} type The route type from the request.
+ * @returns {boolean} True if the route exists.
+ */
+export function isKnownRouteType(type) {
+    return typeof type === 'string' && Object.hasOwn(API_ROUTES, type);
+}
+
+/**
+ * Keeps only the parameters a route reads (its `requiredParams` and `optionalParams`), so unrelated query
+ * parameters can neither reach the upstream API nor split the response cache into needless entries.
+ * Repeated parameters (arrays) are dropped as well.
+ * @param {string} type The route type (a key of `API_ROUTES`).
+ * @param {object} params The request parameters.
+ * @returns {object} The route's parameters.
+ */
+export function pickRouteParams(type, params) {
+    const { requiredParams, optionalParams = [] } = API_ROUTES[type];
+    return Object.fromEntries([...requiredParams, ...optionalParams]
+        .filter(name => typeof params[name] === 'string')
+        .map(name => [name, params[name]]));
+}
+
+/**
+ * An error thrown when an upstream request cannot be made or fails.
+ * `status` is the HTTP status the calling route should respond with, and `retryAfter` is the upstream
+ * `Retry-After` header (if any) so it can be passed on to the client.
+ */
+export class UpstreamError extends Error {
+    constructor(message, status, details = null, retryAfter = null) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.status = status;
+        this.details = details;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Builds the upstream URL for a route, validating its required parameters and attaching the API key if needed.
+ * @param {string} type The route type (a key of `API_ROUTES`).
+ * @param {object} params The request parameters.
+ * @param {string} apiKey The RIDB API key.
+ * @returns {string} The full upstream URL.
+ * @throws {UpstreamError} If the type is unknown or a required parameter is missing.
+ */
+export function buildUpstreamUrl(type, params, apiKey) {
+    const routeConfig = isKnownRouteType(type) ? API_ROUTES[type] : null;
+    if (!routeConfig) {
+        throw new UpstreamError(`Invalid API type specified: '${type}'`, 400);
+    }
+
+    for (const param of routeConfig.requiredParams) {
+        if (!params[param]) {
+            throw new UpstreamError(`Missing required parameter '${param}' for type '${type}'`, 500);
+        }
+    }
+
+    let upstreamUrl = routeConfig.urlTemplate(params);
+    if (routeConfig.needsApiKey) {
+        // Append API key correctly, whether other query params exist or not
+        if (upstreamUrl.includes('?')) {
+            upstreamUrl += `&apikey=${apiKey}`;
+        } else {
+            upstreamUrl += `?apikey=${apiKey}`;
+        }
+    }
+    return upstreamUrl;
+}
+
+/**
+ * Fetches and parses JSON from the live upstream API.
+ * @param {string} type The route type (a key of `API_ROUTES`).
+ * @param {object} params The request parameters.
+ * @returns {Promise<any>} The parsed JSON response.
+ * @throws {UpstreamError} If the API key is missing, the request is invalid, or the upstream API returns an error.
+ */
+async function fetchLiveUpstream(type, params) {
+    const apiKey = process.env.RIDB_API_KEY;
+    if (!apiKey) {
+        throw new UpstreamError('API key is not configured on the server.', 500);
+    }
+
+    const upstreamUrl = buildUpstreamUrl(type, params, apiKey);
+    const upstreamResponse = await fetch(upstreamUrl, {
+        headers: { 'accept': 'application/json' }
+    });
+
+    if (!upstreamResponse.ok) {
+        const errorBody = await upstreamResponse.text();
+        throw new UpstreamError(`Upstream API error for type '${type}'`, upstreamResponse.status, errorBody, upstreamResponse.headers.get('retry-after'));
+    }
+
+    return upstreamResponse.json();
+}
+
+/**
+ * Fetches and parses JSON from an upstream API route, or from its fixture when `RIDB_FIXTURE_MODE` is set
+ * (see `fixtures.js`). Calls that reach the live API are counted against the client for `/api/usage`.
+ * @param {string} type The route type (a key of `API_ROUTES`).
+ * @param {object} params The request parameters.
+ * @param {{client?: string}} [options] `client`: The client key to count the call against (see `usage.js`).
+ * @returns {Promise<any>} The parsed JSON response.
+ * @throws {UpstreamError} If the API key is missing, the request is invalid, the upstream API returns an error,
+ * or no fixture was recorded for the request in replay mode.
+ */
+export function fetchUpstream(type, params, { client = 'server' } = {}) {
+    return fetchWithFixtures(type, params, () => {
+        recordUpstreamCall(client, type);
+        return fetchLiveUpstream(type, params);
+    });
+}
+
+/**
+ * Maps one month of upstream availability to the model the browser uses (see `services/responseModels.js`),
+ * logging any schema drift.
+ * @param {any} json The parsed upstream response.
+ * @param {string} month The month's start date, for the log.
+ * @returns {Object<string, object>|null} The campsites' availability, keyed by campsite ID, or null if the response has none.
+ */
+function toAvailabilityModel(json, month) {
+    const { data, issues } = normalizeResponse('availability', json);
+    issues.forEach(issue => console.warn(`[fetchAvailabilityForRange] Schema drift in 'availability' response for month ${month}: ${issue}`));
+    return toResponseModel('availability', data);
+}
+
+/**
+ * Fetches availability for every month touched by a date range and merges the results,
+ * mirroring `fetchAvailabilityData` in `services/apiService.js`. The calls are counted as the 'watches' client.
+ * @param {string} campgroundId The Recreation.gov campground ID.
+ * @param {string} startDate The first night of the range ("YYYY-MM-DD").
+ * @param {string} endDate The last night of the range ("YYYY-MM-DD").
+ * @returns {Promise<object>} The merged availability of each campsite (`CampsiteAvailability` models), keyed by campsite ID.
+ * @throws {UpstreamError} If every monthly request fails.
+ */
+export async function fetchAvailabilityForRange(campgroundId, startDate, endDate) {
+    const months = [];
+    const current = new Date(`${startDate.slice(0, 7)}-01T00:00:00.000Z`);
+    const last = new Date(`${endDate.slice(0, 7)}-01T00:00:00.000Z`);
+    while (current <= last) {
+        months.push(current.toISOString());
+        current.setUTCMonth(current.getUTCMonth() + 1);
+    }
+
+    const results = await Promise.allSettled(
+        months.map(month => fetchUpstream('availability', { campgroundId, start_date: month }, { client: 'watches' }))
+    );
+
+    const combinedCampsites = {};
+    let lastError = null;
+    results.forEach((result, index) => {
+        const monthlyCampsites = result.status === 'fulfilled' ? toAvailabilityModel(result.value, months[index]) : null;
+        if (monthlyCampsites) {
+            for (const cId in monthlyCampsites) {
+                if (!combinedCampsites[cId]) {
+                    combinedCampsites[cId] = monthlyCampsites[cId];
+                } else {
+                    Object.assign(combinedCampsites[cId].availabilities, monthlyCampsites[cId].availabilities);
+                }
+            }
+        } else {
+            lastError = result.reason || new UpstreamError('Upstream API returned no campsites', 502);
+            console.error(`[fetchAvailabilityForRange] Failed to fetch availability for month starting ${months[index]}:`, lastError);
+        }
+    });
+
+    if (Object.keys(combinedCampsites).length === 0 && lastError) {
+        throw lastError;
+    }
+    return combinedCampsites;
+}
@@ -0,0 +1,28 @@
+/**
+ * Secret comparison shared by the access code check (`accessCode.js`) and per-user sign-in (`session.js`).
+ *
+ * Only the Web Crypto API is used, so this module runs both in the Edge middleware and in Node.js routes.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Hashes text with SHA-256.
+ * @param {string} text The text.
+ * @returns {Promise<Uint8Array>} The digest.
+ */
+export async function sha256(text) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(text)));
+}
+
+/**
+ * Compares two secrets without revealing through timing how much of them matched.
+ * Both are hashed first, so the comparison always covers the same number of bytes.
+ * @param {string} provided The value sent by the user.
+ * @param {string} expected The configured value.
+ * @returns {Promise<boolean>} True if they are equal.
+ */
+export async function secretsMatch(provided, expected) {
+    const [a, b] = await Promise.all([sha256(provided), sha256(expected)]);
+    return a.reduce((difference, byte, i) => difference | (byte ^ b[i]), 0) === 0;
+}
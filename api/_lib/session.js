@@ -0,0 +1,217 @@
+/**
+ * Signed session cookies, shared by `middleware.js` (which protects the pages), the login route
+ * (`api/session.js`) and the API routes that hold team data.
+ *
+ * A session is the signed-in user's name and an expiry time, signed with HMAC-SHA256 and kept in an
+ * HttpOnly cookie, so nothing secret appears in URLs, browser history or server logs. The signing key
+ * is the `SESSION_SECRET` environment variable, falling back to `ACCESS_CODE` when it is not set
+ * (changing either one signs everyone out).
+ *
+ * People sign in with either:
+ * - The site's access code (`ACCESS_CODE`), as the shared 'team' user.
+ * - Their own name and password from `AUTH_USERS`, a JSON object of names to passwords, e.g.
+ *   `{"alice": "correct horse", "bob": "sha256:<hex digest of the password>"}`.
+ *
+ * Only the Web Crypto API is used, so this module runs both in the Edge middleware and in Node.js routes.
+ */
+
+import { checkAccessCode, getRequestAccessCode } from './accessCode.js';
+import { sha256, secretsMatch } from './secrets.js';
+
+export const SESSION_COOKIE_NAME = 'campsite_session';
+
+/** How long a session lasts after signing in. */
+export const SESSION_MAX_AGE_SECONDS = 7 * 24 * 60 * 60;
+
+/** The user name given to people who sign in with the shared access code. */
+export const TEAM_USERNAME = 'team';
+
+const encoder = new TextEncoder();
+
+/**
+ * @typedef {object} Session
+ * @property {string} username The signed-in user.
+ * @property {number} expiresAt When the session ends (milliseconds since the epoch).
+ */
+
+/**
+ * @typedef {object} LoginResult
+ * @property {boolean} ok True if the credentials are valid.
+ * @property {string} [username] The signed-in user's name, when ok.
+ * @property {number} [status] The HTTP status to reply with when not ok (401 or 500).
+ * @property {string} [error] The message to reply with when not ok.
+ */
+
+/**
+ * Reads the session signing key.
+ * @returns {string|null} The key, or null if neither `SESSION_SECRET` nor `ACCESS_CODE` is set.
+ */
+function getSessionSecret() {
+    return process.env.SESSION_SECRET || process.env.ACCESS_CODE || null;
+}
+
+/**
+ * Encodes bytes as base64url without padding.
+ * @param {ArrayBuffer|Uint8Array} bytes The bytes.
+ * @returns {string} The encoded bytes.
+ */
+function toBase64Url(bytes) {
+    const binary = Array.from(new Uint8Array(bytes), byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url text into bytes.
+ * @param {string} encoded The encoded text.
+ * @returns {Uint8Array} The bytes.
+ */
+function fromBase64Url(encoded) {
+    return Uint8Array.from(atob(encoded.replace(/-/g, '+').replace(/_/g, '/')), character => character.charCodeAt(0));
+}
+
+/**
+ * Formats bytes as lowercase hexadecimal.
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {string} The hex string.
+ */
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Imports the signing key for HMAC-SHA256.
+ * @param {string} secret The session secret.
+ * @returns {Promise<CryptoKey>} The key.
+ */
+function importSigningKey(secret) {
+    return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/**
+ * Reads the per-user credentials from `AUTH_USERS`.
+ * @returns {Object<string, string>} Passwords (or `sha256:` digests) by user name; empty if not configured or invalid.
+ */
+function getConfiguredUsers() {
+    if (!process.env.AUTH_USERS) return {};
+    try {
+        const users = JSON.parse(process.env.AUTH_USERS);
+        return users && typeof users === 'object' && !Array.isArray(users) ? users : {};
+    } catch (error) {
+        console.error('[getConfiguredUsers] AUTH_USERS is not valid JSON; per-user sign-in is disabled.', error.message);
+        return {};
+    }
+}
+
+/**
+ * Checks sign-in credentials. With a user name, the password is checked against `AUTH_USERS`;
+ * without one, it is checked as the site's access code.
+ * @param {string|undefined} username The user name, or empty to sign in with the access code.
+ * @param {string|undefined} password The password or access code.
+ * @returns {Promise<LoginResult>} The result.
+ */
+export async function checkLoginCredentials(username, password) {
+    const name = String(username || '').trim();
+    const secret = String(password || '');
+    if (!secret) return { ok: false, status: 401, error: 'Enter a password or access code.' };
+
+    if (!name) {
+        const access = await checkAccessCode(secret);
+        return access.ok ? { ok: true, username: TEAM_USERNAME } : access;
+    }
+
+    const expected = getConfiguredUsers()[name];
+    if (typeof expected === 'string') {
+        const matches = expected.startsWith('sha256:')
+            ? await secretsMatch(toHex(await sha256(secret)), expected.slice('sha256:'.length).toLowerCase())
+            : await secretsMatch(secret, expected);
+        if (matches) return { ok: true, username: name };
+    }
+    return { ok: false, status: 401, error: 'Incorrect user name or password.' };
+}
+
+/**
+ * Creates a signed session token.
+ * @param {string} username The signed-in user.
+ * @param {number} [now=Date.now()] The current time, in milliseconds.
+ * @returns {Promise<{token: string, expiresAt: number}>} The token and its expiry.
+ * @throws {Error} If no session secret is configured.
+ */
+export async function createSessionToken(username, now = Date.now()) {
+    const secret = getSessionSecret();
+    if (!secret) throw new Error('Session secret not configured on server.');
+
+    const expiresAt = now + SESSION_MAX_AGE_SECONDS * 1000;
+    const payload = toBase64Url(encoder.encode(JSON.stringify({ u: username, exp: expiresAt })));
+    const signature = await crypto.subtle.sign('HMAC', await importSigningKey(secret), encoder.encode(payload));
+    return { token: `${payload}.${toBase64Url(signature)}`, expiresAt };
+}
+
+/**
+ * Checks a session token's signature and expiry.
+ * @param {string|null|undefined} token The token from the session cookie.
+ * @param {number} [now=Date.now()] The current time, in milliseconds.
+ * @returns {Promise<Session|null>} The session, or null if the token is missing, forged, malformed or expired.
+ */
+export async function verifySessionToken(token, now = Date.now()) {
+    const secret = getSessionSecret();
+    const [payload, signature, extra] = String(token || '').split('.');
+    if (!secret || !payload || !signature || extra !== undefined) return null;
+
+    try {
+        const isValid = await crypto.subtle.verify('HMAC', await importSigningKey(secret), fromBase64Url(signature), encoder.encode(payload));
+        if (!isValid) return null;
+        const { u: username, exp: expiresAt } = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+        if (typeof username !== 'string' || !(expiresAt > now)) return null;
+        return { username, expiresAt };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Reads one cookie from a `Cookie` header.
+ * @param {string|null|undefined} cookieHeader The header value.
+ * @param {string} [name=SESSION_COOKIE_NAME] The cookie name.
+ * @returns {string|null} The cookie value, or null if it is not set.
+ */
+export function readCookie(cookieHeader, name = SESSION_COOKIE_NAME) {
+    for (const part of String(cookieHeader || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator !== -1 && part.slice(0, separator).trim() === name) {
+            return part.slice(separator + 1).trim();
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the `Set-Cookie` value that stores a session.
+ * @param {string} token The session token.
+ * @param {boolean} secure True to mark the cookie `Secure` (HTTPS only); false for `http://localhost`.
+ * @returns {string} The header value.
+ */
+export function buildSessionCookie(token, secure) {
+    return `${SESSION_COOKIE_NAME}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_MAX_AGE_SECONDS}${secure ? '; Secure' : ''}`;
+}
+
+/**
+ * Builds the `Set-Cookie` value that removes the session (signs out).
+ * @param {boolean} secure True to mark the cookie `Secure`, matching the one being removed.
+ * @returns {string} The header value.
+ */
+export function buildClearedSessionCookie(secure) {
+    return `${SESSION_COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${secure ? '; Secure' : ''}`;
+}
+
+/**
+ * Checks whether a Node.js API request may use routes that hold team data: either it carries a valid
+ * session cookie (requests from the site's pages), or the site's access code (`X-Access-Code` header,
+ * for scripts).
+ * @param {object} request The Vercel Node.js request.
+ * @returns {Promise<import('./accessCode.js').AccessCodeResult & {username?: string}>} The result, with the user name when signed in.
+ */
+export async function checkRequestAccess(request) {
+    const session = await verifySessionToken(readCookie(request.headers.cookie));
+    if (session) return { ok: true, username: session.username };
+    return checkAccessCode(getRequestAccessCode(request));
+}
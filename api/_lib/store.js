@@ -0,0 +1,190 @@
+/**
+ * A small key/value store for server-side state such as watch definitions and snapshots.
+ *
+ * The backing driver is chosen with the `STORE_DRIVER` environment variable:
+ * - `kv`: A Redis hash per namespace in Vercel KV or Upstash Redis, through their REST API
+ *   (`KV_REST_API_URL` and `KV_REST_API_TOKEN`, or `UPSTASH_REDIS_REST_URL` and `UPSTASH_REDIS_REST_TOKEN`).
+ *   This is the default when those variables are set, and the one to use for deployments on Vercel.
+ * - `file`: One JSON file per namespace in `STORE_DIR`. Suitable for `vercel dev` and self-hosted deployments
+ *   with a writable disk. The default directory is `.data/`, except on Vercel, where the deployment is read-only
+ *   and it is `/tmp/campsite-store/` instead: writable, but private to one instance and lost on every cold start.
+ * - `memory`: Values live in the current process only. Useful for testing; data is lost on every cold start.
+ *
+ * Without `STORE_DRIVER` or a KV database, the `file` driver is used, with a warning when running on Vercel.
+ *
+ * Every driver implements the same async interface (`get`, `set`, `delete`, `list`), so the routes that
+ * use the store do not depend on the driver.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const memoryNamespaces = new Map();
+
+/**
+ * Creates a store backed by process memory.
+ * @param {string} namespace The namespace to isolate keys in.
+ * @returns {object} The store.
+ */
+function createMemoryStore(namespace) {
+    if (!memoryNamespaces.has(namespace)) {
+        memoryNamespaces.set(namespace, new Map());
+    }
+    const entries = memoryNamespaces.get(namespace);
+
+    return {
+        async get(key) {
+            return entries.has(key) ? structuredClone(entries.get(key)) : null;
+        },
+        async set(key, value) {
+            entries.set(key, structuredClone(value));
+        },
+        async delete(key) {
+            return entries.delete(key);
+        },
+        async list() {
+            return [...entries.values()].map(value => structuredClone(value));
+        },
+    };
+}
+
+/**
+ * Creates a store backed by a JSON file on disk.
+ * Writes go to a temporary file first and are then renamed, so a crash never leaves a half-written file.
+ * @param {string} namespace The namespace, used as the file name.
+ * @param {string} directory The directory to keep the file in.
+ * @returns {object} The store.
+ */
+function createFileStore(namespace, directory) {
+    const filePath = path.join(directory, `${namespace}.json`);
+
+    // Entries are kept in an object without a prototype, so keys like 'constructor' or '__proto__' are ordinary keys.
+    const readAll = async () => {
+        try {
+            return Object.assign(Object.create(null), JSON.parse(await fs.readFile(filePath, 'utf8')));
+        } catch (error) {
+            if (error.code === 'ENOENT') return Object.create(null);
+            throw error;
+        }
+    };
+
+    const writeAll = async (entries) => {
+        await fs.mkdir(directory, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(entries, null, 2));
+        await fs.rename(tempPath, filePath);
+    };
+
+    return {
+        async get(key) {
+            const entries = await readAll();
+            return Object.hasOwn(entries, key) ? entries[key] : null;
+        },
+        async set(key, value) {
+            const entries = await readAll();
+            entries[key] = value;
+            await writeAll(entries);
+        },
+        async delete(key) {
+            const entries = await readAll();
+            if (!Object.hasOwn(entries, key)) return false;
+            delete entries[key];
+            await writeAll(entries);
+            return true;
+        },
+        async list() {
+            return Object.values(await readAll());
+        },
+    };
+}
+
+/**
+ * Creates a store backed by a Redis hash in Vercel KV or Upstash Redis, using their REST API.
+ * Each value is saved as JSON in a field of the namespace's hash.
+ * @param {string} namespace The namespace, used in the hash's key.
+ * @param {string} url The REST API URL.
+ * @param {string} token The REST API token.
+ * @returns {object} The store.
+ */
+function createKvStore(namespace, url, token) {
+    const hashKey = `campsite:${namespace}`;
+
+    /**
+     * Runs one Redis command.
+     * @param {...string} command The command and its arguments, e.g. 'HGET', key, field.
+     * @returns {Promise<any>} The command's result.
+     * @throws {Error} If the request fails or Redis reports an error.
+     */
+    const runCommand = async (...command) => {
+        const kvResponse = await fetch(url, {
+            method: 'POST',
+            headers: { 'authorization': `Bearer ${token}`, 'content-type': 'application/json' },
+            body: JSON.stringify(command),
+        });
+        const body = await kvResponse.json().catch(() => ({}));
+        if (!kvResponse.ok || body.error) {
+            throw new Error(`KV ${command[0]} failed with status ${kvResponse.status}: ${body.error || 'no details'}`);
+        }
+        return body.result;
+    };
+
+    return {
+        async get(key) {
+            const value = await runCommand('HGET', hashKey, key);
+            return value === null || value === undefined ? null : JSON.parse(value);
+        },
+        async set(key, value) {
+            await runCommand('HSET', hashKey, key, JSON.stringify(value));
+        },
+        async delete(key) {
+            return (await runCommand('HDEL', hashKey, key)) > 0;
+        },
+        async list() {
+            return ((await runCommand('HVALS', hashKey)) || []).map(value => JSON.parse(value));
+        },
+    };
+}
+
+/** Set once the warning about the ephemeral `/tmp` store on Vercel has been logged. */
+let warnedAboutEphemeralStore = false;
+
+/**
+ * Chooses the `file` driver's directory. On Vercel the deployment is read-only, so only `/tmp` can be written.
+ * @returns {string} The directory.
+ */
+function getFileStoreDirectory() {
+    if (process.env.STORE_DIR) return process.env.STORE_DIR;
+    if (!process.env.VERCEL) return path.join(process.cwd(), '.data');
+
+    if (!warnedAboutEphemeralStore) {
+        warnedAboutEphemeralStore = true;
+        console.warn('[createStore] No KV database is configured, so data is kept in /tmp, which is private to this instance and lost on every cold start. Connect Vercel KV or Upstash Redis to keep watches and presets.');
+    }
+    return path.join('/tmp', 'campsite-store');
+}
+
+/**
+ * Creates a store for the given namespace using the driver configured in the environment.
+ * @param {string} namespace A short name for the kind of data being stored (e.g. 'watches').
+ * @returns {{get: function(string): Promise<any>, set: function(string, any): Promise<void>, delete: function(string): Promise<boolean>, list: function(): Promise<any[]>}} The store.
+ * @throws {Error} If `STORE_DRIVER` names an unknown driver.
+ */
+export function createStore(namespace) {
+    const kvUrl = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+    const kvToken = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+    const driver = process.env.STORE_DRIVER || (kvUrl && kvToken ? 'kv' : 'file');
+
+    switch (driver) {
+        case 'kv':
+            if (!kvUrl || !kvToken) {
+                throw new Error("STORE_DRIVER is 'kv', but KV_REST_API_URL and KV_REST_API_TOKEN (or the UPSTASH_REDIS_REST_* equivalents) are not set.");
+            }
+            return createKvStore(namespace, kvUrl, kvToken);
+        case 'memory':
+            return createMemoryStore(namespace);
+        case 'file':
+            return createFileStore(namespace, getFileStoreDirectory());
+        default:
+            throw new Error(`Unknown STORE_DRIVER '${driver}'. Expected 'kv', 'file' or 'memory'.`);
+    }
+}
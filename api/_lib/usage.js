@@ -0,0 +1,76 @@
+/**
+ * Daily accounting of the proxy's upstream API calls per client, for `/api/usage`.
+ *
+ * Only requests that actually reach Recreation.gov or RIDB are counted; responses served from the
+ * proxy's response cache are not. Days are UTC dates, and days older than `USAGE_RETENTION_DAYS` are dropped.
+ *
+ * Counts live in process memory, like the rate limiter's buckets (`rateLimit.js`), so counting is instant
+ * and never slows down or fails a request. Each serverless instance counts only the calls it made and
+ * starts over on a cold start, so the numbers are meant for spotting heavy users, not for billing.
+ */
+
+/** How many days of counts are kept, including today. */
+export const USAGE_RETENTION_DAYS = 7;
+
+/** @type {Map<string, Map<string, {total: number, byType: Map<string, number>}>>} Counts by day, then by client. */
+const usageByDay = new Map();
+
+/**
+ * @typedef {object} UsageEntry
+ * @property {string} date The UTC day ('YYYY-MM-DD').
+ * @property {string} client The client key (a user name, or 'ip:<address>').
+ * @property {number} total The number of upstream calls that day.
+ * @property {Object<string, number>} byType The number of upstream calls per route type.
+ */
+
+/**
+ * Formats a time as its UTC day.
+ * @param {Date} date The time.
+ * @returns {string} The day ('YYYY-MM-DD').
+ */
+export function toUsageDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Drops the counts of days that are no longer kept.
+ * @param {Date} now The current time.
+ */
+function pruneOldDays(now) {
+    const oldestKeptDay = toUsageDay(new Date(now.getTime() - (USAGE_RETENTION_DAYS - 1) * 24 * 60 * 60 * 1000));
+    for (const date of usageByDay.keys()) {
+        if (date < oldestKeptDay) usageByDay.delete(date);
+    }
+}
+
+/**
+ * Counts one upstream call.
+ * @param {string} client The client key, from `getClientKey` (see `rateLimit.js`).
+ * @param {string} type The route type.
+ * @param {Date} [now=new Date()] The time of the call.
+ */
+export function recordUpstreamCall(client, type, now = new Date()) {
+    const date = toUsageDay(now);
+    if (!usageByDay.has(date)) {
+        usageByDay.set(date, new Map());
+        pruneOldDays(now);
+    }
+
+    const clients = usageByDay.get(date);
+    const entry = clients.get(client) || { total: 0, byType: new Map() };
+    entry.total += 1;
+    entry.byType.set(type, (entry.byType.get(type) || 0) + 1);
+    clients.set(client, entry);
+}
+
+/**
+ * Lists every client's usage on a day, heaviest first.
+ * @param {string} date The UTC day ('YYYY-MM-DD').
+ * @returns {UsageEntry[]} The entries; empty for days with no calls or older than `USAGE_RETENTION_DAYS`.
+ */
+export function getUsageForDay(date) {
+    const clients = usageByDay.get(date) || new Map();
+    return [...clients]
+        .map(([client, { total, byType }]) => ({ date, client, total, byType: Object.fromEntries(byType) }))
+        .sort((a, b) => b.total - a.total || a.client.localeCompare(b.client));
+}
@@ -0,0 +1,330 @@
+/**
+ * Shared logic for server-side availability watches.
+ *
+ * A watch is a saved search (campground, date window, optional site list and stay length) that is
+ * re-checked on a schedule by `api/run-watches.js`. Each check is compared with the snapshot saved by
+ * the previous check, and any newly opened nights or stays are POSTed to the watch's webhook.
+ */
+
+import { isIP, isIPv4 } from 'net';
+import { lookup } from 'dns/promises';
+import { fetchAvailabilityForRange } from './ridb.js';
+import { createAvailabilitySnapshot, mergeAvailabilitySnapshots, diffAvailabilitySnapshots } from '../../services/availabilityDiff.js';
+import { findConsecutiveStays } from '../../services/stayFinder.js';
+
+const MAX_WATCH_DAYS = 40; // Keeps each scheduled check to a couple of monthly requests per watch.
+const MAX_SITES_PER_WATCH = 30;
+const MAX_NIGHTS = 14;
+const MAX_MESSAGE_LINES = 20;
+const DISCORD_CONTENT_LIMIT = 2000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {object} Watch
+ * @property {string} id A unique ID.
+ * @property {string} name A display name for notifications.
+ * @property {string} campgroundId The Recreation.gov campground ID.
+ * @property {string} startDate The first night to watch ("YYYY-MM-DD").
+ * @property {string} endDate The last night to watch ("YYYY-MM-DD").
+ * @property {string[]} sites Site names to watch. Empty means all sites.
+ * @property {number} minNights The minimum stay length. 1 reports single nights.
+ * @property {number} maxNights The maximum stay length to report.
+ * @property {number[]} arrivalWeekdays Allowed arrival weekdays (0 = Sunday). Empty means any day.
+ * @property {boolean} includeNotReservable If true, 'Not Reservable' (walk-up) nights also count as open.
+ * @property {string|null} webhookUrl The webhook to notify, or null to use `WATCH_WEBHOOK_URL`.
+ * @property {string} createdAt ISO timestamp of creation.
+ * @property {string|null} lastRunAt ISO timestamp of the most recent check.
+ * @property {object|null} lastResult A summary of the most recent check.
+ */
+
+/**
+ * Normalizes a site name so "005" and "5" match, while leaving alphanumeric names like "A020" as-is.
+ * This is the same rule the web UI uses for its site filter.
+ * @param {string|number} name The site name.
+ * @returns {string} The normalized name.
+ */
+function normalizeSiteName(name) {
+    const strName = String(name).trim().toUpperCase();
+    return /^\d+$/.test(strName) ? String(parseInt(strName, 10)) : strName;
+}
+
+/**
+ * Checks whether a string is a real calendar date in "YYYY-MM-DD" format (so "2025-13-45" or "2025-02-30" are not).
+ * @param {any} value The value to check.
+ * @returns {boolean} True if the value is a valid date.
+ */
+function isValidDate(value) {
+    if (!DATE_PATTERN.test(value || '')) return false;
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Checks whether an IP address is private, loopback, link-local or otherwise not on the public internet.
+ * @param {string} address An IPv4 or IPv6 address.
+ * @returns {boolean} True if a webhook must not be sent to the address.
+ */
+function isPrivateAddress(address) {
+    if (isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 // "This" network, private, loopback, multicast and reserved
+            || (a === 100 && b >= 64 && b <= 127) // Carrier-grade NAT
+            || (a === 169 && b === 254) // Link-local, including cloud metadata services
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168);
+    }
+    const normalized = address.toLowerCase();
+    // IPv4-mapped addresses, written either dotted (`::ffff:10.0.0.1`) or in hex as the URL parser does (`::ffff:a00:1`).
+    const mappedIPv4 = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mappedIPv4) return isPrivateAddress(mappedIPv4[1]);
+    const mappedHex = normalized.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+        const [high, low] = mappedHex.slice(1).map(group => parseInt(group, 16));
+        return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return normalized === '::' || normalized === '::1'
+        || /^f[cd]/.test(normalized) // Unique local (fc00::/7)
+        || /^fe[89ab]/.test(normalized) // Link-local (fe80::/10)
+        || normalized.startsWith('ff'); // Multicast
+}
+
+/**
+ * Checks that a webhook URL is safe for the server to POST to: it must be https, and its host must not be
+ * (or resolve to) a private, loopback or link-local address, so watches cannot be used to reach internal services.
+ * @param {string} webhookUrl The webhook URL.
+ * @returns {Promise<string|null>} A description of the problem, or null if the URL is allowed.
+ */
+export async function checkWebhookUrl(webhookUrl) {
+    let url;
+    try {
+        url = new URL(webhookUrl);
+    } catch {
+        return "'webhookUrl' must be a valid URL.";
+    }
+    if (url.protocol !== 'https:') return "'webhookUrl' must be an https URL.";
+
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        return "'webhookUrl' must not point at a private, loopback or link-local host.";
+    }
+
+    let addresses;
+    if (isIP(hostname)) {
+        addresses = [hostname];
+    } else {
+        try {
+            addresses = (await lookup(hostname, { all: true })).map(entry => entry.address);
+        } catch {
+            return `'webhookUrl' host '${hostname}' could not be resolved.`;
+        }
+    }
+    if (addresses.some(isPrivateAddress)) {
+        return "'webhookUrl' must not point at a private, loopback or link-local host.";
+    }
+    return null;
+}
+
+/**
+ * Validates user input for a new watch and fills in defaults.
+ * @param {object} input The request body.
+ * @returns {Promise<{watch: Omit<Watch, 'id'|'createdAt'|'lastRunAt'|'lastResult'>|null, errors: string[]}>} The cleaned watch, or a list of problems.
+ */
+export async function validateWatchInput(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object') {
+        return { watch: null, errors: ['Request body must be a JSON object.'] };
+    }
+
+    const campgroundId = String(input.campgroundId ?? '').trim();
+    if (!/^\d+$/.test(campgroundId)) errors.push("'campgroundId' must be a numeric Recreation.gov campground ID.");
+
+    const { startDate, endDate } = input;
+    if (!isValidDate(startDate)) errors.push("'startDate' must be a valid date in YYYY-MM-DD format.");
+    if (!isValidDate(endDate)) errors.push("'endDate' must be a valid date in YYYY-MM-DD format.");
+    if (isValidDate(startDate) && isValidDate(endDate)) {
+        const days = (Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000) + 1;
+        if (days < 1) errors.push("'endDate' must not be before 'startDate'.");
+        if (days > MAX_WATCH_DAYS) errors.push(`The date window may not exceed ${MAX_WATCH_DAYS} days.`);
+    }
+
+    const rawSites = Array.isArray(input.sites) ? input.sites : String(input.sites ?? '').split(',');
+    const sites = [...new Set(rawSites.map(site => String(site).trim()).filter(Boolean))];
+    if (sites.length > MAX_SITES_PER_WATCH) errors.push(`A watch may list at most ${MAX_SITES_PER_WATCH} sites.`);
+
+    const minNights = input.minNights === undefined ? 1 : parseInt(input.minNights, 10);
+    const maxNights = input.maxNights === undefined ? minNights : parseInt(input.maxNights, 10);
+    if (!(minNights >= 1 && minNights <= MAX_NIGHTS)) errors.push(`'minNights' must be between 1 and ${MAX_NIGHTS}.`);
+    if (!(maxNights >= minNights && maxNights <= MAX_NIGHTS)) errors.push(`'maxNights' must be between 'minNights' and ${MAX_NIGHTS}.`);
+
+    const arrivalWeekdays = Array.isArray(input.arrivalWeekdays) ? input.arrivalWeekdays.map(day => parseInt(day, 10)) : [];
+    if (arrivalWeekdays.some(day => !(day >= 0 && day <= 6))) errors.push("'arrivalWeekdays' must contain numbers from 0 (Sunday) to 6 (Saturday).");
+
+    const webhookUrl = input.webhookUrl ? String(input.webhookUrl).trim() : null;
+    if (webhookUrl) {
+        const webhookError = await checkWebhookUrl(webhookUrl);
+        if (webhookError) errors.push(webhookError);
+    }
+    if (!webhookUrl && !process.env.WATCH_WEBHOOK_URL) errors.push("'webhookUrl' is required because no default WATCH_WEBHOOK_URL is configured.");
+
+    if (errors.length > 0) return { watch: null, errors };
+
+    return {
+        watch: {
+            name: String(input.name || `Campground ${campgroundId}`).trim().slice(0, 100),
+            campgroundId,
+            startDate,
+            endDate,
+            sites,
+            minNights,
+            maxNights,
+            arrivalWeekdays,
+            includeNotReservable: input.includeNotReservable === true,
+            webhookUrl,
+        },
+        errors,
+    };
+}
+
+/**
+ * Hides the secret path of a webhook URL so watches can be listed safely.
+ * @param {string|null} webhookUrl The webhook URL.
+ * @returns {string|null} The URL's origin followed by an ellipsis, or null.
+ */
+export function maskWebhookUrl(webhookUrl) {
+    if (!webhookUrl) return null;
+    try {
+        return `${new URL(webhookUrl).origin}/…`;
+    } catch {
+        return '…';
+    }
+}
+
+/**
+ * Runs one check for a watch: fetches availability and diffs it against the stored snapshot.
+ * The first check for a watch only records a baseline.
+ *
+ * The new snapshot is returned rather than saved, so the caller can save it only once the matches have been
+ * delivered; otherwise a failed notification would be folded into the baseline and never reported again.
+ * @param {Watch} watch The watch to check.
+ * @param {object} snapshotStore The store holding snapshots, keyed by watch ID.
+ * @param {Date} [now=new Date()] The current time, used to skip nights that have already passed.
+ * @returns {Promise<{status: 'baseline'|'checked'|'expired', matches: object[], snapshot: object|null}>} The outcome,
+ * any new matches, and the snapshot to save once they are delivered (null for expired watches).
+ */
+export async function runWatch(watch, snapshotStore, now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    if (watch.endDate < today) {
+        return { status: 'expired', matches: [], snapshot: null };
+    }
+    const startDate = watch.startDate < today ? today : watch.startDate;
+    const { endDate } = watch;
+
+    const campsites = await fetchAvailabilityForRange(watch.campgroundId, startDate, endDate);
+    const newSnapshot = createAvailabilitySnapshot(campsites);
+    const previousSnapshot = await snapshotStore.get(watch.id);
+
+    const statuses = watch.includeNotReservable ? ['Available', 'Not Reservable'] : ['Available'];
+    const watchedSites = watch.sites.map(normalizeSiteName);
+    const isWatchedSite = (site) => watchedSites.length === 0 || watchedSites.includes(normalizeSiteName(site));
+
+    let matches = [];
+    if (previousSnapshot) {
+        const changes = diffAvailabilitySnapshots(previousSnapshot, newSnapshot, {
+            statuses,
+            dateFilter: (date) => date.slice(0, 10) >= startDate && date.slice(0, 10) <= endDate,
+            siteFilter: isWatchedSite,
+        });
+
+        if (watch.minNights > 1 || watch.arrivalWeekdays.length > 0) {
+            // Report stays that include at least one newly opened night.
+            const changedNights = new Set(changes.map(change => `${change.campsiteId}|${change.date}`));
+            matches = findConsecutiveStays(campsites, {
+                minNights: watch.minNights,
+                maxNights: watch.maxNights,
+                arrivalWeekdays: watch.arrivalWeekdays,
+                startDate,
+                endDate,
+                statuses,
+                siteFilter: (campsite) => isWatchedSite(campsite.site),
+            })
+                .filter(stay => stay.nightDates.some(date => changedNights.has(`${stay.campsiteId}|${date}`)))
+                .sort((a, b) => a.arrivalDate - b.arrivalDate || String(a.site).localeCompare(String(b.site), undefined, { numeric: true }))
+                .map(stay => ({
+                    type: 'stay',
+                    campsiteId: stay.campsiteId,
+                    site: stay.site,
+                    arrivalDate: stay.arrivalDate.toISOString().slice(0, 10),
+                    departureDate: stay.departureDate.toISOString().slice(0, 10),
+                    nights: stay.nights,
+                }));
+        } else {
+            matches = changes.map(change => ({
+                type: 'night',
+                campsiteId: change.campsiteId,
+                site: change.site,
+                date: change.date.slice(0, 10),
+                from: change.from,
+                to: change.to,
+            }));
+        }
+    }
+
+    return {
+        status: previousSnapshot ? 'checked' : 'baseline',
+        matches,
+        snapshot: mergeAvailabilitySnapshots(previousSnapshot, newSnapshot),
+    };
+}
+
+/**
+ * Builds a webhook payload for a set of matches. `text` is read by Slack-style webhooks and
+ * `content` by Discord-style webhooks; `watch` and `matches` carry the structured data for other consumers.
+ * @param {Watch} watch The watch that produced the matches.
+ * @param {object[]} matches The matches from `runWatch`.
+ * @returns {object} The JSON payload.
+ */
+export function buildWebhookPayload(watch, matches) {
+    const bookingUrl = `https://www.recreation.gov/camping/campgrounds/${watch.campgroundId}`;
+    const lines = matches.slice(0, MAX_MESSAGE_LINES).map(match => (match.type === 'stay'
+        ? `• Site ${match.site}: ${match.nights} night(s) from ${match.arrivalDate} to ${match.departureDate}`
+        : `• Site ${match.site}: ${match.date} (${match.from} → ${match.to})`));
+    if (matches.length > MAX_MESSAGE_LINES) lines.push(`…and ${matches.length - MAX_MESSAGE_LINES} more`);
+
+    const noun = matches[0]?.type === 'stay' ? 'stay(s)' : 'night(s)';
+    const text = [`🏕️ ${watch.name}: ${matches.length} ${noun} opened up`, ...lines, bookingUrl].join('\n');
+
+    return {
+        text,
+        content: text.length > DISCORD_CONTENT_LIMIT ? `${text.slice(0, DISCORD_CONTENT_LIMIT - 1)}…` : text,
+        watch: {
+            id: watch.id,
+            name: watch.name,
+            campgroundId: watch.campgroundId,
+            startDate: watch.startDate,
+            endDate: watch.endDate,
+        },
+        matches,
+        bookingUrl,
+    };
+}
+
+/**
+ * POSTs a payload to a webhook. Redirects are not followed, so an allowed host cannot forward the request
+ * to an internal one.
+ * @param {string} webhookUrl The webhook URL.
+ * @param {object} payload The JSON payload.
+ * @returns {Promise<void>}
+ * @throws {Error} If the webhook responds with a non-2xx status.
+ */
+export async function postWebhook(webhookUrl, payload) {
+    const webhookResponse = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(payload),
+        redirect: 'manual',
+    });
+    if (!webhookResponse.ok) {
+        throw new Error(`Webhook responded with status ${webhookResponse.status}`);
+    }
+}
@@ -6,116 +6,94 @@
  * 2. It securely retrieves the RIDB_API_KEY from Vercel's environment variables.
  * 3. Based on the `type`, it constructs the correct URL for the target API (recreation.gov or ridb.recreation.gov).
  * 4. It attaches the API key to requests that need it.
- * 5. It forwards the request to the target API.
- * 6. It sends the response from the target API back to the frontend.
+ * 5. It forwards the request to the target API, unless a recent enough response is in the proxy's response cache.
+ * 6. It sends the response back to the frontend, with `X-Proxy-Cache` (HIT, STALE, MISS or BYPASS) and `Age` headers
+ *    describing where it came from.
+ *
+ * The route table and upstream request logic live in `api/_lib/ridb.js` so they can be shared with other routes.
+ * Per-route cache lifetimes are set by `cacheTtlSeconds` in that table.
+ *
+ * Every request must carry a signed-in session cookie (see `api/_lib/session.js`) or the site's access code in an
+ * `X-Access-Code` header, so the `RIDB_API_KEY` quota is only spent on behalf of the site's users. Other requests
+ * get a 401 and are logged. As with the pages, the check is skipped under `vercel dev`.
+ *
+ * Each client (signed-in user, or IP address) is rate limited per route type (`api/_lib/rateLimit.js`); requests
+ * over the limit get a 429 with `Retry-After`. Calls that reach the upstream API are counted per client per day
+ * for `/api/usage` (`api/_lib/usage.js`).
+ *
+ * For offline work, `RIDB_FIXTURE_MODE=record` saves every upstream response as a fixture file, and
+ * `RIDB_FIXTURE_MODE=replay` serves responses from those files without any network access or API key
+ * (`api/_lib/fixtures.js`). The fixtures are applied in `fetchUpstream`, so the watch routes follow the same mode.
  */
 
-const API_ROUTES = {
-    campgroundMetadata: {
-        urlTemplate: (p) => `https://www.recreation.gov/api/camps/campgrounds/${p.campgroundId}`,
-        requiredParams: ['campgroundId'],
-    },
-    availability: {
-        urlTemplate: (p) => `https://www.recreation.gov/api/camps/availability/campground/${p.campgroundId}/month?start_date=${encodeURIComponent(p.start_date)}`,
-        requiredParams: ['campgroundId', 'start_date'],
-    },
-    'rec-gov-search': {
-        urlTemplate: (p) => `https://www.recreation.gov/api/search?fq=id:${p.campgroundId}_asset`,
-        requiredParams: ['campgroundId'],
-        needsApiKey: false,
-    },
-    facilityDetails: {
-        urlTemplate: (p) => `https://ridb.recreation.gov/api/v1/facilities/${p.facilityId}`,
-        requiredParams: ['facilityId'],
-        needsApiKey: true,
-    },
-    recAreaDetails: {
-        urlTemplate: (p) => `https://ridb.recreation.gov/api/v1/recareas/${p.recAreaId}`,
-        requiredParams: ['recAreaId'],
-        needsApiKey: true,
-    },
-    recAreaEvents: {
-        urlTemplate: (p) => `https://ridb.recreation.gov/api/v1/recareas/${p.recAreaId}/events`,
-        requiredParams: ['recAreaId'],
-        needsApiKey: true,
-    },
-    recAreaMedia: {
-        urlTemplate: (p) => `https://ridb.recreation.gov/api/v1/recareas/${p.recAreaId}/media`,
-        requiredParams: ['recAreaId'],
-        needsApiKey: true,
-    },
-    campsiteDetails: {
-        urlTemplate: (p) => `https://ridb.recreation.gov/api/v1/facilities/${p.facilityId}/campsites/${p.campsiteId}`,
-        requiredParams: ['facilityId', 'campsiteId'],
-        needsApiKey: true,
-    },
-    facilitySearch: {
-        urlTemplate: (p) => {
-            const searchParams = new URLSearchParams({
-                limit: p.limit || 50,
-                offset: p.offset || 0,
-            });
-            if (p.query) searchParams.set('query', p.query);
-            if (p.state) searchParams.set('state', p.state);
-            searchParams.set('sort', 'Name'); // Sort by name for consistent results
-            return `https://ridb.recreation.gov/api/v1/facilities?${searchParams.toString()}`;
-        },
-        requiredParams: ['query'], // state is optional
-        needsApiKey: true,
-    },
-};
+import { API_ROUTES, fetchUpstream, isKnownRouteType, pickRouteParams, UpstreamError } from './_lib/ridb.js';
+import { createResponseCache, buildCacheKey } from './_lib/responseCache.js';
+import { checkRequestAccess } from './_lib/session.js';
+import { createRateLimiter, getClientAddress, getClientKey, DEFAULT_RATE_LIMIT } from './_lib/rateLimit.js';
+
+// Created once per instance so warm invocations share the cache and rate limits.
+const responseCache = createResponseCache();
+const rateLimiter = createRateLimiter();
 
 export default async function handler(request, response) {
-    // 1. Get the API key from environment variables (securely stored in Vercel)
-    const apiKey = process.env.RIDB_API_KEY;
+    // 0. Only serve the site's signed-in users (or callers with the access code)
+    const access = await checkRequestAccess(request);
+    if (!access.ok) {
+        console.warn(`[fetch-ridb] Rejected request for type '${request.query.type}' from ${getClientAddress(request)}: ${access.error}`);
+        response.setHeader('Cache-Control', 'no-store');
+        return response.status(access.status).json({ error: access.error });
+    }
 
-    if (!apiKey) {
-        return response.status(500).json({ error: 'API key is not configured on the server.' });
+    // 1. Determine which API to call based on query parameters from the frontend
+    // `fresh` is set by clients that need live data (e.g. watch mode) and is not forwarded upstream. Only the route's
+    // own parameters are kept, so nothing else (such as an old `access_code`) reaches a cache key, fixture or upstream URL.
+    const { type, fresh } = request.query;
+    if (!isKnownRouteType(type)) {
+        response.setHeader('Cache-Control', 'no-store');
+        return response.status(400).json({ error: `Invalid API type specified: '${type}'` });
     }
+    const params = pickRouteParams(type, request.query);
+    const ttlSeconds = API_ROUTES[type].cacheTtlSeconds || 0;
 
-    // 2. Determine which API to call based on query parameters from the frontend
-    const { type, ...params } = request.query;
-    const routeConfig = API_ROUTES[type];
+    // 2. Apply the client's rate limit for this route type
+    const clientKey = getClientKey(request, access);
+    const limit = rateLimiter.take(`${clientKey}|${type}`, API_ROUTES[type].rateLimit || DEFAULT_RATE_LIMIT);
+    response.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+    if (!limit.allowed) {
+        console.warn(`[fetch-ridb] Rate limited '${clientKey}' for type '${type}'; retry in ${limit.retryAfterSeconds}s.`);
+        response.setHeader('Retry-After', String(limit.retryAfterSeconds));
+        response.setHeader('Cache-Control', 'no-store');
+        return response.status(429).json({ error: `Too many '${type}' requests. Try again in ${limit.retryAfterSeconds}s.` });
+    }
 
     try {
-        if (!routeConfig) {
-            return response.status(400).json({ error: `Invalid API type specified: '${type}'` });
-        }
+        // 3. Fetch data from the cache, or through `fetchUpstream` from the fixtures or the upstream API (which attaches the API key)
+        const { data, status, ageSeconds } = await responseCache.getOrFetch(
+            buildCacheKey(type, params),
+            ttlSeconds,
+            () => fetchUpstream(type, params, { client: clientKey }),
+            { bypass: Boolean(fresh) }
+        );
 
-        for (const param of routeConfig.requiredParams) {
-            if (!params[param]) {
-                throw new Error(`Missing required parameter '${param}' for type '${type}'`);
-            }
+        // 4. Send the successful response back to the client, with cache details and caching instructions for the browser
+        response.setHeader('X-Proxy-Cache', status);
+        response.setHeader('Age', String(ageSeconds));
+        if (fresh || !ttlSeconds) {
+            response.setHeader('Cache-Control', 'no-store');
+        } else {
+            // `private`: The session is a cookie, not part of the URL, so a shared (CDN) cache would serve this response
+            // to callers that never passed the access check. Sharing between users is left to `responseCache`.
+            response.setHeader('Cache-Control', `private, max-age=${ttlSeconds}`);
         }
-
-        let upstreamUrl = routeConfig.urlTemplate(params);
-        if (routeConfig.needsApiKey) {
-            // Append API key correctly, whether other query params exist or not
-            if (upstreamUrl.includes('?')) {
-                upstreamUrl += `&apikey=${apiKey}`;
-            } else {
-                upstreamUrl += `?apikey=${apiKey}`;
-            }
-        }
-
-        // 3. Fetch data from the upstream API
-        const upstreamResponse = await fetch(upstreamUrl, {
-            headers: { 'accept': 'application/json' }
-        });
-
-        if (!upstreamResponse.ok) {
-            const errorBody = await upstreamResponse.text();
-            return response.status(upstreamResponse.status).json({ error: `Upstream API error for type '${type}'`, details: errorBody });
-        }
-
-        const data = await upstreamResponse.json();
-
-        // 4. Send the successful response back to the client, with caching instructions for Vercel
-        response.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate'); // Cache for 5 minutes
         return response.status(200).json(data);
 
     } catch (error) {
         console.error(`Serverless function error for type '${type}':`, error);
-        return response.status(500).json({ error: error.message });
+        const status = error instanceof UpstreamError ? error.status : 500;
+        // Pass rate-limit hints through so the client's retry logic can honour them.
+        if (error.retryAfter) response.setHeader('Retry-After', error.retryAfter);
+        const body = { error: error.message };
+        if (error.details) body.details = error.details;
+        return response.status(status).json(body);
     }
 }
@@ -0,0 +1,96 @@
+/**
+ * Vercel Serverless Function for managing team presets shared by everyone who uses the site.
+ *
+ * Routes:
+ * - `GET /api/presets`: Lists all presets in the `presets.json` shape (an object keyed by name).
+ * - `POST /api/presets`: Creates a preset from a JSON body (see `validatePresetInput` in `api/_lib/presets.js`).
+ *   Fails with 409 if the name is taken.
+ * - `PUT /api/presets?name=...`: Replaces the named preset. A different `name` in the body renames it.
+ * - `DELETE /api/presets?name=...`: Deletes a preset.
+ *
+ * Every request must carry a signed-in session cookie (see `api/_lib/session.js`), as requests from the site's
+ * pages do, or the site's access code (`X-Access-Code` header). Presets are kept in the `presets` namespace of the
+ * key/value store (`api/_lib/store.js`): a KV database when one is configured, otherwise a JSON file under `.data/`.
+ */
+
+import { createStore } from './_lib/store.js';
+import { checkRequestAccess } from './_lib/session.js';
+import { validatePresetInput, toPresetCollection } from './_lib/presets.js';
+
+export default async function handler(request, response) {
+    const access = await checkRequestAccess(request);
+    if (!access.ok) {
+        return response.status(access.status).json({ error: access.error });
+    }
+
+    const presetStore = createStore('presets');
+
+    try {
+        switch (request.method) {
+            case 'GET': {
+                response.setHeader('Cache-Control', 'no-store');
+                return response.status(200).json({ presets: toPresetCollection(await presetStore.list()) });
+            }
+
+            case 'POST': {
+                const { preset, errors } = validatePresetInput(request.body);
+                if (errors.length > 0) {
+                    return response.status(400).json({ error: 'Invalid preset.', details: errors });
+                }
+                if (await presetStore.get(preset.name)) {
+                    return response.status(409).json({ error: `A preset named '${preset.name}' already exists.` });
+                }
+
+                const now = new Date().toISOString();
+                const newPreset = { ...preset, createdAt: now, updatedAt: now };
+                await presetStore.set(newPreset.name, newPreset);
+                console.log(`[presets] Created preset '${newPreset.name}'.`);
+                return response.status(201).json({ preset: newPreset });
+            }
+
+            case 'PUT': {
+                const { name } = request.query;
+                if (!name) {
+                    return response.status(400).json({ error: "Missing required parameter 'name'." });
+                }
+                const existing = await presetStore.get(name);
+                if (!existing) {
+                    return response.status(404).json({ error: `Preset '${name}' not found.` });
+                }
+                const { preset, errors } = validatePresetInput(request.body);
+                if (errors.length > 0) {
+                    return response.status(400).json({ error: 'Invalid preset.', details: errors });
+                }
+                if (preset.name !== name && await presetStore.get(preset.name)) {
+                    return response.status(409).json({ error: `A preset named '${preset.name}' already exists.` });
+                }
+
+                const updatedPreset = { ...preset, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+                await presetStore.set(updatedPreset.name, updatedPreset);
+                if (updatedPreset.name !== name) await presetStore.delete(name);
+                console.log(`[presets] Updated preset '${name}'${updatedPreset.name !== name ? ` (renamed to '${updatedPreset.name}')` : ''}.`);
+                return response.status(200).json({ preset: updatedPreset });
+            }
+
+            case 'DELETE': {
+                const { name } = request.query;
+                if (!name) {
+                    return response.status(400).json({ error: "Missing required parameter 'name'." });
+                }
+                const deleted = await presetStore.delete(name);
+                if (!deleted) {
+                    return response.status(404).json({ error: `Preset '${name}' not found.` });
+                }
+                console.log(`[presets] Deleted preset '${name}'.`);
+                return response.status(204).end();
+            }
+
+            default:
+                response.setHeader('Allow', 'GET, POST, PUT, DELETE');
+                return response.status(405).json({ error: `Method ${request.method} not allowed.` });
+        }
+    } catch (error) {
+        console.error('[presets] Serverless function error:', error);
+        return response.status(500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Vercel Serverless Function that checks every stored watch. It is meant to be called by a
+ * Vercel Cron Job (see `vercel.json`), but can also be triggered by hand.
+ *
+ * How it works:
+ * 1. The request must carry `Authorization: Bearer <CRON_SECRET>`, which Vercel adds automatically to cron
+ *    invocations when `CRON_SECRET` is set, or a signed-in session cookie or the site's access code in an
+ *    `X-Access-Code` header (see `api/_lib/session.js`) to run the watches by hand. Anything else gets a 401, and if neither `CRON_SECRET`
+ *    nor `ACCESS_CODE` is configured every request gets a 503, so watches never run for anonymous callers.
+ * 2. Each watch is checked in turn (not in parallel, to stay polite to Recreation.gov).
+ * 3. Newly opened nights or stays are POSTed to the watch's webhook, or to `WATCH_WEBHOOK_URL`. A watch's own
+ *    webhook URL is checked again before each POST, so it cannot be pointed at an internal host later.
+ * 4. The watch's snapshot is saved once the webhook has accepted the matches (or there were none), so a failed
+ *    notification is retried on the next run instead of being lost.
+ * 5. A summary of each run is saved on the watch and returned in the response.
+ *
+ * `vercel.json` runs this once a day (14:00 UTC), because Vercel's Hobby plan rejects cron jobs that run more
+ * often than daily. On a Pro plan, change the schedule to run e.g. every 15 minutes (`0,15,30,45 * * * *`) to hear
+ * about openings within minutes. Watches and snapshots need a persistent store on Vercel, i.e. a KV database (see `api/_lib/store.js`).
+ */
+
+import { createStore } from './_lib/store.js';
+import { checkRequestAccess } from './_lib/session.js';
+import { runWatch, buildWebhookPayload, postWebhook, checkWebhookUrl } from './_lib/watches.js';
+
+export default async function handler(request, response) {
+    const cronSecret = process.env.CRON_SECRET;
+    if (!cronSecret || request.headers.authorization !== `Bearer ${cronSecret}`) {
+        const access = await checkRequestAccess(request);
+        if (!access.ok) {
+            if (!cronSecret && access.status === 500) {
+                console.error('[run-watches] Refusing to run: neither CRON_SECRET nor ACCESS_CODE is configured.');
+                return response.status(503).json({ error: 'Watch runs are not configured on the server.' });
+            }
+            return response.status(401).json({ error: 'Unauthorized' });
+        }
+    }
+
+    const watchStore = createStore('watches');
+    const snapshotStore = createStore('watch-snapshots');
+    const results = [];
+
+    try {
+        const watches = await watchStore.list();
+
+        for (const watch of watches) {
+            const lastResult = { status: null, matchCount: 0, notified: false, error: null };
+            try {
+                const { status, matches, snapshot } = await runWatch(watch, snapshotStore);
+                lastResult.status = status;
+                lastResult.matchCount = matches.length;
+
+                if (matches.length > 0) {
+                    const webhookUrl = watch.webhookUrl || process.env.WATCH_WEBHOOK_URL;
+                    // Checked again at send time, since the host's DNS may have changed since the watch was created.
+                    const webhookError = watch.webhookUrl ? await checkWebhookUrl(watch.webhookUrl) : null;
+                    if (webhookError) throw new Error(webhookError);
+                    await postWebhook(webhookUrl, buildWebhookPayload(watch, matches));
+                    lastResult.notified = true;
+                }
+
+                // Saved only after delivery, so undelivered openings are reported again on the next run.
+                if (snapshot) await snapshotStore.set(watch.id, snapshot);
+            } catch (error) {
+                console.error(`[run-watches] Watch ${watch.id} failed:`, error);
+                lastResult.status = 'error';
+                lastResult.error = error.message;
+            }
+
+            console.log(`[run-watches] Watch ${watch.id} (${watch.name}): ${lastResult.status}, ${lastResult.matchCount} match(es).`);
+            await watchStore.set(watch.id, { ...watch, lastRunAt: new Date().toISOString(), lastResult });
+            results.push({ id: watch.id, name: watch.name, ...lastResult });
+        }
+
+        response.setHeader('Cache-Control', 'no-store');
+        return response.status(200).json({ checked: results.length, results });
+    } catch (error) {
+        console.error('[run-watches] Serverless function error:', error);
+        return response.status(500).json({ error: error.message, results });
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Vercel Serverless Function for signing in and out of the site.
+ *
+ * Routes:
+ * - `GET /api/session`: Reports whether the request carries a valid session, and for whom.
+ * - `POST /api/session`: Signs in with `{ username, password }` (JSON or form-encoded). Leave `username`
+ *   empty to sign in with the site's access code. On success, sets the HttpOnly session cookie. Failed attempts
+ *   are limited per IP address (`LOGIN_RATE_LIMIT` in `api/_lib/rateLimit.js`); past the limit, the route
+ *   answers 429 with `Retry-After` without checking the credentials.
+ * - `DELETE /api/session`: Signs out by clearing the session cookie.
+ *
+ * The login page (`login.html`) calls this route; `middleware.js` then checks the cookie on every page.
+ * See `api/_lib/session.js` for the cookie format and the `SESSION_SECRET` and `AUTH_USERS` settings.
+ */
+
+import { checkLoginCredentials, createSessionToken, verifySessionToken, readCookie, buildSessionCookie, buildClearedSessionCookie } from './_lib/session.js';
+import { createRateLimiter, getClientAddress, LOGIN_RATE_LIMIT } from './_lib/rateLimit.js';
+
+const loginLimiter = createRateLimiter();
+
+/**
+ * Checks whether the request came over HTTPS, so the cookie can be marked `Secure`.
+ * Plain `http://localhost` (`vercel dev`) needs a cookie without it.
+ * @param {object} request The Vercel Node.js request.
+ * @returns {boolean} True for HTTPS requests.
+ */
+function isSecureRequest(request) {
+    return request.headers['x-forwarded-proto'] === 'https';
+}
+
+export default async function handler(request, response) {
+    response.setHeader('Cache-Control', 'no-store');
+
+    try {
+        switch (request.method) {
+            case 'GET': {
+                const session = await verifySessionToken(readCookie(request.headers.cookie));
+                return response.status(200).json(session
+                    ? { authenticated: true, username: session.username, expiresAt: new Date(session.expiresAt).toISOString() }
+                    : { authenticated: false });
+            }
+
+            case 'POST': {
+                const clientKey = `ip:${getClientAddress(request)}`;
+                const limit = loginLimiter.peek(clientKey, LOGIN_RATE_LIMIT);
+                if (!limit.allowed) {
+                    console.warn(`[session] Refused sign-in from '${clientKey}' after too many failed attempts; retry in ${limit.retryAfterSeconds}s.`);
+                    response.setHeader('Retry-After', String(limit.retryAfterSeconds));
+                    return response.status(429).json({ error: `Too many failed sign-in attempts. Try again in ${limit.retryAfterSeconds}s.` });
+                }
+
+                const { username, password } = request.body || {};
+                const login = await checkLoginCredentials(username, password);
+                if (!login.ok) {
+                    if (login.status === 401) loginLimiter.take(clientKey, LOGIN_RATE_LIMIT);
+                    console.warn(`[session] Failed sign-in${username ? ` for '${username}'` : ' with the access code'} from '${clientKey}'.`);
+                    return response.status(login.status).json({ error: login.error });
+                }
+
+                const { token, expiresAt } = await createSessionToken(login.username);
+                response.setHeader('Set-Cookie', buildSessionCookie(token, isSecureRequest(request)));
+                console.log(`[session] Signed in '${login.username}'.`);
+                return response.status(200).json({ authenticated: true, username: login.username, expiresAt: new Date(expiresAt).toISOString() });
+            }
+
+            case 'DELETE': {
+                response.setHeader('Set-Cookie', buildClearedSessionCookie(isSecureRequest(request)));
+                return response.status(204).end();
+            }
+
+            default:
+                response.setHeader('Allow', 'GET, POST, DELETE');
+                return response.status(405).json({ error: `Method ${request.method} not allowed.` });
+        }
+    } catch (error) {
+        console.error('[session] Serverless function error:', error);
+        return response.status(500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Vercel Serverless Function that reports how many upstream API calls the proxy made for each client.
+ *
+ * Routes:
+ * - `GET /api/usage`: Today's counts (UTC), heaviest client first.
+ * - `GET /api/usage?date=YYYY-MM-DD`: The counts for another day.
+ *
+ * A client is a signed-in user, or `ip:<address>` for requests made with the access code. Only calls that
+ * reached Recreation.gov or RIDB are counted, not responses from the proxy's cache (see `api/_lib/usage.js`).
+ * Counts are kept in memory for `USAGE_RETENTION_DAYS` days, and each serverless instance reports only the calls
+ * it made itself. Requests need the same session cookie or access code as the proxy.
+ */
+
+import { checkRequestAccess } from './_lib/session.js';
+import { getUsageForDay, toUsageDay } from './_lib/usage.js';
+
+export default async function handler(request, response) {
+    const access = await checkRequestAccess(request);
+    if (!access.ok) {
+        return response.status(access.status).json({ error: access.error });
+    }
+
+    if (request.method !== 'GET') {
+        response.setHeader('Allow', 'GET');
+        return response.status(405).json({ error: `Method ${request.method} not allowed.` });
+    }
+
+    const date = request.query.date || toUsageDay(new Date());
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return response.status(400).json({ error: "Parameter 'date' must be in YYYY-MM-DD format." });
+    }
+
+    try {
+        const clients = getUsageForDay(date);
+        response.setHeader('Cache-Control', 'no-store');
+        return response.status(200).json({
+            date,
+            total: clients.reduce((sum, entry) => sum + entry.total, 0),
+            clients: clients.map(({ client, total, byType }) => ({ client, total, byType })),
+        });
+    } catch (error) {
+        console.error('[usage] Serverless function error:', error);
+        return response.status(500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Vercel Serverless Function for managing server-side availability watches.
+ *
+ * Routes:
+ * - `GET /api/watches`: Lists all watches. Webhook URLs are masked because they act as secrets.
+ * - `POST /api/watches`: Creates a watch from a JSON body (see `validateWatchInput` in `api/_lib/watches.js`).
+ * - `DELETE /api/watches?id=...`: Deletes a watch and its stored snapshot.
+ *
+ * Every request must carry a signed-in session cookie (see `api/_lib/session.js`) or the site's access code
+ * (`X-Access-Code` header), as for `/api/presets`. Webhook URLs must be https and may not point at private,
+ * loopback or link-local hosts (see `checkWebhookUrl` in `api/_lib/watches.js`), since the server POSTs to them.
+ *
+ * Watches are checked on a schedule by `api/run-watches.js`.
+ */
+
+import { randomUUID } from 'crypto';
+import { createStore } from './_lib/store.js';
+import { checkRequestAccess } from './_lib/session.js';
+import { validateWatchInput, maskWebhookUrl } from './_lib/watches.js';
+
+/**
+ * Prepares a watch for an API response.
+ * @param {object} watch The stored watch.
+ * @returns {object} The watch with its webhook URL masked.
+ */
+function toPublicWatch(watch) {
+    return { ...watch, webhookUrl: maskWebhookUrl(watch.webhookUrl) };
+}
+
+export default async function handler(request, response) {
+    const access = await checkRequestAccess(request);
+    if (!access.ok) {
+        return response.status(access.status).json({ error: access.error });
+    }
+
+    const watchStore = createStore('watches');
+
+    try {
+        switch (request.method) {
+            case 'GET': {
+                const watches = await watchStore.list();
+                watches.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+                return response.status(200).json({ watches: watches.map(toPublicWatch) });
+            }
+
+            case 'POST': {
+                const { watch, errors } = await validateWatchInput(request.body);
+                if (errors.length > 0) {
+                    return response.status(400).json({ error: 'Invalid watch definition.', details: errors });
+                }
+
+                const newWatch = {
+                    id: randomUUID(),
+                    ...watch,
+                    createdAt: new Date().toISOString(),
+                    lastRunAt: null,
+                    lastResult: null,
+                };
+                await watchStore.set(newWatch.id, newWatch);
+                console.log(`[watches] Created watch ${newWatch.id} for campground ${newWatch.campgroundId}.`);
+                return response.status(201).json({ watch: toPublicWatch(newWatch) });
+            }
+
+            case 'DELETE': {
+                const { id } = request.query;
+                if (!id) {
+                    return response.status(400).json({ error: "Missing required parameter 'id'." });
+                }
+                const deleted = await watchStore.delete(id);
+                if (!deleted) {
+                    return response.status(404).json({ error: `Watch '${id}' not found.` });
+                }
+                await createStore('watch-snapshots').delete(id);
+                console.log(`[watches] Deleted watch ${id}.`);
+                return response.status(204).end();
+            }
+
+            default:
+                response.setHeader('Allow', 'GET, POST, DELETE');
+                return response.status(405).json({ error: `Method ${request.method} not allowed.` });
+        }
+    } catch (error) {
+        console.error('[watches] Serverless function error:', error);
+        return response.status(500).json({ error: error.message });
+    }
+}
@@ -15,33 +15,107 @@
  * - `index.html`: Contains the HTML structure for the user interface form.
  * - `style.css`: Provides styling for the application.
  * - `campgroundAvailability.js`: The main frontend script containing UI management and rendering logic.
- *   - UI Initialization (`initializePage`): Sets up the form, populates presets, and attaches event listeners.
+ *   - UI Initialization (`initializePage`): Sets up the form, loads saved searches, and attaches event listeners.
  *   - Dynamic Configuration (`buildConfigFromForm`): Builds the search configuration from the UI on demand.
  *   - Core Logic (`runAvailabilityCheck`): The main entry point that orchestrates the data fetching and rendering.
  * - `services/apiService.js`: A dedicated service module that encapsulates all external API fetching logic, error handling, and data shaping.
- * - `api/fetch-ridb.js`: A Vercel serverless function that acts as a secure proxy for all external API calls.
- * - `middleware.js`: Vercel Edge Middleware that provides password protection for the entire site.
- * - `presets.json`: An external file for managing campground presets, loaded dynamically by the application.
+ * - `api/fetch-ridb.js`: A Vercel serverless function that acts as a secure proxy for all external API calls,
+ *   answering only requests with a signed-in session (or the access code) so the API key's quota cannot be used by others.
+ * - `api/_lib/fixtures.js`: Records upstream responses as JSON fixtures and replays them offline (`RIDB_FIXTURE_MODE`).
+ * - `api/usage.js`: A serverless route that reports how many upstream calls the proxy made for each user today
+ *   (`api/_lib/usage.js`); the proxy's per-user rate limits live in `api/_lib/rateLimit.js`.
+ * - `api/watches.js` & `api/run-watches.js`: Serverless routes that store availability watches and check them on a
+ *   Vercel Cron schedule, posting new openings to a Slack/Discord-style webhook.
+ * - `api/_lib/`: Server-only helpers shared by the routes (upstream API access, the proxy's response cache, pluggable key/value storage, watch logic).
+ * - `services/stayFinder.js`: Pure helpers that find multi-night stays in the merged availability data.
+ * - `services/responseSchemas.js`: The expected shape of each proxy route's response, used by `apiService.js` to coerce
+ *   value types (string IDs, numeric numbers, arrays that are always arrays) and report schema drift.
+ * - `services/responseModels.js`: Maps each normalized proxy response to the internal model (camelCase fields, no upstream
+ *   envelopes) that this script and the other services read, so upstream field names live in one place.
+ * - `services/exportFormats.js`: Builds CSV, iCalendar and JSON report text from result rows and stays.
+ * - `services/bookingWindow.js`: Parses a campground's booking window and calculates when 'Not Yet Released' nights open.
+ * - `services/pricing.js`: Joins each night to the campground's seasonal rate by date and site type, and totals the cost of stays.
+ * - `services/siteAttributes.js`: Reads site features (vehicle length, driveway, site type, hookups, shade) from RIDB campsite models and matches them against the site feature filters.
+ * - `services/shareLink.js`: Encodes the search form into the compact, versioned `q=` parameter of shareable links and decodes it.
+ * - `services/usHolidays.js`: Calculates US federal holiday dates for the calendar view.
+ * - `services/persistentCache.js`: Keeps rarely-changing API results (site, facility and rec area details, media) in IndexedDB between visits.
+ * - `services/availabilityDiff.js`: Pure helpers that snapshot availability data and report what changed between two checks.
+ * - `services/availabilityHistory.js`: Saves each search's availability snapshot per campground in IndexedDB for the "Changes" tab.
+ * - `middleware.js`: Vercel Edge Middleware that requires a signed-in session for every page, redirecting to `login.html`.
+ * - `login.html` & `api/session.js`: The sign-in page and the route that exchanges the access code (or a per-user password)
+ *   for a signed, HttpOnly session cookie, and clears it on sign-out (`api/_lib/session.js`).
+ * - `services/savedSearches.js`: Keeps named saved searches (the full search form) in localStorage, imports/exports them as JSON,
+ *   and calls `/api/presets` for team presets.
+ * - `api/presets.js`: A serverless route that lists, creates, updates and deletes team presets in the server-side store,
+ *   protected by the same session cookie as `middleware.js` (or the access code, for scripts).
+ * - `presets.json`: Bundled team presets, merged with the ones stored via `/api/presets`.
  *
  * Key Features:
  * - Architectural Refactoring: The application has been refactored to use a dedicated API service module, improving separation of concerns, maintainability, and testability.
  * - Interactive UI: Dynamically configure searches using a web form instead of editing code.
- * - External Presets: Manage favorite campgrounds and site lists in an easy-to-edit `presets.json` file.
- * - Shareable Searches: Generate and copy bookmarkable URLs that contain your exact search configuration, including all UI options.
+ * - Saved Searches: Save the whole search form under a name, then rename, delete, reorder, import or export saved searches.
+ *   The JSON files use the `presets.json` shape.
+ * - Team Presets: Share a search with everyone who uses the site; shared presets are stored on the server and listed
+ *   next to the bundled `presets.json` entries.
+ * - Exports: Results tabs can be downloaded as CSV, as an iCalendar (.ics) file with one event per open night or stay,
+ *   or as a JSON report that includes the effective search settings.
+ * - Shareable Searches: Generate and copy bookmarkable URLs that contain your exact search configuration, including all UI options,
+ *   as one compact, versioned `q=` parameter. Older links with one parameter per option still open.
  * - Modular & Secure API Handling: All external API calls are encapsulated in a dedicated service module and routed through a server-side proxy, keeping the API key safe and the main application logic clean.
  * - Mobile-First Responsive Design: The user interface, including the configuration form and title, now adapts for a better viewing experience on mobile devices.
  * - Intelligent API Management: Implemented "lazy loading" for site details to prevent API rate-limiting and improve performance. Details are fetched on-demand or capped at a reasonable limit.
- * - Search Constraints: Enforces a maximum 40-day search window and a 30-site filter limit to ensure efficient and predictable queries.
+ * - Search Constraints: Enforces a maximum six-month (183-day) search window and a 30-site filter limit to ensure efficient and predictable queries.
+ * - Month-by-Month Fetching: Long searches fetch one month at a time through a small queue with per-month progress, and months
+ *   already fetched in this session are reused, so widening a date range only fetches the new months.
  * - Comprehensive Data Display: Presents detailed information about campgrounds, recreation areas, events, and media,
  *   as well as rich metadata like reservation rules, notices, activities, and facility rates in a clean, organized main page view. Data tables are now cleaner, with configurable columns and explicit row counts for better readability.
  * - Rich Summary Data: Displays at-a-glance information on the main page, including user ratings, price ranges, site counts,
  *   and cell coverage scores, sourced from an additional internal Rec.gov API.
  * - Global Sort Control: A single checkbox now controls the sort order (by Site or by Date) across all data tables for a consistent user experience.
+ * - Availability Calendar: A heat-map tab with sites as rows and nights as columns, highlighting weekends and US holidays;
+ *   clicking a cell shows that site's details.
+ * - Availability Changes: Each search is saved in the browser, and a "Changes" tab lists nights that became available
+ *   (cancellations), were released or were reserved since the previous search, plus how long open nights have been open.
+ * - Release Times: For nights that are 'Not Yet Released', a tab shows the exact time each one opens (from the
+ *   campground's booking window) with a live countdown, and exports the release times to an .ics calendar with reminders.
+ * - Stay Finder: Searches for sites that are free for several consecutive nights, optionally limited to specific arrival weekdays,
+ *   while respecting the campground's minimum and maximum stay rules.
+ * - Prices & Budget: Availability tables show each night's price from the campground's seasonal rates, found stays show
+ *   their total cost, and a per-night and per-stay budget leaves out anything more expensive.
+ * - Site Feature Filters: Limits results to sites that fit a vehicle length, driveway type, site type, accessibility,
+ *   electric hookup or shade requirement, using each campground's RIDB campsite details (saved in the browser for later searches).
+ * - Equipment Fit: Describe your tent, trailer or RV once (it is remembered in the browser) and every results row is marked
+ *   as fitting, not fitting or unknown from the site's permitted equipment, with an option to hide sites it does not fit.
+ * - Multi-Campground Search: Enter several campground IDs (or add several presets) to search them in parallel and compare
+ *   them in one combined table with a per-campground summary of open nights.
+ * - Recreation Area Search: Find a recreation area (e.g., a national park) and check every reservable campground in it at once,
+ *   ranked by open nights, then load one or the top few into the search form.
+ * - Watch Mode: Re-checks availability on an interval (never faster than the search cooldown) and raises a browser
+ *   notification and an in-page change log entry whenever a night opens up.
+ * - Server-Side Watches: Watches saved via `/api/watches` keep running when the browser is closed and deliver new openings to a webhook.
  * - Enhanced Filtered Results: The "Filtered Sites" tab provides detailed summaries for both "Available" and "Not Reservable" dates,
  *   both for the overall tab and for each individual site.
  * - Explicit Cache Status: Always know if you're seeing live or cached data with a clear status indicator on every results page.
+ * - Server-Side Rate Limits: The proxy limits each user (or IP address) per API route with token buckets, answering
+ *   429 with `Retry-After` when exceeded, so scripts and extra tabs cannot bypass the search cooldown; `/api/usage`
+ *   shows each user's upstream calls for the day.
+ * - Offline Fixtures: With `RIDB_FIXTURE_MODE=record` the proxy saves every upstream response under `fixtures/`; with
+ *   `RIDB_FIXTURE_MODE=replay` it serves them back without network access or an API key, for demos and debugging.
+ * - Proxy Response Cache: The proxy caches upstream responses in-process with per-route lifetimes (short for availability,
+ *   long for facility and campsite details) and serves stale data while refreshing, reporting hits via `X-Proxy-Cache`.
+ * - Saved Details: Campsite, facility and rec area details and media are kept in the browser (IndexedDB) for days to weeks,
+ *   shown with a "cached N days ago" note, and can be cleared with the "Clear Saved Details" button.
+ * - Schema Drift Warnings: Every API response is checked against the fields the app relies on, normalized to stable
+ *   types and mapped to an internal model; missing or changed fields are listed in the debug output's errors (with a count
+ *   of affected records).
  * - Enhanced Debugging: The debug output now includes a summary of all API calls, flagging any non-200 responses for quick diagnostics.
- * - Password Protection: The live deployment is protected by a simple but effective access code via middleware.
+ * - Request Scheduling: All API requests share one scheduler that caps simultaneous calls, runs availability before
+ *   supporting data such as media and events, and merges identical in-flight requests.
+ * - Automatic Retries: Transient API failures (including 429 rate limits) are retried with jittered exponential backoff,
+ *   honouring `Retry-After`; every attempt is listed in the debug output.
+ * - Sign-In Sessions: The live deployment asks for the access code (or a per-user name and password) once on a sign-in page
+ *   and keeps the session in a signed, expiring HttpOnly cookie, so the code never appears in URLs; "Sign Out" ends it.
+ *   Old links that still carry `?access_code=` are exchanged for a session and cleaned up.
  *
  * APIs Used:
  * This application leverages two primary data sources, each with distinct purposes:
@@ -55,7 +129,7 @@
  *
  *    - Metadata API (`.../api/camps/campgrounds/...`):
  *      Provides rich campground-specific metadata, including booking windows, reservation rules, fee policies,
- *      and important notices. It also provides the crucial `facility_id` needed to link to the RIDB API.
+ *      and important notices. It also provides the crucial facility ID needed to link to the RIDB API.
  *
  *    - Search API (`.../api/search?fq=id:...`):
  *      A general-purpose search endpoint that provides a high-level summary of a facility, including user
@@ -122,7 +196,13 @@
  *    - The terminal will show `> Ready! Available at http://localhost:3000`.
  *
  * 4. Test in Browser: Open your browser and go to `http://localhost:3000`.
- * -->> USE THIS -->> http://localhost:3000/?access_code=a_very_secret_password_123
+ * -->> USE THIS -->> http://localhost:3000/
+ *    (The sign-in check is skipped under `vercel dev`; deployed sites redirect to `login.html` first.)
+ *
+ * 5. Working Offline (optional): Run once with `RIDB_FIXTURE_MODE=record` to save the API responses of the searches
+ *    you make under `fixtures/`, then start with `RIDB_FIXTURE_MODE=replay` to repeat those searches with no
+ *    network access or API key.
+ *    --->>> USE --->>> $env:RIDB_FIXTURE_MODE="replay"; npm start
  *
  * --- Important Notes ---
  * - Pop-up Blocker: The script opens multiple tabs. The first time you run it, your browser
@@ -147,12 +227,24 @@
  * =================================================================================================
  */
 
-import { fetchAllData as fetchAllDataFromService, fetchCampsiteDetails as fetchCampsiteDetailsFromService } from './services/apiService.js';
+import { fetchAllData as fetchAllDataFromService, fetchCampsiteDetails as fetchCampsiteDetailsFromService, fetchFacilityCampsites as fetchFacilityCampsitesFromService, fetchAvailabilityData as fetchAvailabilityDataFromService, fetchAllDataForCampgrounds as fetchAllDataForCampgroundsFromService, searchFacilities as searchFacilitiesFromService, searchRecAreas as searchRecAreasFromService, fetchRecAreaFacilities as fetchRecAreaFacilitiesFromService, fetchAvailabilityForCampgrounds as fetchAvailabilityForCampgroundsFromService } from './services/apiService.js';
+import { findConsecutiveStays, getStayLengthRules, getEffectiveStayLength } from './services/stayFinder.js';
+import { createAvailabilitySnapshot, mergeAvailabilitySnapshots, diffAvailabilitySnapshots, classifyAvailabilityChange, findStatusSince, CHANGE_KIND } from './services/availabilityDiff.js';
+import { recordAvailabilityRun } from './services/availabilityHistory.js';
+import { getUsHolidaysInRange } from './services/usHolidays.js';
+import { buildAvailabilityCsv, buildStaysCsv, buildAvailabilityIcs, buildStaysIcs, buildReleaseIcs, buildJsonReport } from './services/exportFormats.js';
+import { getCachedAt, clearPersistentCache } from './services/persistentCache.js';
+import { parseBookingWindow, findNightReleases, describeBookingWindow } from './services/bookingWindow.js';
+import { loadSavedSearches, storeSavedSearches, upsertSavedSearch, renameSavedSearch, deleteSavedSearch, moveSavedSearch, savedSearchesFromPresets, importSavedSearches, exportSavedSearches, fetchTeamPresets, shareTeamPreset, deleteTeamPreset } from './services/savedSearches.js';
+import { attachNightlyRates, estimateStayCost, isNightWithinBudget, formatPrice } from './services/pricing.js';
+import { encodeShareConfig, decodeShareConfig } from './services/shareLink.js';
+import { hasSiteAttributeFilters, findMatchingCampsiteIds, describeSiteAttributeFilters, EQUIPMENT_TYPES, EQUIPMENT_FIT, hasEquipment, describeEquipment, checkEquipmentFit } from './services/siteAttributes.js';
 
 // --- Configuration Presets ---
 /*
  * NOTE ON PRESET LOGIC:
- * Presets for the UI dropdown are now managed in the external `presets.json` file.
+ * The dropdown lists the user's saved searches, kept in the browser by `services/savedSearches.js`,
+ * followed by the team presets: the bundled `presets.json` merged with the presets stored via `/api/presets`.
  * The hardcoded presets below, along with `activePreset`, are now only used to provide the
  * *initial default values* for the form when the page is loaded without any URL parameters.
  */
@@ -161,8 +253,11 @@ const preset_blank = {
     sites: []
 };
 
-// This will be populated by fetching presets.json on page load.
-let PRESET_COLLECTION = {};
+// The user's saved searches and the team presets shown in the dropdown, in order. Loaded on page load by `initializeSavedSearches`.
+/** @type {import('./services/savedSearches.js').SavedSearch[]} */
+let savedSearches = [];
+/** @type {Array<import('./services/savedSearches.js').SavedSearch & {source: 'bundled'|'server'}>} */
+let teamPresets = [];
 
 // --- Date Filtering Presets ---
 // These presets define different date ranges for the availability check.
@@ -224,6 +319,9 @@ const config = {
     api: {
         // The ID for the campground on Recreation.gov
         campgroundId: activePreset.campgroundId,
+        // All campgrounds to search. When more than one is listed, results are combined into a single view.
+        // `campgroundId` always holds the first entry.
+        campgroundIds: [],
     },
 
     // --- Date Filtering Configuration ---
@@ -244,6 +342,9 @@ const config = {
     ////////////////////////////////////////
     display: {
         // Main Page Features
+        showCalendarTab: true, // If true, opens a heat-map calendar tab with one row per site and one column per night.
+        showReleaseTimesTab: true, // If true, opens a tab with the release time of every 'Not Yet Released' night in the range, when there are any.
+        showChangesTab: true, // If true, opens a tab listing nights that changed since the previous search of the same campground.
 
         // New Tab Toggles
         showRawJsonTab: false, // If true, opens a new tab with the full raw JSON response from the availability API.
@@ -257,7 +358,8 @@ const config = {
         showRecAreaMediaTab: false, // If true, opens a new tab with the raw JSON from the RIDB Rec Area Media API.
 
         // Column Toggles
-        showCampsiteIdColumn: false // If true, shows the 'Campsite ID' column in data tables.
+        showCampsiteIdColumn: false, // If true, shows the 'Campsite ID' column in data tables.
+        showPriceColumn: true // If true, shows each night's price (and each stay's total) from the campground's seasonal rates.
     },
     ////////////////////////////////////////
     // --- Behavior Configuration for Tabs ---
@@ -277,6 +379,45 @@ const config = {
     sorting: {
         // Primary sort key for all data tables. Options: "site", "date".
         primarySortKey: "date",
+    },
+
+    // --- Stay Search (Consecutive Nights) ---
+    staySearch: {
+        enabled: false, // If true, opens a "Stay Finder" tab listing multi-night stays.
+        minNights: 2, // The shortest stay to report.
+        maxNights: 4, // The longest stay to report. Longer runs are capped at this length.
+        arrivalWeekdays: [] // Allowed arrival days (0 = Sunday ... 6 = Saturday). Empty means any day.
+    },
+
+    // --- Site Attribute Filters (from RIDB campsite details) ---
+    siteAttributes: {
+        minVehicleLength: null, // Only sites that allow a vehicle at least this long (feet).
+        drivewayEntry: "", // "" for any, or "pull-through", "back-in" or "parallel".
+        siteType: "", // "" for any, or "tent" (tent-only), "rv" or "group".
+        accessibleOnly: false, // If true, only accessible sites.
+        electricOnly: false, // If true, only sites with an electric hookup.
+        shadeOnly: false // If true, only sites with full or partial shade.
+    },
+
+    // --- Budget (from the campground's seasonal rates) ---
+    // Nights and stays without a known price are never excluded.
+    budget: {
+        maxNightlyPrice: null, // Leave out nights that cost more than this (US dollars).
+        maxStayTotal: null // Leave out found stays whose total costs more than this (US dollars).
+    },
+
+    // --- Your Equipment (checked against each site's permitted equipment) ---
+    // Saved in the browser, so it only has to be entered once.
+    equipment: {
+        type: "", // "" for none, or "tent", "trailer", "fifth-wheel", "rv", "pop-up" or "van".
+        length: null, // Length in feet, including the hitch.
+        hideNonFitting: false // If true, sites the equipment does not fit are left out of the results.
+    },
+
+    // --- Watch Mode (Repeated Checks) ---
+    watch: {
+        intervalMinutes: 5, // How often to re-check. Never faster than the search cooldown.
+        includeNotReservable: false // If true, also alert when a night becomes 'Not Reservable' (walk-up).
     }
 };
 // --- END if Configuration ---
@@ -311,7 +452,8 @@ function createFreshDebugInfo() {
         api: {
             summary: null,
             monthsToFetch: [],
-            calls: [] // Each entry: { context, url, status, error?, timestamp }
+            persistentCacheHits: [], // Each entry: { context, key, storedAt } for results read from IndexedDB instead of the API
+            calls: [] // Each entry: { context, url, status, error?, attempt, willRetry?, retryDelayMs?, timestamp }
         },
         processing: {
             // Note: combinedCampsites can be large and is omitted to keep the debug object clean.
@@ -337,6 +479,10 @@ let debugInfo = createFreshDebugInfo();
 let cooldownIntervalId = null;
 const COOLDOWN_SECONDS = 30;
 
+// --- Global state for watch mode ---
+// While a watch is running this holds { config, snapshot, timeoutId, pollCount, isPolling }.
+let watchState = null;
+
 // --- Constants for Availability Statuses ---
 const AVAILABILITY_STATUS = {
     AVAILABLE: "Available",
@@ -393,15 +539,15 @@ const COMPACT_SUMMARY_DISPLAY_ORDER = [
 
 /**
  * @typedef {object} AllFetchedData
- * @property {object|null} campgroundMetadata - Detailed data for the campground from recreation.gov.
- * @property {object|null} facilityDetails - Detailed data for the facility from RIDB.
- * @property {object|null} recAreaDetails - Detailed data for the parent recreation area from RIDB.
- * @property {Array<object>|null} eventsData - Array of event data from RIDB.
- * @property {Array<object>|null} recAreaMedia - Array of media data for the recreation area from RIDB.
- * @property {object} combinedCampsites - The combined availability data for all fetched months.
- * @property {object|null} recGovSearchData - High-level data from the internal Rec.gov search API.
- * @property {Response} response - The raw fetch Response object from the primary availability call.
- * @property {Date} requestDateTime - The timestamp when the primary data request was made.
+ * The models are described in `services/responseModels.js`.
+ * @property {object|null} campgroundMetadata - The campground model (`CampgroundModel`) from recreation.gov.
+ * @property {object|null} facilityDetails - The facility model (`FacilityModel`) from RIDB.
+ * @property {object|null} recAreaDetails - The parent recreation area model (`RecAreaModel`) from RIDB.
+ * @property {Array<object>|null} recAreaEvents - The recreation area's events (`EventModel`) from RIDB.
+ * @property {Array<object>|null} recAreaMedia - The recreation area's media (`MediaModel`) from RIDB.
+ * @property {{campsites: object, requestDateTime: Date, response: Response}|null} availabilityResult - The combined
+ * availability of each campsite (`CampsiteAvailability`) for all fetched months, with the time and response of the request.
+ * @property {object|null} recGovSearchData - The campground's summary (`CampgroundSummary`) from the internal Rec.gov search API.
  * @property {IdCollection} ids - A collection of all relevant IDs.
  */
 
@@ -436,6 +582,15 @@ function showTab(panelId) {
     if (targetButton) targetButton.classList.add('active');
 }
 
+/**
+ * Derives the panel ID used for an in-page tab from its title.
+ * @param {string} title The tab title.
+ * @returns {string} The panel element ID.
+ */
+function getTabPanelId(title) {
+    return `tab-panel-${title.replace(/[^a-zA-Z0-9]/g, '-')}`;
+}
+
 /**
  * Creates a new tab button and its corresponding content panel.
  * @param {string} title The text to display on the tab button.
@@ -452,7 +607,7 @@ function createInPageTab(title) {
     }
 
     // Create a safe ID from the title to link the button and panel
-    const panelId = `tab-panel-${title.replace(/[^a-zA-Z0-9]/g, '-')}`;
+    const panelId = getTabPanelId(title);
 
     // Create the button
     const button = document.createElement('button');
@@ -476,6 +631,26 @@ function createInPageTab(title) {
     return panel;
 }
 
+/**
+ * Adds an option for each US state to a state dropdown.
+ * @param {HTMLSelectElement} stateSelect The dropdown to populate.
+ */
+function populateStateSelect(stateSelect) {
+    const states = [
+        'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
+        'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
+        'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
+        'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
+        'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+    ];
+    states.forEach(state => {
+        const option = document.createElement('option');
+        option.value = state;
+        option.textContent = state;
+        stateSelect.appendChild(option);
+    });
+}
+
 /**
  * Initializes the facility search functionality, including populating the state
  * dropdown and attaching all necessary event listeners.
@@ -500,19 +675,7 @@ function initializeFacilitySearch() {
     }
 
     // --- Populate State Dropdown ---
-    const states = [
-        'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA',
-        'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
-        'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ',
-        'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
-        'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
-    ];
-    states.forEach(state => {
-        const option = document.createElement('option');
-        option.value = state;
-        option.textContent = state;
-        stateSelect.appendChild(option);
-    });
+    populateStateSelect(stateSelect);
 
     // --- Main Search Logic ---
     async function performSearch() {
@@ -539,40 +702,11 @@ function initializeFacilitySearch() {
         searchAccordionContent.style.maxHeight = searchAccordionContent.scrollHeight + "px";
 
         try {
-            // Build the base URL, conditionally adding the state parameter.
-            let searchUrlBase = `/api/fetch-ridb?type=facilitySearch&query=${encodeURIComponent(query)}&limit=50`;
-            if (state) { // Only add the state parameter if a state is selected
-                searchUrlBase += `&state=${state}`;
-            }
-
-            const firstPageUrl = `${searchUrlBase}&offset=0`;
-            const response = await fetch(firstPageUrl);
-            if (!response.ok) throw new Error(`API request failed with status: ${response.status}`);
-            const firstPageData = await response.json();
-
-            let allFacilities = firstPageData.RECDATA || [];
-            const totalCount = firstPageData.METADATA?.RESULTS?.TOTAL_COUNT || 0;
-            const limit = 50;
-
-            if (totalCount > limit) {
-                const totalPages = Math.ceil(totalCount / limit);
-                statusDiv.textContent = `Found ${totalCount} total results. Fetching all ${totalPages} pages...`;
-
-                const fetchPromises = [];
-                for (let i = 1; i < totalPages; i++) {
-                    const offset = i * limit;
-                    // Reuse the base URL for subsequent pages
-                    const pageUrl = `${searchUrlBase}&offset=${offset}`;
-                    fetchPromises.push(fetch(pageUrl).then(res => res.json()));
-                }
-
-                const otherPagesData = await Promise.all(fetchPromises);
-                otherPagesData.forEach(pageData => {
-                    if (pageData.RECDATA) allFacilities = allFacilities.concat(pageData.RECDATA);
-                });
-            }
+            // The service fetches every page of results through the shared request scheduler.
+            const allFacilities = await searchFacilitiesFromService(query, state, createFreshDebugInfo());
+            if (!allFacilities) throw new Error('The facility search request failed.');
 
-            const campgrounds = allFacilities.filter(facility => facility.FacilityTypeDescription === 'Campground');
+            const campgrounds = allFacilities.filter(facility => facility.typeDescription === 'Campground');
             renderResults(campgrounds);
             statusDiv.textContent = `Search complete. Found ${campgrounds.length} campgrounds out of ${allFacilities.length} total facilities. Click a result to use it.`;
 
@@ -600,13 +734,13 @@ function initializeFacilitySearch() {
             const li = document.createElement('li');
             const button = document.createElement('button');
             button.className = 'facility-result-button';
-            button.dataset.facilityId = cg.FacilityID;
+            button.dataset.facilityId = cg.id;
 
-            let parentOrgName = cg.ORGANIZATION?.[0]?.OrgName ? `(${cg.ORGANIZATION[0].OrgName})` : '';
-            let innerHTML = `<strong>${cg.FacilityName} (${cg.FacilityID})</strong> <span class="facility-parent-org">${parentOrgName}</span>`;
+            let parentOrgName = cg.organizationName ? `(${cg.organizationName})` : '';
+            let innerHTML = `<strong>${cg.name} (${cg.id})</strong> <span class="facility-parent-org">${parentOrgName}</span>`;
 
             // Add a visual indicator for non-reservable sites, but keep them clickable.
-            if (!cg.Reservable) {
+            if (!cg.reservable) {
                 button.classList.add('non-reservable-result'); // For specific styling
                 innerHTML += `<br><span class="non-reservable-note">(First-Come, First-Served - Click to view details)</span>`;
             }
@@ -659,6 +793,287 @@ function initializeFacilitySearch() {
     resultsDiv.addEventListener('click', handleResultClick);
 }
 
+/**
+ * Initializes the recreation area search, which checks every reservable campground in a
+ * recreation area at once and ranks them by open nights.
+ */
+function initializeRecAreaSearch() {
+    const queryInput = document.getElementById('rec-area-query');
+    const stateSelect = document.getElementById('rec-area-state');
+    const searchBtn = document.getElementById('rec-area-search-btn');
+    const statusDiv = document.getElementById('rec-area-search-status');
+    const resultsDiv = document.getElementById('rec-area-search-results');
+    const searchAccordionHeader = document.querySelector('#rec-area-search-accordion-container .accordion-header');
+    const searchAccordionContent = searchAccordionHeader ? searchAccordionHeader.nextElementSibling : null;
+
+    if (!queryInput || !stateSelect || !searchBtn || !statusDiv || !resultsDiv || !searchAccordionHeader || !searchAccordionContent) {
+        console.error("One or more rec area search UI elements are missing. Aborting initialization.");
+        return;
+    }
+
+    populateStateSelect(stateSelect);
+
+    // Keeps the accordion tall enough for status and result changes while it is open.
+    const updateAccordionHeight = () => {
+        if (searchAccordionHeader.classList.contains('active')) {
+            searchAccordionContent.style.maxHeight = searchAccordionContent.scrollHeight + "px";
+        }
+    };
+    const setStatus = (text) => {
+        statusDiv.textContent = text;
+        statusDiv.style.display = 'block';
+        updateAccordionHeight();
+    };
+
+    async function performSearch() {
+        const query = queryInput.value.trim();
+        if (!query) {
+            setStatus('Please enter a search term.');
+            return;
+        }
+
+        resultsDiv.innerHTML = '';
+        searchBtn.disabled = true;
+        if (!searchAccordionHeader.classList.contains('active')) {
+            searchAccordionHeader.classList.add('active');
+        }
+        setStatus('Searching...');
+
+        try {
+            const recAreas = await searchRecAreasFromService(query, stateSelect.value, createFreshDebugInfo());
+            if (!recAreas) throw new Error('The recreation area search request failed.');
+
+            resultsDiv.innerHTML = '';
+            if (recAreas.length === 0) {
+                resultsDiv.innerHTML = '<p>No recreation areas found matching your criteria.</p>';
+            } else {
+                const ul = document.createElement('ul');
+                recAreas.forEach(recArea => {
+                    const li = document.createElement('li');
+                    const button = document.createElement('button');
+                    button.className = 'facility-result-button';
+                    button.dataset.recAreaId = recArea.id;
+                    button.dataset.recAreaName = recArea.name;
+                    button.innerHTML = `<strong>${recArea.name} (${recArea.id})</strong>`;
+                    li.appendChild(button);
+                    ul.appendChild(li);
+                });
+                resultsDiv.appendChild(ul);
+            }
+            setStatus(`Search complete. Found ${recAreas.length} recreation areas. Click one to check all of its campgrounds.`);
+        } catch (error) {
+            console.error('Rec area search failed:', error);
+            setStatus(`Error: ${error.message}`);
+        } finally {
+            searchBtn.disabled = false;
+            updateAccordionHeight();
+        }
+    }
+
+    async function handleResultClick(event) {
+        const button = event.target.closest('.facility-result-button');
+        if (!button || searchBtn.disabled) return;
+
+        resultsDiv.querySelectorAll('button').forEach(resultButton => { resultButton.disabled = true; });
+        searchBtn.disabled = true;
+        try {
+            await runRecAreaCheck(button.dataset.recAreaId, button.dataset.recAreaName, setStatus);
+        } finally {
+            resultsDiv.querySelectorAll('button').forEach(resultButton => { resultButton.disabled = false; });
+            searchBtn.disabled = false;
+        }
+    }
+
+    searchBtn.addEventListener('click', performSearch);
+    queryInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            performSearch();
+        }
+    });
+    resultsDiv.addEventListener('click', handleResultClick);
+}
+
+/**
+ * Checks availability at every reservable campground in a recreation area and renders the ranking tab.
+ * The date window comes from the main search form.
+ * @param {string} recAreaId The RIDB recreation area ID.
+ * @param {string} recAreaName The recreation area name, for display.
+ * @param {function(string): void} setStatus A function that shows progress messages to the user.
+ */
+async function runRecAreaCheck(recAreaId, recAreaName, setStatus) {
+    // Reset the global debug object, as a rec area check replaces the current results.
+    debugInfo = createFreshDebugInfo();
+    debugInfo.timestamps.start = new Date().toISOString();
+    const effectiveConfig = prepareConfig(buildConfigFromForm());
+
+    try {
+        setStatus(`Finding campgrounds in ${recAreaName}...`);
+        const facilities = await fetchRecAreaFacilitiesFromService(recAreaId, debugInfo);
+        if (!facilities) throw new Error('Could not load the facilities for this recreation area.');
+
+        const campgrounds = facilities.filter(facility => facility.typeDescription === 'Campground' && facility.reservable);
+        debugInfo.processing.recAreaCheck = { recAreaId, recAreaName, facilityCount: facilities.length, campgroundCount: campgrounds.length };
+        if (campgrounds.length === 0) {
+            setStatus(`${recAreaName} has no campgrounds that can be reserved online.`);
+            return;
+        }
+
+        setStatus(`Checking availability at ${campgrounds.length} campgrounds in ${recAreaName}...`);
+        debugInfo.timestamps.fetchStart = new Date().toISOString();
+        const availabilityResults = await fetchAvailabilityForCampgroundsFromService(
+            campgrounds.map(campground => campground.id),
+            effectiveConfig,
+            debugInfo,
+            { onProgress: (completed, total) => setStatus(`Checking availability in ${recAreaName}: ${completed} of ${total} campgrounds done...`) }
+        );
+        debugInfo.timestamps.fetchComplete = new Date().toISOString();
+
+        const rankedCampgrounds = rankCampgroundsByAvailability(campgrounds, availabilityResults, effectiveConfig);
+        if (resetResultsTabs()) {
+            displayRecAreaRankingInNewTab(recAreaName, rankedCampgrounds, availabilityResults, effectiveConfig);
+        }
+        setStatus(`Checked ${campgrounds.length} campgrounds in ${recAreaName}. See the ranking below.`);
+    } catch (error) {
+        console.error('[runRecAreaCheck] Rec area check failed:', error);
+        debugInfo.errors.push({ context: 'runRecAreaCheck', message: error.message, stack: error.stack, timestamp: new Date().toISOString() });
+        setStatus(`Error: ${error.message}`);
+    } finally {
+        debugInfo.api.summary = generateApiSummary(debugInfo.api.calls);
+        renderApiStatusBadge(debugInfo.api.summary);
+        debugInfo.timestamps.end = new Date().toISOString();
+        window.debugInfo = debugInfo;
+    }
+}
+
+/**
+ * Counts open nights for each campground within the configured date window and sorts them,
+ * most available nights first.
+ * @param {Array<object>} campgrounds The facility models for the campgrounds.
+ * @param {Array<{campgroundId: string, availabilityResult: object|null}>} availabilityResults The availability for each campground, in the same order.
+ * @param {object} config The prepared configuration object.
+ * @returns {Array<{campgroundId: string, name: string, availableNights: number, walkUpNights: number, sitesWithOpenings: number, loaded: boolean}>} The ranked campgrounds.
+ */
+function rankCampgroundsByAvailability(campgrounds, availabilityResults, config) {
+    const ranked = campgrounds.map((campground, index) => {
+        const campsites = availabilityResults[index]?.availabilityResult?.campsites || null;
+        let availableNights = 0;
+        let walkUpNights = 0;
+        const sitesWithOpenings = new Set();
+
+        for (const cId in campsites || {}) {
+            const campsite = campsites[cId];
+            for (const dateStr in campsite.availabilities) {
+                if (!isDateInRange(dateStr, config.filters.filterStartDate, config.filters.filterEndDate)) continue;
+                const availability = campsite.availabilities[dateStr];
+                if (availability === AVAILABILITY_STATUS.AVAILABLE) {
+                    availableNights++;
+                    sitesWithOpenings.add(cId);
+                } else if (availability === AVAILABILITY_STATUS.NOT_RESERVABLE) {
+                    walkUpNights++;
+                    sitesWithOpenings.add(cId);
+                }
+            }
+        }
+
+        return {
+            campgroundId: campground.id,
+            name: campground.name,
+            availableNights,
+            walkUpNights,
+            sitesWithOpenings: sitesWithOpenings.size,
+            loaded: !!campsites
+        };
+    });
+
+    ranked.sort((a, b) => b.availableNights - a.availableNights
+        || b.walkUpNights - a.walkUpNights
+        || a.name.localeCompare(b.name));
+    debugInfo.processing.recAreaRanking = ranked;
+    return ranked;
+}
+
+/**
+ * Renders the "Rec Area Ranking" tab: a table of campgrounds ranked by open nights, with buttons to
+ * load a single campground (or the top few) into the main search form.
+ * @param {string} recAreaName The recreation area name.
+ * @param {Array<object>} rankedCampgrounds The ranked rows from `rankCampgroundsByAvailability`.
+ * @param {Array<{campgroundId: string, availabilityResult: object|null}>} availabilityResults The raw availability results, used for request info.
+ * @param {object} config The prepared configuration object.
+ */
+function displayRecAreaRankingInNewTab(recAreaName, rankedCampgrounds, availabilityResults, config) {
+    const panel = createInPageTab(`Rec Area Ranking (${rankedCampgrounds.length})`);
+    if (!panel) return;
+
+    addInfoElement(document, panel, 'h1', `Campground Ranking - ${recAreaName}`);
+    addInfoElement(document, panel, 'p', '').innerHTML = getDateRangeDisplayText(config.filters.filterStartDate, config.filters.filterEndDate, config.filters.startDate);
+
+    const firstAvailability = availabilityResults.find(result => result.availabilityResult)?.availabilityResult;
+    addRequestInfoElements(document, panel, firstAvailability?.requestDateTime || new Date(), firstAvailability?.response || null);
+
+    /**
+     * Loads campground IDs into the main search form and opens it.
+     * @param {string[]} campgroundIds The IDs to load.
+     * @param {string|null} name A campground name to show under the ID field, for single selections.
+     */
+    const loadIntoSearchForm = (campgroundIds, name) => {
+        populateFormFromConfig({ api: { campgroundId: campgroundIds[0], campgroundIds }, siteFilters: { siteNumbersToFilter: [] } });
+        const campgroundNameDisplay = document.getElementById('campground-name-display');
+        if (campgroundNameDisplay) {
+            campgroundNameDisplay.textContent = name ? `Selected: ${name}` : '';
+            campgroundNameDisplay.style.display = name ? 'block' : 'none';
+        }
+        const configAccordionHeader = document.querySelector('#config-accordion-container .accordion-header');
+        if (configAccordionHeader && !configAccordionHeader.classList.contains('active')) {
+            configAccordionHeader.click();
+        }
+        configAccordionHeader?.scrollIntoView({ behavior: 'smooth' });
+    };
+
+    const MAX_TO_COMPARE = 5;
+    const campgroundsWithOpenings = rankedCampgrounds.filter(row => row.availableNights > 0);
+    if (campgroundsWithOpenings.length > 1) {
+        const compareButton = document.createElement('button');
+        compareButton.className = 'ranking-action-button';
+        const compareCount = Math.min(MAX_TO_COMPARE, campgroundsWithOpenings.length);
+        compareButton.textContent = `Compare Top ${compareCount} in Search Form`;
+        compareButton.addEventListener('click', () => {
+            loadIntoSearchForm(campgroundsWithOpenings.slice(0, compareCount).map(row => row.campgroundId), null);
+        });
+        panel.appendChild(compareButton);
+    }
+
+    const { tbody } = createTableStructure(document, ['Rank', 'Campground', 'Available Nights', 'Walk-up Nights', 'Sites with Openings', 'Actions'], panel);
+    rankedCampgrounds.forEach((row, index) => {
+        const tr = tbody.insertRow();
+        tr.insertCell().textContent = index + 1;
+        tr.insertCell().textContent = `${row.name} (${row.campgroundId})`;
+
+        if (!row.loaded) {
+            const statusCell = tr.insertCell();
+            statusCell.colSpan = 3;
+            statusCell.textContent = 'Availability could not be loaded';
+            statusCell.className = getAvailabilityClass(AVAILABILITY_STATUS.UNKNOWN);
+        } else {
+            const availableCell = tr.insertCell();
+            availableCell.textContent = row.availableNights;
+            if (row.availableNights > 0) availableCell.className = getAvailabilityClass(AVAILABILITY_STATUS.AVAILABLE);
+            const walkUpCell = tr.insertCell();
+            walkUpCell.textContent = row.walkUpNights;
+            if (row.walkUpNights > 0) walkUpCell.className = getAvailabilityClass(AVAILABILITY_STATUS.NOT_RESERVABLE);
+            tr.insertCell().textContent = row.sitesWithOpenings;
+        }
+
+        const actionsCell = tr.insertCell();
+        const useButton = document.createElement('button');
+        useButton.className = 'ranking-action-button';
+        useButton.textContent = 'Use';
+        useButton.title = `Load ${row.name} into the search form`;
+        useButton.addEventListener('click', () => loadIntoSearchForm([row.campgroundId], `${row.name} (${row.campgroundId})`));
+        actionsCell.appendChild(useButton);
+    });
+}
+
 /**
  * Initializes the "Back to Top" button, handling its visibility
  * on scroll and the click event to scroll the page up.
@@ -965,11 +1380,12 @@ function getMonthsToFetch(filterStartStr, filterEndStr, defaultApiMonthStartStr)
  * It dynamically sets the API start date and the filter date window based on
  * the initial settings in the config object.
  * @param {object} config The initial configuration object.
+ * @param {object} [debugTarget=debugInfo] The debug object to record the configuration in.
  * @returns {object} The configuration object with calculated, effective dates.
  */
-function prepareConfig(config) {
+function prepareConfig(config, debugTarget = debugInfo) {
     // Store a snapshot of the configuration before any modifications are made.
-    debugInfo.configuration.initial = JSON.parse(JSON.stringify(config));
+    debugTarget.configuration.initial = JSON.parse(JSON.stringify(config));
 
     // --- Determine effective startDate (API default month) ---
     if (config.filters.startDate === "") {
@@ -987,7 +1403,8 @@ function prepareConfig(config) {
     }
 
     // --- Determine effective filter dates based on configuration ---
-    const MAX_SEARCH_DAYS = 40;
+    const MAX_SEARCH_DAYS = 183; // About six months, enough to scan a whole summer season.
+    const DEFAULT_SEARCH_DAYS = 40; // Used when only one of the two dates is provided.
     let initialFilterStartDate = config.filters.filterStartDate;
     let initialFilterEndDate = config.filters.filterEndDate;
 
@@ -1005,19 +1422,19 @@ function prepareConfig(config) {
             console.log(`Filter dates were empty. Using duration: ${config.filters.filterDurationInDays} days. Effective Filter Start: ${config.filters.filterStartDate}, Effective Filter End: ${config.filters.filterEndDate}`);
         }
     } else if (initialFilterStartDate !== "" && initialFilterEndDate === "") {
-        // End date is missing. Set it to MAX_SEARCH_DAYS after start date.
+        // End date is missing. Set it to DEFAULT_SEARCH_DAYS after start date.
         const startDateObj = new Date(initialFilterStartDate + "T00:00:00.000Z");
         const endDateObj = new Date(startDateObj);
-        endDateObj.setUTCDate(startDateObj.getUTCDate() + MAX_SEARCH_DAYS - 1);
+        endDateObj.setUTCDate(startDateObj.getUTCDate() + DEFAULT_SEARCH_DAYS - 1);
         config.filters.filterEndDate = `${endDateObj.getUTCFullYear()}-${String(endDateObj.getUTCMonth() + 1).padStart(2, '0')}-${String(endDateObj.getUTCDate()).padStart(2, '0')}`;
-        console.log(`Filter end date was empty. Set to a ${MAX_SEARCH_DAYS}-day range: ${config.filters.filterEndDate}`);
+        console.log(`Filter end date was empty. Set to a ${DEFAULT_SEARCH_DAYS}-day range: ${config.filters.filterEndDate}`);
     } else if (initialFilterStartDate === "" && initialFilterEndDate !== "") {
-        // Start date is missing. Set it to MAX_SEARCH_DAYS before end date.
+        // Start date is missing. Set it to DEFAULT_SEARCH_DAYS before end date.
         const endDateObj = new Date(initialFilterEndDate + "T00:00:00.000Z");
         const startDateObj = new Date(endDateObj);
-        startDateObj.setUTCDate(endDateObj.getUTCDate() - (MAX_SEARCH_DAYS - 1));
+        startDateObj.setUTCDate(endDateObj.getUTCDate() - (DEFAULT_SEARCH_DAYS - 1));
         config.filters.filterStartDate = `${startDateObj.getUTCFullYear()}-${String(startDateObj.getUTCMonth() + 1).padStart(2, '0')}-${String(startDateObj.getUTCDate()).padStart(2, '0')}`;
-        console.log(`Filter start date was empty. Set to a ${MAX_SEARCH_DAYS}-day range: ${config.filters.filterStartDate}`);
+        console.log(`Filter start date was empty. Set to a ${DEFAULT_SEARCH_DAYS}-day range: ${config.filters.filterStartDate}`);
     } else if (initialFilterStartDate !== "" && initialFilterEndDate !== "") {
         // Both dates are provided. Check if the range is > MAX_SEARCH_DAYS and cap it.
         const startDateObj = new Date(initialFilterStartDate + "T00:00:00.000Z");
@@ -1033,8 +1450,8 @@ function prepareConfig(config) {
     }
 
     // Store the final, effective configuration and timestamp.
-    debugInfo.configuration.effective = JSON.parse(JSON.stringify(config));
-    debugInfo.timestamps.configPrepared = new Date().toISOString();
+    debugTarget.configuration.effective = JSON.parse(JSON.stringify(config));
+    debugTarget.timestamps.configPrepared = new Date().toISOString();
 
     return config;
 }
@@ -1138,6 +1555,7 @@ function getDynamicTableHeaders(config, showCampsiteIdColumn, includeActions) {
         ? ['Site', 'Date', 'Availability']
         : ['Date', 'Site', 'Availability']; // Default to 'date' first
 
+    if (config.display.showPriceColumn) baseHeaders.push('Price');
     if (showCampsiteIdColumn) baseHeaders.push('Campsite ID');
     if (includeActions) baseHeaders.push('Actions');
 
@@ -1192,6 +1610,25 @@ function addInfoElement(doc, parentElement, elementType, textContent, className
     return element;
 }
 
+/**
+ * Adds a "cached N days ago" note if a value was read from the browser's saved details instead of the API.
+ * Nothing is added for values fetched live.
+ * @param {Document} doc The document object.
+ * @param {HTMLElement} parentElement The element to append the note to.
+ * @param {any} value A value returned by one of the cached API fetchers.
+ * @param {string} label What the value is (e.g., 'Facility details').
+ * @returns {HTMLElement|null} The note element, or null if the value was not cached.
+ */
+function addCacheAgeNote(doc, parentElement, value, label) {
+    const storedAt = getCachedAt(value);
+    if (storedAt === null) return null;
+    const ageDays = Math.floor((Date.now() - storedAt) / (24 * 60 * 60 * 1000));
+    const ageText = ageDays === 0 ? 'today' : ageDays === 1 ? '1 day ago' : `${ageDays} days ago`;
+    const note = addInfoElement(doc, parentElement, 'p', `${label} cached ${ageText}.`, 'cache-age-note');
+    if (note) note.title = `Saved in this browser on ${new Date(storedAt).toLocaleString()}. Use "Clear Saved Details" to fetch fresh copies.`;
+    return note;
+}
+
 /**
  * Adds standardized request and cache information to a given parent element.
  * @param {Document} doc The document object.
@@ -1204,17 +1641,132 @@ function addRequestInfoElements(doc, parentElement, requestDateTime, response) {
 
     addInfoElement(doc, parentElement, 'p', `Request Processed: ${requestDateTime.toLocaleString()}`, 'request-info');
 
-    const age = response.headers.get('age');
-    if (age) {
-        const cacheDateTime = new Date(requestDateTime.getTime() - (parseInt(age) * 1000));
+    // `X-Proxy-Cache` is set by our proxy's response cache; `Age` may come from the proxy or from the browser's cache.
+    const proxyCacheStatus = response.headers.get('x-proxy-cache');
+    const age = parseInt(response.headers.get('age'), 10) || 0;
+    if (age > 0 || proxyCacheStatus === 'HIT' || proxyCacheStatus === 'STALE') {
+        const cacheDateTime = new Date(requestDateTime.getTime() - (age * 1000));
+        let cacheName = 'Cached';
+        if (proxyCacheStatus === 'HIT') cacheName = 'Cached by proxy';
+        else if (proxyCacheStatus === 'STALE') cacheName = 'Cached by proxy (stale, refreshing in the background)';
         const p = addInfoElement(doc, parentElement, 'p', '', 'request-info');
-        if (p) p.innerHTML = `<strong>Data Source:</strong> Cached (Age: ${age} seconds, Created: ${cacheDateTime.toLocaleString()})`;
+        if (p) p.innerHTML = `<strong>Data Source:</strong> ${cacheName} (Age: ${age} seconds, Created: ${cacheDateTime.toLocaleString()})`;
     } else {
         const p = addInfoElement(doc, parentElement, 'p', '', 'request-info');
         if (p) p.innerHTML = `<strong>Data Source:</strong> Live (Not from cache)`;
     }
 }
 
+/**
+ * Loads the RIDB records (attributes and permitted equipment) of the given campsites. The facility's full
+ * campsite list is tried first; sites missing from it are fetched one by one with `fetchCampsiteDetails`,
+ * up to `MAX_DETAILS_TO_FETCH`. Both are saved in the browser for later searches.
+ * @param {object} campsites The merged campsites data from `fetchAvailabilityData`.
+ * @param {string|undefined} facilityId The RIDB facility ID.
+ * @returns {Promise<Map<string, object>>} The records by campsite ID. Sites that could not be loaded are missing.
+ */
+async function loadCampsiteRecords(campsites, facilityId) {
+    const MAX_DETAILS_TO_FETCH = 50;
+    const records = new Map();
+    const wantedIds = new Set(Object.keys(campsites).map(String));
+
+    const facilityCampsites = await fetchFacilityCampsitesFromService(facilityId, debugInfo) || [];
+    facilityCampsites.forEach(record => {
+        if (wantedIds.has(record.id)) records.set(record.id, record);
+    });
+
+    const missingIds = [...wantedIds].filter(campsiteId => !records.has(campsiteId));
+    if (facilityId && missingIds.length > 0) {
+        console.log(`[loadCampsiteRecords] Fetching details for ${Math.min(missingIds.length, MAX_DETAILS_TO_FETCH)} of ${missingIds.length} sites missing from the facility list.`);
+        const details = await Promise.all(missingIds.slice(0, MAX_DETAILS_TO_FETCH)
+            .map(campsiteId => fetchCampsiteDetailsFromService(facilityId, campsiteId, debugInfo)));
+        details.filter(Boolean).forEach(record => records.set(record.id, record));
+    }
+    return records;
+}
+
+/**
+ * Restricts the availability data to sites whose RIDB attributes (vehicle length, driveway, site type,
+ * accessibility, hookups, shade) match `config.siteAttributes`. If no campsite records can be loaded,
+ * the data is returned unfiltered.
+ * @param {object|null} campsites The merged campsites data from `fetchAvailabilityData`.
+ * @param {Map<string, object>} records The sites' RIDB records, from `loadCampsiteRecords`.
+ * @param {object} config The prepared configuration object.
+ * @returns {{campsites: object|null, note: string|null}} The matching campsites, and a note for the results tabs
+ * (null when no attribute filter is set).
+ */
+function applySiteAttributeFilters(campsites, records, config) {
+    if (!campsites || !hasSiteAttributeFilters(config.siteAttributes)) return { campsites, note: null };
+
+    const description = describeSiteAttributeFilters(config.siteAttributes);
+    const totalCount = Object.keys(campsites).length;
+    if (records.size === 0) {
+        console.warn('[applySiteAttributeFilters] No RIDB campsite records were loaded; showing all sites.');
+        return { campsites, note: 'Site details could not be loaded for this campground, so the site feature filters were not applied.' };
+    }
+
+    const matchingIds = findMatchingCampsiteIds([...records.values()], config.siteAttributes);
+    const matchingCampsites = {};
+    for (const campsiteId in campsites) {
+        if (matchingIds.has(String(campsiteId))) matchingCampsites[campsiteId] = campsites[campsiteId];
+    }
+    const matchedCount = Object.keys(matchingCampsites).length;
+    console.log(`[applySiteAttributeFilters] ${matchedCount} of ${totalCount} sites match: ${description}.`);
+    return { campsites: matchingCampsites, note: `${matchedCount} of ${totalCount} sites match the site features (${description}).` };
+}
+
+/**
+ * Marks each site with whether the user's equipment (`config.equipment`) fits it, from the site's permitted
+ * equipment, and drops sites that do not fit when `config.equipment.hideNonFitting` is set. The marks are
+ * stored as `equipmentFit` on copies of the campsite objects, so cached availability data is not changed.
+ * @param {object|null} campsites The merged campsites data.
+ * @param {Map<string, object>} records The sites' RIDB records, from `loadCampsiteRecords`.
+ * @param {object} config The prepared configuration object.
+ * @returns {{campsites: object|null, note: string|null}} The marked campsites, and a note for the results tabs
+ * (null when no equipment is set).
+ */
+function applyEquipmentFit(campsites, records, config) {
+    if (!campsites || !hasEquipment(config.equipment)) return { campsites, note: null };
+
+    const counts = { [EQUIPMENT_FIT.FITS]: 0, [EQUIPMENT_FIT.DOES_NOT_FIT]: 0, [EQUIPMENT_FIT.UNKNOWN]: 0 };
+    const markedCampsites = {};
+    for (const campsiteId in campsites) {
+        const record = records.get(String(campsiteId));
+        const fit = record
+            ? checkEquipmentFit(record, config.equipment)
+            : { status: EQUIPMENT_FIT.UNKNOWN, reason: 'Site details could not be loaded' };
+        counts[fit.status]++;
+        if (fit.status === EQUIPMENT_FIT.DOES_NOT_FIT && config.equipment.hideNonFitting) continue;
+        markedCampsites[campsiteId] = { ...campsites[campsiteId], equipmentFit: fit };
+    }
+
+    const description = describeEquipment(config.equipment);
+    const hiddenText = config.equipment.hideNonFitting && counts[EQUIPMENT_FIT.DOES_NOT_FIT] > 0 ? ' (hidden)' : '';
+    console.log(`[applyEquipmentFit] ${description}: ${JSON.stringify(counts)}`);
+    return {
+        campsites: markedCampsites,
+        note: `Your ${description} fits ${counts[EQUIPMENT_FIT.FITS]} sites, does not fit ${counts[EQUIPMENT_FIT.DOES_NOT_FIT]}${hiddenText}, and is unknown for ${counts[EQUIPMENT_FIT.UNKNOWN]}.`,
+    };
+}
+
+/**
+ * Applies the site feature filters and the equipment check to one campground's availability data.
+ * Campsite records are only loaded when either is in use.
+ * @param {object|null} campsites The merged campsites data from `fetchAvailabilityData`.
+ * @param {string|undefined} facilityId The RIDB facility ID.
+ * @param {object} config The prepared configuration object.
+ * @returns {Promise<{campsites: object|null, notes: string[]}>} The campsites to display, and notes describing what was applied.
+ */
+async function applySiteRecordChecks(campsites, facilityId, config) {
+    if (!campsites || (!hasSiteAttributeFilters(config.siteAttributes) && !hasEquipment(config.equipment))) {
+        return { campsites, notes: [] };
+    }
+    const records = await loadCampsiteRecords(campsites, facilityId);
+    const filtered = applySiteAttributeFilters(campsites, records, config);
+    const marked = applyEquipmentFit(filtered.campsites, records, config);
+    return { campsites: marked.campsites, notes: [filtered.note, marked.note].filter(Boolean) };
+}
+
 /**
  * Orchestrates all rendering operations after data has been fetched.
  * It processes the availability data and then calls the specific rendering functions
@@ -1230,7 +1782,7 @@ async function renderAllOutputs(allData, config) {
         campgroundMetadata,
         facilityDetails,
         recAreaDetails,
-        eventsData,
+        recAreaEvents,
         recGovSearchData,
         recAreaMedia,
         availabilityResult,
@@ -1238,13 +1790,18 @@ async function renderAllOutputs(allData, config) {
     } = allData;
 
     // Gracefully handle the case where availability data was not fetched (e.g., for non-reservable sites)
-    const combinedCampsites = availabilityResult?.campsites || null;
+    const allCampgroundCampsites = availabilityResult?.campsites || null;
     const response = availabilityResult?.response || null;
     const requestDateTime = availabilityResult?.requestDateTime || new Date(); // Fallback to now if not present
 
-    const finalAvailabilityData = { campsites: combinedCampsites };
     // Calculate and store the full, unfiltered summary for debugging.
-    debugInfo.processing.fullAvailabilitySummary = calculateFullAvailabilitySummary(combinedCampsites);
+    debugInfo.processing.fullAvailabilitySummary = calculateFullAvailabilitySummary(allCampgroundCampsites);
+
+    // Site feature filters and the equipment check run before any table is built.
+    const { campsites: checkedCampsites, notes: siteNotes } = await applySiteRecordChecks(allCampgroundCampsites, ids.facilityId, config);
+    debugInfo.processing.siteNotes = siteNotes;
+    const combinedCampsites = attachNightlyRates(checkedCampsites, campgroundMetadata?.feePolicies);
+    const finalAvailabilityData = { campsites: combinedCampsites };
 
     console.log("[renderAllOutputs] Processing data for rendering. FacilityDetails:", facilityDetails ? "Data present" : "No data");
     console.log("[renderAllOutputs] Combined campsites data:", finalAvailabilityData.campsites ? `${Object.keys(finalAvailabilityData.campsites).length} sites` : "No data");
@@ -1255,50 +1812,43 @@ async function renderAllOutputs(allData, config) {
 
     // --- Primary Tabs (Filtered and Available) ---
     // Render these first so "Filtered Sites" can be the default active tab.
-    await displayFilteredSitesInNewTab(campsites, availabilityCounts, config, ids.facilityId, requestDateTime, response, campgroundMetadata);
+    await displayFilteredSitesInNewTab(campsites, availabilityCounts, config, ids.facilityId, requestDateTime, response, campgroundMetadata, siteNotes);
+
+    // --- Stay Finder Tab ---
+    if (config.staySearch.enabled && combinedCampsites) {
+        await displayStaysInNewTab(campsites, config, campgroundMetadata, requestDateTime, response);
+    }
+
+    // --- Calendar Tab ---
+    if (config.display.showCalendarTab && combinedCampsites) {
+        displayCalendarInNewTab(campsites, config, ids.facilityId);
+    }
+
+    // --- Release Times Tab ---
+    if (config.display.showReleaseTimesTab && combinedCampsites) {
+        await displayReleaseTimesInNewTab(campsites, config, campgroundMetadata, requestDateTime, response);
+    }
+
+    // --- Changes Tab ---
+    // Every search is saved to the history, even when the tab is hidden, so the next search has something to compare with.
+    // The history keeps every site; the tab only compares the sites that match the site feature filters.
+    if (combinedCampsites) {
+        const previousRuns = await recordAvailabilityRun(ids.campgroundId, createAvailabilitySnapshot(allCampgroundCampsites), requestDateTime);
+        if (config.display.showChangesTab) {
+            await displayChangesInNewTab(createAvailabilitySnapshot(combinedCampsites), previousRuns, config, requestDateTime, response, campsites);
+        }
+    }
 
     // --- Campground Details Tab (formerly "Main") ---
     // This is now a secondary tab, rendered after the primary ones.
     const detailsTabPanel = createInPageTab('Campground Details');
     if (detailsTabPanel) {
-        renderMainPage(detailsTabPanel, campgroundMetadata, facilityDetails, recAreaDetails, eventsData, recGovSearchData, recAreaMedia, campsites, availabilityCounts, requestDateTime, response, config, ids);
+        renderMainPage(detailsTabPanel, campgroundMetadata, facilityDetails, recAreaDetails, recAreaEvents, recGovSearchData, recAreaMedia, campsites, availabilityCounts, requestDateTime, response, config, ids);
     }
 
 
-    // --- Raw Data & Debugging Tabs ---
-    console.log('[renderAllOutputs] Checking if showRawJsonTab is enabled:', config.display.showRawJsonTab);
-    if (config.display.showRawJsonTab) {
-        const jsonData = (finalAvailabilityData.campsites && Object.keys(finalAvailabilityData.campsites).length > 0) ? finalAvailabilityData : { message: "No combined availability data to show." };
-        displayDataInNewTab(jsonData, `Full API Response (Combined)`);
-    }
-    console.log('[renderAllOutputs] Checking if showFullMetadataTab is enabled:', config.display.showFullMetadataTab);
-    if (config.display.showFullMetadataTab && campgroundMetadata) {
-        displayDataInNewTab(campgroundMetadata, `Full Campground Metadata`);
-    }
-    console.log('[renderAllOutputs] Checking if showRecGovSearchDataTab is enabled:', config.display.showRecGovSearchDataTab);
-    if (config.display.showRecGovSearchDataTab && recGovSearchData) {
-        displayDataInNewTab(recGovSearchData, `Rec.gov Search Data`);
-    }
-    console.log('[renderAllOutputs] Checking if showFacilityDetailsTab is enabled:', config.display.showFacilityDetailsTab);
-    if (config.display.showFacilityDetailsTab) {
-        const dataToShow = facilityDetails || { message: "No Facility Details data was fetched or available." };
-        displayDataInNewTab(dataToShow, `Raw Facility Details`);
-    }
-    console.log('[renderAllOutputs] Checking if showRecAreaDetailsTab is enabled:', config.display.showRecAreaDetailsTab);
-    if (config.display.showRecAreaDetailsTab) {
-        const dataToShow = recAreaDetails || { message: "No Recreation Area Details data was fetched or available." };
-        displayDataInNewTab(dataToShow, `Raw Rec Area Details`);
-    }
-    console.log('[renderAllOutputs] Checking if showRecAreaEventsTab is enabled:', config.display.showRecAreaEventsTab);
-    if (config.display.showRecAreaEventsTab) {
-        const dataToShow = eventsData || { message: "No Recreation Area Events data was fetched or available." };
-        displayDataInNewTab(dataToShow, `Raw Rec Area Events`);
-    }
-    console.log('[renderAllOutputs] Checking if showRecAreaMediaTab is enabled:', config.display.showRecAreaMediaTab);
-    if (config.display.showRecAreaMediaTab) {
-        const dataToShow = recAreaMedia || { message: "No Recreation Area Media data was fetched or available." };
-        displayDataInNewTab(dataToShow, `Raw Rec Area Media`);
-    }
+    // --- Raw Data Tabs ---
+    renderRawDataTabs(allData, config);
 
     // For diagnostics, always render the debug tab last.
     // Debug tab last
@@ -1311,40 +1861,303 @@ async function renderAllOutputs(allData, config) {
 }
 
 /**
- * @callback RowBuilderCallback
- * @param {Document} doc The document object of the new tab.
- * @param {object} rowData The data object for the current row.
- * @param {number} index The zero-based index of the current row.
- * @returns {HTMLTableRowElement} The constructed <tr> element.
+ * @typedef {object} CampgroundResult
+ * @property {string} campgroundId The Recreation.gov campground ID.
+ * @property {string} label A short, unique display name for the campground.
+ * @property {AllFetchedData|null} data The fetched data, or null if fetching failed.
+ * @property {Error|null} error The error that prevented fetching, if any.
+ * @property {object|null} campsites The merged availability data (after the site feature filters and equipment check), or null if none was loaded.
+ * @property {string[]} siteNotes Notes describing the site feature filters and equipment check, if either was used.
  */
 
 /**
- * @callback PostRenderCallback
- * @param {Document} doc The document object of the new tab.
- * @param {HTMLDivElement} container The main container div in the new tab.
- * @returns {Promise<void>}
+ * Orchestrates rendering when several campgrounds were searched in one run.
+ * It renders a combined "All Campgrounds" tab first, followed by per-campground tabs.
+ * @param {Array<{campgroundId: string, data: AllFetchedData|null, error: Error|null}>} campgroundResults The results from `fetchAllDataForCampgrounds`.
+ * @param {object} config The prepared configuration object.
  */
+async function renderMultiCampgroundOutputs(campgroundResults, config) {
+    console.log(`[renderMultiCampgroundOutputs] Rendering results for ${campgroundResults.length} campgrounds.`);
+    debugInfo.timestamps.renderStart = new Date().toISOString();
 
-/**
- * @typedef {object} TabularDataOptions
- * @property {string} tabTitle The title for the browser tab.
- * @property {string} pageTitle The main H1 title on the page.
- * @property {Array<object>} dataRows The array of data objects to render in the table.
- * @property {Array<string>} headers The column headers for the table.
- * @property {object} config The main script configuration object.
- * @property {object} allCampsitesData The complete campsites data object, used to extract loop names.
- * @property {Date} requestDateTime The timestamp of the data request.
- * @property {Response} response The fetch response object for cache info.
- * @property {string} sortDescription Text describing how the data is sorted.
- * @property {string} noDataMessage Message to display if `dataRows` is empty.
- * @property {RowBuilderCallback} rowBuilder A function that builds a `<tr>` from a data row.
- * @property {function(Document, HTMLElement): void} [preTableRenderCallback] An optional function to run before the main table is rendered.
- * @property {PostRenderCallback} [postRenderCallback] An optional async function to run after the table is rendered.
- * @property {boolean} [isTableCollapsible=false] If true, the table will be rendered inside a collapsible accordion.
- */
+    // Build a unique label per campground so tab titles (and their panel IDs) never collide.
+    const usedLabels = new Set();
+    const campgrounds = campgroundResults.map(({ campgroundId, data, error }) => {
+        let label = data?.campgroundMetadata?.name?.split('(')[0].trim() || `Campground ${campgroundId}`;
+        if (usedLabels.has(label)) label = `${label} (${campgroundId})`;
+        usedLabels.add(label);
+        return { campgroundId, label, data, error, campsites: data?.availabilityResult?.campsites || null, siteNotes: [] };
+    });
 
-/**
- * A generic renderer for creating a new browser tab and populating it with a data table.
+    // Site feature filters and the equipment check run before any table is built.
+    for (const campground of campgrounds) {
+        if (!campground.campsites) continue;
+        ({ campsites: campground.campsites, notes: campground.siteNotes } =
+            await applySiteRecordChecks(campground.campsites, campground.data.ids.facilityId, config));
+        campground.campsites = attachNightlyRates(campground.campsites, campground.data.campgroundMetadata?.feePolicies);
+    }
+
+    debugInfo.processing.campgrounds = campgrounds.map(({ campgroundId, label, error, campsites }) => ({
+        campgroundId,
+        label,
+        error: error ? error.message : null,
+        siteCount: campsites ? Object.keys(campsites).length : 0
+    }));
+
+    await displayCombinedSitesInNewTab(campgrounds, config);
+
+    for (const campground of campgrounds) {
+        if (!campground.data) continue;
+        const { campgroundMetadata, facilityDetails, recAreaDetails, recAreaEvents, recGovSearchData, recAreaMedia, availabilityResult, ids } = campground.data;
+        const requestDateTime = availabilityResult?.requestDateTime || new Date();
+        const response = availabilityResult?.response || null;
+        const { campsites, availabilityCounts } = processAvailabilityData({ campsites: campground.campsites }, config);
+
+        if (config.staySearch.enabled && campground.campsites) {
+            await displayStaysInNewTab(campsites, config, campgroundMetadata, requestDateTime, response, `Stays: ${campground.label}`);
+        }
+
+        if (config.display.showCalendarTab && campground.campsites) {
+            displayCalendarInNewTab(campsites, config, ids.facilityId, `Calendar: ${campground.label}`);
+        }
+
+        if (config.display.showReleaseTimesTab && campground.campsites) {
+            await displayReleaseTimesInNewTab(campsites, config, campgroundMetadata, requestDateTime, response, `Release Times: ${campground.label}`);
+        }
+
+        if (campground.campsites) {
+            const previousRuns = await recordAvailabilityRun(campground.campgroundId, createAvailabilitySnapshot(availabilityResult.campsites), requestDateTime);
+            if (config.display.showChangesTab) {
+                await displayChangesInNewTab(createAvailabilitySnapshot(campground.campsites), previousRuns, config, requestDateTime, response, campsites, `Changes: ${campground.label}`);
+            }
+        }
+
+        const detailsTabPanel = createInPageTab(`Details: ${campground.label}`);
+        if (detailsTabPanel) {
+            renderMainPage(detailsTabPanel, campgroundMetadata, facilityDetails, recAreaDetails, recAreaEvents, recGovSearchData, recAreaMedia, campsites, availabilityCounts, requestDateTime, response, config, ids);
+        }
+
+        renderRawDataTabs(campground.data, config, ` - ${campground.label}`);
+    }
+
+    console.log('[renderMultiCampgroundOutputs] Checking if showDebugTab is enabled:', config.display.showDebugTab);
+    if (config.display.showDebugTab) {
+        displayDebugInfoInNewTab(debugInfo, config);
+    }
+
+    debugInfo.timestamps.renderComplete = new Date().toISOString();
+}
+
+/**
+ * Renders the combined "All Campgrounds" tab: a per-campground summary of open nights, followed by
+ * a single table of matching site/date rows from every campground with an extra "Campground" column.
+ * The site and status filters behave the same as in the "Filtered Sites" tab.
+ * @param {CampgroundResult[]} campgrounds The campgrounds searched in this run.
+ * @param {object} config The main configuration object.
+ */
+async function displayCombinedSitesInNewTab(campgrounds, config) {
+    const siteNumbersToFilterArray = config.siteFilters.siteNumbersToFilter;
+    const showAllStatuses = config.tabBehavior.showAllFilteredSitesStatuses;
+    const isFilteringBySiteNumber = siteNumbersToFilterArray && siteNumbersToFilterArray.length > 0;
+    const normalizedSiteNumbersToFilter = siteNumbersToFilterArray.map(normalizeSiteName);
+
+    const rowFilter = (campsite, availability) => {
+        if (isFilteringBySiteNumber && !normalizedSiteNumbersToFilter.includes(normalizeSiteName(campsite.site))) {
+            return false;
+        }
+        return showAllStatuses || [
+            AVAILABILITY_STATUS.AVAILABLE,
+            AVAILABILITY_STATUS.OPEN,
+            AVAILABILITY_STATUS.NOT_RESERVABLE
+        ].includes(availability);
+    };
+
+    // Merge every campground's sites into one object. Keys are prefixed with the campground ID
+    // because campsite IDs are only unique within a campground.
+    const combinedCampsites = {};
+    campgrounds.forEach(campground => {
+        for (const cId in campground.campsites || {}) {
+            combinedCampsites[`${campground.campgroundId}-${cId}`] = { ...campground.campsites[cId], campgroundName: campground.label };
+        }
+    });
+    const combinedRowsData = processAndSortAvailability(combinedCampsites, config, rowFilter, config.sorting.primarySortKey);
+
+    const headers = ['Campground', ...getDynamicTableHeaders(config, config.display.showCampsiteIdColumn, false)];
+
+    const preTableRenderCallback = (doc, containerDiv) => {
+        const summaryDiv = doc.createElement('div');
+        summaryDiv.className = 'availability-summary-main';
+        addInfoElement(doc, summaryDiv, 'h3', 'Open Nights by Campground');
+
+        const { tbody } = createTableStructure(doc, ['Campground', 'Available', 'Walk-up (FCFS)', 'Sites with Openings'], summaryDiv);
+        campgrounds.forEach(campground => {
+            const rows = combinedRowsData.filter(row => row.campground === campground.label);
+            const availableRows = rows.filter(row => row.availability === AVAILABILITY_STATUS.AVAILABLE);
+            const walkUpRows = rows.filter(row => row.availability === AVAILABILITY_STATUS.NOT_RESERVABLE);
+            const sitesWithOpenings = new Set([...availableRows, ...walkUpRows].map(row => row.site));
+
+            const tr = tbody.insertRow();
+            const nameCell = tr.insertCell();
+            if (campground.data) {
+                const link = doc.createElement('a');
+                link.href = '#';
+                link.textContent = campground.label;
+                link.title = `Show the details tab for ${campground.label}`;
+                link.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    showTab(getTabPanelId(`Details: ${campground.label}`));
+                });
+                nameCell.appendChild(link);
+            } else {
+                nameCell.textContent = campground.label;
+            }
+
+            if (!campground.campsites) {
+                const statusCell = tr.insertCell();
+                statusCell.colSpan = 3;
+                statusCell.textContent = campground.error
+                    ? `Could not load data: ${campground.error.message}`
+                    : 'No availability data (may not be reservable online)';
+                statusCell.className = 'unknown';
+                return;
+            }
+
+            const availableCell = tr.insertCell();
+            availableCell.textContent = availableRows.length;
+            if (availableRows.length > 0) availableCell.className = getAvailabilityClass(AVAILABILITY_STATUS.AVAILABLE);
+            const walkUpCell = tr.insertCell();
+            walkUpCell.textContent = walkUpRows.length;
+            if (walkUpRows.length > 0) walkUpCell.className = getAvailabilityClass(AVAILABILITY_STATUS.NOT_RESERVABLE);
+            tr.insertCell().textContent = sitesWithOpenings.size;
+        });
+        containerDiv.appendChild(summaryDiv);
+
+        campgrounds.forEach(campground => campground.siteNotes.forEach(note => {
+            addInfoElement(doc, containerDiv, 'p', `${campground.label}: ${note}`, 'form-note');
+        }));
+
+        const siteFilterText = isFilteringBySiteNumber ? `Displaying sites: ${siteNumbersToFilterArray.join(", ")}` : `Displaying all sites`;
+        const statusFilterDescription = showAllStatuses
+            ? " (Showing All Statuses, incl. Reserved)"
+            : " (Showing 'Available' & 'Walk-up' Only)";
+        addInfoElement(doc, containerDiv, 'h2', `${siteFilterText}${statusFilterDescription}`);
+    };
+
+    // The request info shown in the header comes from the first campground that returned availability.
+    const firstAvailability = campgrounds.find(campground => campground.data?.availabilityResult)?.data.availabilityResult;
+    const sortDescription = config.sorting.primarySortKey === 'site' ? "Data sorted by Site, then by Date." : "Data sorted by Date, then by Site.";
+
+    await renderTabularDataInNewTab({
+        tabTitle: `All Campgrounds (${campgrounds.length})`,
+        pageTitle: `Combined Campsite Availability - ${campgrounds.map(campground => campground.label).join(', ')}`,
+        dataRows: combinedRowsData,
+        headers: headers,
+        config: config,
+        allCampsitesData: null, // Loop names are not meaningful across campgrounds.
+        requestDateTime: firstAvailability?.requestDateTime || new Date(),
+        response: firstAvailability?.response || null,
+        sortDescription: sortDescription,
+        noDataMessage: "No campsites found at any of the selected campgrounds matching the specified filters and date range.",
+        rowBuilder: (doc, rowData) => createBaseAvailabilityRow(doc, rowData, headers),
+        preTableRenderCallback: preTableRenderCallback,
+        isTableCollapsible: false,
+        exportOptions: {
+            kind: 'nights',
+            campgroundId: campgrounds.map(campground => campground.campgroundId).join('-'),
+            campgroundName: campgrounds.map(campground => campground.label).join(', ')
+        }
+    });
+}
+
+/**
+ * Renders the optional raw JSON tabs for a single campground's fetched data.
+ * @param {AllFetchedData} allData The data object from `fetchAllData`.
+ * @param {object} config The prepared configuration object.
+ * @param {string} [titleSuffix=''] Text appended to each tab title, used to keep titles unique when several campgrounds are shown.
+ */
+function renderRawDataTabs(allData, config, titleSuffix = '') {
+    const {
+        campgroundMetadata,
+        facilityDetails,
+        recAreaDetails,
+        recAreaEvents,
+        recGovSearchData,
+        recAreaMedia,
+        availabilityResult
+    } = allData;
+    const combinedCampsites = availabilityResult?.campsites || null;
+
+    console.log('[renderRawDataTabs] Checking if showRawJsonTab is enabled:', config.display.showRawJsonTab);
+    if (config.display.showRawJsonTab) {
+        const jsonData = (combinedCampsites && Object.keys(combinedCampsites).length > 0) ? { campsites: combinedCampsites } : { message: "No combined availability data to show." };
+        displayDataInNewTab(jsonData, `Full API Response (Combined)${titleSuffix}`);
+    }
+    console.log('[renderRawDataTabs] Checking if showFullMetadataTab is enabled:', config.display.showFullMetadataTab);
+    if (config.display.showFullMetadataTab && campgroundMetadata) {
+        displayDataInNewTab(campgroundMetadata, `Full Campground Metadata${titleSuffix}`);
+    }
+    console.log('[renderRawDataTabs] Checking if showRecGovSearchDataTab is enabled:', config.display.showRecGovSearchDataTab);
+    if (config.display.showRecGovSearchDataTab && recGovSearchData) {
+        displayDataInNewTab(recGovSearchData, `Rec.gov Search Data${titleSuffix}`);
+    }
+    console.log('[renderRawDataTabs] Checking if showFacilityDetailsTab is enabled:', config.display.showFacilityDetailsTab);
+    if (config.display.showFacilityDetailsTab) {
+        const dataToShow = facilityDetails || { message: "No Facility Details data was fetched or available." };
+        displayDataInNewTab(dataToShow, `Raw Facility Details${titleSuffix}`);
+    }
+    console.log('[renderRawDataTabs] Checking if showRecAreaDetailsTab is enabled:', config.display.showRecAreaDetailsTab);
+    if (config.display.showRecAreaDetailsTab) {
+        const dataToShow = recAreaDetails || { message: "No Recreation Area Details data was fetched or available." };
+        displayDataInNewTab(dataToShow, `Raw Rec Area Details${titleSuffix}`);
+    }
+    console.log('[renderRawDataTabs] Checking if showRecAreaEventsTab is enabled:', config.display.showRecAreaEventsTab);
+    if (config.display.showRecAreaEventsTab) {
+        const dataToShow = recAreaEvents || { message: "No Recreation Area Events data was fetched or available." };
+        displayDataInNewTab(dataToShow, `Raw Rec Area Events${titleSuffix}`);
+    }
+    console.log('[renderRawDataTabs] Checking if showRecAreaMediaTab is enabled:', config.display.showRecAreaMediaTab);
+    if (config.display.showRecAreaMediaTab) {
+        const dataToShow = recAreaMedia || { message: "No Recreation Area Media data was fetched or available." };
+        displayDataInNewTab(dataToShow, `Raw Rec Area Media${titleSuffix}`);
+    }
+}
+
+/**
+ * @callback RowBuilderCallback
+ * @param {Document} doc The document object of the new tab.
+ * @param {object} rowData The data object for the current row.
+ * @param {number} index The zero-based index of the current row.
+ * @returns {HTMLTableRowElement} The constructed <tr> element.
+ */
+
+/**
+ * @callback PostRenderCallback
+ * @param {Document} doc The document object of the new tab.
+ * @param {HTMLDivElement} container The main container div in the new tab.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * @typedef {object} TabularDataOptions
+ * @property {string} tabTitle The title for the browser tab.
+ * @property {string} pageTitle The main H1 title on the page.
+ * @property {Array<object>} dataRows The array of data objects to render in the table.
+ * @property {Array<string>} headers The column headers for the table.
+ * @property {object} config The main script configuration object.
+ * @property {object} allCampsitesData The complete campsites data object, used to extract loop names.
+ * @property {Date} requestDateTime The timestamp of the data request.
+ * @property {Response} response The fetch response object for cache info.
+ * @property {string} sortDescription Text describing how the data is sorted.
+ * @property {string} noDataMessage Message to display if `dataRows` is empty.
+ * @property {RowBuilderCallback} rowBuilder A function that builds a `<tr>` from a data row.
+ * @property {function(Document, HTMLElement): void} [preTableRenderCallback] An optional function to run before the main table is rendered.
+ * @property {PostRenderCallback} [postRenderCallback] An optional async function to run after the table is rendered.
+ * @property {boolean} [isTableCollapsible=false] If true, the table will be rendered inside a collapsible accordion.
+ * @property {ExportMenuOptions} [exportOptions] If provided, an export menu for `dataRows` is shown above the table.
+ */
+
+/**
+ * A generic renderer for creating a new browser tab and populating it with a data table.
  * This centralizes the logic for tab creation, header rendering, and table generation.
  *
  * @param {TabularDataOptions} options Configuration for the new tab.
@@ -1366,6 +2179,7 @@ async function renderTabularDataInNewTab(options) {
         preTableRenderCallback,
         postRenderCallback,
         isTableCollapsible = false,
+        exportOptions = null,
         _parentElement = null
     } = options;
 
@@ -1420,6 +2234,10 @@ async function renderTabularDataInNewTab(options) {
 
     addRequestInfoElements(document, panel, requestDateTime, response);
 
+    if (exportOptions && dataRows && dataRows.length > 0) {
+        renderExportMenu(document, panel, dataRows, exportOptions, config, requestDateTime);
+    }
+
     let parentForTable = panel; // Default parent for the table
 
     if (isTableCollapsible && dataRows && dataRows.length > 0) {
@@ -1496,6 +2314,8 @@ function applyTableColumnStyles(tableElement, headers, doc, baseClassName) {
     const availabilityIndex = headers.indexOf('Availability');
     const campsiteIdIndex = headers.indexOf('Campsite ID');
     const actionsIndex = headers.indexOf('Actions');
+    const campgroundIndex = headers.indexOf('Campground');
+    const priceIndex = headers.indexOf('Price');
 
     const hasCampsiteId = campsiteIdIndex !== -1;
     const hasActions = actionsIndex !== -1;
@@ -1513,10 +2333,22 @@ function applyTableColumnStyles(tableElement, headers, doc, baseClassName) {
         siteWidth = 25; dateWidth = 25; availabilityWidth = 50;
     }
 
+    // 'Campground' and 'Price' columns take a fixed share, and the other columns are scaled down to fit.
+    const campgroundWidth = 25;
+    const priceWidth = 12;
+    const fixedWidth = (campgroundIndex !== -1 ? campgroundWidth : 0) + (priceIndex !== -1 ? priceWidth : 0);
+    if (fixedWidth > 0) {
+        const scale = (100 - fixedWidth) / 100;
+        [siteWidth, dateWidth, availabilityWidth, campsiteIdWidth, actionsWidth] =
+            [siteWidth, dateWidth, availabilityWidth, campsiteIdWidth, actionsWidth].map(width => width === undefined ? width : width * scale);
+    }
+
     // Add rules for each column that exists in the headers array.
+    if (campgroundIndex !== -1) cssRules.push(`.${className} th:nth-child(${campgroundIndex + 1}) { width: ${campgroundWidth}%; } /* Campground */`);
     if (siteIndex !== -1) cssRules.push(`.${className} th:nth-child(${siteIndex + 1}) { width: ${siteWidth}%; } /* Site */`);
     if (dateIndex !== -1) cssRules.push(`.${className} th:nth-child(${dateIndex + 1}) { width: ${dateWidth}%; } /* Date */`);
     if (availabilityIndex !== -1) cssRules.push(`.${className} th:nth-child(${availabilityIndex + 1}) { width: ${availabilityWidth}%; } /* Availability */`);
+    if (priceIndex !== -1) cssRules.push(`.${className} th:nth-child(${priceIndex + 1}) { width: ${priceWidth}%; } /* Price */`);
     if (campsiteIdIndex !== -1) cssRules.push(`.${className} th:nth-child(${campsiteIdIndex + 1}) { width: ${campsiteIdWidth}%; } /* Campsite ID */`);
     if (actionsIndex !== -1) cssRules.push(`.${className} th:nth-child(${actionsIndex + 1}) { width: ${actionsWidth}%; } /* Actions */`);
 
@@ -1563,9 +2395,11 @@ function processAndSortAvailability(allCampsitesData, config, rowFilterPredicate
             const campsite = allCampsitesData[cId];
             for (const dateStr in campsite.availabilities) {
                 const currentAvailability = campsite.availabilities[dateStr];
+                const price = campsite.nightlyRates?.[dateStr] ?? null;
 
-                // Check if the row passes the specific filter for the tab and the date range.
-                if (isDateInRange(dateStr, config.filters.filterStartDate, config.filters.filterEndDate) && rowFilterPredicate(campsite, currentAvailability)) {
+                // Check if the row passes the specific filter for the tab, the date range and the nightly budget.
+                if (isDateInRange(dateStr, config.filters.filterStartDate, config.filters.filterEndDate) && rowFilterPredicate(campsite, currentAvailability) &&
+                    isNightWithinBudget(price, config.budget.maxNightlyPrice)) {
                     const dateObj = new Date(dateStr);
                     rowsData.push({
                         site: campsite.site,
@@ -1573,7 +2407,10 @@ function processAndSortAvailability(allCampsitesData, config, rowFilterPredicate
                         originalDate: dateObj,
                         availability: currentAvailability,
                         quantity: campsite.quantities[dateStr],
-                        campsite_id: campsite.campsite_id
+                        campsiteId: campsite.campsiteId,
+                        campground: campsite.campgroundName, // Only set when several campgrounds are combined.
+                        equipmentFit: campsite.equipmentFit, // Only set when the user has described their equipment.
+                        price // Null when the campground has no rate for this site and date.
                     });
                 }
             }
@@ -1730,7 +2567,7 @@ async function displayAvailableSitesInNewTab(allCampsitesData, availabilityCount
     };
 
     // 3. Configure and call the generic renderer.
-    const pageTitle = `Available Campsites${includeNotReservable ? ' & Walk-Up (FCFS)' : ''} - ${campgroundMetadata?.facility_name || config.api.campgroundId}`;
+    const pageTitle = `Available Campsites${includeNotReservable ? ' & Walk-Up (FCFS)' : ''} - ${campgroundMetadata?.name || config.api.campgroundId}`;
     const sortDescription = config.sorting.primarySortKey === 'site' ? "Data sorted by Site, then by Date." : "Data sorted by Date, then by Site.";
 
     await renderTabularDataInNewTab({
@@ -1749,7 +2586,8 @@ async function displayAvailableSitesInNewTab(allCampsitesData, availabilityCount
         rowBuilder: rowBuilder,
         preTableRenderCallback: preTableRenderCallback,
         postRenderCallback: null,
-        isTableCollapsible: true
+        isTableCollapsible: true,
+        exportOptions: { kind: 'nights', campgroundId: config.api.campgroundId, campgroundName: campgroundMetadata?.name || config.api.campgroundId }
     });
 }
 
@@ -1787,14 +2625,14 @@ function getSiteIdsForDetailFetch(config, filteredRowsData, allCampsitesData, lo
 
     if (!fetchAvailableOnly && isFilteringBySiteNumber) {
         // Scenario: User provided specific sites AND wants details for ALL of them (not just available).
-        // We need to get the campsite_ids for ALL sites in siteNumbersToFilter.
+        // We need to get the campsite IDs for ALL sites in siteNumbersToFilter.
         logDebug(`Including all ${siteNumbersToFilter.length} sites from user's filter list for detail fetching.`);
 
-        // Create a map from normalized site name to campsite_id for efficient lookup
+        // Create a map from normalized site name to campsiteId for efficient lookup
         const siteNameToCampsiteIdMap = new Map();
         for (const campsiteId in allCampsitesData) {
             const campsite = allCampsitesData[campsiteId];
-            siteNameToCampsiteIdMap.set(normalizeSiteName(campsite.site), campsite.campsite_id);
+            siteNameToCampsiteIdMap.set(normalizeSiteName(campsite.site), campsite.campsiteId);
         }
 
         siteNumbersToFilter.forEach(siteNum => {
@@ -1812,11 +2650,11 @@ function getSiteIdsForDetailFetch(config, filteredRowsData, allCampsitesData, lo
         logDebug(`Including sites based on availability from filteredRowsData.`);
         filteredRowsData.forEach(row => {
             if (row.availability === AVAILABILITY_STATUS.AVAILABLE) {
-                idsForDetailFetch.add(row.campsite_id);
+                idsForDetailFetch.add(row.campsiteId);
             } else if (!fetchAvailableOnly &&
                        (row.availability === AVAILABILITY_STATUS.NOT_RESERVABLE ||
                         row.availability === AVAILABILITY_STATUS.OPEN)) {
-                idsForDetailFetch.add(row.campsite_id);
+                idsForDetailFetch.add(row.campsiteId);
             }
         });
     }
@@ -1830,7 +2668,7 @@ function getSiteIdsForDetailFetch(config, filteredRowsData, allCampsitesData, lo
     const siteNumberMap = new Map();
     for (const cId in allCampsitesData) {
         const campsite = allCampsitesData[cId];
-        siteNumberMap.set(campsite.campsite_id, parseInt(String(campsite.site).match(/\d+/)?.[0] || '0', 10));
+        siteNumberMap.set(campsite.campsiteId, parseInt(String(campsite.site).match(/\d+/)?.[0] || '0', 10));
     }
     finalIds.sort((idA, idB) => (siteNumberMap.get(idA) || 0) - (siteNumberMap.get(idB) || 0));
     logDebug(`Sorted idsForDetailFetch: [${finalIds.join(', ')}]`);
@@ -1846,8 +2684,9 @@ function getSiteIdsForDetailFetch(config, filteredRowsData, allCampsitesData, lo
  * @param {string} currentRidbFacilityId The RIDB Facility ID, needed for fetching campsite details.
  * @param {Date} requestDateTime The timestamp of the data request.
  * @param {Response} response The fetch response object.
+ * @param {string[]} [siteNotes=[]] Notes describing the site feature filters and equipment check, if either was used.
  */
-async function displayFilteredSitesInNewTab(allCampsitesData, availabilityCounts, config, currentRidbFacilityId, requestDateTime, response, campgroundMetadata) {
+async function displayFilteredSitesInNewTab(allCampsitesData, availabilityCounts, config, currentRidbFacilityId, requestDateTime, response, campgroundMetadata, siteNotes = []) {
     console.log('[displayFilteredSitesInNewTab] Using facility ID for details:', currentRidbFacilityId);
     const campsiteDetailsCache = new Map();
 
@@ -1892,9 +2731,9 @@ async function displayFilteredSitesInNewTab(allCampsitesData, availabilityCounts
             detailsCell.colSpan = tr.cells.length; // Span across all columns
 
             if (details) {
-                const availableDates = filteredRowsData.filter(row => row.campsite_id === campsiteId && row.availability === AVAILABILITY_STATUS.AVAILABLE).map(row => row.date);
-                const notReservableDates = filteredRowsData.filter(row => row.campsite_id === campsiteId && row.availability === AVAILABILITY_STATUS.NOT_RESERVABLE).map(row => row.date);
-                const openDates = filteredRowsData.filter(row => row.campsite_id === campsiteId && row.availability === AVAILABILITY_STATUS.OPEN).map(row => row.date);
+                const availableDates = filteredRowsData.filter(row => row.campsiteId === campsiteId && row.availability === AVAILABILITY_STATUS.AVAILABLE).map(row => row.date);
+                const notReservableDates = filteredRowsData.filter(row => row.campsiteId === campsiteId && row.availability === AVAILABILITY_STATUS.NOT_RESERVABLE).map(row => row.date);
+                const openDates = filteredRowsData.filter(row => row.campsiteId === campsiteId && row.availability === AVAILABILITY_STATUS.OPEN).map(row => row.date);
                 renderCampsiteDetailsInTab(details, availableDates, notReservableDates, openDates, detailsCell, tr.ownerDocument);
             } else {
                 detailsCell.textContent = `Could not load details for site ${siteName}.`;
@@ -1955,7 +2794,7 @@ async function displayFilteredSitesInNewTab(allCampsitesData, availabilityCounts
                 const detailsCell = tr.cells[actionsColumnIndex];
                 const detailsButton = doc.createElement('button');
                 detailsButton.textContent = 'Show Details';
-                detailsButton.dataset.campsiteId = rowData.campsite_id;
+                detailsButton.dataset.campsiteId = rowData.campsiteId;
                 detailsButton.dataset.siteName = rowData.site;
                 // The event listener is attached in the postRenderCallback
                 detailsCell.appendChild(detailsButton);
@@ -2033,10 +2872,10 @@ async function displayFilteredSitesInNewTab(allCampsitesData, availabilityCounts
             allDetailsResults.forEach(result => {
                 if (result.status === 'fulfilled' && result.value) {
                     const campsiteDetails = result.value;
-                    const availableDates = filteredRowsData.filter(row => row.campsite_id === campsiteDetails.CampsiteID && row.availability === AVAILABILITY_STATUS.AVAILABLE).map(row => row.date);
-                    const notReservableDates = filteredRowsData.filter(row => row.campsite_id === campsiteDetails.CampsiteID && row.availability === AVAILABILITY_STATUS.NOT_RESERVABLE).map(row => row.date);
-                    const openDates = filteredRowsData.filter(row => row.campsite_id === campsiteDetails.CampsiteID && row.availability === AVAILABILITY_STATUS.OPEN).map(row => row.date);
-                    const cutoffDates = filteredRowsData.filter(row => row.campsite_id === campsiteDetails.CampsiteID && row.availability === AVAILABILITY_STATUS.NOT_AVAILABLE_CUTOFF).map(row => row.date);
+                    const availableDates = filteredRowsData.filter(row => row.campsiteId === campsiteDetails.id && row.availability === AVAILABILITY_STATUS.AVAILABLE).map(row => row.date);
+                    const notReservableDates = filteredRowsData.filter(row => row.campsiteId === campsiteDetails.id && row.availability === AVAILABILITY_STATUS.NOT_RESERVABLE).map(row => row.date);
+                    const openDates = filteredRowsData.filter(row => row.campsiteId === campsiteDetails.id && row.availability === AVAILABILITY_STATUS.OPEN).map(row => row.date);
+                    const cutoffDates = filteredRowsData.filter(row => row.campsiteId === campsiteDetails.id && row.availability === AVAILABILITY_STATUS.NOT_AVAILABLE_CUTOFF).map(row => row.date);
 
                     // Calculate per-site summary for the button
                     const siteSummary = {
@@ -2052,8 +2891,8 @@ async function displayFilteredSitesInNewTab(allCampsitesData, availabilityCounts
                     // Create the summary button
                     const summaryButton = doc.createElement('button');
                     summaryButton.className = 'collapsible-summary';
-                    summaryButton.id = `site-detail-header-${campsiteDetails.CampsiteName}`; // Add unique ID for scrolling
-                    const baseButtonText = `Site: ${campsiteDetails.CampsiteName}`;                    
+                    summaryButton.id = `site-detail-header-${campsiteDetails.name}`; // Add unique ID for scrolling
+                    const baseButtonText = `Site: ${campsiteDetails.name}`;                    
                     summaryButton.innerHTML = `<strong>${baseButtonText}</strong>${compactSummaryText}`;
                     summaryButton.title = `${baseButtonText}\n${tooltipText}`;
                     containerDiv.appendChild(summaryButton);
@@ -2150,6 +2989,8 @@ async function displayFilteredSitesInNewTab(allCampsitesData, availabilityCounts
 
     // 4. Configure and call the generic renderer.
     const preTableRenderCallback = (doc, containerDiv) => {
+        siteNotes.forEach(note => addInfoElement(doc, containerDiv, 'p', note, 'form-note'));
+
         // --- Create Summaries for Available and Not Reservable Dates ---
 
         // 1. Separate the data sources
@@ -2241,7 +3082,7 @@ async function displayFilteredSitesInNewTab(allCampsitesData, availabilityCounts
         containerDiv.appendChild(filterDescriptionHeader);
     };
 
-    const cleanFacilityName = campgroundMetadata?.facility_name?.split('(')[0].trim() || config.api.campgroundId;
+    const cleanFacilityName = campgroundMetadata?.name?.split('(')[0].trim() || config.api.campgroundId;
 
     const pageTitle = isFilteringBySiteNumber
         ? `Filtered Campsite Availability - ${cleanFacilityName}`
@@ -2271,85 +3112,694 @@ async function displayFilteredSitesInNewTab(allCampsitesData, availabilityCounts
         noDataMessage: noDataMessage,
         rowBuilder: rowBuilder,
         postRenderCallback: postRenderCallback,
-        isTableCollapsible: isFilteringBySiteNumber
+        isTableCollapsible: isFilteringBySiteNumber,
+        exportOptions: { kind: 'nights', campgroundId: config.api.campgroundId, campgroundName: cleanFacilityName }
     });
 }
 
 /**
- * Determines a color based on a cell coverage score.
- * @param {number} score The score from 0 to 10.
- * @returns {string} A hex color code.
+ * Formats the configured arrival weekdays as a readable list (e.g. "Fri, Sat").
+ * @param {number[]} arrivalWeekdays The allowed arrival weekdays (0 = Sunday).
+ * @returns {string} The formatted list, or "Any day" if no weekdays are selected.
  */
-function getCellScoreColor(score) {
-    if (score >= 7.0) {
-        return '#28a745'; // Green
-    }
-    if (score >= 4.0) {
-        return '#ffc107'; // Orange/Yellow
-    }
-    return '#dc3545'; // Red
+function formatArrivalWeekdays(arrivalWeekdays) {
+    const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    if (!arrivalWeekdays || arrivalWeekdays.length === 0) return 'Any day';
+    return [...arrivalWeekdays].sort((a, b) => a - b).map(day => WEEKDAY_NAMES[day]).join(', ');
 }
 
 /**
- * Renders the primary preview image from the search data.
- * @param {HTMLElement} parentElement The parent element to append the image to.
- * @param {object} searchResult The result object from the rec.gov search API.
+ * Creates a table row (<tr>) for a single stay found by the Stay Finder.
+ * @param {Document} doc The document object.
+ * @param {import('./services/stayFinder.js').StayResult} stay The stay to render.
+ * @param {string[]} headers The ordered array of headers for the table.
+ * @returns {HTMLTableRowElement} The constructed <tr> element.
  */
-function renderPrimaryImage(parentElement, searchResult) {
-    if (!searchResult || !searchResult.preview_image_url) {
-        return;
-    }
+function createStayRow(doc, stay, headers) {
+    const tr = doc.createElement('tr');
+    const weekdayFormatter = { weekday: 'short', timeZone: 'UTC' };
 
-    const doc = parentElement.ownerDocument;
-    const imageContainer = doc.createElement('div');
-    imageContainer.className = 'primary-image-section';
-    imageContainer.style.marginTop = '20px';
+    headers.forEach(header => {
+        const cell = tr.insertCell();
+        switch (header) {
+            case 'Site':
+                cell.textContent = stay.site;
+                break;
+            case 'Arrival':
+                cell.textContent = `${stay.arrivalDate.toLocaleDateString(undefined, weekdayFormatter)} ${formatDateForTableDisplay(stay.arrivalDate)}`;
+                break;
+            case 'Departure':
+                cell.textContent = `${stay.departureDate.toLocaleDateString(undefined, weekdayFormatter)} ${formatDateForTableDisplay(stay.departureDate)}`;
+                break;
+            case 'Nights':
+                cell.textContent = stay.nights;
+                cell.className = getAvailabilityClass(AVAILABILITY_STATUS.AVAILABLE);
+                break;
+            case 'Total Cost':
+                if (!stay.cost) {
+                    cell.textContent = '—';
+                } else {
+                    // A trailing '+' means some nights have no known price, so the total is a lower bound.
+                    cell.textContent = `${formatPrice(stay.cost.total)}${stay.cost.isComplete ? '' : '+'}`;
+                    cell.title = `${stay.cost.pricedNights} of ${stay.nights} night(s) priced`;
+                }
+                break;
+            case 'Campsite ID':
+                cell.textContent = stay.campsiteId;
+                break;
+        }
+    });
 
-    addInfoElement(doc, imageContainer, 'h3', 'Primary Image');
+    return tr;
+}
 
-    const img = doc.createElement('img');
-    img.src = searchResult.preview_image_url;
-    img.alt = searchResult.name || 'Primary campground image';
-    img.title = `View full size: ${searchResult.name || 'Primary Image'}`;
-    img.style.maxWidth = '600px';
-    img.style.width = '100%';
-    img.style.height = 'auto';
-    img.style.border = '1px solid #ddd';
-    img.style.borderRadius = '4px';
-    img.style.cursor = 'pointer';
-    img.addEventListener('click', () => showLightbox(searchResult.preview_image_url, doc));
+/**
+ * Renders a tab listing every site/arrival-date combination where a site is 'Available'
+ * for the requested number of consecutive nights.
+ * The requested stay length is narrowed by the campground's own consecutive-stay rules.
+ * @param {object} allCampsitesData The complete campsites data object.
+ * @param {object} config The main configuration object.
+ * @param {object|null} campgroundMetadata The metadata for the campground, used for stay rules.
+ * @param {Date} requestDateTime The timestamp of the data request.
+ * @param {Response} response The fetch response object.
+ * @param {string} [tabLabel='Stay Finder'] The tab title, before the result count. Must be unique among open tabs.
+ */
+async function displayStaysInNewTab(allCampsitesData, config, campgroundMetadata, requestDateTime, response, tabLabel = 'Stay Finder') {
+    const { staySearch } = config;
+    const stayRules = getStayLengthRules(campgroundMetadata);
+    const { minNights, maxNights } = getEffectiveStayLength(staySearch, stayRules);
+
+    const siteNumbersToFilter = config.siteFilters.siteNumbersToFilter.map(normalizeSiteName);
+    const siteFilter = (campsite) => siteNumbersToFilter.length === 0 || siteNumbersToFilter.includes(normalizeSiteName(campsite.site));
+
+    const stays = findConsecutiveStays(allCampsitesData, {
+        minNights,
+        maxNights,
+        arrivalWeekdays: staySearch.arrivalWeekdays,
+        startDate: config.filters.filterStartDate,
+        endDate: config.filters.filterEndDate,
+        statuses: [AVAILABILITY_STATUS.AVAILABLE],
+        siteFilter
+    });
 
-    imageContainer.appendChild(img);
-    parentElement.appendChild(imageContainer);
+    // Price each stay from its site's nightly rates, then drop stays over the budget.
+    const nightlyRatesBySiteId = new Map(Object.values(allCampsitesData || {}).map(campsite => [campsite.campsiteId, campsite.nightlyRates]));
+    const { maxNightlyPrice, maxStayTotal } = config.budget;
+    const foundStayCount = stays.length;
+    const staysWithinBudget = stays.filter(stay => {
+        const nightlyRates = nightlyRatesBySiteId.get(stay.campsiteId);
+        stay.cost = estimateStayCost(nightlyRates, stay.nightDates);
+        return stay.nightDates.every(dateStr => isNightWithinBudget(nightlyRates?.[dateStr], maxNightlyPrice)) &&
+            !(maxStayTotal > 0 && stay.cost && stay.cost.total > maxStayTotal);
+    });
+
+    // The shared sorter compares `originalDate`, so sort stays by their arrival date.
+    staysWithinBudget.forEach(stay => { stay.originalDate = stay.arrivalDate; });
+    staysWithinBudget.sort(createSiteSorter(config.sorting.primarySortKey));
+    debugInfo.processing.staySearch = { minNights, maxNights, stayRules, staysFound: foundStayCount, staysWithinBudget: staysWithinBudget.length };
+
+    const headers = (config.sorting.primarySortKey === 'site')
+        ? ['Site', 'Arrival', 'Departure', 'Nights']
+        : ['Arrival', 'Site', 'Departure', 'Nights'];
+    if (config.display.showPriceColumn) headers.push('Total Cost');
+    if (config.display.showCampsiteIdColumn) headers.push('Campsite ID');
+
+    const preTableRenderCallback = (doc, containerDiv) => {
+        const summaryDiv = doc.createElement('div');
+        summaryDiv.className = 'availability-summary-main';
+        addInfoElement(doc, summaryDiv, 'h3', 'Stay Search');
+
+        const lengthP = addInfoElement(doc, summaryDiv, 'p', '');
+        if (lengthP) lengthP.innerHTML = `<strong>Stay length:</strong> ${minNights}${maxNights !== minNights ? `&ndash;${maxNights}` : ''} night(s)`;
+
+        const rulesText = [
+            stayRules.minNights ? `minimum ${stayRules.minNights} night(s)` : null,
+            stayRules.maxNights ? `maximum ${stayRules.maxNights} night(s)` : null
+        ].filter(Boolean).join(', ');
+        const rulesP = addInfoElement(doc, summaryDiv, 'p', '');
+        if (rulesP) rulesP.innerHTML = `<strong>Campground rules:</strong> ${rulesText || 'None found'}`;
+
+        const weekdaysP = addInfoElement(doc, summaryDiv, 'p', '');
+        if (weekdaysP) weekdaysP.innerHTML = `<strong>Arrival days:</strong> ${formatArrivalWeekdays(staySearch.arrivalWeekdays)}`;
+
+        if (maxNightlyPrice > 0 || maxStayTotal > 0) {
+            const budgetText = [
+                maxNightlyPrice > 0 ? `${formatPrice(maxNightlyPrice)} per night` : null,
+                maxStayTotal > 0 ? `${formatPrice(maxStayTotal)} per stay` : null
+            ].filter(Boolean).join(', ');
+            const budgetP = addInfoElement(doc, summaryDiv, 'p', '');
+            if (budgetP) budgetP.innerHTML = `<strong>Budget:</strong> ${budgetText} (${foundStayCount - staysWithinBudget.length} of ${foundStayCount} stays over budget)`;
+        }
+
+        if (minNights > maxNights) {
+            addInfoElement(doc, summaryDiv, 'p', `The requested stay length cannot be satisfied by this campground's rules.`, 'form-note');
+        }
+        containerDiv.appendChild(summaryDiv);
+    };
+
+    const cleanFacilityName = campgroundMetadata?.name?.split('(')[0].trim() || config.api.campgroundId;
+    const sortDescription = config.sorting.primarySortKey === 'site' ? "Data sorted by Site, then by Arrival." : "Data sorted by Arrival, then by Site.";
+
+    await renderTabularDataInNewTab({
+        tabTitle: `${tabLabel} (${staysWithinBudget.length})`,
+        pageTitle: `Consecutive-Night Stays - ${cleanFacilityName}`,
+        dataRows: staysWithinBudget,
+        headers: headers,
+        config: config,
+        allCampsitesData: allCampsitesData,
+        requestDateTime: requestDateTime,
+        response: response,
+        sortDescription: sortDescription,
+        noDataMessage: "No sites are available for the requested number of consecutive nights in the selected period.",
+        rowBuilder: (doc, stay) => createStayRow(doc, stay, headers),
+        preTableRenderCallback: preTableRenderCallback,
+        isTableCollapsible: false,
+        exportOptions: { kind: 'stays', campgroundId: config.api.campgroundId, campgroundName: cleanFacilityName }
+    });
 }
 
 /**
- * Safely stringifies a JavaScript object, handling circular references.
- * @param {object} obj The object to stringify.
- * @returns {string} A JSON string representation of the object.
+ * Formats the time left until a moment as a short countdown (e.g., '3d 4h 12m', or '12m 5s' in the last hour).
+ * @param {number} msRemaining Milliseconds until the moment. Zero or less means it has passed.
+ * @returns {string} The countdown text.
  */
-function safeJsonStringify(obj) {
-    const cache = new Set();
-    return JSON.stringify(obj, (key, value) => {
-        if (typeof value === 'object' && value !== null) {
-            if (cache.has(value)) {
-                // Circular reference found, replace with a placeholder.
-                return '[Circular Reference]';
-            }
-            // Store value in our collection
-            cache.add(value);
-        }
-        return value;
-    }, 2); // 2 spaces for pretty printing
+function formatCountdown(msRemaining) {
+    if (msRemaining <= 0) return 'Released';
+    const totalSeconds = Math.floor(msRemaining / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${seconds}s`;
 }
 
 /**
- * Creates a download link for a given JSON object.
- * This allows the user to save the data to a local file.
- * @param {Document} doc The document to create the link in.
- * @param {object} jsonData The JavaScript object to be saved as a file.
- * @param {string} filename The desired name for the downloaded file.
- * @returns {HTMLAnchorElement} The created anchor element, ready to be appended to the DOM.
+ * Creates a table row for the "Release Times" tab.
+ * @param {Document} doc The document object.
+ * @param {object} release A release from `findNightReleases`, plus `originalDate`.
+ * @param {string[]} headers The table headers, used to determine column order.
+ * @param {string} timeZone The campground's release time zone.
+ * @returns {HTMLTableRowElement} The new table row.
+ */
+function createReleaseRow(doc, release, headers, timeZone) {
+    const tr = doc.createElement('tr');
+    const releaseFormat = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+
+    headers.forEach(header => {
+        const cell = tr.insertCell();
+        switch (header) {
+            case 'Night':
+                cell.textContent = `${release.originalDate.toLocaleDateString(undefined, { weekday: 'short', timeZone: 'UTC' })} ${formatDateForTableDisplay(release.originalDate)}`;
+                break;
+            case 'Opens (Campground Time)':
+                cell.textContent = release.releaseAt.toLocaleString(undefined, { ...releaseFormat, timeZone });
+                break;
+            case 'Opens (Your Time)':
+                cell.textContent = release.releaseAt.toLocaleString(undefined, releaseFormat);
+                break;
+            case 'Countdown':
+                cell.className = 'release-countdown';
+                cell.dataset.releaseAt = release.releaseAt.getTime();
+                cell.textContent = formatCountdown(release.releaseAt.getTime() - Date.now());
+                break;
+            case 'Sites':
+                cell.textContent = release.sites.length;
+                cell.title = [...release.sites].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true })).join(', ');
+                cell.className = getAvailabilityClass(AVAILABILITY_STATUS.NYR);
+                break;
+        }
+    });
+
+    return tr;
+}
+
+/**
+ * Renders a "Release Times" tab listing every 'NYR' (Not Yet Released) night in the requested range with the
+ * exact time it becomes reservable and a live countdown. The release times can be downloaded as an .ics file.
+ * Nothing is rendered if the booking window cannot be worked out or no night in the range is 'NYR'.
+ * @param {object} allCampsitesData The complete campsites data object.
+ * @param {object} config The main configuration object.
+ * @param {object|null} campgroundMetadata The metadata for the campground, used for the booking window.
+ * @param {Date} requestDateTime The timestamp of the data request.
+ * @param {Response} response The fetch response object.
+ * @param {string} [tabLabel='Release Times'] The tab title, before the night count. Must be unique among open tabs.
+ */
+async function displayReleaseTimesInNewTab(allCampsitesData, config, campgroundMetadata, requestDateTime, response, tabLabel = 'Release Times') {
+    const bookingWindow = parseBookingWindow(campgroundMetadata);
+    if (!bookingWindow) {
+        console.log('[displayReleaseTimesInNewTab] Booking window could not be determined; skipping tab.');
+        return;
+    }
+
+    const siteNumbersToFilter = config.siteFilters.siteNumbersToFilter.map(normalizeSiteName);
+    const releases = findNightReleases(allCampsitesData, bookingWindow, {
+        startDate: config.filters.filterStartDate,
+        endDate: config.filters.filterEndDate,
+        siteFilter: (campsite) => siteNumbersToFilter.length === 0 || siteNumbersToFilter.includes(normalizeSiteName(campsite.site))
+    });
+    debugInfo.processing.releaseTimes = { bookingWindow, nights: releases.length };
+    if (releases.length === 0) return;
+    releases.forEach(release => { release.originalDate = new Date(`${release.date}T00:00:00Z`); });
+
+    const headers = ['Night', 'Opens (Campground Time)', 'Opens (Your Time)', 'Countdown', 'Sites'];
+    const cleanFacilityName = campgroundMetadata?.name?.split('(')[0].trim() || config.api.campgroundId;
+
+    const preTableRenderCallback = (doc, containerDiv) => {
+        const summaryDiv = doc.createElement('div');
+        summaryDiv.className = 'availability-summary-main';
+        addInfoElement(doc, summaryDiv, 'h3', 'Booking Window');
+        const message = campgroundMetadata?.bookingWindowMessage;
+        if (message) addInfoElement(doc, summaryDiv, 'p', message);
+        addInfoElement(doc, summaryDiv, 'p', describeBookingWindow(bookingWindow), 'form-note');
+        addInfoElement(doc, summaryDiv, 'p', 'Release times are calculated from the rules above. Check Recreation.gov for exceptions such as lotteries or early-access periods.', 'form-note');
+        containerDiv.appendChild(summaryDiv);
+
+        const menu = doc.createElement('div');
+        menu.className = 'export-menu';
+        addInfoElement(doc, menu, 'span', 'Export:', 'export-menu-label');
+        const icsButton = doc.createElement('button');
+        icsButton.type = 'button';
+        icsButton.textContent = 'Release Times (.ics)';
+        icsButton.title = 'One event per release time, with a reminder 15 minutes before.';
+        icsButton.addEventListener('click', () => {
+            const context = { campgroundId: config.api.campgroundId, campgroundName: cleanFacilityName, config, requestDateTime };
+            downloadTextFile(buildReleaseIcs(releases, context), `release_times_${config.api.campgroundId}_${config.filters.filterStartDate}_to_${config.filters.filterEndDate}.ics`, 'text/calendar');
+        });
+        menu.appendChild(icsButton);
+        containerDiv.appendChild(menu);
+    };
+
+    // Tick the countdowns every second until the tab is replaced by a new search.
+    const postRenderCallback = async (doc, containerDiv) => {
+        const intervalId = setInterval(() => {
+            if (!containerDiv.isConnected) {
+                clearInterval(intervalId);
+                return;
+            }
+            containerDiv.querySelectorAll('.release-countdown').forEach(cell => {
+                cell.textContent = formatCountdown(Number(cell.dataset.releaseAt) - Date.now());
+            });
+        }, 1000);
+    };
+
+    await renderTabularDataInNewTab({
+        tabTitle: `${tabLabel} (${releases.length})`,
+        pageTitle: `Release Times - ${cleanFacilityName}`,
+        dataRows: releases,
+        headers: headers,
+        config: config,
+        allCampsitesData: allCampsitesData,
+        requestDateTime: requestDateTime,
+        response: response,
+        sortDescription: 'Nights sorted by release time. Hover over a site count to see the site names.',
+        noDataMessage: 'No nights in the selected range are waiting to be released.',
+        rowBuilder: (doc, release) => createReleaseRow(doc, release, headers, bookingWindow.timeZone),
+        preTableRenderCallback: preTableRenderCallback,
+        postRenderCallback: postRenderCallback,
+        isTableCollapsible: false
+    });
+}
+
+/**
+ * Creates a table row for the "Changes" tab.
+ * @param {Document} doc The document object.
+ * @param {object} row A change or open night, with `site`, `originalDate` and either `kind`/`from`/`to` or `since`.
+ * @param {string[]} headers The table headers, used to determine column order.
+ * @returns {HTMLTableRowElement} The new table row.
+ */
+function createChangeRow(doc, row, headers) {
+    const tr = doc.createElement('tr');
+
+    headers.forEach(header => {
+        const cell = tr.insertCell();
+        switch (header) {
+            case 'Site':
+                cell.textContent = row.site;
+                break;
+            case 'Date':
+                cell.textContent = `${row.originalDate.toLocaleDateString(undefined, { weekday: 'short', timeZone: 'UTC' })} ${formatDateForTableDisplay(row.originalDate)}`;
+                break;
+            case 'Change':
+                cell.textContent = row.kind;
+                cell.className = getAvailabilityClass(row.to);
+                break;
+            case 'Was':
+                cell.textContent = row.from;
+                break;
+            case 'Now':
+                cell.textContent = row.to;
+                cell.className = getAvailabilityClass(row.to);
+                break;
+            case 'Open Since':
+                cell.textContent = `${row.isOldestRun ? 'At least since ' : ''}${new Date(row.since).toLocaleString()}`;
+                cell.className = getAvailabilityClass(AVAILABILITY_STATUS.AVAILABLE);
+                break;
+            case 'Campsite ID':
+                cell.textContent = row.campsiteId;
+                break;
+        }
+    });
+
+    return tr;
+}
+
+/**
+ * Renders a "Changes" tab that compares this search with the previous saved search of the same campground:
+ * nights that became available (usually cancellations), were released from 'Not Yet Released', or were reserved.
+ * Below the changes, nights that were already open are listed with how long they have been open.
+ * @param {import('./services/availabilityDiff.js').AvailabilitySnapshot} currentSnapshot This search's availability.
+ * @param {import('./services/availabilityHistory.js').AvailabilityRun[]} previousRuns Earlier searches, newest first, from `recordAvailabilityRun`.
+ * @param {object} config The main configuration object.
+ * @param {Date} requestDateTime The timestamp of the data request.
+ * @param {Response} response The fetch response object.
+ * @param {object} allCampsitesData The complete campsites data object, used for loop names.
+ * @param {string} [tabLabel='Changes'] The tab title, before the change count. Must be unique among open tabs.
+ */
+async function displayChangesInNewTab(currentSnapshot, previousRuns, config, requestDateTime, response, allCampsitesData, tabLabel = 'Changes') {
+    const { filterStartDate, filterEndDate } = config.filters;
+    const siteNumbersToFilter = config.siteFilters.siteNumbersToFilter.map(normalizeSiteName);
+    const dateFilter = (date) => isDateInRange(date, filterStartDate, filterEndDate);
+    const siteFilter = (site) => siteNumbersToFilter.length === 0 || siteNumbersToFilter.includes(normalizeSiteName(site));
+    const siteSorter = createSiteSorter(config.sorting.primarySortKey);
+    const previousRun = previousRuns[0] || null;
+
+    const changes = previousRun
+        ? diffAvailabilitySnapshots(previousRun.snapshot, currentSnapshot, { dateFilter, siteFilter }).map(change => ({
+            ...change,
+            kind: classifyAvailabilityChange(change),
+            originalDate: new Date(change.date)
+        }))
+        : [];
+    changes.sort(siteSorter);
+
+    // Nights that were already open at the previous check, with the earliest saved check they were open at.
+    const openNights = [];
+    if (previousRun) {
+        for (const campsiteId in currentSnapshot) {
+            const { site, availabilities } = currentSnapshot[campsiteId];
+            if (!siteFilter(site)) continue;
+            for (const date in availabilities) {
+                if (availabilities[date] !== AVAILABILITY_STATUS.AVAILABLE || !dateFilter(date)) continue;
+                const { since, isOldestRun } = findStatusSince(previousRuns, campsiteId, date, AVAILABILITY_STATUS.AVAILABLE);
+                if (since) openNights.push({ campsiteId: campsiteId, site, originalDate: new Date(date), since, isOldestRun });
+            }
+        }
+        openNights.sort(siteSorter);
+    }
+    debugInfo.processing.changes = { previousCheck: previousRun?.checkedAt || null, savedRuns: previousRuns.length, changes: changes.length, openNights: openNights.length };
+
+    const headers = config.sorting.primarySortKey === 'site' ? ['Site', 'Date', 'Change', 'Was', 'Now'] : ['Date', 'Site', 'Change', 'Was', 'Now'];
+    if (config.display.showCampsiteIdColumn) headers.push('Campsite ID');
+
+    const preTableRenderCallback = (doc, containerDiv) => {
+        const summaryDiv = doc.createElement('div');
+        summaryDiv.className = 'availability-summary-main';
+        addInfoElement(doc, summaryDiv, 'h3', 'Changes Since Last Check');
+
+        if (!previousRun) {
+            addInfoElement(doc, summaryDiv, 'p', 'This is the first saved check of this campground in this browser. Run the search again later to see which nights changed.', 'form-note');
+            containerDiv.appendChild(summaryDiv);
+            return;
+        }
+
+        addInfoElement(doc, summaryDiv, 'p', '').innerHTML = `<strong>Previous check:</strong> ${new Date(previousRun.checkedAt).toLocaleString()}`;
+        addInfoElement(doc, summaryDiv, 'p', '').innerHTML = `<strong>This check:</strong> ${requestDateTime.toLocaleString()}`;
+        const ul = doc.createElement('ul');
+        Object.values(CHANGE_KIND).forEach(kind => {
+            const count = changes.filter(change => change.kind === kind).length;
+            if (count > 0 || kind !== CHANGE_KIND.OTHER) addInfoElement(doc, ul, 'li', `${kind}: ${count}`);
+        });
+        summaryDiv.appendChild(ul);
+        addInfoElement(doc, summaryDiv, 'p', `${previousRuns.length} earlier check(s) of this campground are saved in this browser.`, 'form-note');
+        containerDiv.appendChild(summaryDiv);
+    };
+
+    const postRenderCallback = async (doc, containerDiv) => {
+        if (openNights.length === 0) return;
+        addInfoElement(doc, containerDiv, 'h2', `Nights Already Open (${openNights.length})`);
+        addInfoElement(doc, containerDiv, 'p', 'These nights were also available at the previous check. "Open Since" is the earliest saved check they have been available at without a break.', 'form-note');
+        const openHeaders = config.sorting.primarySortKey === 'site' ? ['Site', 'Date', 'Open Since'] : ['Date', 'Site', 'Open Since'];
+        const { tbody } = createTableStructure(doc, openHeaders, containerDiv);
+        openNights.forEach(night => tbody.appendChild(createChangeRow(doc, night, openHeaders)));
+    };
+
+    await renderTabularDataInNewTab({
+        tabTitle: `${tabLabel} (${changes.length})`,
+        pageTitle: 'Availability Changes',
+        dataRows: changes,
+        headers: headers,
+        config: config,
+        allCampsitesData: allCampsitesData,
+        requestDateTime: requestDateTime,
+        response: response,
+        sortDescription: config.sorting.primarySortKey === 'site' ? "Data sorted by Site, then by Date." : "Data sorted by Date, then by Site.",
+        noDataMessage: previousRun ? 'No nights in the selected range changed since the previous check.' : 'No earlier check to compare with yet.',
+        rowBuilder: (doc, change) => createChangeRow(doc, change, headers),
+        preTableRenderCallback: preTableRenderCallback,
+        postRenderCallback: postRenderCallback,
+        isTableCollapsible: false
+    });
+}
+
+/**
+ * Renders a heat-map calendar tab: one row per site, one column per night, each cell coloured by status.
+ * Weekend nights (Friday and Saturday) and US holidays are highlighted in the header. Clicking a cell loads
+ * that site's details below the grid.
+ * @param {object} allCampsitesData The complete campsites data object.
+ * @param {object} config The main configuration object.
+ * @param {string|null} ridbFacilityId The RIDB Facility ID, needed for fetching campsite details.
+ * @param {string} [tabLabel='Calendar'] The tab title. Must be unique among open tabs.
+ */
+function displayCalendarInNewTab(allCampsitesData, config, ridbFacilityId, tabLabel = 'Calendar') {
+    const panel = createInPageTab(tabLabel);
+    if (!panel) return;
+
+    const { filterStartDate, filterEndDate } = config.filters;
+    addInfoElement(document, panel, 'h1', 'Availability Calendar');
+    addInfoElement(document, panel, 'p', '').innerHTML = getDateRangeDisplayText(filterStartDate, filterEndDate, config.filters.startDate);
+
+    // --- Columns: every night in the filter range ---
+    const nights = [];
+    for (let date = new Date(filterStartDate + 'T00:00:00Z'); date <= new Date(filterEndDate + 'T00:00:00Z'); date.setUTCDate(date.getUTCDate() + 1)) {
+        nights.push(new Date(date));
+    }
+    const holidays = getUsHolidaysInRange(filterStartDate, filterEndDate);
+
+    // --- Rows: every site that passes the site filter, in the same order as the tables ---
+    const normalizedSiteFilter = config.siteFilters.siteNumbersToFilter.map(normalizeSiteName);
+    const siteSorter = createSiteSorter('site');
+    const sites = Object.values(allCampsitesData || {})
+        .filter(campsite => normalizedSiteFilter.length === 0 || normalizedSiteFilter.includes(normalizeSiteName(campsite.site)))
+        .sort((a, b) => siteSorter({ site: a.site, originalDate: nights[0] }, { site: b.site, originalDate: nights[0] }));
+
+    if (sites.length === 0 || nights.length === 0) {
+        addInfoElement(document, panel, 'p', 'No sites to show for the selected dates and site filter.', 'info-message');
+        return;
+    }
+
+    // --- Legend ---
+    const legend = document.createElement('div');
+    legend.className = 'calendar-legend';
+    SUMMARY_DISPLAY_ORDER.forEach(status => {
+        const item = document.createElement('span');
+        item.className = `calendar-legend-item ${getAvailabilityClass(status)}`;
+        item.textContent = status;
+        legend.appendChild(item);
+    });
+    const weekendItem = document.createElement('span');
+    weekendItem.className = 'calendar-legend-item calendar-weekend';
+    weekendItem.textContent = 'Fri/Sat night';
+    legend.appendChild(weekendItem);
+    const holidayItem = document.createElement('span');
+    holidayItem.className = 'calendar-legend-item calendar-holiday';
+    holidayItem.textContent = 'Holiday';
+    legend.appendChild(holidayItem);
+    panel.appendChild(legend);
+    addInfoElement(document, panel, 'p', 'Click any cell to show details for that site.', 'form-note');
+
+    // --- Grid ---
+    const wrapper = document.createElement('div');
+    wrapper.className = 'calendar-grid-wrapper';
+    const table = document.createElement('table');
+    table.className = 'calendar-grid';
+    const thead = table.createTHead();
+    const monthRow = thead.insertRow();
+    const dayRow = thead.insertRow();
+
+    const corner = document.createElement('th');
+    corner.textContent = 'Site';
+    corner.rowSpan = 2;
+    corner.className = 'calendar-site-cell';
+    monthRow.appendChild(corner);
+
+    const getNightClasses = (night) => {
+        const dateKey = night.toISOString().slice(0, 10);
+        const classes = [];
+        if (night.getUTCDay() === 5 || night.getUTCDay() === 6) classes.push('calendar-weekend');
+        if (holidays.has(dateKey)) classes.push('calendar-holiday');
+        return classes;
+    };
+
+    let currentMonthCell = null;
+    nights.forEach((night, index) => {
+        if (index === 0 || night.getUTCDate() === 1) {
+            currentMonthCell = document.createElement('th');
+            currentMonthCell.className = 'calendar-month-cell';
+            currentMonthCell.textContent = night.toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+            monthRow.appendChild(currentMonthCell);
+        } else {
+            currentMonthCell.colSpan++;
+        }
+
+        const dateKey = night.toISOString().slice(0, 10);
+        const dayCell = document.createElement('th');
+        dayCell.className = ['calendar-day-cell', ...getNightClasses(night)].join(' ');
+        dayCell.innerHTML = `<span class="calendar-weekday">${night.toLocaleDateString(undefined, { weekday: 'narrow', timeZone: 'UTC' })}</span>${night.getUTCDate()}`;
+        dayCell.title = holidays.has(dateKey) ? `${formatDateForTableDisplay(night)}: ${holidays.get(dateKey)}` : formatDateForTableDisplay(night);
+        dayRow.appendChild(dayCell);
+    });
+
+    const tbody = table.createTBody();
+    sites.forEach(campsite => {
+        const tr = tbody.insertRow();
+        const siteCell = document.createElement('th');
+        siteCell.className = 'calendar-site-cell';
+        siteCell.textContent = campsite.site;
+        tr.appendChild(siteCell);
+
+        nights.forEach(night => {
+            const apiDateKey = `${night.toISOString().slice(0, 10)}T00:00:00Z`;
+            const status = campsite.availabilities[apiDateKey];
+            const td = tr.insertCell();
+            td.className = ['calendar-cell', status ? getAvailabilityClass(status) : 'calendar-no-data', ...getNightClasses(night)].join(' ');
+            td.title = `Site ${campsite.site}, ${formatDateForTableDisplay(night)}: ${status || 'No data'}`;
+            td.dataset.campsiteId = campsite.campsiteId;
+        });
+    });
+
+    wrapper.appendChild(table);
+    panel.appendChild(wrapper);
+
+    // --- Site details, loaded on demand when a cell is clicked ---
+    const detailsContainer = document.createElement('div');
+    detailsContainer.className = 'calendar-site-details';
+    panel.appendChild(detailsContainer);
+    const campsiteDetailsCache = new Map();
+
+    table.addEventListener('click', async (event) => {
+        const cell = event.target.closest('td.calendar-cell');
+        if (!cell) return;
+        const campsite = allCampsitesData[cell.dataset.campsiteId];
+        if (!campsite) return;
+
+        tbody.querySelectorAll('tr.calendar-row-selected').forEach(row => row.classList.remove('calendar-row-selected'));
+        cell.parentElement.classList.add('calendar-row-selected');
+
+        detailsContainer.innerHTML = '';
+        addInfoElement(document, detailsContainer, 'h2', `Site ${campsite.site}`);
+        if (!ridbFacilityId) {
+            addInfoElement(document, detailsContainer, 'p', 'Site details are not available for this campground.', 'info-message');
+            return;
+        }
+
+        const loadingP = addInfoElement(document, detailsContainer, 'p', 'Loading site details...');
+        let details = campsiteDetailsCache.get(campsite.campsiteId);
+        if (!details) {
+            details = await fetchCampsiteDetailsFromService(ridbFacilityId, campsite.campsiteId, debugInfo);
+            if (details) campsiteDetailsCache.set(campsite.campsiteId, details);
+        }
+        // Ignore the result if another cell was clicked while this one was loading.
+        if (!detailsContainer.contains(loadingP)) return;
+        loadingP.remove();
+
+        if (!details) {
+            addInfoElement(document, detailsContainer, 'p', `Could not load details for site ${campsite.site}.`, 'info-message');
+            return;
+        }
+        const siteRows = processAndSortAvailability({ [campsite.campsiteId]: campsite }, config, () => true, 'date');
+        const datesWithStatus = (status) => siteRows.filter(row => row.availability === status).map(row => row.date);
+        renderCampsiteDetailsInTab(details, datesWithStatus(AVAILABILITY_STATUS.AVAILABLE), datesWithStatus(AVAILABILITY_STATUS.NOT_RESERVABLE), datesWithStatus(AVAILABILITY_STATUS.OPEN), detailsContainer, document);
+        detailsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+}
+
+/**
+ * Determines a color based on a cell coverage score.
+ * @param {number} score The score from 0 to 10.
+ * @returns {string} A hex color code.
+ */
+function getCellScoreColor(score) {
+    if (score >= 7.0) {
+        return '#28a745'; // Green
+    }
+    if (score >= 4.0) {
+        return '#ffc107'; // Orange/Yellow
+    }
+    return '#dc3545'; // Red
+}
+
+/**
+ * Renders the primary preview image from the search data.
+ * @param {HTMLElement} parentElement The parent element to append the image to.
+ * @param {object} searchResult The campground summary from the rec.gov search API.
+ */
+function renderPrimaryImage(parentElement, searchResult) {
+    if (!searchResult || !searchResult.previewImageUrl) {
+        return;
+    }
+
+    const doc = parentElement.ownerDocument;
+    const imageContainer = doc.createElement('div');
+    imageContainer.className = 'primary-image-section';
+    imageContainer.style.marginTop = '20px';
+
+    addInfoElement(doc, imageContainer, 'h3', 'Primary Image');
+
+    const img = doc.createElement('img');
+    img.src = searchResult.previewImageUrl;
+    img.alt = searchResult.name || 'Primary campground image';
+    img.title = `View full size: ${searchResult.name || 'Primary Image'}`;
+    img.style.maxWidth = '600px';
+    img.style.width = '100%';
+    img.style.height = 'auto';
+    img.style.border = '1px solid #ddd';
+    img.style.borderRadius = '4px';
+    img.style.cursor = 'pointer';
+    img.addEventListener('click', () => showLightbox(searchResult.previewImageUrl, doc));
+
+    imageContainer.appendChild(img);
+    parentElement.appendChild(imageContainer);
+}
+
+/**
+ * Safely stringifies a JavaScript object, handling circular references.
+ * @param {object} obj The object to stringify.
+ * @returns {string} A JSON string representation of the object.
+ */
+function safeJsonStringify(obj) {
+    const cache = new Set();
+    return JSON.stringify(obj, (key, value) => {
+        if (typeof value === 'object' && value !== null) {
+            if (cache.has(value)) {
+                // Circular reference found, replace with a placeholder.
+                return '[Circular Reference]';
+            }
+            // Store value in our collection
+            cache.add(value);
+        }
+        return value;
+    }, 2); // 2 spaces for pretty printing
+}
+
+/**
+ * Creates a download link for a given JSON object.
+ * This allows the user to save the data to a local file.
+ * @param {Document} doc The document to create the link in.
+ * @param {object} jsonData The JavaScript object to be saved as a file.
+ * @param {string} filename The desired name for the downloaded file.
+ * @returns {HTMLAnchorElement} The created anchor element, ready to be appended to the DOM.
  */
 function createDownloadLink(doc, jsonData, filename) {
     const jsonString = safeJsonStringify(jsonData);
@@ -2371,6 +3821,90 @@ function createDownloadLink(doc, jsonData, filename) {
 
     return link;
 }
+
+/**
+ * Triggers a browser download of generated text content.
+ * @param {string} content The file content.
+ * @param {string} filename The suggested file name.
+ * @param {string} mimeType The MIME type (e.g., 'text/csv').
+ */
+function downloadTextFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * @typedef {object} ExportMenuOptions
+ * @property {'nights'|'stays'} kind Whether the table rows are site-nights or found stays.
+ * @property {string} campgroundId The campground ID (or IDs joined with '-'), used in file names.
+ * @property {string} campgroundName A display name for the campground(s).
+ */
+
+/**
+ * Renders a row of export buttons (CSV, iCalendar and JSON report) for the rows shown in a tab.
+ * @param {Document} doc The document object.
+ * @param {HTMLElement} parentElement The element to append the menu to.
+ * @param {Array<object>} dataRows The rows in the tab: availability rows, or stays when `kind` is 'stays'.
+ * @param {ExportMenuOptions} exportOptions Describes the rows and the campground.
+ * @param {object} config The effective configuration, included in the JSON report.
+ * @param {Date} requestDateTime When the availability data was requested.
+ */
+function renderExportMenu(doc, parentElement, dataRows, exportOptions, config, requestDateTime) {
+    const { kind, campgroundId, campgroundName } = exportOptions;
+    const context = { campgroundId, campgroundName, config, requestDateTime };
+    const filenameBase = `${kind}_${campgroundId}_${config.filters.filterStartDate}_to_${config.filters.filterEndDate}`;
+    const isStays = kind === 'stays';
+    const availableNightCount = isStays ? dataRows.length : dataRows.filter(row => row.availability === AVAILABILITY_STATUS.AVAILABLE).length;
+
+    const exportFormats = [
+        {
+            label: 'CSV',
+            title: 'Download the rows in this table as a spreadsheet (CSV).',
+            build: () => (isStays ? buildStaysCsv(dataRows) : buildAvailabilityCsv(dataRows)),
+            extension: 'csv',
+            mimeType: 'text/csv'
+        },
+        {
+            label: `Calendar (.ics, ${availableNightCount} event${availableNightCount !== 1 ? 's' : ''})`,
+            title: isStays ? 'One all-day event per stay.' : "One all-day event per 'Available' site-night.",
+            build: () => (isStays ? buildStaysIcs(dataRows, context) : buildAvailabilityIcs(dataRows, context)),
+            extension: 'ics',
+            mimeType: 'text/calendar',
+            disabled: availableNightCount === 0
+        },
+        {
+            label: 'JSON Report',
+            title: 'The rows in this table plus the search settings that produced them.',
+            build: () => buildJsonReport(kind, dataRows, context),
+            extension: 'json',
+            mimeType: 'application/json'
+        }
+    ];
+
+    const menu = doc.createElement('div');
+    menu.className = 'export-menu';
+    addInfoElement(doc, menu, 'span', 'Export:', 'export-menu-label');
+    exportFormats.forEach(format => {
+        const button = doc.createElement('button');
+        button.type = 'button';
+        button.textContent = format.label;
+        button.title = format.title;
+        button.disabled = !!format.disabled;
+        button.addEventListener('click', () => {
+            downloadTextFile(format.build(), `${filenameBase}.${format.extension}`, format.mimeType);
+        });
+        menu.appendChild(button);
+    });
+    parentElement.appendChild(menu);
+}
 /**
  * Displays the final debugInfo object in a new tab for easy inspection.
  * @param {object} debugData The populated debugInfo object.
@@ -2409,7 +3943,7 @@ function displayDebugInfoInNewTab(debugData, config) {
 /**
  * Renders a detailed block for a single campsite within a parent element.
  * This includes attributes, permitted equipment, and a media gallery.
- * @param {object} campsiteDetails The detailed data for one campsite from the RIDB API.
+ * @param {import('./services/responseModels.js').CampsiteModel} campsiteDetails The campsite model for one campsite, from `fetchCampsiteDetails`.
  * @param {Array<string>} availableDates An array of date strings when this site is "Available".
  * @param {Array<string>} notReservableDates An array of date strings when this site is "Not Reservable".
  * @param {HTMLElement} parentElement The parent element to append the details to.
@@ -2465,14 +3999,14 @@ function renderCampsiteDetailsInTab(campsiteDetails, availableDates, notReservab
         detailDiv.appendChild(openDiv);
     }
 
-    const titleHeader = addInfoElement(doc, detailDiv, 'h3', `Site ${campsiteDetails.CampsiteName} (ID: ${campsiteDetails.CampsiteID})`);
+    const titleHeader = addInfoElement(doc, detailDiv, 'h3', `Site ${campsiteDetails.name} (ID: ${campsiteDetails.id})`);
     if (isAvailable && titleHeader) {
         titleHeader.style.color = '#28a745'; // Green color for available sites
     }
+    addCacheAgeNote(doc, detailDiv, campsiteDetails, 'Site details');
 
     // Check if the details are "rich" (have attributes or media). If not, display a warning.
-    const hasRichDetails = (campsiteDetails.ATTRIBUTES && campsiteDetails.ATTRIBUTES.length > 0) ||
-                           (campsiteDetails.ENTITYMEDIA && campsiteDetails.ENTITYMEDIA.length > 0);
+    const hasRichDetails = campsiteDetails.attributes.length > 0 || campsiteDetails.media.length > 0;
 
     if (!hasRichDetails) {
         const warningP = addInfoElement(
@@ -2495,31 +4029,32 @@ function renderCampsiteDetailsInTab(campsiteDetails, availableDates, notReservab
         }
     };
 
-    addDetailText("Type", campsiteDetails.CampsiteType);
-    addDetailText("Loop", campsiteDetails.Loop);
-    addDetailText("Accessible by Vehicle", campsiteDetails.CampsiteAccessible ? "Yes" : "No");
-    addDetailText("Reservable", campsiteDetails.CampsiteReservable ? "Yes" : "No");
-    addDetailText("Type of Use", campsiteDetails.TypeOfUse);
+    addDetailText("Type", campsiteDetails.type);
+    addDetailText("Loop", campsiteDetails.loop);
+    addDetailText("Accessible by Vehicle", campsiteDetails.accessible ? "Yes" : "No");
+    addDetailText("Reservable", campsiteDetails.reservable ? "Yes" : "No");
+    addDetailText("Type of Use", campsiteDetails.typeOfUse);
 
-    if (campsiteDetails.ATTRIBUTES && campsiteDetails.ATTRIBUTES.length > 0) {
+    if (campsiteDetails.attributes.length > 0) {
         const attrP = addInfoElement(doc, detailDiv, 'p', `Attributes:`);
         if (attrP) {
             attrP.innerHTML = `<strong>Attributes:</strong>`;
             const attrUl = doc.createElement('ul');
-            campsiteDetails.ATTRIBUTES.forEach(attr => {
+            campsiteDetails.attributes.forEach(attr => {
                 const attrLi = doc.createElement('li');
-                attrLi.textContent = `${attr.AttributeName}: ${attr.AttributeValue}`;
+                attrLi.textContent = `${attr.name}: ${attr.value}`;
                 attrUl.appendChild(attrLi);
             });
             attrP.appendChild(attrUl);
         }
     }
-    if (campsiteDetails.PERMITTEDEQUIPMENT && campsiteDetails.PERMITTEDEQUIPMENT.length > 0) {
-        const equipP = addInfoElement(doc, detailDiv, 'p', `Permitted Equipment: ${campsiteDetails.PERMITTEDEQUIPMENT.map(eq => `${eq.EquipmentName} (Max Length: ${eq.MaxLength})`).join(', ')}`);
-        if (equipP) equipP.innerHTML = `<strong>Permitted Equipment:</strong> ${campsiteDetails.PERMITTEDEQUIPMENT.map(eq => `${eq.EquipmentName} (Max Length: ${eq.MaxLength})`).join(', ')}`;
+    if (campsiteDetails.permittedEquipment.length > 0) {
+        const equipmentText = campsiteDetails.permittedEquipment.map(eq => `${eq.name} (Max Length: ${eq.maxLength ?? 'not listed'})`).join(', ');
+        const equipP = addInfoElement(doc, detailDiv, 'p', `Permitted Equipment: ${equipmentText}`);
+        if (equipP) equipP.innerHTML = `<strong>Permitted Equipment:</strong> ${equipmentText}`;
     }
-    if (campsiteDetails.ENTITYMEDIA && campsiteDetails.ENTITYMEDIA.length > 0) {
-        const imageMedia = campsiteDetails.ENTITYMEDIA.filter(m => m.MediaType === "Image" && m.URL);
+    if (campsiteDetails.media.length > 0) {
+        const imageMedia = campsiteDetails.media.filter(m => m.mediaType === "Image" && m.url);
         if (imageMedia.length > 0) {
             const imagesP = addInfoElement(doc, detailDiv, 'p', `Images:`);
             if (imagesP) {
@@ -2527,11 +4062,11 @@ function renderCampsiteDetailsInTab(campsiteDetails, availableDates, notReservab
                 const ul = doc.createElement('ul');
                 imageMedia.forEach((media, index) => {
                     const li = doc.createElement('li');
-                    let linkText = media.Title || `Image ${index + 1}`;
-                    if (media.IsPrimary) {
+                    let linkText = media.title || `Image ${index + 1}`;
+                    if (media.isPrimary) {
                         linkText += " (Primary)";
                     }
-                    li.innerHTML = `<a href="${media.URL}" target="_blank">${linkText}</a> ${media.Description ? '- ' + media.Description : ''}`;
+                    li.innerHTML = `<a href="${media.url}" target="_blank">${linkText}</a> ${media.description ? '- ' + media.description : ''}`;
                     ul.appendChild(li);
                 });
                 imagesP.appendChild(ul);
@@ -2540,14 +4075,14 @@ function renderCampsiteDetailsInTab(campsiteDetails, availableDates, notReservab
             // Display actual images
             imageMedia.forEach(media => {
                 const imgElement = doc.createElement('img');
-                imgElement.src = media.URL;
-                imgElement.alt = media.Title || media.Description || `Campsite Image for ${campsiteDetails.CampsiteName}`;
+                imgElement.src = media.url;
+                imgElement.alt = media.title || media.description || `Campsite Image for ${campsiteDetails.name}`;
                 imgElement.style.maxWidth = '100%'; // Ensure image is responsive and does not overflow its container.
                 imgElement.style.height = 'auto'; // Maintain aspect ratio.
                 imgElement.style.display = 'block';
                 imgElement.style.marginTop = '10px';
                 imgElement.style.cursor = 'pointer';
-                imgElement.addEventListener('click', () => showLightbox(media.URL, doc));
+                imgElement.addEventListener('click', () => showLightbox(media.url, doc));
                 detailDiv.appendChild(imgElement);
             });
         }
@@ -2684,8 +4219,15 @@ function createBaseAvailabilityRow(doc, rowData, headers) {
     headers.forEach(header => {
         const cell = tr.insertCell();
         switch (header) {
+            case 'Campground':
+                cell.textContent = rowData.campground || '';
+                break;
             case 'Site':
                 cell.textContent = rowData.site;
+                if (rowData.equipmentFit) {
+                    cell.appendChild(createEquipmentFitBadge(doc, rowData.equipmentFit));
+                    tr.classList.add(`equipment-${rowData.equipmentFit.status}`);
+                }
                 break;
             case 'Date':
                 cell.textContent = rowData.date;
@@ -2708,8 +4250,12 @@ function createBaseAvailabilityRow(doc, rowData, headers) {
                 if (availabilityTitle) cell.title = availabilityTitle;
                 cell.className = getAvailabilityClass(rowData.availability);
                 break;
+            case 'Price':
+                cell.textContent = rowData.price ? formatPrice(rowData.price.cost) : '—';
+                if (rowData.price) cell.title = `${rowData.price.season} rate for ${rowData.price.siteType}`;
+                break;
             case 'Campsite ID':
-                cell.textContent = rowData.campsite_id;
+                cell.textContent = rowData.campsiteId;
                 break;
             case 'Actions':
                 // This cell is intentionally left blank. It will be populated by the calling function if needed.
@@ -2720,6 +4266,21 @@ function createBaseAvailabilityRow(doc, rowData, headers) {
     return tr;
 }
 
+/**
+ * Creates the small badge shown next to a site name to say whether the user's equipment fits the site.
+ * @param {Document} doc The document in which to create the element.
+ * @param {import('./services/siteAttributes.js').EquipmentFitResult} fit The result from `checkEquipmentFit`.
+ * @returns {HTMLSpanElement} The badge.
+ */
+function createEquipmentFitBadge(doc, fit) {
+    const labels = { [EQUIPMENT_FIT.FITS]: 'Fits', [EQUIPMENT_FIT.DOES_NOT_FIT]: 'Does not fit', [EQUIPMENT_FIT.UNKNOWN]: 'Fit unknown' };
+    const badge = doc.createElement('span');
+    badge.className = `equipment-fit-badge equipment-fit-${fit.status}`;
+    badge.textContent = labels[fit.status];
+    badge.title = fit.reason;
+    return badge;
+}
+
 /**
  * Creates a reusable sorting function for campsite data rows.
  * This ensures consistent sorting behavior across all tables.
@@ -2809,21 +4370,256 @@ function startCooldown(button) {
     }, 1000);
 }
 
-// --- Main Page Rendering Sub-components ---
+// --- Watch Mode ---
 
 /**
- * Renders the main header section with facility and recreation area details.
- * @param {HTMLElement} parentElement The element to append the header content to.
- * @param {object|null} facilityDetails The detailed data for the facility.
- * @param {object|null} recAreaDetails The detailed data for the parent recreation area.
+ * Calculates the delay between watch checks. The search cooldown is used as a floor
+ * so that watch mode never polls Recreation.gov faster than a user could by hand.
+ * @param {object} watchConfig The `watch` section of the configuration.
+ * @returns {number} The interval in seconds.
+ */
+function getWatchIntervalSeconds(watchConfig) {
+    const requestedSeconds = Math.round((parseFloat(watchConfig.intervalMinutes) || 0) * 60);
+    return Math.max(COOLDOWN_SECONDS, requestedSeconds);
+}
+
+/**
+ * Returns the availability statuses that should trigger a watch alert.
+ * @param {object} watchConfig The `watch` section of the configuration.
+ * @returns {string[]} The statuses to alert on.
+ */
+function getWatchedStatuses(watchConfig) {
+    const statuses = [AVAILABILITY_STATUS.AVAILABLE];
+    if (watchConfig.includeNotReservable) statuses.push(AVAILABILITY_STATUS.NOT_RESERVABLE);
+    return statuses;
+}
+
+/**
+ * Updates the watch button and status line to reflect the current watch state.
+ * @param {string} [statusText] An optional status message to display.
+ */
+function updateWatchControls(statusText) {
+    const watchButton = document.getElementById('watch-toggle-button');
+    const watchPanel = document.getElementById('watch-panel');
+    const watchStatus = document.getElementById('watch-status');
+
+    if (watchButton) {
+        watchButton.textContent = watchState ? 'Stop Watching' : 'Start Watching';
+        watchButton.classList.toggle('watch-active', !!watchState);
+    }
+    if (watchPanel && watchState) {
+        watchPanel.style.display = 'block';
+    }
+    if (watchStatus && statusText !== undefined) {
+        watchStatus.textContent = statusText;
+    }
+}
+
+/**
+ * Adds an entry to the top of the in-page watch change log.
+ * @param {string} message The summary line for the entry.
+ * @param {Array<import('./services/availabilityDiff.js').AvailabilityChange>} [changes=[]] Individual changes to list under the entry.
+ * @param {string|null} [className=null] An optional CSS class for the entry.
+ */
+function addWatchLogEntry(message, changes = [], className = null) {
+    const watchLog = document.getElementById('watch-log');
+    if (!watchLog) return;
+
+    const entry = document.createElement('li');
+    if (className) entry.className = className;
+
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'watch-log-time';
+    timeSpan.textContent = new Date().toLocaleTimeString();
+    entry.appendChild(timeSpan);
+    entry.appendChild(document.createTextNode(` ${message}`));
+
+    if (changes.length > 0) {
+        const changeList = document.createElement('ul');
+        changes.forEach(change => {
+            const item = document.createElement('li');
+            item.innerHTML = `Site <strong>${change.site}</strong> on ${formatUTCDate(new Date(change.date))}: ` +
+                `${change.from} &rarr; <span class="${getAvailabilityClass(change.to)}">${change.to}</span>`;
+            changeList.appendChild(item);
+        });
+        entry.appendChild(changeList);
+    }
+
+    watchLog.prepend(entry);
+}
+
+/**
+ * Shows a browser notification summarizing newly opened nights.
+ * Does nothing if notifications are unsupported or permission has not been granted.
+ * @param {Array<import('./services/availabilityDiff.js').AvailabilityChange>} changes The changes to announce.
+ * @param {string} campgroundLabel The campground name or ID for the notification title.
+ */
+function showWatchNotification(changes, campgroundLabel) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+    const MAX_LINES = 5;
+    const lines = changes.slice(0, MAX_LINES).map(change => `Site ${change.site} on ${formatUTCDate(new Date(change.date))}: ${change.to}`);
+    if (changes.length > MAX_LINES) lines.push(`...and ${changes.length - MAX_LINES} more`);
+
+    const notification = new Notification(`${campgroundLabel}: ${changes.length} night(s) opened up`, {
+        body: lines.join('\n'),
+        icon: 'media/campground-solid-full.svg',
+        tag: 'campsite-watch' // Replaces an unread notification instead of stacking them.
+    });
+    notification.onclick = () => {
+        window.focus();
+        notification.close();
+    };
+}
+
+/**
+ * Performs a single watch check: fetches fresh availability, compares it with the previous
+ * snapshot, reports any newly opened nights, and schedules the next check.
+ */
+async function runWatchPoll() {
+    if (!watchState || watchState.isPolling) return;
+    const currentWatch = watchState;
+    currentWatch.isPolling = true;
+    currentWatch.pollCount++;
+    updateWatchControls(`Checking now (check #${currentWatch.pollCount})...`);
+
+    // Each check gets its own debug object so watch traffic does not pollute the last search's debug output.
+    const watchDebugInfo = createFreshDebugInfo();
+    const { config: watchConfig } = currentWatch;
+
+    try {
+        const availabilityData = await fetchAvailabilityDataFromService(watchConfig, watchDebugInfo, { bypassCache: true });
+        if (watchState !== currentWatch) return; // The watch was stopped while the request was in flight.
+
+        if (!availabilityData?.campsites) {
+            addWatchLogEntry('Check failed: no availability data was returned. Will try again.', [], 'watch-log-error');
+            console.warn('[runWatchPoll] No availability data returned.', watchDebugInfo.api.calls);
+            return;
+        }
+
+        const newSnapshot = createAvailabilitySnapshot(availabilityData.campsites);
+        const watchedStatuses = getWatchedStatuses(watchConfig.watch);
+
+        if (!currentWatch.snapshot) {
+            const openNights = Object.values(newSnapshot).reduce((count, site) =>
+                count + Object.entries(site.availabilities).filter(([date, status]) =>
+                    watchedStatuses.includes(status) && isDateInRange(date, watchConfig.filters.filterStartDate, watchConfig.filters.filterEndDate)
+                ).length, 0);
+            addWatchLogEntry(`Watching ${Object.keys(newSnapshot).length} sites. ${openNights} night(s) already open; only new openings will be reported.`);
+        } else {
+            const siteNumbersToFilter = watchConfig.siteFilters.siteNumbersToFilter.map(normalizeSiteName);
+            const changes = diffAvailabilitySnapshots(currentWatch.snapshot, newSnapshot, {
+                statuses: watchedStatuses,
+                dateFilter: (date) => isDateInRange(date, watchConfig.filters.filterStartDate, watchConfig.filters.filterEndDate),
+                siteFilter: (site) => siteNumbersToFilter.length === 0 || siteNumbersToFilter.includes(normalizeSiteName(site))
+            });
+
+            if (changes.length > 0) {
+                console.log(`[runWatchPoll] ${changes.length} night(s) opened up.`, changes);
+                addWatchLogEntry(`${changes.length} night(s) opened up!`, changes, 'watch-log-alert');
+                showWatchNotification(changes, currentWatch.label);
+            }
+        }
+
+        currentWatch.snapshot = mergeAvailabilitySnapshots(currentWatch.snapshot, newSnapshot);
+    } catch (error) {
+        console.error('[runWatchPoll] Watch check failed:', error);
+        addWatchLogEntry(`Check failed: ${error.message}. Will try again.`, [], 'watch-log-error');
+    } finally {
+        currentWatch.isPolling = false;
+        if (watchState === currentWatch) {
+            const intervalSeconds = getWatchIntervalSeconds(watchConfig.watch);
+            const nextCheck = new Date(Date.now() + intervalSeconds * 1000);
+            currentWatch.timeoutId = setTimeout(runWatchPoll, intervalSeconds * 1000);
+            updateWatchControls(`Watching ${currentWatch.label}. Last checked ${new Date().toLocaleTimeString()}; next check at ${nextCheck.toLocaleTimeString()}.`);
+        }
+    }
+}
+
+/**
+ * Starts watch mode using the current form settings. The first check records a baseline;
+ * later checks report nights that have changed to a watched status since the previous check.
+ */
+async function startWatch() {
+    const watchConfig = prepareConfig(buildConfigFromForm(), createFreshDebugInfo());
+    if (!watchConfig.api.campgroundId) {
+        alert('Please enter a Campground ID before starting watch mode.');
+        return;
+    }
+
+    // Permission can only be requested in response to a user action, so ask now.
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+
+    // Use the name from the facility search only while it is still shown, i.e. it matches the entered ID.
+    const campgroundNameDisplay = document.getElementById('campground-name-display');
+    const campgroundName = campgroundNameDisplay && campgroundNameDisplay.style.display !== 'none'
+        ? campgroundNameDisplay.textContent.replace(/^Selected:\s*/, '').trim()
+        : null;
+    watchState = {
+        config: watchConfig,
+        label: campgroundName || `Campground ${watchConfig.api.campgroundId}`,
+        snapshot: null,
+        timeoutId: null,
+        pollCount: 0,
+        isPolling: false
+    };
+
+    if (watchConfig.api.campgroundIds.length > 1) {
+        addWatchLogEntry(`Watch mode follows one campground at a time. Only campground ${watchConfig.api.campgroundId} will be watched.`, [], 'watch-log-error');
+    }
+
+    const intervalSeconds = getWatchIntervalSeconds(watchConfig.watch);
+    const statusNames = getWatchedStatuses(watchConfig.watch).map(status => `'${status}'`).join(' or ');
+    addWatchLogEntry(`Started watching ${watchState.label} (${watchConfig.filters.filterStartDate} to ${watchConfig.filters.filterEndDate}) every ${intervalSeconds} seconds for ${statusNames} nights.`);
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+        addWatchLogEntry('Browser notifications are not enabled; changes will only appear in this log.', [], 'watch-log-error');
+    }
+
+    updateWatchControls();
+    await runWatchPoll();
+}
+
+/**
+ * Stops watch mode and cancels any scheduled check.
+ */
+function stopWatch() {
+    if (!watchState) return;
+    clearTimeout(watchState.timeoutId);
+    watchState = null;
+    addWatchLogEntry('Stopped watching.');
+    updateWatchControls('Not watching.');
+}
+
+/**
+ * Handles the click event for the "Start/Stop Watching" button.
+ */
+async function handleWatchToggle() {
+    if (watchState) {
+        stopWatch();
+    } else {
+        await startWatch();
+    }
+}
+
+// --- Main Page Rendering Sub-components ---
+
+/**
+ * Renders the main header section with facility and recreation area details.
+ * @param {HTMLElement} parentElement The element to append the header content to.
+ * @param {object|null} facilityDetails The facility model.
+ * @param {object|null} recAreaDetails The parent recreation area model.
+ * @param {object|null} searchResult The campground summary from the rec.gov search API.
  * @param {IdCollection} ids The collection of IDs for the campground.
+ * @param {object|null} campgroundMetadata The campground model.
  */
 function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaDetails, searchResult, ids, campgroundMetadata) {
     const titleBlock = document.createElement('div');
     titleBlock.className = 'facility-title-block';
     parentElement.appendChild(titleBlock);
 
-    addInfoElement(document, titleBlock, 'h1', facilityDetails.FacilityName || `Details for Campground ID: ${ids.campgroundId}`);
+    addInfoElement(document, titleBlock, 'h1', facilityDetails.name || `Details for Campground ID: ${ids.campgroundId}`);
 
     // Add City, State subheader right below the main title
     if (campgroundMetadata?.city && campgroundMetadata?.state) {
@@ -2833,19 +4629,20 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
             p.className = 'facility-subheader';
         }
     }
+    addCacheAgeNote(document, titleBlock, facilityDetails, 'Facility details');
 
     if (searchResult) {
         const doc = parentElement.ownerDocument;
-        const hasRatings = typeof searchResult.average_rating === 'number' && typeof searchResult.number_of_ratings === 'number';
+        const hasRatings = searchResult.averageRating !== null && searchResult.ratingCount !== null;
 
         const siteInfoParts = [];
-        if (searchResult.campsites_count) siteInfoParts.push(`<strong>${searchResult.campsites_count}</strong> sites`);
-        if (searchResult.campsite_reserve_type?.length > 0) siteInfoParts.push(`(${searchResult.campsite_reserve_type.join(', ')})`);
-        if (searchResult.campsite_equipment_name?.length > 0) siteInfoParts.push(`for ${searchResult.campsite_equipment_name.join(', ')}`);
+        if (searchResult.campsiteCount) siteInfoParts.push(`<strong>${searchResult.campsiteCount}</strong> sites`);
+        if (searchResult.reserveTypes.length > 0) siteInfoParts.push(`(${searchResult.reserveTypes.join(', ')})`);
+        if (searchResult.equipmentNames.length > 0) siteInfoParts.push(`for ${searchResult.equipmentNames.join(', ')}`);
 
         const hasSiteInfo = siteInfoParts.length > 0;
-        const hasCellInfo = typeof searchResult.aggregate_cell_coverage === 'number';
-        const hasPriceInfo = searchResult.price_range && typeof searchResult.price_range.amount_min === 'number';
+        const hasCellInfo = searchResult.cellCoverage !== null;
+        const hasPriceInfo = !!searchResult.priceRange;
 
         // Only create the container if there's something to show
         if (hasRatings || hasSiteInfo || hasCellInfo || hasPriceInfo) {
@@ -2857,12 +4654,12 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
                 const ratingsContainer = doc.createElement('div');
                 ratingsContainer.className = 'ratings-section';
 
-                const averageRating = parseFloat(searchResult.average_rating).toFixed(1);
-                const numRatings = searchResult.number_of_ratings;
+                const averageRating = searchResult.averageRating.toFixed(1);
+                const numRatings = searchResult.ratingCount;
 
                 const starsContainer = doc.createElement('div');
                 starsContainer.className = 'stars';
-                const fullStars = Math.round(searchResult.average_rating);
+                const fullStars = Math.round(searchResult.averageRating);
                 for (let i = 0; i < 5; i++) {
                     const star = doc.createElement('span');
                     star.innerHTML = i < fullStars ? '&#9733;' : '&#9734;';
@@ -2906,7 +4703,7 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
             }
 
             if (hasCellInfo) {
-                const coverage = searchResult.aggregate_cell_coverage;
+                const coverage = searchResult.cellCoverage;
                 const calculatedScore = Math.round(coverage * 10);
                 const displayScore = Math.min(10, calculatedScore); // Clamp the score at 10 for display
                 const color = getCellScoreColor(calculatedScore); // Color is based on the real, unclamped score
@@ -2915,11 +4712,11 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
             }
 
             if (hasPriceInfo) {
-                const { amount_min, amount_max, per_unit } = searchResult.price_range;
-                let priceText = (amount_min === amount_max)
-                    ? `$${amount_min.toFixed(2)}`
-                    : `$${amount_min.toFixed(2)} - $${amount_max.toFixed(2)}`;
-                if (per_unit) priceText += ` per ${per_unit}`;
+                const { min, max, perUnit } = searchResult.priceRange;
+                let priceText = (min === max)
+                    ? `$${min.toFixed(2)}`
+                    : `$${min.toFixed(2)} - $${max.toFixed(2)}`;
+                if (perUnit) priceText += ` per ${perUnit}`;
                 const priceLabel = `<strong>Price:</strong> ${priceText}`;
                 glanceContainer.appendChild(createGlanceItem('price', priceLabel));
             }
@@ -2953,25 +4750,25 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
     };
 
     // Recreation.gov Campground
-    const campgroundName = facilityDetails?.FacilityName?.split('(')[0].trim() || 'Unknown Campground';
+    const campgroundName = facilityDetails?.name?.split('(')[0].trim() || 'Unknown Campground';
     const campgroundId = ids.campgroundId || 'Not Found';
     addIdItem('Recreation.gov Campground', `${campgroundName} (ID: ${campgroundId})`);
 
     // Parent Rec Area
     if (ids.recAreaId) {
-        const recAreaName = recAreaDetails?.RecAreaName || 'Unknown Rec Area';
+        const recAreaName = recAreaDetails?.name || 'Unknown Rec Area';
         addIdItem('Parent Rec Area', `${recAreaName} (ID: ${ids.recAreaId})`);
     }
 
     // Other IDs
-    if (searchResult?.org_name && searchResult?.org_id) {
-        addIdItem('Managing Organization', `${searchResult.org_name} (ID: ${searchResult.org_id})`);
+    if (searchResult?.orgName && searchResult?.orgId) {
+        addIdItem('Managing Organization', `${searchResult.orgName} (ID: ${searchResult.orgId})`);
     }
-    if (facilityDetails?.OrgFacilityID) {
-        addIdItem('Organization Facility ID', facilityDetails.OrgFacilityID);
+    if (facilityDetails?.orgFacilityId) {
+        addIdItem('Organization Facility ID', facilityDetails.orgFacilityId);
     }
-    if (searchResult?.state_code) {
-        addIdItem('State', searchResult.state_code);
+    if (searchResult?.stateCode) {
+        addIdItem('State', searchResult.stateCode);
     }
 
     parentElement.appendChild(idsDiv);
@@ -2981,7 +4778,7 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
     if (recGovLink) {
         const link = document.createElement('a');
         link.href = `https://www.recreation.gov/camping/campgrounds/${ids.campgroundId}`;
-        link.textContent = `View ${facilityDetails.FacilityName || 'Campground'} on Recreation.gov`;
+        link.textContent = `View ${facilityDetails.name || 'Campground'} on Recreation.gov`;
         link.target = '_blank';
         recGovLink.appendChild(link);
     }
@@ -2994,26 +4791,21 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
         }
     };
 
-    addDetail("Type", facilityDetails.FacilityTypeDescription);
-    if (facilityDetails.FacilityDescription) addDetail("Description", facilityDetails.FacilityDescription, true);
-    if (facilityDetails.FacilityDirections) addDetail("Directions", facilityDetails.FacilityDirections, true);
-    addDetail("Phone", facilityDetails.FacilityPhone);
-    if (facilityDetails.FacilityEmail) addDetail("Email", `<a href="mailto:${facilityDetails.FacilityEmail}">${facilityDetails.FacilityEmail}</a>`, true);
-    addDetail("Accessibility", facilityDetails.FacilityAccessibilityText);
+    addDetail("Type", facilityDetails.typeDescription);
+    if (facilityDetails.description) addDetail("Description", facilityDetails.description, true);
+    if (facilityDetails.directions) addDetail("Directions", facilityDetails.directions, true);
+    addDetail("Phone", facilityDetails.phone);
+    if (facilityDetails.email) addDetail("Email", `<a href="mailto:${facilityDetails.email}">${facilityDetails.email}</a>`, true);
+    addDetail("Accessibility", facilityDetails.accessibilityText);
 
     // Add ADA Access information, translating 'Y'/'N' to a user-friendly format.
-    if (facilityDetails.FacilityAdaAccess) {
-        addDetail("ADA Accessible", facilityDetails.FacilityAdaAccess === 'Y' ? 'Yes' : 'No');
+    if (facilityDetails.adaAccess) {
+        addDetail("ADA Accessible", facilityDetails.adaAccess === 'Y' ? 'Yes' : 'No');
     }
 
-    let facilityLat, facilityLon;
-    if (facilityDetails.FacilityLatitude && facilityDetails.FacilityLongitude) {
-        facilityLat = facilityDetails.FacilityLatitude;
-        facilityLon = facilityDetails.FacilityLongitude;
-    } else if (facilityDetails.GEOJSON && facilityDetails.GEOJSON.COORDINATES && facilityDetails.GEOJSON.COORDINATES.length === 2) {
-        facilityLat = facilityDetails.GEOJSON.COORDINATES[1];
-        facilityLon = facilityDetails.GEOJSON.COORDINATES[0];
-    }
+    // The model falls back to the GeoJSON point when the coordinate fields are empty.
+    const facilityLat = facilityDetails.latitude;
+    const facilityLon = facilityDetails.longitude;
     if (facilityLat && facilityLon) {
         addDetail("Coordinates", `<a href="https://www.google.com/maps?q=${facilityLat},${facilityLon}" target="_blank">${facilityLat}, ${facilityLon} (View on Map)</a>`, true);
 
@@ -3055,18 +4847,18 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
         parentElement.appendChild(osmMapFrame);
     }
 
-    if (facilityDetails.FACILITYADDRESS && facilityDetails.FACILITYADDRESS.length > 0) {
-        const address = facilityDetails.FACILITYADDRESS[0];
-        let addressString = [address.FacilityStreetAddress1, address.City, address.AddressStateCode, address.PostalCode].filter(Boolean).join(', ');
+    if (facilityDetails.address) {
+        const address = facilityDetails.address;
+        let addressString = [address.street, address.city, address.stateCode, address.postalCode].filter(Boolean).join(', ');
         addDetail("Address", addressString);
     }
 
-    if (facilityDetails.ORGANIZATION?.[0]?.OrgName) addDetail("Managed By", facilityDetails.ORGANIZATION[0].OrgName);
-    if (facilityDetails.RECAREA?.[0]?.RecAreaName) addDetail("Recreation Area", facilityDetails.RECAREA[0].RecAreaName);
-    if (facilityDetails.Keywords) addDetail("Keywords", facilityDetails.Keywords.replace(/,/g, ', '));
-    addDetail("Reservable", facilityDetails.Reservable ? "Yes" : "No");
-    addDetail("Enabled", facilityDetails.Enabled ? "Yes" : "No");
-    addDetail("Last Updated", facilityDetails.LastUpdatedDate);
+    if (facilityDetails.organizationName) addDetail("Managed By", facilityDetails.organizationName);
+    if (facilityDetails.recAreaName) addDetail("Recreation Area", facilityDetails.recAreaName);
+    if (facilityDetails.keywords) addDetail("Keywords", facilityDetails.keywords.replace(/,/g, ', '));
+    addDetail("Reservable", facilityDetails.reservable ? "Yes" : "No");
+    addDetail("Enabled", facilityDetails.enabled ? "Yes" : "No");
+    addDetail("Last Updated", facilityDetails.lastUpdated);
 
     // --- Display RecArea Details ---
     if (recAreaDetails) {
@@ -3075,7 +4867,8 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
         recAreaContainer.style.marginTop = '20px';
         recAreaContainer.style.paddingTop = '15px';
         recAreaContainer.style.borderTop = '2px solid #ccc';
-        addInfoElement(document, recAreaContainer, 'h2', recAreaDetails.RecAreaName || 'Recreation Area Details');
+        addInfoElement(document, recAreaContainer, 'h2', recAreaDetails.name || 'Recreation Area Details');
+        addCacheAgeNote(document, recAreaContainer, recAreaDetails, 'Recreation area details');
 
         const addRecAreaDetail = (label, value, isHTML = false) => {
             if (value && value.toString().trim() !== "") {
@@ -3084,17 +4877,17 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
             }
         };
 
-        addRecAreaDetail("Description", recAreaDetails.RecAreaDescription, true);
-        addRecAreaDetail("Directions", recAreaDetails.RecAreaDirections, true);
-        addRecAreaDetail("Phone", recAreaDetails.RecAreaPhone);
-        if (recAreaDetails.RecAreaEmail) addRecAreaDetail("Email", `<a href="mailto:${recAreaDetails.RecAreaEmail}">${recAreaDetails.RecAreaEmail}</a>`, true);
-        if (recAreaDetails.RecAreaLatitude && recAreaDetails.RecAreaLongitude) {
-            const lat = recAreaDetails.RecAreaLatitude;
-            const lon = recAreaDetails.RecAreaLongitude;
+        addRecAreaDetail("Description", recAreaDetails.description, true);
+        addRecAreaDetail("Directions", recAreaDetails.directions, true);
+        addRecAreaDetail("Phone", recAreaDetails.phone);
+        if (recAreaDetails.email) addRecAreaDetail("Email", `<a href="mailto:${recAreaDetails.email}">${recAreaDetails.email}</a>`, true);
+        if (recAreaDetails.latitude && recAreaDetails.longitude) {
+            const lat = recAreaDetails.latitude;
+            const lon = recAreaDetails.longitude;
             addRecAreaDetail("Coordinates", `<a href="https://www.google.com/maps?q=${lat},${lon}" target="_blank">${lat}, ${lon} (View on Map)</a>`, true);
         }
-        if (recAreaDetails.Keywords) addRecAreaDetail("Keywords", recAreaDetails.Keywords.replace(/,/g, ', '));
-        addRecAreaDetail("Last Updated", recAreaDetails.LastUpdatedDate);
+        if (recAreaDetails.keywords) addRecAreaDetail("Keywords", recAreaDetails.keywords.replace(/,/g, ', '));
+        addRecAreaDetail("Last Updated", recAreaDetails.lastUpdated);
         parentElement.appendChild(recAreaContainer);
     }
 }
@@ -3102,11 +4895,11 @@ function renderFacilityHeaderAndDetails(parentElement, facilityDetails, recAreaD
 /**
  * Renders a media gallery with a primary image and thumbnails.
  * @param {HTMLElement} parentElement The DOM element to append the gallery to.
- * @param {Array<object>} mediaArray The array of media objects from the RIDB API.
+ * @param {Array<object>} mediaArray The media models (`MediaModel`).
  * @param {string} title The `<h3>` title for the gallery section (e.g., "Facility Media").
  */
 function renderMediaGallery(parentElement, mediaArray, title) {
-    const imageMedia = mediaArray.filter(m => m.MediaType === "Image" && m.URL);
+    const imageMedia = mediaArray.filter(m => m.mediaType === "Image" && m.url);
     if (imageMedia.length === 0) return;
 
     const mediaHeader = addInfoElement(document, parentElement, 'h3', title);
@@ -3114,21 +4907,21 @@ function renderMediaGallery(parentElement, mediaArray, title) {
     mediaHeader.style.paddingTop = '15px';
     mediaHeader.style.borderTop = '1px solid #eee';
 
-    let primaryMedia = imageMedia.find(m => m.IsPrimary) || imageMedia[0];
+    let primaryMedia = imageMedia.find(m => m.isPrimary) || imageMedia[0];
 
     const primaryImageContainer = document.createElement('div');
     primaryImageContainer.style.marginBottom = '10px';
     const primaryImg = document.createElement('img');
-    primaryImg.src = primaryMedia.URL;
-    primaryImg.alt = primaryMedia.Title || 'Primary Image';
-    primaryImg.title = `View full size: ${primaryMedia.Title || 'Primary Image'}`;
+    primaryImg.src = primaryMedia.url;
+    primaryImg.alt = primaryMedia.title || 'Primary Image';
+    primaryImg.title = `View full size: ${primaryMedia.title || 'Primary Image'}`;
     primaryImg.style.maxWidth = '600px';
     primaryImg.style.width = '100%';
     primaryImg.style.height = 'auto';
     primaryImg.style.border = '1px solid #ddd';
     primaryImg.style.borderRadius = '4px';
     primaryImg.style.cursor = 'pointer';
-    primaryImg.addEventListener('click', () => showLightbox(primaryMedia.URL, document));
+    primaryImg.addEventListener('click', () => showLightbox(primaryMedia.url, document));
     primaryImageContainer.appendChild(primaryImg);
     parentElement.appendChild(primaryImageContainer);
 
@@ -3138,11 +4931,11 @@ function renderMediaGallery(parentElement, mediaArray, title) {
         thumbnailGrid.className = 'thumbnail-grid';
         thumbnailMedia.forEach(media => {
             const thumbImg = document.createElement('img');
-            thumbImg.src = media.URL;
-            thumbImg.alt = media.Title || 'Thumbnail Image';
-            thumbImg.title = media.Title || 'Facility Image';
+            thumbImg.src = media.url;
+            thumbImg.alt = media.title || 'Thumbnail Image';
+            thumbImg.title = media.title || 'Facility Image';
             thumbImg.className = 'thumbnail-image';
-            thumbImg.addEventListener('click', () => showLightbox(media.URL, document));
+            thumbImg.addEventListener('click', () => showLightbox(media.url, document));
             thumbnailGrid.appendChild(thumbImg);
         });
         parentElement.appendChild(thumbnailGrid);
@@ -3152,10 +4945,10 @@ function renderMediaGallery(parentElement, mediaArray, title) {
 /**
  * Renders the "Upcoming Events" section based on fetched data and status.
  * @param {HTMLElement} parentElement The DOM element to append the events section to.
- * @param {Array<object>|null} eventsData The fetched events data array from RIDB.
+ * @param {Array<object>|null} recAreaEvents The recreation area's event models.
  * @param {IdCollection} ids An object containing key IDs, including `eventInfoStatus`.
  */
-function renderEventsSection(parentElement, eventsData, ids) {
+function renderEventsSection(parentElement, recAreaEvents, ids) {
     const eventsContainer = document.createElement('div');
     eventsContainer.className = 'events-section';
     eventsContainer.style.marginTop = '20px';
@@ -3165,29 +4958,29 @@ function renderEventsSection(parentElement, eventsData, ids) {
 
     switch (ids.eventInfoStatus) {
         case 'ID_FOUND':
-            if (eventsData && eventsData.length > 0) {
-                eventsData.forEach(event => {
+            if (recAreaEvents && recAreaEvents.length > 0) {
+                recAreaEvents.forEach(event => {
                     const eventDiv = document.createElement('div');
                     eventDiv.className = 'event-details-main';
                     eventDiv.style.border = "1px solid #ddd";
                     eventDiv.style.padding = "15px";
                     eventDiv.style.marginBottom = "15px";
                     eventDiv.style.backgroundColor = "#fdfdfd";
-                    addInfoElement(document, eventDiv, 'h4', event.EventName);
+                    addInfoElement(document, eventDiv, 'h4', event.name);
                     const addEventDetail = (label, value, isHTML = false) => {
                         if (value !== undefined && value !== null && value.toString().trim() !== "") {
                             const p = addInfoElement(document, eventDiv, 'p', '');
                             if (p) p.innerHTML = `<strong>${label}:</strong> ${value}`;
                         }
                     };
-                    addEventDetail("Type", event.EventType);
-                    addEventDetail("Start Date", event.EventStartDate ? formatUTCDate(new Date(event.EventStartDate)) : "N/A");
-                    addEventDetail("End Date", event.EventEndDate ? formatUTCDate(new Date(event.EventEndDate)) : "N/A");
-                    addEventDetail("Description", event.EventDescription, true);
-                    if (event.EventURL) addEventDetail("More Info", `<a href="${event.EventURL}" target="_blank">Click here</a>`, true);
+                    addEventDetail("Type", event.type);
+                    addEventDetail("Start Date", event.startDate ? formatUTCDate(new Date(event.startDate)) : "N/A");
+                    addEventDetail("End Date", event.endDate ? formatUTCDate(new Date(event.endDate)) : "N/A");
+                    addEventDetail("Description", event.description, true);
+                    if (event.url) addEventDetail("More Info", `<a href="${event.url}" target="_blank">Click here</a>`, true);
                     eventsContainer.appendChild(eventDiv);
                 });
-            } else if (eventsData) {
+            } else if (recAreaEvents) {
                 addInfoElement(document, eventsContainer, 'p', 'No upcoming events found for this area.');
             } else {
                 addInfoElement(document, eventsContainer, 'p', 'Could not retrieve event information. The API call for events failed.');
@@ -3206,24 +4999,26 @@ function renderEventsSection(parentElement, eventsData, ids) {
 /**
  * Renders the booking window information on the main page.
  * @param {HTMLElement} parentElement The DOM element to append the section to.
- * @param {object|null} bookingInfo The `booking_information` object from the campground metadata.
+ * @param {string} bookingWindowMessage The `bookingWindowMessage` of the campground model.
+ * @param {import('./services/bookingWindow.js').BookingWindow|null} [bookingWindow=null] The parsed window, summarized below the message if given.
  */
-function renderBookingWindow(parentElement, bookingInfo) {
-    if (!bookingInfo?.booking_window_message) {
+function renderBookingWindow(parentElement, bookingWindowMessage, bookingWindow = null) {
+    if (!bookingWindowMessage) {
         return;
     }
     const doc = parentElement.ownerDocument;
     const container = doc.createElement('div');
     container.className = 'info-section';
     addInfoElement(doc, container, 'h3', 'Booking Window');
-    addInfoElement(doc, container, 'p', bookingInfo.booking_window_message);
+    addInfoElement(doc, container, 'p', bookingWindowMessage);
+    if (bookingWindow) addInfoElement(doc, container, 'p', describeBookingWindow(bookingWindow), 'form-note');
     parentElement.appendChild(container);
 }
 
 /**
  * Renders a table of facility rates by season.
  * @param {HTMLElement} parentElement The DOM element to append the section to.
- * @param {Array<object>|null} feePolicies The `fee_policies` array from the campground metadata.
+ * @param {Array<object>|null} feePolicies The `feePolicies` of the campground model.
  */
 function renderFacilityRates(parentElement, feePolicies) {
     if (!feePolicies || feePolicies.length === 0) {
@@ -3240,7 +5035,7 @@ function renderFacilityRates(parentElement, feePolicies) {
         if (!policy.rates || policy.rates.length === 0) {
             return; // Skip seasons with no rates (like 'Out of Season')
         }
-        const seasonText = `<strong>${policy.season}</strong><br>${formatUTCDate(new Date(policy.start_date))} - ${formatUTCDate(new Date(policy.end_date))}`;
+        const seasonText = `<strong>${policy.season}</strong><br>${formatUTCDate(new Date(policy.startDate))} - ${formatUTCDate(new Date(policy.endDate))}`;
 
         policy.rates.forEach((rate, index) => {
             const tr = doc.createElement('tr');
@@ -3249,7 +5044,7 @@ function renderFacilityRates(parentElement, feePolicies) {
                 seasonCell.rowSpan = policy.rates.length;
                 seasonCell.innerHTML = seasonText;
             }
-            tr.insertCell().textContent = rate.site_type;
+            tr.insertCell().textContent = rate.siteType;
             tr.insertCell().textContent = `$${parseFloat(rate.cost).toFixed(2)}`;
             tbody.appendChild(tr);
         });
@@ -3260,21 +5055,21 @@ function renderFacilityRates(parentElement, feePolicies) {
 /**
  * Renders a table of reservation rules.
  * @param {HTMLElement} parentElement The DOM element to append the section to.
- * @param {object} metadata The full `campgroundMetadata` object.
+ * @param {object} metadata The campground model (`campgroundMetadata`).
  */
 function renderReservationRules(parentElement, metadata) {
     const doc = parentElement.ownerDocument;
     const rulesToRender = [];
 
-    // Case 1: The ideal, simple array format under the 'rules' key.
-    if (metadata.rules && Array.isArray(metadata.rules) && metadata.rules.length > 0) {
+    // Case 1: The ideal, simple list under `rules`.
+    if (metadata.rules.length > 0) {
         metadata.rules.forEach(rule => {
             rulesToRender.push({ name: rule.name, description: rule.description });
         });
     }
-    // Case 2: The object-based format under the 'facility_rules' key.
-    else if (metadata.facility_rules && typeof metadata.facility_rules === 'object') {
-        const facilityRules = metadata.facility_rules;
+    // Case 2: The rules by name under `facilityRules`, used by older campgrounds.
+    else {
+        const facilityRules = metadata.facilityRules;
         const toTitleCase = (str) => str.replace(/([A-Z])/g, ' $1').replace(/^./, (s) => s.toUpperCase());
 
         for (const key in facilityRules) {
@@ -3329,7 +5124,7 @@ function renderReservationRules(parentElement, metadata) {
 /**
  * Renders a list of important notices.
  * @param {HTMLElement} parentElement The DOM element to append the section to.
- * @param {Array<object>|null} notices The `notices` array from the campground metadata.
+ * @param {Array<object>|null} notices The `notices` of the campground model.
  */
 function renderNotices(parentElement, notices) {
     if (!notices || notices.length === 0) {
@@ -3341,10 +5136,10 @@ function renderNotices(parentElement, notices) {
     addInfoElement(doc, container, 'h3', 'Important Notices');
 
     notices.forEach(notice => {
-        if (notice.notice_text) {
+        if (notice.text) {
             const noticeDiv = doc.createElement('div');
-            noticeDiv.className = `notice-item notice-${notice.notice_type || 'info'}`; // e.g., notice-warning
-            noticeDiv.innerHTML = notice.notice_text; // Use innerHTML as notices can contain HTML tags
+            noticeDiv.className = `notice-item notice-${notice.type || 'info'}`; // e.g., notice-warning
+            noticeDiv.innerHTML = notice.text; // Use innerHTML as notices can contain HTML tags
             container.appendChild(noticeDiv);
         }
     });
@@ -3354,7 +5149,7 @@ function renderNotices(parentElement, notices) {
 /**
  * Renders a list of related links.
  * @param {HTMLElement} parentElement The DOM element to append the section to.
- * @param {Array<object>|null} links The `links` array from the campground metadata.
+ * @param {Array<object>|null} links The `links` of the campground model.
  */
 function renderLinks(parentElement, links) {
     if (!links || links.length === 0) {
@@ -3388,7 +5183,7 @@ function renderLinks(parentElement, links) {
 /**
  * Renders a list of available activities.
  * @param {HTMLElement} parentElement The DOM element to append the section to.
- * @param {Array<object>|null} activities The `activities` array from the campground metadata.
+ * @param {string[]|null} activities The `activities` (names) of the campground model.
  */
 function renderActivities(parentElement, activities) {
     if (!activities || activities.length === 0) {
@@ -3399,15 +5194,14 @@ function renderActivities(parentElement, activities) {
     container.className = 'info-section';
     addInfoElement(doc, container, 'h3', 'Activities');
 
-    const activityNames = activities.map(act => act.activity_name).filter(Boolean).join(', ');
-    addInfoElement(doc, container, 'p', activityNames);
+    addInfoElement(doc, container, 'p', activities.join(', '));
     parentElement.appendChild(container);
 }
 
 /**
  * Renders the facility's address.
  * @param {HTMLElement} parentElement The DOM element to append the section to.
- * @param {Array<object>|null} addresses The `addresses` array from the campground metadata.
+ * @param {Array<object>|null} addresses The `addresses` of the campground model.
  */
 function renderAddresses(parentElement, addresses) {
     if (!addresses || addresses.length === 0) {
@@ -3424,8 +5218,8 @@ function renderAddresses(parentElement, addresses) {
             address.address2,
             address.address3,
             address.city,
-            address.state_code,
-            address.postal_code
+            address.stateCode,
+            address.postalCode
         ].filter(Boolean).join(', ');
 
         if (addressParts) {
@@ -3438,7 +5232,7 @@ function renderAddresses(parentElement, addresses) {
 /**
  * Renders other miscellaneous details from the campground metadata.
  * @param {HTMLElement} parentElement The DOM element to append the section to.
- * @param {object} metadata The full `campgroundMetadata` object.
+ * @param {object} metadata The campground model (`campgroundMetadata`).
  */
 function renderOtherMetadata(parentElement, metadata) {
     const doc = parentElement.ownerDocument;
@@ -3457,8 +5251,8 @@ function renderOtherMetadata(parentElement, metadata) {
         if (p) p.innerHTML = `<strong>${label}:</strong> ${value}`;
     };
 
-    addDetail("Time Zone", metadata.facility_time_zone);
-    addDetail("Commercially Managed", typeof metadata.is_commercially_managed === 'boolean' ? (metadata.is_commercially_managed ? "Yes" : "No") : metadata.is_commercially_managed);
+    addDetail("Time Zone", metadata.timeZone);
+    addDetail("Commercially Managed", metadata.isCommerciallyManaged === null ? null : (metadata.isCommerciallyManaged ? "Yes" : "No"));
 
     if (container.children.length > 0) parentElement.appendChild(container);
 }
@@ -3492,7 +5286,7 @@ function renderMainAvailabilityTable(parentElement, campsites, requestDateTime,
                         originalDate: new Date(dateStr),
                         availability: campsite.availabilities[dateStr],
                         quantity: campsite.quantities[dateStr],
-                        campsite_id: campsite.campsite_id
+                        campsiteId: campsite.campsiteId
                     });
                 }
             }
@@ -3552,7 +5346,7 @@ function renderMainAvailabilityTable(parentElement, campsites, requestDateTime,
  * @param {HTMLElement} containerElement The main container element from `index.html`.
  * @param {object|null} facilityDetails The detailed data for the facility.
  * @param {object|null} recAreaDetails The detailed data for the parent recreation area.
- * @param {Array<object>|null} eventsData The array of event data.
+ * @param {Array<object>|null} recAreaEvents The array of event data.
  * @param {Array<object>|null} recAreaMedia The array of media data for the recreation area.
  * @param {object} campsites The combined campsites data.
  * @param {object} availabilityCounts The summary of availability counts.
@@ -3561,7 +5355,7 @@ function renderMainAvailabilityTable(parentElement, campsites, requestDateTime,
  * @param {object} config The script's configuration object.
  * @param {IdCollection} ids An object containing all relevant IDs.
  */
-function renderMainPage(containerElement, campgroundMetadata, facilityDetails, recAreaDetails, eventsData, recGovSearchData, recAreaMedia, campsites, availabilityCounts, requestDateTime, response, config, ids) {
+function renderMainPage(containerElement, campgroundMetadata, facilityDetails, recAreaDetails, recAreaEvents, recGovSearchData, recAreaMedia, campsites, availabilityCounts, requestDateTime, response, config, ids) {
     if (typeof document === 'undefined' || !containerElement) {
         console.warn("Main page container element not found or document not available. Skipping main page DOM updates.");
         return;
@@ -3569,7 +5363,7 @@ function renderMainPage(containerElement, campgroundMetadata, facilityDetails, r
 
     containerElement.innerHTML = '';
 
-    const searchResult = recGovSearchData?.results?.[0] || null;
+    const searchResult = recGovSearchData || null;
     const mainPageRenderStatus = debugInfo.rendering.mainPageRenderStatus;
 
     debugInfo.rendering.mainPageRenderStatus.facilityDetails = !!facilityDetails;
@@ -3579,10 +5373,10 @@ function renderMainPage(containerElement, campgroundMetadata, facilityDetails, r
 
     // --- New debug info for rec.gov search data ---
     mainPageRenderStatus.recGovSearchData = searchResult ? 'DATA_FOUND' : 'DATA_MISSING';
-    mainPageRenderStatus.userRatings = searchResult && typeof searchResult.average_rating === 'number' ? 'DATA_FOUND' : 'DATA_MISSING';
-    mainPageRenderStatus.atAGlanceInfo = searchResult && (searchResult.campsites_count || typeof searchResult.aggregate_cell_coverage === 'number' || searchResult.price_range) ? 'DATA_FOUND' : 'DATA_MISSING';
-    mainPageRenderStatus.primaryImage = searchResult?.preview_image_url ? 'DATA_FOUND' : 'DATA_MISSING';
-    mainPageRenderStatus.organizationInfo = searchResult?.org_name && searchResult?.org_id ? 'DATA_FOUND' : 'DATA_MISSING';
+    mainPageRenderStatus.userRatings = searchResult && searchResult.averageRating !== null ? 'DATA_FOUND' : 'DATA_MISSING';
+    mainPageRenderStatus.atAGlanceInfo = searchResult && (searchResult.campsiteCount || searchResult.cellCoverage !== null || searchResult.priceRange) ? 'DATA_FOUND' : 'DATA_MISSING';
+    mainPageRenderStatus.primaryImage = searchResult?.previewImageUrl ? 'DATA_FOUND' : 'DATA_MISSING';
+    mainPageRenderStatus.organizationInfo = searchResult?.orgName && searchResult?.orgId ? 'DATA_FOUND' : 'DATA_MISSING';
 
     // --- Section 1: Render Header, Details, and Galleries ---
     if (facilityDetails) {
@@ -3615,17 +5409,18 @@ function renderMainPage(containerElement, campgroundMetadata, facilityDetails, r
         }
 
         // Render media galleries into the same container.
-        if (facilityDetails.MEDIA && facilityDetails.MEDIA.length > 0) {
-            renderMediaGallery(detailsContainer, facilityDetails.MEDIA, 'Facility Media');
+        if (facilityDetails.media.length > 0) {
+            renderMediaGallery(detailsContainer, facilityDetails.media, 'Facility Media');
             debugInfo.rendering.mainPageRenderStatus.mediaGalleries++;
         }
         if (recAreaMedia && recAreaMedia.length > 0) {
             renderMediaGallery(detailsContainer, recAreaMedia, 'Recreation Area Gallery');
+            addCacheAgeNote(document, detailsContainer, recAreaMedia, 'Recreation area media');
             debugInfo.rendering.mainPageRenderStatus.mediaGalleries++;
         }
 
         // Render the events section directly into the main container, after the details block.
-        renderEventsSection(containerElement, eventsData, ids);
+        renderEventsSection(containerElement, recAreaEvents, ids);
     } else {
         // Fallback if facilityDetails are not available, still provide a link and key IDs.
         const fallbackDiv = document.createElement('div');
@@ -3682,21 +5477,21 @@ function renderMainPage(containerElement, campgroundMetadata, facilityDetails, r
         };
 
         // Recreate the same ID list as in the main function for consistency
-        const campgroundName = campgroundMetadata?.facility_name?.split('(')[0].trim() || 'Unknown Campground';
+        const campgroundName = campgroundMetadata?.name?.split('(')[0].trim() || 'Unknown Campground';
         const campgroundId = ids.campgroundId || 'Not Found';
         addIdItem('Recreation.gov Campground', `${campgroundName} (ID: ${campgroundId})`);
 
         if (ids.recAreaId) {
-            const recAreaName = recAreaDetails?.RecAreaName || 'Unknown Rec Area';
+            const recAreaName = recAreaDetails?.name || 'Unknown Rec Area';
             addIdItem('Parent Rec Area', `${recAreaName} (ID: ${ids.recAreaId})`);
         }
 
-        if (searchResult?.org_name && searchResult?.org_id) {
-            addIdItem('Managing Organization', `${searchResult.org_name} (ID: ${searchResult.org_id})`);
+        if (searchResult?.orgName && searchResult?.orgId) {
+            addIdItem('Managing Organization', `${searchResult.orgName} (ID: ${searchResult.orgId})`);
         }
-        // Note: facilityDetails is null in this block, so OrgFacilityID won't be available.
-        if (searchResult?.state_code) {
-            addIdItem('State', searchResult.state_code);
+        // Note: facilityDetails is null in this block, so orgFacilityId won't be available.
+        if (searchResult?.stateCode) {
+            addIdItem('State', searchResult.stateCode);
         }
         
         fallbackDiv.appendChild(idsDiv);
@@ -3719,11 +5514,11 @@ function renderMainPage(containerElement, campgroundMetadata, facilityDetails, r
 
         // --- Debug logging for metadata sections ---
         // This helps diagnose why sections might not render by explicitly stating if the data was found.
-        debugInfo.rendering.mainPageRenderStatus.bookingWindow = campgroundMetadata.booking_information ? 'DATA_FOUND' : 'DATA_MISSING';
-        debugInfo.rendering.mainPageRenderStatus.facilityRates = campgroundMetadata.fee_policies ? 'DATA_FOUND' : 'DATA_MISSING';
-        if (campgroundMetadata.rules && Array.isArray(campgroundMetadata.rules) && campgroundMetadata.rules.length > 0) {
+        debugInfo.rendering.mainPageRenderStatus.bookingWindow = campgroundMetadata.bookingWindowMessage ? 'DATA_FOUND' : 'DATA_MISSING';
+        debugInfo.rendering.mainPageRenderStatus.facilityRates = campgroundMetadata.feePolicies.length > 0 ? 'DATA_FOUND' : 'DATA_MISSING';
+        if (campgroundMetadata.rules.length > 0) {
             debugInfo.rendering.mainPageRenderStatus.reservationRules = 'FOUND_RULES_ARRAY';
-        } else if (campgroundMetadata.facility_rules && typeof campgroundMetadata.facility_rules === 'object') {
+        } else if (Object.keys(campgroundMetadata.facilityRules).length > 0) {
             debugInfo.rendering.mainPageRenderStatus.reservationRules = 'FOUND_FACILITY_RULES_OBJECT';
         } else {
             debugInfo.rendering.mainPageRenderStatus.reservationRules = 'DATA_MISSING';
@@ -3732,10 +5527,10 @@ function renderMainPage(containerElement, campgroundMetadata, facilityDetails, r
         debugInfo.rendering.mainPageRenderStatus.links = (campgroundMetadata.links && campgroundMetadata.links.length > 0) ? 'DATA_FOUND' : 'DATA_MISSING';
         debugInfo.rendering.mainPageRenderStatus.activities = (campgroundMetadata.activities && campgroundMetadata.activities.length > 0) ? 'DATA_FOUND' : 'DATA_MISSING';
         debugInfo.rendering.mainPageRenderStatus.addresses = (campgroundMetadata.addresses && campgroundMetadata.addresses.length > 0) ? 'DATA_FOUND' : 'DATA_MISSING';
-        debugInfo.rendering.mainPageRenderStatus.otherMetadata = (campgroundMetadata.facility_time_zone || campgroundMetadata.is_commercially_managed !== undefined) ? 'DATA_FOUND' : 'DATA_MISSING';
+        debugInfo.rendering.mainPageRenderStatus.otherMetadata = (campgroundMetadata.timeZone || campgroundMetadata.isCommerciallyManaged !== null) ? 'DATA_FOUND' : 'DATA_MISSING';
 
-        renderBookingWindow(infoContainer, campgroundMetadata.booking_information);
-        renderFacilityRates(infoContainer, campgroundMetadata.fee_policies);
+        renderBookingWindow(infoContainer, campgroundMetadata.bookingWindowMessage, parseBookingWindow(campgroundMetadata));
+        renderFacilityRates(infoContainer, campgroundMetadata.feePolicies);
         renderReservationRules(infoContainer, campgroundMetadata);
         renderNotices(infoContainer, campgroundMetadata.notices);
         renderLinks(infoContainer, campgroundMetadata.links);
@@ -3864,15 +5659,18 @@ function handleFetchError(error, containerElement) {
 /**
  * Generates a summary of API call outcomes.
  * @param {Array<object>} apiCalls - The array of API call log entries from `debugInfo.api.calls`.
- * @returns {{totalCalls: number, successfulCalls: number, knownFailureCount: number, unexpectedFailureCount: number, unexpectedFailures: Array<object>}} - The summary object.
+ * @returns {{totalCalls: number, successfulCalls: number, knownFailureCount: number, retriedAttemptCount: number, unexpectedFailureCount: number, unexpectedFailures: Array<object>}} - The summary object.
  */
 function generateApiSummary(apiCalls) {
-    const totalCalls = apiCalls.length;
+    // Attempts that were retried are not failures in themselves; only the final attempt of each call counts.
+    const retriedAttemptCount = apiCalls.filter(call => call.willRetry).length;
+    const finalAttempts = apiCalls.filter(call => !call.willRetry);
+    const totalCalls = finalAttempts.length;
     let successfulCalls = 0;
     let knownFailureCount = 0;
     const unexpectedFailures = [];
 
-    apiCalls.forEach(call => {
+    finalAttempts.forEach(call => {
         if (call.status === 200) {
             successfulCalls++;
         } else {
@@ -3892,6 +5690,7 @@ function generateApiSummary(apiCalls) {
                 unexpectedFailures.push({
                     context: call.context,
                     status: call.status,
+                    attempts: call.attempt || 1,
                     error: call.error || 'No error message provided.'
                 });
             }
@@ -3902,6 +5701,7 @@ function generateApiSummary(apiCalls) {
         totalCalls,
         successfulCalls,
         knownFailureCount,
+        retriedAttemptCount,
         unexpectedFailureCount: unexpectedFailures.length,
         unexpectedFailures
     };
@@ -3939,7 +5739,7 @@ function renderApiStatusBadge(summary) {
             badge.classList.add('warning');
         } else {
             // Default: Show green if all calls were successful.
-            badge.textContent = 'API: OK';
+            badge.textContent = summary.retriedAttemptCount > 0 ? `API: OK (${summary.retriedAttemptCount} retried)` : 'API: OK';
             badge.classList.add('ok');
         }
 
@@ -3947,6 +5747,53 @@ function renderApiStatusBadge(summary) {
     });
 }
 
+/**
+ * Creates a tracker that shows per-month fetch progress while availability is loading.
+ * Each campground gets one line with a chip per month; chips change style as months load, come from the
+ * session cache, or fail.
+ * @param {HTMLElement|null} container The element to render progress into. If null, progress is ignored.
+ * @returns {{update: function(object): void, finish: function(): void}} `update` takes the progress events
+ * from `fetchAvailabilityData`; `finish` hides the progress display.
+ */
+function createFetchProgressTracker(container) {
+    const campgrounds = new Map(); // campgroundId -> Map(month -> status)
+    const statusLabels = { loading: 'loading', loaded: 'loaded', cached: 'from this session', failed: 'failed' };
+
+    const render = () => {
+        container.innerHTML = '';
+        campgrounds.forEach((months, campgroundId) => {
+            const line = document.createElement('div');
+            line.className = 'fetch-progress-line';
+            const doneCount = [...months.values()].filter(status => status !== 'loading').length;
+            line.appendChild(document.createTextNode(`Campground ${campgroundId}: ${doneCount} of ${months.size} months `));
+
+            months.forEach((status, month) => {
+                const chip = document.createElement('span');
+                chip.className = `fetch-progress-month fetch-progress-${status}`;
+                chip.textContent = new Date(month + 'T00:00:00').toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+                chip.title = `${month}: ${statusLabels[status]}`;
+                line.appendChild(chip);
+            });
+            container.appendChild(line);
+        });
+        container.style.display = 'block';
+    };
+
+    return {
+        update({ campgroundId, month, status }) {
+            if (!container) return;
+            if (!campgrounds.has(campgroundId)) campgrounds.set(campgroundId, new Map());
+            campgrounds.get(campgroundId).set(month, status);
+            render();
+        },
+        finish() {
+            if (!container) return;
+            container.style.display = 'none';
+            container.innerHTML = '';
+        }
+    };
+}
+
 /**
  * The main entry point and execution flow for the script.
  * It prepares the configuration, fetches all data, and then triggers the rendering process.
@@ -3960,14 +5807,22 @@ async function runAvailabilityCheck(config) {
     }
 
     const effectiveConfig = prepareConfig(JSON.parse(JSON.stringify(config)));
+    const fetchProgress = createFetchProgressTracker(typeof document !== 'undefined' ? document.getElementById('fetch-progress') : null);
 
     try {
-        // Use the new, centralized fetchAllData function from the API service.
-        const allData = await fetchAllDataFromService(effectiveConfig, debugInfo);
-        await renderAllOutputs(allData, effectiveConfig);
+        if (effectiveConfig.api.campgroundIds.length > 1) {
+            // Several campgrounds: fetch them in parallel and render a combined view.
+            const campgroundResults = await fetchAllDataForCampgroundsFromService(effectiveConfig, debugInfo, { onMonthProgress: fetchProgress.update });
+            await renderMultiCampgroundOutputs(campgroundResults, effectiveConfig);
+        } else {
+            // Use the new, centralized fetchAllData function from the API service.
+            const allData = await fetchAllDataFromService(effectiveConfig, debugInfo, { onMonthProgress: fetchProgress.update });
+            await renderAllOutputs(allData, effectiveConfig);
+        }
     } catch (error) {
         handleFetchError(error, document.getElementById('tab-panels'));
     } finally {
+        fetchProgress.finish();
         // Generate the API call summary before finalizing the debug object.
         debugInfo.api.summary = generateApiSummary(debugInfo.api.calls);
         if (typeof document !== 'undefined') {
@@ -3997,7 +5852,9 @@ async function runAvailabilityCheck(config) {
  */
 function populateFormFromConfig(configObject) {
     // Defensively update form fields only if the corresponding data exists in the config object.
-    if (configObject.api && configObject.api.campgroundId !== undefined) {
+    if (configObject.api && configObject.api.campgroundIds?.length > 1) {
+        document.getElementById('campgroundId').value = configObject.api.campgroundIds.join(', ');
+    } else if (configObject.api && configObject.api.campgroundId !== undefined) {
         document.getElementById('campgroundId').value = configObject.api.campgroundId;
     }
 
@@ -4040,6 +5897,54 @@ function populateFormFromConfig(configObject) {
             document.getElementById('openDebugTabInNewWindow').checked = behavior.openDebugTabInNewWindow;
         }
     }
+
+    if (configObject.staySearch) {
+        const staySearch = configObject.staySearch;
+        document.getElementById('staySearchEnabled').checked = !!staySearch.enabled;
+        if (staySearch.minNights) document.getElementById('stayMinNights').value = staySearch.minNights;
+        if (staySearch.maxNights) document.getElementById('stayMaxNights').value = staySearch.maxNights;
+        if (Array.isArray(staySearch.arrivalWeekdays)) {
+            document.querySelectorAll('input[name="arrivalWeekday"]').forEach(checkbox => {
+                checkbox.checked = staySearch.arrivalWeekdays.includes(parseInt(checkbox.value, 10));
+            });
+        }
+    }
+
+    if (configObject.siteAttributes) {
+        const siteAttributes = configObject.siteAttributes;
+        document.getElementById('minVehicleLength').value = siteAttributes.minVehicleLength > 0 ? siteAttributes.minVehicleLength : '';
+        document.getElementById('drivewayEntry').value = siteAttributes.drivewayEntry || '';
+        document.getElementById('siteType').value = siteAttributes.siteType || '';
+        document.getElementById('accessibleOnly').checked = !!siteAttributes.accessibleOnly;
+        document.getElementById('electricOnly').checked = !!siteAttributes.electricOnly;
+        document.getElementById('shadeOnly').checked = !!siteAttributes.shadeOnly;
+    }
+
+    if (configObject.budget) {
+        document.getElementById('maxNightlyPrice').value = configObject.budget.maxNightlyPrice > 0 ? configObject.budget.maxNightlyPrice : '';
+        document.getElementById('maxStayTotal').value = configObject.budget.maxStayTotal > 0 ? configObject.budget.maxStayTotal : '';
+    }
+
+    if (configObject.equipment) {
+        const equipment = configObject.equipment;
+        document.getElementById('equipmentType').value = EQUIPMENT_TYPES[equipment.type] ? equipment.type : '';
+        document.getElementById('equipmentLength').value = equipment.length > 0 ? equipment.length : '';
+        document.getElementById('hideNonFittingSites').checked = !!equipment.hideNonFitting;
+    }
+
+    if (configObject.watch) {
+        if (configObject.watch.intervalMinutes) document.getElementById('watchIntervalMinutes').value = configObject.watch.intervalMinutes;
+        document.getElementById('watchIncludeNotReservable').checked = !!configObject.watch.includeNotReservable;
+    }
+}
+
+/**
+ * Splits a comma-separated list of campground IDs into a clean, de-duplicated array.
+ * @param {string} text The raw text from the Campground ID field or a URL parameter.
+ * @returns {string[]} The campground IDs, in the order entered.
+ */
+function parseCampgroundIds(text) {
+    return [...new Set(String(text || '').split(',').map(id => id.trim()).filter(Boolean))];
 }
 
 /**
@@ -4051,7 +5956,15 @@ function buildConfigFromForm() {
     const newConfig = JSON.parse(JSON.stringify(config)); // Start with a deep copy of defaults
 
     // Update API and filter values from text/date inputs
-    newConfig.api.campgroundId = document.getElementById('campgroundId').value.trim();
+    const MAX_CAMPGROUNDS = 5;
+    let campgroundIds = parseCampgroundIds(document.getElementById('campgroundId').value);
+    if (campgroundIds.length > MAX_CAMPGROUNDS) {
+        console.warn(`User entered ${campgroundIds.length} campgrounds, which is more than the maximum of ${MAX_CAMPGROUNDS}. Truncating the list.`);
+        campgroundIds = campgroundIds.slice(0, MAX_CAMPGROUNDS);
+        document.getElementById('campgroundId').value = campgroundIds.join(', ');
+    }
+    newConfig.api.campgroundId = campgroundIds[0] || '';
+    newConfig.api.campgroundIds = campgroundIds;
     newConfig.filters.filterStartDate = document.getElementById('filterStartDate').value;
     newConfig.filters.filterEndDate = document.getElementById('filterEndDate').value;
 
@@ -4091,9 +6004,77 @@ function buildConfigFromForm() {
 
     behavior.openDebugTabInNewWindow = document.getElementById('openDebugTabInNewWindow').checked;
 
+    // Update stay search preferences
+    const staySearch = newConfig.staySearch;
+    staySearch.enabled = document.getElementById('staySearchEnabled').checked;
+    staySearch.minNights = parseInt(document.getElementById('stayMinNights').value, 10) || config.staySearch.minNights;
+    staySearch.maxNights = parseInt(document.getElementById('stayMaxNights').value, 10) || config.staySearch.maxNights;
+    if (staySearch.maxNights < staySearch.minNights) {
+        console.warn(`Stay search maximum (${staySearch.maxNights}) is below the minimum (${staySearch.minNights}). Using the minimum for both.`);
+        staySearch.maxNights = staySearch.minNights;
+    }
+    staySearch.arrivalWeekdays = Array.from(document.querySelectorAll('input[name="arrivalWeekday"]:checked'))
+        .map(checkbox => parseInt(checkbox.value, 10));
+
+    // Update site feature filters
+    newConfig.siteAttributes = {
+        minVehicleLength: parseInt(document.getElementById('minVehicleLength').value, 10) || null,
+        drivewayEntry: document.getElementById('drivewayEntry').value,
+        siteType: document.getElementById('siteType').value,
+        accessibleOnly: document.getElementById('accessibleOnly').checked,
+        electricOnly: document.getElementById('electricOnly').checked,
+        shadeOnly: document.getElementById('shadeOnly').checked,
+    };
+
+    // Update the budget
+    newConfig.budget = {
+        maxNightlyPrice: parseFloat(document.getElementById('maxNightlyPrice').value) || null,
+        maxStayTotal: parseFloat(document.getElementById('maxStayTotal').value) || null,
+    };
+
+    newConfig.equipment = readEquipmentFromForm();
+
+    // Update watch mode preferences
+    newConfig.watch.intervalMinutes = parseFloat(document.getElementById('watchIntervalMinutes').value) || config.watch.intervalMinutes;
+    newConfig.watch.includeNotReservable = document.getElementById('watchIncludeNotReservable').checked;
+
     return newConfig;
 }
 
+/**
+ * Clears the API status badges and any previous result tabs, and shows the (empty) tab system
+ * ready for a new set of results.
+ * @returns {boolean} False if the tab container elements are missing.
+ */
+function resetResultsTabs() {
+    // Clear previous API status badges
+    const apiBadges = document.querySelectorAll('.api-status-badge');
+    apiBadges.forEach(badge => {
+        badge.style.display = 'none';
+        badge.className = 'api-status-badge';
+    });
+
+    // Prepare the new tabbed interface for results
+    const resultsTabsContainer = document.getElementById('results-tabs-container');
+    const tabButtonsContainer = document.getElementById('tab-buttons');
+    const tabPanelsContainer = document.getElementById('tab-panels');
+    console.log('[resetResultsTabs] resultsTabsContainer found:', !!resultsTabsContainer);
+
+    if (!resultsTabsContainer || !tabButtonsContainer || !tabPanelsContainer) {
+        return false;
+    }
+
+    // Clear any previous results
+    console.log('[resetResultsTabs] Clearing previous tab results.');
+    tabButtonsContainer.innerHTML = '';
+    tabPanelsContainer.innerHTML = '';
+
+    // Make the tab system visible for the new results
+    console.log('[resetResultsTabs] Setting resultsTabsContainer display to "block".');
+    resultsTabsContainer.style.display = 'block';
+    return true;
+}
+
 /**
  * Handles the form submission event. It prevents the default page reload,
  * builds a new config from the form, and starts the availability check.
@@ -4122,29 +6103,7 @@ async function handleFormSubmit(event) {
         submitButton.disabled = true;
         submitButton.textContent = 'Loading...';
 
-        // Clear previous API status badges
-        const apiBadges = document.querySelectorAll('.api-status-badge');
-        apiBadges.forEach(badge => {
-            badge.style.display = 'none';
-            badge.className = 'api-status-badge';
-        });
-
-        // Prepare the new tabbed interface for results
-        const resultsTabsContainer = document.getElementById('results-tabs-container');
-        const tabButtonsContainer = document.getElementById('tab-buttons');
-        const tabPanelsContainer = document.getElementById('tab-panels');
-        console.log('[handleFormSubmit] resultsTabsContainer found:', !!resultsTabsContainer);
-
-        if (resultsTabsContainer && tabButtonsContainer && tabPanelsContainer) {
-            // Clear any previous results
-            console.log('[handleFormSubmit] Clearing previous tab results.');
-            tabButtonsContainer.innerHTML = '';
-            tabPanelsContainer.innerHTML = '';
-
-            // Make the tab system visible for the new results
-            console.log('[handleFormSubmit] Setting resultsTabsContainer display to "block".');
-            resultsTabsContainer.style.display = 'block';
-        } else {
+        if (!resetResultsTabs()) {
             console.error("Could not find tab container elements. Aborting run.");
             return;
         }
@@ -4164,22 +6123,255 @@ async function handleFormSubmit(event) {
     }
 }
 
+// --- Saved Searches & Team Presets ---
+
 /**
- * Handles the change event for the preset dropdown. It loads the selected
- * preset's configuration into the form fields.
- * @param {Event} event The change event from the select element.
+ * Loads the user's saved searches and the team presets, then fills the dropdown.
+ * @returns {Promise<void>}
  */
-function handlePresetChange(event) {
-    const selectedPresetName = event.target.value;
-    const selectedPreset = PRESET_COLLECTION[selectedPresetName];
+async function initializeSavedSearches() {
+    savedSearches = loadSavedSearches() || [];
+    await loadTeamPresets();
+}
+
+/**
+ * Loads the team presets: the bundled `presets.json` merged with the presets stored on the server,
+ * which win when both have the same name. Either source may fail without affecting the other.
+ * Refreshes the dropdown afterwards.
+ * @param {string} [selectedValue=''] The dropdown value to select afterwards, if any.
+ * @returns {Promise<void>}
+ */
+async function loadTeamPresets(selectedValue = '') {
+    let bundledPresets = {};
+    try {
+        const response = await fetch('presets.json');
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        bundledPresets = await response.json();
+    } catch (error) {
+        console.error(`[loadTeamPresets] Could not load or parse presets.json: ${error.message}`, error);
+    }
 
-    if (!selectedPreset) return;
+    let serverPresets = {};
+    try {
+        serverPresets = await fetchTeamPresets();
+    } catch (error) {
+        console.warn(`[loadTeamPresets] Could not load team presets from the server: ${error.message}`);
+    }
 
-    // Create a temporary config object from the preset to populate the form
-    const presetConfig = {
-        api: { campgroundId: selectedPreset.campgroundId },
-        siteFilters: { siteNumbersToFilter: selectedPreset.sites }
+    try {
+        const bundled = savedSearchesFromPresets(bundledPresets).filter(search => !Object.hasOwn(serverPresets, search.name))
+            .map(search => ({ ...search, source: 'bundled' }));
+        const server = savedSearchesFromPresets(serverPresets).map(search => ({ ...search, source: 'server' }));
+        teamPresets = [...bundled, ...server];
+    } catch (error) {
+        console.error(`[loadTeamPresets] Could not read the team presets: ${error.message}`, error);
+        teamPresets = [];
+    }
+    renderSavedSearchOptions(selectedValue);
+}
+
+/**
+ * Rebuilds the saved search dropdown: the user's saved searches, then the team presets.
+ * Option values are prefixed with `local:` or `team:` so the two lists may share names.
+ * @param {string} [selectedValue=''] The dropdown value to select afterwards, if any.
+ */
+function renderSavedSearchOptions(selectedValue = '') {
+    const presetSelector = document.getElementById('preset-selector');
+    presetSelector.innerHTML = '';
+
+    const defaultOption = document.createElement('option');
+    defaultOption.value = "";
+    defaultOption.textContent = savedSearches.length + teamPresets.length > 0 ? "Select a Saved Search..." : "No saved searches yet";
+    presetSelector.appendChild(defaultOption);
+
+    const addGroup = (label, searches, prefix) => {
+        if (searches.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        searches.forEach(search => {
+            const option = document.createElement('option');
+            option.value = `${prefix}:${search.name}`;
+            option.textContent = search.name;
+            group.appendChild(option);
+        });
+        presetSelector.appendChild(group);
     };
+    addGroup('My Saved Searches', savedSearches, 'local');
+    addGroup('Team Presets', teamPresets, 'team');
+    presetSelector.value = selectedValue;
+}
+
+/**
+ * Finds the search selected in the dropdown.
+ * @returns {{scope: 'local'|'team', search: object}|null} Which list it is in and the search, or null if none is selected.
+ */
+function getSelectedSearch() {
+    const value = document.getElementById('preset-selector').value;
+    const separatorIndex = value.indexOf(':');
+    if (separatorIndex === -1) return null;
+    const scope = value.slice(0, separatorIndex);
+    const name = value.slice(separatorIndex + 1);
+    const search = (scope === 'local' ? savedSearches : teamPresets).find(candidate => candidate.name === name);
+    return search ? { scope, search } : null;
+}
+
+/**
+ * Replaces the saved searches, stores them and refreshes the dropdown.
+ * @param {import('./services/savedSearches.js').SavedSearch[]} searches The new list.
+ * @param {string} [selectedName=''] The saved search to select afterwards, if any.
+ */
+function updateSavedSearches(searches, selectedName = '') {
+    savedSearches = searches;
+    if (!storeSavedSearches(searches)) {
+        alert('Your saved searches could not be stored in this browser, so they will be lost when the page is closed.');
+    }
+    renderSavedSearchOptions(selectedName ? `local:${selectedName}` : '');
+}
+
+/**
+ * Runs a saved search operation, showing its error message to the user if it fails.
+ * @param {function(): (void|Promise<void>)} operation The operation.
+ * @returns {Promise<void>}
+ */
+async function runSavedSearchOperation(operation) {
+    try {
+        await operation();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+/**
+ * Shares the current form with the team as a server preset, asking before replacing one with the same name.
+ * @param {string} defaultName The name to suggest.
+ * @returns {Promise<void>}
+ */
+async function shareCurrentSearchWithTeam(defaultName) {
+    const name = prompt('Share the current search with your team as:', defaultName);
+    if (name === null) return;
+    const trimmedName = name.trim();
+    const existing = teamPresets.find(preset => preset.name === trimmedName && preset.source === 'server');
+    if (existing && !confirm(`Replace the team preset '${trimmedName}'?`)) return;
+
+    await runSavedSearchOperation(async () => {
+        await shareTeamPreset({ name: trimmedName, config: buildConfigFromForm() }, !!existing);
+        await loadTeamPresets(`team:${trimmedName}`);
+    });
+}
+
+/**
+ * Handles the saved search action buttons (save, share, rename, delete, move up/down, export, import),
+ * identified by their `data-action` attribute. Rename and reordering apply to the user's own saved searches;
+ * delete also removes team presets stored on the server.
+ * @param {Event} event The click event.
+ * @returns {Promise<void>}
+ */
+async function handleSavedSearchAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    const selected = getSelectedSearch();
+    const selectedName = selected?.scope === 'local' ? selected.search.name : '';
+
+    switch (button.dataset.action) {
+        case 'save': {
+            const name = prompt('Save the current search as:', selectedName);
+            if (name === null) return;
+            await runSavedSearchOperation(() => {
+                const trimmedName = name.trim();
+                if (savedSearches.some(search => search.name === trimmedName) && trimmedName !== selectedName &&
+                    !confirm(`Replace the saved search '${trimmedName}'?`)) {
+                    return;
+                }
+                updateSavedSearches(upsertSavedSearch(savedSearches, name, buildConfigFromForm()), trimmedName);
+            });
+            break;
+        }
+        case 'share':
+            await shareCurrentSearchWithTeam(selected?.search.name || '');
+            break;
+        case 'rename': {
+            if (!selectedName) return;
+            const newName = prompt(`Rename '${selectedName}' to:`, selectedName);
+            if (newName === null) return;
+            await runSavedSearchOperation(() => updateSavedSearches(renameSavedSearch(savedSearches, selectedName, newName), newName.trim()));
+            break;
+        }
+        case 'delete':
+            if (!selected) return;
+            if (selected.scope === 'team') {
+                if (selected.search.source !== 'server') {
+                    alert(`'${selected.search.name}' is built into presets.json and cannot be deleted here.`);
+                    return;
+                }
+                if (!confirm(`Delete the team preset '${selected.search.name}' for everyone?`)) return;
+                await runSavedSearchOperation(async () => {
+                    await deleteTeamPreset(selected.search.name);
+                    await loadTeamPresets();
+                });
+                return;
+            }
+            if (!confirm(`Delete the saved search '${selectedName}'?`)) return;
+            updateSavedSearches(deleteSavedSearch(savedSearches, selectedName));
+            break;
+        case 'move-up':
+        case 'move-down':
+            if (!selectedName) return;
+            updateSavedSearches(moveSavedSearch(savedSearches, selectedName, button.dataset.action === 'move-up' ? -1 : 1), selectedName);
+            break;
+        case 'export':
+            downloadTextFile(exportSavedSearches(savedSearches), 'saved_searches.json', 'application/json');
+            break;
+        case 'import':
+            document.getElementById('saved-search-import-input').click();
+            break;
+    }
+}
+
+/**
+ * Handles the file chosen for "Import": merges its searches into the user's saved searches.
+ * @param {Event} event The change event from the file input.
+ * @returns {Promise<void>}
+ */
+async function handleSavedSearchImport(event) {
+    const input = event.target;
+    const file = input.files[0];
+    input.value = ''; // Allow the same file to be chosen again.
+    if (!file) return;
+
+    const text = await file.text();
+    await runSavedSearchOperation(() => {
+        const { searches, importedCount } = importSavedSearches(savedSearches, text);
+        updateSavedSearches(searches);
+        alert(`Imported ${importedCount} saved search${importedCount === 1 ? '' : 'es'}.`);
+    });
+}
+
+/**
+ * Handles the change event for the saved search dropdown. It loads the selected
+ * search's form settings into the form fields.
+ * @param {Event} event The change event from the select element.
+ */
+function handlePresetChange(event) {
+    const selectedSearch = getSelectedSearch()?.search;
+
+    if (!selectedSearch) return;
+
+    // Start from the full saved form. Searches imported from a plain preset only carry campgrounds and sites.
+    let presetConfig = selectedSearch.config;
+
+    // When "Add to search" is checked, only combine the search's campgrounds and sites with the ones already entered.
+    const appendPresetCheckbox = document.getElementById('appendPreset');
+    if (appendPresetCheckbox && appendPresetCheckbox.checked) {
+        const savedIds = presetConfig.api?.campgroundIds?.length ? presetConfig.api.campgroundIds : [presetConfig.api?.campgroundId];
+        const campgroundIds = parseCampgroundIds(`${document.getElementById('campgroundId').value},${savedIds.join(',')}`);
+        const existingSites = document.getElementById('siteNumbers').value.split(',').map(s => s.trim()).filter(Boolean);
+        presetConfig = {
+            api: { campgroundId: campgroundIds[0], campgroundIds },
+            siteFilters: { siteNumbersToFilter: [...new Set([...existingSites, ...(presetConfig.siteFilters?.siteNumbersToFilter || []).map(String)])] }
+        };
+    }
     populateFormFromConfig(presetConfig);
 
     // Manually hide the "Selected: ..." text, as loading a preset
@@ -4192,7 +6384,8 @@ function handlePresetChange(event) {
 
 /**
  * Handles the click event for the "Copy Sharable Link" button. It reads the
- * current form state, constructs a URL with query parameters, and copies it
+ * current form state, encodes the settings that differ from the defaults into
+ * a single `q=` parameter (see `services/shareLink.js`), and copies the URL
  * to the clipboard.
  */
 function handleCopyLink() {
@@ -4200,37 +6393,8 @@ function handleCopyLink() {
     const baseUrl = window.location.origin + window.location.pathname;
     const params = new URLSearchParams();
 
-    // Preserve the access_code from the current URL if it exists, so the
-    // generated link will also be accessible.
-    const currentParams = new URLSearchParams(window.location.search);
-    const accessCode = currentParams.get('access_code');
-    if (accessCode) {
-        params.append('access_code', accessCode);
-    }
-
-    // Add main search parameters
-    if (dynamicConfig.api.campgroundId) params.append('campgroundId', dynamicConfig.api.campgroundId);
-    if (dynamicConfig.filters.filterStartDate) params.append('filterStartDate', dynamicConfig.filters.filterStartDate);
-    if (dynamicConfig.filters.filterEndDate) params.append('filterEndDate', dynamicConfig.filters.filterEndDate);
-    if (dynamicConfig.siteFilters.siteNumbersToFilter.length > 0) {
-        params.append('sites', dynamicConfig.siteFilters.siteNumbersToFilter.join(','));
-    }
-
-    // Add all display flags
-    for (const key in dynamicConfig.display) {
-        params.append(key, dynamicConfig.display[key]);
-    }
-
-    // Add sorting parameter from the new global checkbox
-    if (dynamicConfig.sorting.primarySortKey === 'site') {
-        params.append('sortBySiteFirst', 'true');
-    }
-
-    // Add tab behavior parameters from the UI controls
-    params.append('includeNotReservableInAvailableTab', document.getElementById('includeNotReservableInAvailableTab').checked);
-    params.append('showAllFilteredSitesStatuses', document.getElementById('showAllFilteredSitesStatuses').checked);
-    params.append('fetchDetailsAvailableOnly', document.getElementById('fetchDetailsForAvailableOnly').checked);
-    params.append('openDebugTabInNewWindow', document.getElementById('openDebugTabInNewWindow').checked);
+    // Links never carry the access code; whoever opens one signs in first (see `middleware.js`).
+    params.append('q', encodeShareConfig(dynamicConfig, config));
 
     const finalUrl = `${baseUrl}?${params.toString()}`;
 
@@ -4242,6 +6406,79 @@ function handleCopyLink() {
     }).catch(err => console.error('Failed to copy link: ', err));
 }
 
+/**
+ * Handles the click event for the "Sign Out" button. It clears the session cookie and
+ * returns to the sign-in page.
+ * @returns {Promise<void>}
+ */
+async function handleSignOut() {
+    try {
+        await fetch('/api/session', { method: 'DELETE' });
+    } catch (error) {
+        console.error('[handleSignOut] Could not sign out:', error);
+        alert('Could not sign out. Check your connection and try again.');
+        return;
+    }
+    window.location.assign('/login.html');
+}
+
+/** The localStorage key under which the "Your Equipment" settings are saved. */
+const EQUIPMENT_STORAGE_KEY = 'campsite-availability-equipment';
+
+/**
+ * Reads the "Your Equipment" settings from the form.
+ * @returns {import('./services/siteAttributes.js').Equipment} The equipment.
+ */
+function readEquipmentFromForm() {
+    return {
+        type: document.getElementById('equipmentType').value,
+        length: parseInt(document.getElementById('equipmentLength').value, 10) || null,
+        hideNonFitting: document.getElementById('hideNonFittingSites').checked,
+    };
+}
+
+/**
+ * Reads the equipment saved by `handleEquipmentChange`.
+ * @returns {import('./services/siteAttributes.js').Equipment|null} The saved equipment, or null if none was saved or storage is unavailable.
+ */
+function loadSavedEquipment() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(EQUIPMENT_STORAGE_KEY));
+        return saved && typeof saved === 'object' ? saved : null;
+    } catch (error) {
+        console.warn('[loadSavedEquipment] Could not read the saved equipment.', error);
+        return null;
+    }
+}
+
+/**
+ * Saves the "Your Equipment" settings whenever one of them changes, so they are filled in on later visits.
+ */
+function handleEquipmentChange() {
+    try {
+        localStorage.setItem(EQUIPMENT_STORAGE_KEY, JSON.stringify(readEquipmentFromForm()));
+    } catch (error) {
+        console.warn('[handleEquipmentChange] Could not save the equipment.', error);
+    }
+}
+
+/**
+ * Handles the "Clear Saved Details" button: deletes every campsite, facility and rec area result saved in
+ * IndexedDB, so the next search fetches fresh copies.
+ * @param {Event} event The click event.
+ */
+async function handleClearSavedDetails(event) {
+    const button = event.currentTarget;
+    const originalText = button.textContent;
+    button.disabled = true;
+    const deletedCount = await clearPersistentCache();
+    button.textContent = `Cleared ${deletedCount} saved item${deletedCount === 1 ? '' : 's'}`;
+    setTimeout(() => {
+        button.textContent = originalText;
+        button.disabled = false;
+    }, 2000);
+}
+
 /**
  * Initializes the "Select All" checkbox functionality for the raw data tabs.
  * It syncs the state between the master toggle and the individual checkboxes.
@@ -4289,6 +6526,101 @@ function initializeRawDataToggle() {
     updateMasterToggleState();
 }
 
+/**
+ * Applies the settings of an older shareable link, which lists each setting as its own query
+ * parameter (e.g. `?campgroundId=232447&filterStartDate=2025-07-01&showCampsiteIdColumn=true`).
+ * Links copied now use a single `q=` parameter instead; these are still read so old bookmarks keep working.
+ * @param {URLSearchParams} urlParams The page's query parameters.
+ * @param {object} targetConfig The config to update in place.
+ */
+function applyLegacyLinkParams(urlParams, targetConfig) {
+    const campgroundIdsFromUrl = parseCampgroundIds(urlParams.get('campgroundId'));
+    if (campgroundIdsFromUrl.length > 0) {
+        targetConfig.api.campgroundId = campgroundIdsFromUrl[0];
+        targetConfig.api.campgroundIds = campgroundIdsFromUrl;
+    }
+    targetConfig.filters.filterStartDate = urlParams.get('filterStartDate') || targetConfig.filters.filterStartDate;
+    targetConfig.filters.filterEndDate = urlParams.get('filterEndDate') || targetConfig.filters.filterEndDate;
+
+    const sitesFromUrl = urlParams.get('sites');
+    if (sitesFromUrl) {
+        targetConfig.siteFilters.siteNumbersToFilter = sitesFromUrl.split(',').map(s => s.trim()).filter(Boolean);
+    }
+
+    // Handle boolean flags (checkboxes) from the URL
+    for (const key in targetConfig.display) {
+        if (urlParams.has(key)) {
+            targetConfig.display[key] = urlParams.get(key) === 'true';
+        }
+    }
+
+    // Handle sorting flags from the URL using the new global checkbox parameter
+    if (urlParams.get('sortBySiteFirst') === 'true') {
+        targetConfig.sorting.primarySortKey = 'site';
+    }
+
+    // Handle tab behavior flags from the URL
+    if (urlParams.has('includeNotReservableInAvailableTab')) {
+        targetConfig.tabBehavior.includeNotReservableInAvailableTab = urlParams.get('includeNotReservableInAvailableTab') === 'true';
+    }
+
+    if (urlParams.has('showAllFilteredSitesStatuses')) { // This was already here, keeping it.
+        targetConfig.tabBehavior.showAllFilteredSitesStatuses = urlParams.get('showAllFilteredSitesStatuses') === 'true';
+    }
+    if (urlParams.has('fetchDetailsAvailableOnly')) {
+        targetConfig.tabBehavior.fetchDetailsForAvailableOnly = urlParams.get('fetchDetailsAvailableOnly') === 'true';
+    }
+
+    if (urlParams.has('openDebugTabInNewWindow')) {
+        targetConfig.tabBehavior.openDebugTabInNewWindow = urlParams.get('openDebugTabInNewWindow') === 'true';
+    }
+
+    // Handle stay search parameters, e.g. `stayNights=2-4&arrivalDays=5,6`
+    const stayNightsFromUrl = urlParams.get('stayNights');
+    if (stayNightsFromUrl) {
+        const [minNights, maxNights] = stayNightsFromUrl.split('-').map(n => parseInt(n, 10));
+        targetConfig.staySearch.enabled = true;
+        if (minNights > 0) targetConfig.staySearch.minNights = minNights;
+        targetConfig.staySearch.maxNights = maxNights > 0 ? maxNights : targetConfig.staySearch.minNights;
+    }
+    const arrivalDaysFromUrl = urlParams.get('arrivalDays');
+    if (arrivalDaysFromUrl) {
+        targetConfig.staySearch.arrivalWeekdays = arrivalDaysFromUrl.split(',')
+            .map(day => parseInt(day, 10))
+            .filter(day => day >= 0 && day <= 6);
+    }
+
+    // Handle site feature filters, e.g. `vehicleLength=30&driveway=pull-through&siteType=rv&siteFeatures=electric,shade`
+    const vehicleLengthFromUrl = parseInt(urlParams.get('vehicleLength'), 10);
+    if (vehicleLengthFromUrl > 0) targetConfig.siteAttributes.minVehicleLength = vehicleLengthFromUrl;
+    if (['pull-through', 'back-in', 'parallel'].includes(urlParams.get('driveway'))) {
+        targetConfig.siteAttributes.drivewayEntry = urlParams.get('driveway');
+    }
+    if (['tent', 'rv', 'group'].includes(urlParams.get('siteType'))) {
+        targetConfig.siteAttributes.siteType = urlParams.get('siteType');
+    }
+    const siteFeaturesFromUrl = (urlParams.get('siteFeatures') || '').split(',');
+    if (siteFeaturesFromUrl.includes('accessible')) targetConfig.siteAttributes.accessibleOnly = true;
+    if (siteFeaturesFromUrl.includes('electric')) targetConfig.siteAttributes.electricOnly = true;
+    if (siteFeaturesFromUrl.includes('shade')) targetConfig.siteAttributes.shadeOnly = true;
+
+    // Handle the budget, e.g. `maxNightly=35&maxStay=120`
+    const maxNightlyFromUrl = parseFloat(urlParams.get('maxNightly'));
+    if (maxNightlyFromUrl > 0) targetConfig.budget.maxNightlyPrice = maxNightlyFromUrl;
+    const maxStayFromUrl = parseFloat(urlParams.get('maxStay'));
+    if (maxStayFromUrl > 0) targetConfig.budget.maxStayTotal = maxStayFromUrl;
+
+    // Handle equipment, e.g. `equipment=trailer-24&hideNonFitting=true`. The type may itself contain a hyphen (fifth-wheel).
+    const equipmentMatch = (urlParams.get('equipment') || '').match(/^([a-z-]+?)(?:-(\d+))?$/);
+    if (equipmentMatch && EQUIPMENT_TYPES[equipmentMatch[1]]) {
+        targetConfig.equipment = {
+            type: equipmentMatch[1],
+            length: parseInt(equipmentMatch[2], 10) || null,
+            hideNonFitting: urlParams.get('hideNonFitting') === 'true',
+        };
+    }
+}
+
 /**
  * Initializes the page on load. It sets up the form with values from URL parameters
  * or defaults from the `config` object, and attaches event listeners to the form buttons.
@@ -4325,7 +6657,7 @@ async function initializePage() {
 
         const noteElement = document.createElement('p');
         noteElement.className = 'form-note';
-        noteElement.innerHTML = 'The maximum search range is 40 days. If only one date is provided, a 40-day range is calculated automatically. Longer ranges will be capped.' +
+        noteElement.innerHTML = 'The maximum search range is about six months (183 days). If only one date is provided, a 40-day range is calculated automatically. Longer ranges will be capped.' +
                                 '<br><strong>Leave dates blank for a 30-day search starting today.</strong>';
         noteElement.style.fontSize = '0.8em';
         noteElement.style.color = '#555';
@@ -4355,85 +6687,28 @@ async function initializePage() {
         siteNumbersTextarea.insertAdjacentElement('afterend', placeholder);
     }
 
-    // --- Fetch and Populate Presets ---
-    try {
-        // logDebug("Attempting to fetch 'presets.json'...");
-        const response = await fetch('presets.json');
-        // logDebug(`Fetch response status: ${response.status} ${response.statusText}`);
-        // logDebug(`Response OK: ${response.ok}`);
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        // logDebug("Response OK. Attempting to parse JSON...");
-        PRESET_COLLECTION = await response.json();
-        // logDebug("Successfully parsed JSON. Populating preset dropdown...");
-
-        // Populate the preset dropdown from the fetched data
-        const defaultOption = document.createElement('option');
-        defaultOption.value = "";
-        defaultOption.textContent = "Select a Preset...";
-        presetSelector.appendChild(defaultOption);
-
-        for (const presetName in PRESET_COLLECTION) {
-            const option = document.createElement('option');
-            option.value = presetName;
-            option.textContent = presetName;
-            presetSelector.appendChild(option);
-        }
-        // logDebug(`Dropdown populated with ${Object.keys(PRESET_COLLECTION).length} presets.`);
-    } catch (error) {
-        const errorMsg = `Could not load or parse presets.json: ${error.message}`;
-        // logDebug(`ERROR: ${errorMsg}`);
-        console.error(errorMsg, error);
-        const errorOption = document.createElement('option');
-        errorOption.value = "";
-        errorOption.textContent = "Error loading presets";
-        presetSelector.appendChild(errorOption);
-        presetSelector.disabled = true;
-    }
+    // --- Load Saved Searches and Team Presets (presets.json merged with /api/presets) ---
+    await initializeSavedSearches();
     // logDebug("\n--- Initializing Form from URL/Defaults ---");
 
     // 1. Create initial config from URL params, falling back to the hardcoded defaults
     const urlParams = new URLSearchParams(window.location.search);
-    const initialConfig = JSON.parse(JSON.stringify(config)); // Deep copy of defaults
-
-    // Override defaults with URL parameters if they exist
-    initialConfig.api.campgroundId = urlParams.get('campgroundId') || initialConfig.api.campgroundId;
-    initialConfig.filters.filterStartDate = urlParams.get('filterStartDate') || initialConfig.filters.filterStartDate;
-    initialConfig.filters.filterEndDate = urlParams.get('filterEndDate') || initialConfig.filters.filterEndDate;
+    let initialConfig = JSON.parse(JSON.stringify(config)); // Deep copy of defaults
 
-    const sitesFromUrl = urlParams.get('sites');
-    if (sitesFromUrl) {
-        initialConfig.siteFilters.siteNumbersToFilter = sitesFromUrl.split(',').map(s => s.trim()).filter(Boolean);
-    }
+    // The user's equipment is remembered between visits; a shared link can still override it below.
+    const savedEquipment = loadSavedEquipment();
+    if (savedEquipment) initialConfig.equipment = { ...initialConfig.equipment, ...savedEquipment };
 
-    // Handle boolean flags (checkboxes) from the URL
-    for (const key in initialConfig.display) {
-        if (urlParams.has(key)) {
-            initialConfig.display[key] = urlParams.get(key) === 'true';
+    // Apply the shared search: a `q=` link, or an older link with one parameter per setting.
+    const sharedSearch = urlParams.get('q');
+    if (sharedSearch) {
+        try {
+            initialConfig = decodeShareConfig(sharedSearch, initialConfig);
+        } catch (error) {
+            console.warn('[initializePage] Could not read the shared link; using the defaults.', error);
         }
-    }
-
-    // Handle sorting flags from the URL using the new global checkbox parameter
-    if (urlParams.get('sortBySiteFirst') === 'true') {
-        initialConfig.sorting.primarySortKey = 'site';
-    }
-
-    // Handle tab behavior flags from the URL
-    if (urlParams.has('includeNotReservableInAvailableTab')) {
-        initialConfig.tabBehavior.includeNotReservableInAvailableTab = urlParams.get('includeNotReservableInAvailableTab') === 'true';
-    }
-
-    if (urlParams.has('showAllFilteredSitesStatuses')) { // This was already here, keeping it.
-        initialConfig.tabBehavior.showAllFilteredSitesStatuses = urlParams.get('showAllFilteredSitesStatuses') === 'true';
-    }
-    if (urlParams.has('fetchDetailsAvailableOnly')) {
-        initialConfig.tabBehavior.fetchDetailsForAvailableOnly = urlParams.get('fetchDetailsAvailableOnly') === 'true';
-    }
-
-    if (urlParams.has('openDebugTabInNewWindow')) {
-        initialConfig.tabBehavior.openDebugTabInNewWindow = urlParams.get('openDebugTabInNewWindow') === 'true';
+    } else {
+        applyLegacyLinkParams(urlParams, initialConfig);
     }
 
     // 2. Populate the form with the determined initial configuration
@@ -4477,11 +6752,32 @@ async function initializePage() {
 
     form.addEventListener('submit', handleFormSubmit);
     copyLinkButton.addEventListener('click', handleCopyLink);
+    document.getElementById('sign-out-button').addEventListener('click', handleSignOut);
     presetSelector.addEventListener('change', handlePresetChange);
+    document.getElementById('saved-search-actions').addEventListener('click', handleSavedSearchAction);
+    document.getElementById('saved-search-import-input').addEventListener('change', handleSavedSearchImport);
+
+    const watchToggleButton = document.getElementById('watch-toggle-button');
+    if (watchToggleButton) {
+        watchToggleButton.addEventListener('click', handleWatchToggle);
+    }
+
+    const equipmentFieldset = document.getElementById('equipment-fieldset');
+    if (equipmentFieldset) {
+        equipmentFieldset.addEventListener('change', handleEquipmentChange);
+    }
+
+    const clearSavedDetailsButton = document.getElementById('clear-saved-details-button');
+    if (clearSavedDetailsButton) {
+        clearSavedDetailsButton.addEventListener('click', handleClearSavedDetails);
+    }
 
     // Initialize the new facility search feature
     initializeFacilitySearch();
 
+    // Initialize the recreation area search, which ranks every campground in an area
+    initializeRecAreaSearch();
+
     // Initialize the "Back to Top" button functionality
     initializeBackToTopButton();
     
@@ -1,35 +1,69 @@
+import { checkAccessCode } from './api/_lib/accessCode.js';
+import { verifySessionToken, createSessionToken, readCookie, buildSessionCookie, TEAM_USERNAME } from './api/_lib/session.js';
+import { createRateLimiter, LOGIN_RATE_LIMIT } from './api/_lib/rateLimit.js';
+
+const legacyCodeLimiter = createRateLimiter();
 
 /**
- * Vercel Edge Middleware to protect the website with a URL-based access code.
+ * Vercel Edge Middleware to protect the website with a sign-in session.
  *
  * How it works:
- * 1. It intercepts all incoming requests to the website (except for API routes and static files).
- * 2. It reads the secret `ACCESS_CODE` from your Vercel Environment Variables.
- * 3. It checks if the request URL contains a matching `?access_code=...` query parameter.
- * 4. If the code is correct, it allows the user to see the page.
- * 5. If the code is incorrect or missing, it blocks the request with an "Access Denied" message.
+ * 1. It intercepts all incoming requests to the website (except for API routes, static files and the login page).
+ * 2. It checks the signed, HttpOnly session cookie set by `/api/session` when the user signs in on `login.html`
+ *    (see `api/_lib/session.js`).
+ * 3. If the session is valid and not expired, it allows the user to see the page.
+ * 4. If it is missing or invalid, it redirects to `login.html`, which returns to the requested page after signing in.
+ *
+ * Old links and bookmarks that still carry `?access_code=...` keep working: a correct code is exchanged for a
+ * session cookie, and the user is redirected to the same page without the code in the URL. Wrong codes count
+ * against the same per-IP limit as failed sign-ins (`LOGIN_RATE_LIMIT`).
+ *
+ * API routes are not checked here; each one checks access itself and answers 401 rather than redirecting to the
+ * login page, so no route that can spend the `RIDB_API_KEY` quota is open to outsiders:
+ * - `/api/fetch-ridb` and `/api/watches` (like `/api/presets` and `/api/usage`) need the session cookie or the access code.
+ * - `/api/run-watches` needs the Vercel Cron secret, the session cookie or the access code, and refuses to run
+ *   at all when none of them is configured.
  */
-export default function middleware(request) {
-  // In a local development environment (`vercel dev`), you can bypass this check for convenience.
-  // This will not affect your deployed preview or production sites.
-  if (process.env.NODE_ENV === 'development') {
-    return; // Allow request to proceed without checking the access code.
-  }
-
+export default async function middleware(request) {
   const url = new URL(request.url);
 
   // Allow static assets
   if (url.pathname.match(/\.(css|js|json|png|jpg|jpeg|ico|svg|webp|woff2?)$/)) return;
 
-  // Allow API routes
-  if (url.pathname.startsWith('/api/')) return;
+  // Allow API routes and the login page
+  if (url.pathname.startsWith('/api/') || url.pathname === '/login.html') return;
+
+  // In a local development environment (`vercel dev`), every request is allowed for convenience.
+  // This will not affect your deployed preview or production sites.
+  if (process.env.NODE_ENV === 'development') return;
 
-  const accessCode = process.env.ACCESS_CODE;
-  if (!accessCode) return new Response("Access code not configured on server.", { status: 500 });
+  const session = await verifySessionToken(readCookie(request.headers.get('cookie')));
+  if (session) return;
 
-  const providedCode = url.searchParams.get("access_code");
+  // Exchange a legacy `?access_code=` for a session, then drop it from the URL.
+  const legacyCode = url.searchParams.get('access_code');
+  if (legacyCode !== null) {
+    const clientKey = `ip:${(request.headers.get('x-forwarded-for') || 'unknown').split(',')[0].trim()}`;
+    const limit = legacyCodeLimiter.peek(clientKey, LOGIN_RATE_LIMIT);
+    if (!limit.allowed) {
+      return new Response('Too many failed sign-in attempts.', { status: 429, headers: { 'Retry-After': String(limit.retryAfterSeconds) } });
+    }
 
-  if (providedCode === accessCode) return;
+    const { ok, status, error } = await checkAccessCode(legacyCode);
+    if (!ok && status !== 401) return new Response(error, { status });
+    if (!ok) legacyCodeLimiter.take(clientKey, LOGIN_RATE_LIMIT);
+    if (ok) {
+      const { token } = await createSessionToken(TEAM_USERNAME);
+      url.searchParams.delete('access_code');
+      return new Response(null, {
+        status: 302,
+        headers: { Location: url.toString(), 'Set-Cookie': buildSessionCookie(token, url.protocol === 'https:') },
+      });
+    }
+  }
 
-  return new Response("Access Denied", { status: 401 });
+  const loginUrl = new URL('/login.html', url);
+  url.searchParams.delete('access_code');
+  loginUrl.searchParams.set('next', url.pathname + url.search);
+  return Response.redirect(loginUrl.toString(), 302);
 }
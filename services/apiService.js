@@ -14,57 +14,310 @@
  *
  */
 
+import { getCachedEntry, setCachedEntry } from './persistentCache.js';
+import { normalizeResponse } from './responseSchemas.js';
+import { RESPONSE_MODEL_VERSION, toResponseModel } from './responseModels.js';
+
+/** @typedef {import('./responseModels.js').CampsiteAvailability} CampsiteAvailability */
+/** @typedef {import('./responseModels.js').CampgroundModel} CampgroundModel */
+/** @typedef {import('./responseModels.js').CampgroundSummary} CampgroundSummary */
+/** @typedef {import('./responseModels.js').FacilityModel} FacilityModel */
+/** @typedef {import('./responseModels.js').RecAreaModel} RecAreaModel */
+/** @typedef {import('./responseModels.js').EventModel} EventModel */
+/** @typedef {import('./responseModels.js').MediaModel} MediaModel */
+/** @typedef {import('./responseModels.js').CampsiteModel} CampsiteModel */
+
+// --- Request Scheduling ---
+
+/**
+ * Request priorities for the shared scheduler. Lower numbers run first.
+ */
+const REQUEST_PRIORITY = {
+    HIGH: 0,
+    NORMAL: 1,
+    LOW: 2,
+};
+
+/**
+ * The priority of each kind of request, keyed by the `type` in its logging context.
+ * Availability drives every results tab, so it jumps ahead of supporting data like media and events.
+ * Unlisted types run at `NORMAL` priority.
+ */
+const PRIORITY_BY_CONTEXT_TYPE = {
+    'Availability': REQUEST_PRIORITY.HIGH,
+    'Campground Metadata': REQUEST_PRIORITY.HIGH,
+    'Rec Area Events': REQUEST_PRIORITY.LOW,
+    'Rec Area Media': REQUEST_PRIORITY.LOW,
+    'Rec.gov Search Data': REQUEST_PRIORITY.LOW,
+};
+
+const MAX_CONCURRENT_REQUESTS = 6; // Matches the browser's own per-host connection limit.
+
+/**
+ * Creates a scheduler that runs at most `maxConcurrent` tasks at once, starting queued tasks in priority
+ * order (then first-come, first-served), and shares one run among all callers that schedule the same key
+ * while it is queued or running.
+ * @param {number} maxConcurrent The maximum number of tasks running at the same time.
+ * @returns {{schedule: function(string, number, function(): Promise<any>): Promise<any>, isPending: function(string): boolean}} The scheduler.
+ */
+function createRequestScheduler(maxConcurrent) {
+    const queue = [];
+    const pending = new Map(); // key -> { promise, job }
+    let running = 0;
+    let sequence = 0;
+
+    const runNext = () => {
+        while (running < maxConcurrent && queue.length > 0) {
+            queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+            const job = queue.shift();
+            running++;
+            job.task()
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    running--;
+                    pending.delete(job.key);
+                    runNext();
+                });
+        }
+    };
+
+    return {
+        schedule(key, priority, task) {
+            const existing = pending.get(key);
+            if (existing) {
+                // A more urgent caller promotes the shared job if it has not started yet.
+                existing.job.priority = Math.min(existing.job.priority, priority);
+                return existing.promise;
+            }
+
+            const job = { key, priority, sequence: sequence++, task };
+            const promise = new Promise((resolve, reject) => {
+                job.resolve = resolve;
+                job.reject = reject;
+            });
+            pending.set(key, { promise, job });
+            queue.push(job);
+            runNext();
+            return promise;
+        },
+        isPending(key) {
+            return pending.has(key);
+        },
+    };
+}
+
+/**
+ * The scheduler shared by every request made through `fetchApiData`.
+ */
+const requestScheduler = createRequestScheduler(MAX_CONCURRENT_REQUESTS);
+
+/**
+ * Default retry behaviour for `fetchApiData`. Any of these can be overridden per call.
+ * @property {number} maxRetries How many times to retry after the first attempt.
+ * @property {number} baseDelayMs The backoff before the first retry; it doubles with each attempt.
+ * @property {number} maxDelayMs The largest backoff between attempts.
+ * @property {number} maxRetryAfterMs The longest `Retry-After` wait to honour. Longer waits give up instead.
+ * @property {number[]} retryStatuses HTTP statuses that are worth retrying.
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    maxRetryAfterMs: 30000,
+    retryStatuses: [408, 425, 429, 500, 502, 503, 504],
+};
+
+/**
+ * Parses a `Retry-After` header, which may be a number of seconds or an HTTP date.
+ * @param {string|null} headerValue The header value.
+ * @returns {number|null} The wait in milliseconds, or null if the header is missing or invalid.
+ */
+function parseRetryAfter(headerValue) {
+    if (!headerValue) return null;
+    const seconds = Number(headerValue);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(headerValue);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Calculates a jittered exponential backoff ("full jitter": a random wait up to the exponential cap).
+ * @param {number} attempt The attempt that just failed, starting at 1.
+ * @param {object} retryOptions The effective retry options.
+ * @returns {number} The wait in milliseconds.
+ */
+function getBackoffDelay(attempt, retryOptions) {
+    const cap = Math.min(retryOptions.maxDelayMs, retryOptions.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(Math.random() * cap);
+}
+
 /**
  * A generic and robust utility for fetching and processing data from an API.
  * It centralizes logging, error handling, and response parsing.
+ *
+ * Transient failures (network errors and the statuses in `retryStatuses`, such as 429 and 503) are retried
+ * with jittered exponential backoff. When the server sends `Retry-After`, that wait is used instead.
+ * Every attempt is logged to `debugInfo.api.calls`; attempts that were followed by a retry have `willRetry: true`.
+ *
+ * Requests go through the shared scheduler, which limits how many run at once, starts higher-priority
+ * requests first (see `PRIORITY_BY_CONTEXT_TYPE`), and lets identical in-flight requests share one response.
  * @template T
  * @param {string} url The API endpoint URL to fetch.
  * @param {RequestInit} options Standard `fetch` options (e.g., headers).
  * @param {string|object} context A string or object providing context for logging.
  * @param {function(any, Response): T} dataProcessor A function to transform the raw JSON into the desired output format.
  * @param {object} debugInfo The centralized debug object for logging API calls and errors.
+ * @param {Partial<typeof DEFAULT_RETRY_OPTIONS>} [retryOptions={}] Overrides for `DEFAULT_RETRY_OPTIONS`.
  * @returns {Promise<T|null>} The processed data as returned by `dataProcessor`, or `null` if the fetch fails.
+ * Proxy responses are normalized against their route's schema and mapped to its internal model (see `normalizeProxyResponse`)
+ * before `dataProcessor` sees them.
  */
-export async function fetchApiData(url, options, context, dataProcessor, debugInfo) {
+export async function fetchApiData(url, options, context, dataProcessor, debugInfo, retryOptions = {}) {
     const contextName = typeof context === 'string' ? context : JSON.stringify(context);
-    console.log(`Fetching ${contextName} from: ${url}`);
-
-    const logEntry = {
-        context: contextName,
-        url: url,
-        status: null,
-        error: null,
-        timestamp: new Date().toISOString()
-    };
+    const effectiveRetryOptions = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+    const maxAttempts = effectiveRetryOptions.maxRetries + 1;
+    const priority = PRIORITY_BY_CONTEXT_TYPE[context?.type] ?? REQUEST_PRIORITY.NORMAL;
+    const requestKey = `${options?.method || 'GET'} ${url}`;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        console.log(`Fetching ${contextName} from: ${url}${attempt > 1 ? ` (attempt ${attempt} of ${maxAttempts})` : ''}`);
+
+        const logEntry = {
+            context: contextName,
+            url: url,
+            status: null,
+            error: null,
+            attempt,
+            timestamp: new Date().toISOString()
+        };
+        let retryDelayMs = null;
+
+        try {
+            let response;
+            let json;
+            let parseError;
+            try {
+                if (requestScheduler.isPending(requestKey)) logEntry.coalesced = true;
+                // The body is read inside the scheduled task so coalesced callers can share the parsed JSON.
+                ({ response, json, parseError } = await requestScheduler.schedule(requestKey, priority, async () => {
+                    const scheduledResponse = await fetch(url, options);
+                    if (!scheduledResponse.ok) return { response: scheduledResponse, json: null, parseError: null };
+                    try {
+                        return { response: scheduledResponse, json: await scheduledResponse.json(), parseError: null };
+                    } catch (error) {
+                        return { response: scheduledResponse, json: null, parseError: error };
+                    }
+                }));
+            } catch (networkError) {
+                // The request never completed (e.g. a dropped connection), which is worth retrying.
+                if (attempt === maxAttempts) throw networkError;
+                logEntry.status = 'Network Error';
+                logEntry.error = networkError.message;
+                retryDelayMs = getBackoffDelay(attempt, effectiveRetryOptions);
+                console.error(`Network error fetching ${contextName}:`, networkError);
+            }
 
-    try {
-        const response = await fetch(url, options);
-        logEntry.status = response.status;
-        console.log(`Response Status for ${contextName}: ${response.status}`);
+            if (response) {
+                logEntry.status = response.status;
+                console.log(`Response Status for ${contextName}: ${response.status}`);
+
+                if (response.ok) {
+                    if (parseError) throw parseError;
+                    return dataProcessor(normalizeProxyResponse(url, json, contextName, debugInfo), response);
+                }
+
+                logEntry.error = `HTTP error! Status: ${response.status}`;
+                if (response.status === 401) logEntry.error += ' (not signed in or the session has expired; reload the page to sign in again)';
+                console.error(`HTTP error fetching ${contextName}! Status: ${response.status}`);
+
+                if (attempt < maxAttempts && effectiveRetryOptions.retryStatuses.includes(response.status)) {
+                    const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+                    if (retryAfterMs === null) {
+                        retryDelayMs = getBackoffDelay(attempt, effectiveRetryOptions);
+                    } else if (retryAfterMs <= effectiveRetryOptions.maxRetryAfterMs) {
+                        retryDelayMs = retryAfterMs;
+                    } else {
+                        logEntry.error += ` (Retry-After of ${Math.round(retryAfterMs / 1000)}s is too long to wait)`;
+                    }
+                }
+                if (retryDelayMs === null) {
+                    return null; // Graceful failure
+                }
+            }
 
-        if (!response.ok) {
-            logEntry.error = `HTTP error! Status: ${response.status}`;
-            console.error(`HTTP error fetching ${contextName}! Status: ${response.status}`);
+        } catch (error) {
+            logEntry.status = 'Network/JSON Error';
+            logEntry.error = error.message;
+            debugInfo.errors.push({
+                context: `fetchApiData: ${contextName}`,
+                message: error.message,
+                stack: error.stack,
+                timestamp: new Date().toISOString()
+            });
+            console.error(`Network error or JSON parsing error fetching ${contextName}:`, error);
             return null; // Graceful failure
+        } finally {
+            if (retryDelayMs !== null) {
+                logEntry.willRetry = true;
+                logEntry.retryDelayMs = retryDelayMs;
+            }
+            debugInfo.api.calls.push(logEntry);
         }
 
-        const json = await response.json();
-        return dataProcessor(json, response);
+        console.warn(`Retrying ${contextName} in ${retryDelayMs} ms (attempt ${attempt} of ${maxAttempts} failed).`);
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    }
+    return null; // Not reached: the final attempt always returns above.
+}
+
+/**
+ * Normalizes a proxy response against the schema for its route type (the `type` parameter of the URL; see
+ * `services/responseSchemas.js`) and maps it to the route's internal model (`services/responseModels.js`).
+ * Any schema drift is recorded in `debugInfo.errors`, so upstream changes are noticed instead of rendering
+ * as blanks. Responses from other URLs are returned unchanged.
+ * @param {string} url The requested URL.
+ * @param {any} json The parsed response.
+ * @param {string} contextName The request's logging context.
+ * @param {object} debugInfo The centralized debug object.
+ * @returns {any} The route's model.
+ */
+function normalizeProxyResponse(url, json, contextName, debugInfo) {
+    const type = new URL(url, 'https://proxy.invalid').searchParams.get('type');
+    if (!type) return json;
 
-    } catch (error) {
-        logEntry.status = 'Network/JSON Error';
-        logEntry.error = error.message;
+    const { data, issues } = normalizeResponse(type, json);
+    issues.forEach(issue => {
+        console.warn(`[normalizeProxyResponse] Schema drift in '${type}' response for ${contextName}: ${issue}`);
         debugInfo.errors.push({
-            context: `fetchApiData: ${contextName}`,
-            message: error.message,
-            stack: error.stack,
+            context: `Schema drift: ${contextName}`,
+            message: `'${type}' response: ${issue}`,
             timestamp: new Date().toISOString()
         });
-        console.error(`Network error or JSON parsing error fetching ${contextName}:`, error);
-        return null; // Graceful failure
-    } finally {
-        debugInfo.api.calls.push(logEntry);
-    }
+    });
+    return toResponseModel(type, data);
+}
+
+/**
+ * Runs an async function over a list of items with at most `concurrency` calls in flight at once.
+ * @template T, R
+ * @param {T[]} items The items to process.
+ * @param {number} concurrency The maximum number of calls running at the same time.
+ * @param {function(T, number): Promise<R>} mapper The async function to run for each item and its index.
+ * @returns {Promise<R[]>} The results, in the same order as `items`.
+ */
+async function mapWithConcurrency(items, concurrency, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
 }
 
 // --- ID Management ---
@@ -78,10 +331,10 @@ export class IdCollection {
         // The initial campgroundId from the config is the most reliable one.
         this.campgroundId = initialCampgroundId;
 
-        // Populate other IDs from the metadata API response.
-        this.facilityId = apiCampgroundData.facility_id;
-        this.recAreaId = apiCampgroundData.parent_rec_area_id;
-        this.campsiteId = apiCampgroundData.campsite_id; // May be undefined
+        // Populate other IDs from the campground model (see `fetchCampgroundMetadata`).
+        this.facilityId = apiCampgroundData.facilityId;
+        this.recAreaId = apiCampgroundData.recAreaId;
+        this.campsiteId = apiCampgroundData.campsiteId; // May be undefined
         this.eventInfoStatus = 'NOT_FETCHED';
     }
 }
@@ -107,16 +360,86 @@ function getMonthsToFetch(startDateStr, endDateStr) {
     return months;
 }
 
+// --- Availability Month Cache ---
+
+const MONTH_FETCH_CONCURRENCY = 2; // Months fetched at once per campground, to stay clear of upstream rate limits.
+const MONTH_CACHE_TTL_MS = 5 * 60 * 1000; // How long a fetched month is reused within this page before asking the proxy again.
+
+/**
+ * Months of availability already fetched during this page session, keyed by `${campgroundId}|${month}`.
+ * Each entry holds `{campsites, response, requestDateTime}`. This lets a search over a wider date range
+ * fetch only the months it has not seen yet.
+ * @type {Map<string, {campsites: object, response: Response, requestDateTime: Date}>}
+ */
+const availabilityMonthCache = new Map();
+
+/**
+ * Returns a cached month of availability if it is younger than `MONTH_CACHE_TTL_MS`.
+ * @param {string} campgroundId The campground ID.
+ * @param {string} month The month start date ('YYYY-MM-01').
+ * @returns {{campsites: object, response: Response, requestDateTime: Date}|null} The cached month, or null.
+ */
+function getCachedMonth(campgroundId, month) {
+    const key = `${campgroundId}|${month}`;
+    const entry = availabilityMonthCache.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.requestDateTime.getTime() > MONTH_CACHE_TTL_MS) {
+        availabilityMonthCache.delete(key);
+        return null;
+    }
+    return entry;
+}
+
+// --- Persistent Details Cache ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CAMPSITE_DETAILS_MAX_AGE_MS = 30 * DAY_MS; // Site attributes and photos almost never change.
+const MEDIA_MAX_AGE_MS = 30 * DAY_MS;
+const AREA_DETAILS_MAX_AGE_MS = 7 * DAY_MS; // Facility and rec area text (alerts, directions, phone numbers) is edited more often.
+
+/**
+ * Returns a result from the browser's persistent cache, or fetches and stores it.
+ * Null results (failed or empty fetches) are never stored. Keys are prefixed with `RESPONSE_MODEL_VERSION`,
+ * so results saved in an older model shape are fetched again rather than misread.
+ * @param {string} key The cache key, without the version prefix.
+ * @param {number} maxAgeMs The maximum age of a cached result to accept.
+ * @param {string} contextName A label for the debug log.
+ * @param {object} debugInfo The centralized debug object.
+ * @param {function(): Promise<any>} fetcher Fetches the result from the API.
+ * @returns {Promise<any>} The cached or fetched result.
+ */
+async function withPersistentCache(key, maxAgeMs, contextName, debugInfo, fetcher) {
+    key = `v${RESPONSE_MODEL_VERSION}|${key}`;
+    const entry = await getCachedEntry(key, maxAgeMs);
+    if (entry) {
+        console.log(`[withPersistentCache] Using ${contextName} saved in this browser at ${new Date(entry.storedAt).toISOString()}.`);
+        debugInfo.api.persistentCacheHits.push({ context: contextName, key, storedAt: new Date(entry.storedAt).toISOString() });
+        return entry.value;
+    }
+    const value = await fetcher();
+    if (value !== null && value !== undefined) await setCachedEntry(key, value);
+    return value;
+}
+
 // --- Individual Data Fetchers ---
 
 /**
  * Fetches campsite availability data from the Recreation.gov API.
- * This function handles multi-month searches by making concurrent requests for each month.
+ * The API returns one month per request, so multi-month searches are split into monthly requests that run
+ * through a small queue (`MONTH_FETCH_CONCURRENCY` at a time). Months fetched earlier in this session are
+ * reused for `MONTH_CACHE_TTL_MS` unless `bypassCache` is set.
  * @param {object} config The configuration object.
  * @param {object} debugInfo The centralized debug object.
- * @returns {Promise<{campsites: object, requestDateTime: Date, response: Response}|null>} A promise that resolves to the combined availability data or null on complete failure.
+ * @param {object} [options={}] Optional fetch behaviour.
+ * @param {boolean} [options.bypassCache=false] If true, skips the session, browser and proxy caches so the data is guaranteed to be live (used by watch mode).
+ * @param {function(object): void} [options.onMonthProgress] Called whenever a month changes state, with
+ * `{campgroundId, month, status, completed, total}`. `status` is 'loading', 'loaded', 'cached' or 'failed'.
+ * @returns {Promise<{campsites: Object<string, CampsiteAvailability>, requestDateTime: Date, response: Response}|null>} A promise that resolves to the combined
+ * availability of each campsite, keyed by campsite ID, or null on complete failure.
+ * When months come from the session cache, `requestDateTime` is the time of the oldest fetch used.
  */
-export async function fetchAvailabilityData(config, debugInfo) {
+export async function fetchAvailabilityData(config, debugInfo, options = {}) {
+    const { bypassCache = false, onMonthProgress = () => { } } = options;
     const { campgroundId } = config.api;
     const { filterStartDate, filterEndDate } = config.filters;
     const requestDateTime = new Date();
@@ -126,42 +449,79 @@ export async function fetchAvailabilityData(config, debugInfo) {
         console.warn('No months to fetch for the given date range.');
         return { campsites: {}, requestDateTime, response: new Response() };
     }
+    debugInfo.api.monthsToFetch.push(...monthsToFetch.map(month => ({ campgroundId, month })));
 
-    const promises = monthsToFetch.map(monthStartDate => {
+    let completed = 0;
+    const reportProgress = (month, status) => {
+        if (status !== 'loading') completed++;
+        onMonthProgress({ campgroundId, month, status, completed, total: monthsToFetch.length });
+    };
+
+    const fetchMonth = async (monthStartDate) => {
+        const cached = bypassCache ? null : getCachedMonth(campgroundId, monthStartDate);
+        if (cached) {
+            console.log(`Using session-cached availability for campground ${campgroundId}, month ${monthStartDate}.`);
+            reportProgress(monthStartDate, 'cached');
+            return cached;
+        }
+
+        reportProgress(monthStartDate, 'loading');
         // The backend proxy only uses the start_date to determine the month.
-        const apiEndpoint = `/api/fetch-ridb?type=availability&campgroundId=${campgroundId}&start_date=${monthStartDate}T00:00:00.000Z`;
-        const dataProcessor = (json, response) => ({
-            campsites: json.campsites,
+        let apiEndpoint = `/api/fetch-ridb?type=availability&campgroundId=${campgroundId}&start_date=${monthStartDate}T00:00:00.000Z`;
+        const fetchOptions = { headers: { 'accept': 'application/json' } };
+        if (bypassCache) {
+            // A unique `fresh` value gives the request its own browser cache key, and tells the proxy not to cache it.
+            apiEndpoint += `&fresh=${requestDateTime.getTime()}`;
+            fetchOptions.cache = 'no-store';
+        }
+        const dataProcessor = (campsites, response) => ({
+            campsites,
             requestDateTime,
             response
         });
         const context = { type: 'Availability', campgroundId, month: monthStartDate };
-        return fetchApiData(apiEndpoint, { headers: { 'accept': 'application/json' } }, context, dataProcessor, debugInfo);
-    });
+        const result = await fetchApiData(apiEndpoint, fetchOptions, context, dataProcessor, debugInfo);
 
-    const results = await Promise.allSettled(promises);
+        if (result?.campsites) {
+            availabilityMonthCache.set(`${campgroundId}|${monthStartDate}`, result);
+            reportProgress(monthStartDate, 'loaded');
+        } else {
+            reportProgress(monthStartDate, 'failed');
+        }
+        return result;
+    };
+
+    const results = await mapWithConcurrency(monthsToFetch, MONTH_FETCH_CONCURRENCY, fetchMonth);
 
     const combinedCampsites = {};
     let firstSuccessfulResponse = null;
+    let oldestRequestDateTime = requestDateTime;
 
     results.forEach((result, index) => {
-        if (result.status === 'fulfilled' && result.value?.campsites) {
+        if (result?.campsites) {
             if (!firstSuccessfulResponse) {
-                firstSuccessfulResponse = result.value.response;
+                firstSuccessfulResponse = result.response;
             }
-            // Correctly merge the nested availability data from each monthly fetch.
-            const monthlyCampsites = result.value.campsites;
+            if (result.requestDateTime < oldestRequestDateTime) {
+                oldestRequestDateTime = result.requestDateTime;
+            }
+            // Merge the nested availability data from each monthly fetch. Campsites are copied so the
+            // cached months are never modified.
+            const monthlyCampsites = result.campsites;
             for (const cId in monthlyCampsites) {
                 if (!combinedCampsites[cId]) {
-                    combinedCampsites[cId] = monthlyCampsites[cId];
+                    combinedCampsites[cId] = {
+                        ...monthlyCampsites[cId],
+                        availabilities: { ...monthlyCampsites[cId].availabilities },
+                        quantities: { ...monthlyCampsites[cId].quantities },
+                    };
                 } else {
                     Object.assign(combinedCampsites[cId].availabilities, monthlyCampsites[cId].availabilities);
                     Object.assign(combinedCampsites[cId].quantities, monthlyCampsites[cId].quantities);
                 }
             }
         } else {
-            const reason = result.status === 'rejected' ? result.reason : 'API returned null or empty response';
-            console.error(`Failed to fetch availability for month starting ${monthsToFetch[index]}:`, reason);
+            console.error(`Failed to fetch availability for month starting ${monthsToFetch[index]}: API returned null or empty response`);
         }
     });
 
@@ -172,7 +532,7 @@ export async function fetchAvailabilityData(config, debugInfo) {
 
     return {
         campsites: combinedCampsites,
-        requestDateTime,
+        requestDateTime: oldestRequestDateTime,
         response: firstSuccessfulResponse,
     };
 }
@@ -181,20 +541,19 @@ export async function fetchAvailabilityData(config, debugInfo) {
  * Fetches metadata for a campground to get its parent Rec Area ID and other details.
  * @param {string} campgroundId The ID of the campground.
  * @param {object} debugInfo The centralized debug object.
- * @returns {Promise<{ids: IdCollection}|null>} A promise that resolves to an object containing an IdCollection.
+ * @returns {Promise<{ids: IdCollection, campgroundMetadata: CampgroundModel}|null>} A promise that resolves to the campground and its IDs.
  */
 export async function fetchCampgroundMetadata(campgroundId, debugInfo) {
     const url = `/api/fetch-ridb?type=campgroundMetadata&campgroundId=${campgroundId}`;
     const options = { headers: { 'Accept': 'application/json' } };
     const context = { type: 'Campground Metadata', campgroundId };
 
-    const dataProcessor = (json) => {
-        if (!json.campground) {
-            console.error("Campground metadata fetch failed: 'campground' key not in response.", json);
+    const dataProcessor = (campground) => {
+        if (!campground) {
+            console.error("Campground metadata fetch failed: 'campground' key not in response.");
             return null;
         }
-        const ids = new IdCollection(campgroundId, json.campground);
-        return { ids, campgroundMetadata: json.campground };
+        return { ids: new IdCollection(campgroundId, campground), campgroundMetadata: campground };
     };
 
     return fetchApiData(url, options, context, dataProcessor, debugInfo);
@@ -202,96 +561,180 @@ export async function fetchCampgroundMetadata(campgroundId, debugInfo) {
 
 /**
  * Fetches detailed information for a specific facility (campground).
+ * Results are saved in the browser for `AREA_DETAILS_MAX_AGE_MS`.
  * @param {IdCollection} ids The collection of IDs for the campground.
  * @param {object} debugInfo The centralized debug object.
- * @returns {Promise<object|null>} A promise that resolves to the facility details.
+ * @returns {Promise<FacilityModel|null>} A promise that resolves to the facility details.
  */
 export async function fetchFacilityDetails(ids, debugInfo) {
     if (!ids.facilityId) return null;
     const url = `/api/fetch-ridb?type=facilityDetails&facilityId=${ids.facilityId}`;
     const options = { headers: { 'Accept': 'application/json' } };
     const context = { type: 'Facility Details', facilityId: ids.facilityId };
-    return fetchApiData(url, options, context, json => json, debugInfo);
+    return withPersistentCache(`facilityDetails|${ids.facilityId}`, AREA_DETAILS_MAX_AGE_MS, context.type, debugInfo,
+        () => fetchApiData(url, options, context, json => json, debugInfo));
 }
 
 /**
  * Fetches detailed information for a specific campsite.
+ * Results are saved in the browser for `CAMPSITE_DETAILS_MAX_AGE_MS`.
  * @param {string} facilityId The RIDB ID for the parent facility.
  * @param {string} campsiteId The RIDB ID for the specific campsite.
  * @param {object} debugInfo The centralized debug object.
- * @returns {Promise<object|null>} A promise that resolves to the campsite details.
+ * @returns {Promise<CampsiteModel|null>} A promise that resolves to the campsite details.
  */
 export async function fetchCampsiteDetails(facilityId, campsiteId, debugInfo) {
     if (!facilityId || !campsiteId) return null;
     const url = `/api/fetch-ridb?type=campsiteDetails&facilityId=${facilityId}&campsiteId=${campsiteId}`;
     const options = { headers: { 'Accept': 'application/json' } };
     const context = { type: 'Campsite Details', campsiteId: campsiteId };
-    // The RIDB API for campsite details returns the result object inside an array, even for a single site.
-    const dataProcessor = (json) => (json && Array.isArray(json) && json.length > 0 ? json[0] : null);
-    return fetchApiData(url, options, context, dataProcessor, debugInfo);
+    return withPersistentCache(`campsiteDetails|${facilityId}|${campsiteId}`, CAMPSITE_DETAILS_MAX_AGE_MS, context.type, debugInfo,
+        () => fetchApiData(url, options, context, campsite => campsite, debugInfo));
 }
 
 /**
  * Fetches detailed information for the parent Recreation Area.
+ * Results are saved in the browser for `AREA_DETAILS_MAX_AGE_MS`.
  * @param {IdCollection} ids The collection of IDs for the campground.
  * @param {object} debugInfo The centralized debug object.
- * @returns {Promise<object|null>} A promise that resolves to the recreation area details.
+ * @returns {Promise<RecAreaModel|null>} A promise that resolves to the recreation area details.
  */
 export async function fetchRecAreaDetails(ids, debugInfo) {
     if (!ids.recAreaId) return null;
     const url = `/api/fetch-ridb?type=recAreaDetails&recAreaId=${ids.recAreaId}`;
     const options = { headers: { 'Accept': 'application/json' } };
     const context = { type: 'Rec Area Details', recAreaId: ids.recAreaId };
-    return fetchApiData(url, options, context, json => json, debugInfo);
+    return withPersistentCache(`recAreaDetails|${ids.recAreaId}`, AREA_DETAILS_MAX_AGE_MS, context.type, debugInfo,
+        () => fetchApiData(url, options, context, json => json, debugInfo));
 }
 
 /**
  * Fetches event information for the parent Recreation Area.
  * @param {IdCollection} ids The collection of IDs for the campground.
  * @param {object} debugInfo The centralized debug object.
- * @returns {Promise<object|null>} A promise that resolves to the recreation area events.
+ * @returns {Promise<EventModel[]|null>} A promise that resolves to the recreation area events.
  */
 export async function fetchRecAreaEvents(ids, debugInfo) {
     if (!ids.recAreaId) return null;
     const url = `/api/fetch-ridb?type=recAreaEvents&recAreaId=${ids.recAreaId}`;
     const options = { headers: { 'Accept': 'application/json' } };
     const context = { type: 'Rec Area Events', recAreaId: ids.recAreaId };
-    return fetchApiData(url, options, context, json => json, debugInfo);
+    return fetchApiData(url, options, context, events => events.records, debugInfo);
 }
 
 /**
  * Fetches media (images, videos) for the parent Recreation Area.
+ * Results are saved in the browser for `MEDIA_MAX_AGE_MS`.
  * @param {IdCollection} ids The collection of IDs for the campground.
  * @param {object} debugInfo The centralized debug object.
-* @returns {Promise<object|null>} A promise that resolves to the recreation area media.
+ * @returns {Promise<MediaModel[]|null>} A promise that resolves to the recreation area media.
  */
 export async function fetchRecAreaMedia(ids, debugInfo) {
     if (!ids.recAreaId) return null;
     const url = `/api/fetch-ridb?type=recAreaMedia&recAreaId=${ids.recAreaId}`;
     const options = { headers: { 'Accept': 'application/json' } };
     const context = { type: 'Rec Area Media', recAreaId: ids.recAreaId };
-    return fetchApiData(url, options, context, json => json, debugInfo);
+    return withPersistentCache(`recAreaMedia|${ids.recAreaId}`, MEDIA_MAX_AGE_MS, context.type, debugInfo,
+        () => fetchApiData(url, options, context, media => media.records, debugInfo));
 }
 
 /**
  * Fetches search data from rec.gov, which contains useful summary info not in other APIs.
  * @param {IdCollection} ids The collection of IDs for the campground.
  * @param {object} debugInfo The centralized debug object.
- * @returns {Promise<object|null>} A promise that resolves to the search data.
+ * @returns {Promise<CampgroundSummary|null>} A promise that resolves to the campground's search summary, or null if the search found nothing.
  */
 export async function fetchRecGovSearchData(ids, debugInfo) {
     if (!ids.campgroundId) return null;
     const url = `/api/fetch-ridb?type=rec-gov-search&campgroundId=${ids.campgroundId}`;
     const options = { headers: { 'Accept': 'application/json' } };
     const context = { type: 'Rec.gov Search Data', campgroundId: ids.campgroundId };
-    const dataProcessor = (json) => {
-        console.log('[fetchRecGovSearchData] Raw JSON response from search API:', json);
-        // The UI expects the full object with the 'results' array, so we return it directly.
-        return json;
+    const dataProcessor = (summary) => {
+        console.log('[fetchRecGovSearchData] Campground summary from search API:', summary);
+        return summary;
     };
     return fetchApiData(url, options, context, dataProcessor, debugInfo);
 }
 
+/**
+ * Fetches every page of a paginated RIDB list endpoint (one whose model is a `RecordList`).
+ * The first page is fetched on its own to learn the total count; the remaining pages are fetched in parallel.
+ * @param {string} baseUrl The proxy URL without `limit` and `offset` parameters.
+ * @param {object} context Context for logging. The page offset is added to it.
+ * @param {object} debugInfo The centralized debug object.
+ * @returns {Promise<Array<object>|null>} All records (models) from every page, or null if the first page failed.
+ */
+async function fetchAllRidbPages(baseUrl, context, debugInfo) {
+    const limit = 50;
+    const options = { headers: { 'Accept': 'application/json' } };
+    const fetchPage = (offset) => fetchApiData(`${baseUrl}&limit=${limit}&offset=${offset}`, options, { ...context, offset }, json => json, debugInfo);
+
+    const firstPage = await fetchPage(0);
+    if (!firstPage) return null;
+
+    let records = firstPage.records;
+    const totalCount = firstPage.totalCount;
+
+    const offsets = [];
+    for (let offset = limit; offset < totalCount; offset += limit) offsets.push(offset);
+    const otherPages = await Promise.all(offsets.map(fetchPage));
+    otherPages.forEach(page => {
+        if (page) records = records.concat(page.records);
+    });
+    return records;
+}
+
+/**
+ * Searches RIDB for facilities by name and fetches every page of results.
+ * @param {string} query The search term.
+ * @param {string} state An optional two-letter state code.
+ * @param {object} debugInfo The centralized debug object.
+ * @returns {Promise<FacilityModel[]|null>} A promise that resolves to the matching facilities, or null if the search failed.
+ */
+export async function searchFacilities(query, state, debugInfo) {
+    let url = `/api/fetch-ridb?type=facilitySearch&query=${encodeURIComponent(query)}`;
+    if (state) url += `&state=${state}`;
+    return fetchAllRidbPages(url, { type: 'Facility Search', query, state }, debugInfo);
+}
+
+/**
+ * Searches RIDB for recreation areas (e.g. national parks and forests) by name.
+ * @param {string} query The search term.
+ * @param {string} state An optional two-letter state code.
+ * @param {object} debugInfo The centralized debug object.
+ * @returns {Promise<RecAreaModel[]|null>} A promise that resolves to the matching recreation areas.
+ */
+export async function searchRecAreas(query, state, debugInfo) {
+    let url = `/api/fetch-ridb?type=recAreaSearch&query=${encodeURIComponent(query)}`;
+    if (state) url += `&state=${state}`;
+    return fetchAllRidbPages(url, { type: 'Rec Area Search', query, state }, debugInfo);
+}
+
+/**
+ * Fetches all facilities that belong to a recreation area.
+ * @param {string} recAreaId The RIDB recreation area ID.
+ * @param {object} debugInfo The centralized debug object.
+ * @returns {Promise<FacilityModel[]|null>} A promise that resolves to the recreation area's facilities.
+ */
+export async function fetchRecAreaFacilities(recAreaId, debugInfo) {
+    const url = `/api/fetch-ridb?type=recAreaFacilities&recAreaId=${recAreaId}`;
+    return fetchAllRidbPages(url, { type: 'Rec Area Facilities', recAreaId }, debugInfo);
+}
+
+/**
+ * Fetches the RIDB records (attributes and permitted equipment) of every campsite in a facility.
+ * Results are saved in the browser for `CAMPSITE_DETAILS_MAX_AGE_MS`.
+ * @param {string} facilityId The RIDB facility ID.
+ * @param {object} debugInfo The centralized debug object.
+ * @returns {Promise<CampsiteModel[]|null>} A promise that resolves to the facility's campsites, or null if the request failed.
+ */
+export async function fetchFacilityCampsites(facilityId, debugInfo) {
+    if (!facilityId) return null;
+    const url = `/api/fetch-ridb?type=facilityCampsites&facilityId=${facilityId}`;
+    return withPersistentCache(`facilityCampsites|${facilityId}`, CAMPSITE_DETAILS_MAX_AGE_MS, 'Facility Campsites', debugInfo,
+        () => fetchAllRidbPages(url, { type: 'Facility Campsites', facilityId }, debugInfo));
+}
+
 // --- Data Fetching Orchestration ---
 
 /**
@@ -300,9 +743,11 @@ export async function fetchRecGovSearchData(ids, debugInfo) {
  *
  * @param {object} config The configuration object for the availability check.
  * @param {object} debugInfo The centralized debug object for logging.
+ * @param {object} [options={}] Optional settings.
+ * @param {function(object): void} [options.onMonthProgress] Passed to `fetchAvailabilityData` to report per-month progress.
  * @returns {Promise<AllFetchedData>} A promise that resolves to an object containing all fetched data.
  */
-export async function fetchAllData(config, debugInfo) {
+export async function fetchAllData(config, debugInfo, options = {}) {
     const { campgroundId } = config.api;
 
     let campgroundMetadata = null;
@@ -332,7 +777,7 @@ export async function fetchAllData(config, debugInfo) {
 
     // 2. Fetch availability data ONLY if the site is reservable (i.e., metadata was found).
     if (campgroundMetadata) {
-        availabilityResult = await fetchAvailabilityData(config, debugInfo);
+        availabilityResult = await fetchAvailabilityData(config, debugInfo, { onMonthProgress: options.onMonthProgress });
     }
 
     // 3. Fetch public details from RIDB and Rec.gov, which should work even for non-reservable sites.
@@ -342,14 +787,17 @@ export async function fetchAllData(config, debugInfo) {
     ]);
 
     // Update the recAreaId in our collection from the fetched facility details.
-    if (facilityDetails?.ParentRecAreaID) ids.recAreaId = facilityDetails.ParentRecAreaID;
+    if (facilityDetails?.parentRecAreaId) ids.recAreaId = facilityDetails.parentRecAreaId;
 
     // 4. Fetch additional details if a RecArea ID exists.
     let recAreaDetails = null;
     let recAreaEvents = null;
     let recAreaMedia = null;
     if (ids.recAreaId) {
+        ids.eventInfoStatus = 'ID_FOUND';
         [recAreaDetails, recAreaEvents, recAreaMedia] = await Promise.all([fetchRecAreaDetails(ids, debugInfo), fetchRecAreaEvents(ids, debugInfo), fetchRecAreaMedia(ids, debugInfo)]);
+    } else {
+        ids.eventInfoStatus = metadataResult || facilityDetails ? 'INCOMPLETE_DATA' : 'FETCH_FAILED';
     }
 
     return {
@@ -363,3 +811,63 @@ export async function fetchAllData(config, debugInfo) {
         ids,
     };
 }
+
+/**
+ * Fetches all data for several campgrounds in parallel by running `fetchAllData` once per campground.
+ * A failure for one campground does not prevent the others from loading.
+ *
+ * @param {object} config The configuration object. `config.api.campgroundIds` lists the campgrounds to fetch;
+ * if it is empty, `config.api.campgroundId` is used.
+ * @param {object} debugInfo The centralized debug object for logging.
+ * @param {object} [options={}] Optional settings, passed to `fetchAllData` for each campground.
+ * @returns {Promise<Array<{campgroundId: string, data: AllFetchedData|null, error: Error|null}>>} One result per campground, in the order requested.
+ */
+export async function fetchAllDataForCampgrounds(config, debugInfo, options = {}) {
+    const campgroundIds = config.api.campgroundIds?.length > 0 ? config.api.campgroundIds : [config.api.campgroundId];
+
+    const results = await Promise.allSettled(campgroundIds.map(campgroundId => {
+        const campgroundConfig = { ...config, api: { ...config.api, campgroundId } };
+        return fetchAllData(campgroundConfig, debugInfo, options);
+    }));
+
+    return results.map((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`[fetchAllDataForCampgrounds] Failed to fetch data for campground ${campgroundIds[index]}:`, result.reason);
+            debugInfo.errors.push({
+                context: `fetchAllDataForCampgrounds: ${campgroundIds[index]}`,
+                message: result.reason?.message || String(result.reason),
+                stack: result.reason?.stack,
+                timestamp: new Date().toISOString()
+            });
+        }
+        return {
+            campgroundId: campgroundIds[index],
+            data: result.status === 'fulfilled' ? result.value : null,
+            error: result.status === 'rejected' ? result.reason : null,
+        };
+    });
+}
+
+/**
+ * Fetches availability (only) for a list of campgrounds, running a limited number of campgrounds at a time
+ * so that large recreation areas do not flood the proxy with requests.
+ *
+ * @param {string[]} campgroundIds The campgrounds to check.
+ * @param {object} config The configuration object. Its date filters are used for every campground.
+ * @param {object} debugInfo The centralized debug object for logging.
+ * @param {object} [options={}] Optional settings.
+ * @param {number} [options.concurrency=3] How many campgrounds to fetch at once.
+ * @param {function(number, number): void} [options.onProgress] Called with (completed, total) after each campground finishes.
+ * @returns {Promise<Array<{campgroundId: string, availabilityResult: object|null}>>} One result per campground, in the order requested.
+ */
+export async function fetchAvailabilityForCampgrounds(campgroundIds, config, debugInfo, options = {}) {
+    const { concurrency = 3, onProgress = () => { } } = options;
+    let completed = 0;
+
+    return mapWithConcurrency(campgroundIds, concurrency, async (campgroundId) => {
+        const campgroundConfig = { ...config, api: { ...config.api, campgroundId } };
+        const availabilityResult = await fetchAvailabilityData(campgroundConfig, debugInfo);
+        onProgress(++completed, campgroundIds.length);
+        return { campgroundId, availabilityResult };
+    });
+}
@@ -0,0 +1,154 @@
+/**
+ * =================================================================================================
+ * Availability Diff Module
+ * =================================================================================================
+ *
+ * Description:
+ * Helpers for comparing two availability results over time. A "snapshot" is a compact copy of
+ * the merged `campsites` object that keeps only what is needed to detect changes: the site name
+ * and the status of each night.
+ *
+ * This module has no DOM or network dependencies so it can be shared by the browser watch mode
+ * and by server-side code.
+ *
+ */
+
+/**
+ * @typedef {Object<string, {site: string, availabilities: Object<string, string>}>} AvailabilitySnapshot
+ */
+
+/**
+ * @typedef {object} AvailabilityChange
+ * @property {string} campsiteId The Recreation.gov campsite ID.
+ * @property {string} site The site name.
+ * @property {string} date The API date key of the night that changed (e.g. "2025-07-04T00:00:00Z").
+ * @property {string} from The previous status.
+ * @property {string} to The new status.
+ */
+
+/**
+ * Creates a compact snapshot from the merged `campsites` object.
+ * @param {object|null} campsites The merged campsites data from `fetchAvailabilityData`.
+ * @returns {AvailabilitySnapshot} The snapshot.
+ */
+export function createAvailabilitySnapshot(campsites) {
+    const snapshot = {};
+    if (!campsites) return snapshot;
+
+    for (const campsiteId in campsites) {
+        const campsite = campsites[campsiteId];
+        if (!campsite?.availabilities) continue;
+        snapshot[campsiteId] = {
+            site: campsite.site,
+            availabilities: { ...campsite.availabilities },
+        };
+    }
+    return snapshot;
+}
+
+/**
+ * Merges a newer snapshot over an older one. Nights missing from the newer snapshot (e.g. because
+ * one month failed to load) keep their previous status, so they are not reported as changes
+ * when they reappear in a later snapshot.
+ * @param {AvailabilitySnapshot|null} previous The older snapshot.
+ * @param {AvailabilitySnapshot} current The newer snapshot.
+ * @returns {AvailabilitySnapshot} A new, merged snapshot.
+ */
+export function mergeAvailabilitySnapshots(previous, current) {
+    const merged = {};
+    for (const campsiteId in previous || {}) {
+        merged[campsiteId] = { site: previous[campsiteId].site, availabilities: { ...previous[campsiteId].availabilities } };
+    }
+    for (const campsiteId in current) {
+        if (!merged[campsiteId]) {
+            merged[campsiteId] = { site: current[campsiteId].site, availabilities: {} };
+        }
+        Object.assign(merged[campsiteId].availabilities, current[campsiteId].availabilities);
+    }
+    return merged;
+}
+
+/**
+ * Lists every night whose status differs between two snapshots.
+ * Only nights present in both snapshots are compared, so a partially failed fetch never
+ * produces spurious changes.
+ *
+ * @param {AvailabilitySnapshot|null} previous The older snapshot. If null, no changes are reported.
+ * @param {AvailabilitySnapshot} current The newer snapshot.
+ * @param {object} [options={}] Optional filters.
+ * @param {string[]} [options.statuses] If set, only report changes *to* one of these statuses.
+ * @param {function(string): boolean} [options.dateFilter] If set, only report nights for which this returns true.
+ * @param {function(string): boolean} [options.siteFilter] If set, only report sites (by name) for which this returns true.
+ * @returns {AvailabilityChange[]} The changes, ordered by date and then site.
+ */
+export function diffAvailabilitySnapshots(previous, current, options = {}) {
+    const { statuses = null, dateFilter = () => true, siteFilter = () => true } = options;
+    const changes = [];
+    if (!previous || !current) return changes;
+
+    for (const campsiteId in current) {
+        const currentSite = current[campsiteId];
+        if (!siteFilter(currentSite.site)) continue;
+
+        const previousAvailabilities = previous[campsiteId]?.availabilities || {};
+        for (const date in currentSite.availabilities) {
+            if (!(date in previousAvailabilities)) continue;
+            const from = previousAvailabilities[date];
+            const to = currentSite.availabilities[date];
+
+            if (from === to) continue;
+            if (statuses && !statuses.includes(to)) continue;
+            if (!dateFilter(date)) continue;
+
+            changes.push({ campsiteId, site: currentSite.site, date, from, to });
+        }
+    }
+
+    changes.sort((a, b) => a.date.localeCompare(b.date) || String(a.site).localeCompare(String(b.site), undefined, { numeric: true }));
+    return changes;
+}
+
+/**
+ * Kinds of change reported by the "Changes" tab.
+ */
+export const CHANGE_KIND = {
+    NEWLY_AVAILABLE: 'Newly Available', // Became bookable again, usually a cancellation.
+    NEWLY_RELEASED: 'Newly Released', // Went from 'NYR' (Not Yet Released) to bookable as the booking window rolled forward.
+    NEWLY_RESERVED: 'Newly Reserved', // Someone booked it.
+    OTHER: 'Other', // Any other status change (e.g. a closure).
+};
+
+/**
+ * Classifies a change for display.
+ * @param {AvailabilityChange} change The change.
+ * @returns {string} One of the `CHANGE_KIND` values.
+ */
+export function classifyAvailabilityChange(change) {
+    if (change.to === 'Available') {
+        return change.from === 'NYR' ? CHANGE_KIND.NEWLY_RELEASED : CHANGE_KIND.NEWLY_AVAILABLE;
+    }
+    if (change.to === 'Reserved') return CHANGE_KIND.NEWLY_RESERVED;
+    return CHANGE_KIND.OTHER;
+}
+
+/**
+ * Finds how long a night has had its current status, by walking back through earlier runs until
+ * the status differs or the night is missing.
+ * @param {Array<{checkedAt: string, snapshot: AvailabilitySnapshot}>} previousRuns Earlier runs, newest first.
+ * @param {string} campsiteId The campsite ID.
+ * @param {string} date The API date key of the night.
+ * @param {string} status The night's current status.
+ * @returns {{since: string|null, isOldestRun: boolean}} `since` is the `checkedAt` of the earliest consecutive run
+ * with the same status, or null if the status is new in this run. `isOldestRun` is true when that run is the oldest
+ * one saved, so the status may be older still.
+ */
+export function findStatusSince(previousRuns, campsiteId, date, status) {
+    let since = null;
+    let isOldestRun = false;
+    for (let i = 0; i < previousRuns.length; i++) {
+        if (previousRuns[i].snapshot[campsiteId]?.availabilities[date] !== status) break;
+        since = previousRuns[i].checkedAt;
+        isOldestRun = i === previousRuns.length - 1;
+    }
+    return { since, isOldestRun };
+}
@@ -0,0 +1,114 @@
+/**
+ * =================================================================================================
+ * Availability History Module
+ * =================================================================================================
+ *
+ * Description:
+ * Saves a snapshot of each search's availability per campground in the browser (IndexedDB), so a
+ * later search can report what changed since the previous one and how long each night has been open.
+ *
+ * Only the most recent `MAX_RUNS_PER_CAMPGROUND` runs are kept for each campground. When IndexedDB
+ * is unavailable, history is kept in memory for the current page session instead.
+ *
+ */
+
+const DB_NAME = 'campsite-availability-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'campgrounds';
+const MAX_RUNS_PER_CAMPGROUND = 10;
+
+/** @type {Promise<IDBDatabase|null>|null} The shared database connection, opened on first use. */
+let databasePromise = null;
+
+/**
+ * Fallback storage used when IndexedDB is unavailable, keyed by campground ID.
+ * @type {Map<string, AvailabilityRun[]>}
+ */
+const memoryHistory = new Map();
+
+/**
+ * @typedef {object} AvailabilityRun
+ * @property {string} checkedAt When the availability data was requested (ISO 8601).
+ * @property {import('./availabilityDiff.js').AvailabilitySnapshot} snapshot The availability at that time.
+ */
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request The request.
+ * @returns {Promise<any>} A promise that resolves to the request's result.
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens (and on first use, creates) the history database.
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable.
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'campgroundId' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            console.warn('[openDatabase] IndexedDB is unavailable; availability history will only last for this page session.', error);
+            return null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Reads the saved runs for a campground.
+ * @param {string} campgroundId The campground ID.
+ * @returns {Promise<AvailabilityRun[]>} The runs, newest first.
+ */
+export async function getAvailabilityHistory(campgroundId) {
+    try {
+        const database = await openDatabase();
+        if (!database) return memoryHistory.get(campgroundId) || [];
+        const record = await requestToPromise(database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(campgroundId));
+        return record?.runs || [];
+    } catch (error) {
+        console.warn(`[getAvailabilityHistory] Could not read history for campground ${campgroundId}.`, error);
+        return [];
+    }
+}
+
+/**
+ * Saves a run and returns the runs that came before it.
+ * A run is not saved again if a run with the same or a later `checkedAt` already exists, which happens
+ * when every month of a search came from the session cache.
+ * @param {string} campgroundId The campground ID.
+ * @param {import('./availabilityDiff.js').AvailabilitySnapshot} snapshot The availability snapshot.
+ * @param {Date} checkedAt When the availability data was requested.
+ * @returns {Promise<AvailabilityRun[]>} The earlier runs, newest first.
+ */
+export async function recordAvailabilityRun(campgroundId, snapshot, checkedAt) {
+    const checkedAtIso = checkedAt.toISOString();
+    const history = await getAvailabilityHistory(campgroundId);
+    const previousRuns = history.filter(run => run.checkedAt < checkedAtIso);
+    if (previousRuns.length < history.length) return previousRuns;
+
+    const runs = [{ checkedAt: checkedAtIso, snapshot }, ...history].slice(0, MAX_RUNS_PER_CAMPGROUND);
+    try {
+        const database = await openDatabase();
+        if (!database) {
+            memoryHistory.set(campgroundId, runs);
+        } else {
+            await requestToPromise(database.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put({ campgroundId, runs }));
+        }
+    } catch (error) {
+        console.warn(`[recordAvailabilityRun] Could not save history for campground ${campgroundId}.`, error);
+    }
+    return previousRuns;
+}
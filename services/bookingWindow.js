@@ -0,0 +1,254 @@
+/**
+ * =================================================================================================
+ * Booking Window Module
+ * =================================================================================================
+ *
+ * Description:
+ * Works out when 'NYR' (Not Yet Released) nights become reservable. The campground's booking window
+ * is read from its campground model: a `facilityRules` reservation-window rule if there is one, otherwise
+ * the free-text `bookingWindowMessage` (e.g. "Reservations can be made 6 months in
+ * advance. New dates are released daily at 10:00 AM Eastern Time.").
+ *
+ * Two release patterns are supported:
+ * - Rolling: each night opens a fixed number of months or days before it, every day.
+ * - Monthly blocks: a whole month of nights opens at once on a fixed day of the month
+ *   (e.g. "on the 15th of each month, 5 months in advance").
+ *
+ * Recreation.gov releases most inventory at 10:00 AM Eastern Time, which is assumed when the message
+ * gives no time. This module has no DOM or network dependencies.
+ *
+ */
+
+const DEFAULT_RELEASE_TIME = { hour: 10, minute: 0 };
+const DEFAULT_TIME_ZONE = 'America/New_York';
+
+/**
+ * Time zone names as they appear in booking window messages: the full name in any case, or the abbreviation
+ * in capitals, so "MT" does not match place names such as "Mt. Rainier". Only matched in the text right after
+ * the release time.
+ */
+const TIME_ZONE_PATTERNS = [
+    [[/\bpacific\b/i, /\b(?:PT|PST|PDT)\b/], 'America/Los_Angeles'],
+    [[/\barizona\b/i], 'America/Phoenix'],
+    [[/\bmountain\b/i, /\b(?:MT|MST|MDT)\b/], 'America/Denver'],
+    [[/\bcentral\b/i, /\b(?:CT|CST|CDT)\b/], 'America/Chicago'],
+    [[/\beastern\b/i, /\b(?:ET|EST|EDT)\b/], 'America/New_York'],
+    [[/\balaska\b/i, /\b(?:AKT|AKST|AKDT)\b/], 'America/Anchorage'],
+    [[/\bhawaii\b/i, /\bHST\b/], 'Pacific/Honolulu'],
+];
+
+/**
+ * @typedef {object} BookingWindow
+ * @property {number} amount How far ahead nights are released.
+ * @property {'months'|'days'} unit The unit of `amount`.
+ * @property {'rolling'|'monthly'} pattern Whether nights open one day at a time or in monthly blocks.
+ * @property {number|null} releaseDayOfMonth For monthly blocks, the day of the month releases happen on.
+ * @property {{hour: number, minute: number}} releaseTime The wall-clock release time in `timeZone`.
+ * @property {string} timeZone An IANA time zone name.
+ * @property {boolean} isTimeAssumed True if the release time was not stated and the 10:00 AM Eastern default was used.
+ * @property {'rules'|'message'} source Where the window length came from.
+ */
+
+/**
+ * @typedef {object} NightRelease
+ * @property {string} date The night ('YYYY-MM-DD').
+ * @property {Date} releaseAt When the night becomes reservable.
+ * @property {string[]} sites The names of the sites that are 'NYR' on that night.
+ */
+
+/**
+ * Checks whether a string is a time zone name this browser (or Node) understands.
+ * @param {string} timeZone The candidate name.
+ * @returns {boolean} True if it can be used with `Intl.DateTimeFormat`.
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Returns how far a time zone is ahead of UTC at a given instant.
+ * @param {Date} instant The instant.
+ * @param {string} timeZone An IANA time zone name.
+ * @returns {number} The offset in milliseconds (negative for zones west of UTC).
+ */
+function getTimeZoneOffsetMs(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(instant);
+    const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return wallClockAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to an instant. Month and day values outside their usual
+ * range roll over as they do with `Date.UTC`.
+ * @param {number} year The full year.
+ * @param {number} monthIndex The month, 0-based.
+ * @param {number} day The day of the month.
+ * @param {{hour: number, minute: number}} time The wall-clock time.
+ * @param {string} timeZone An IANA time zone name.
+ * @returns {Date} The instant.
+ */
+function zonedTimeToDate(year, monthIndex, day, time, timeZone) {
+    const wallClockAsUtc = Date.UTC(year, monthIndex, day, time.hour, time.minute);
+    // The offset depends on the instant (daylight saving), so correct the first guess once.
+    const firstGuess = wallClockAsUtc - getTimeZoneOffsetMs(new Date(wallClockAsUtc), timeZone);
+    return new Date(wallClockAsUtc - getTimeZoneOffsetMs(new Date(firstGuess), timeZone));
+}
+
+/**
+ * Reads the release time and time zone from a booking window message.
+ * @param {string} message The message.
+ * @returns {{releaseTime: {hour: number, minute: number}, timeZone: string|null}|null} The time, or null if none is stated.
+ */
+function parseReleaseTime(message) {
+    const match = message.match(/\b(\d{1,2})(?::(\d{2}))?\s*(a\.?\s?m\.?|p\.?\s?m\.?)/i);
+    if (!match) return null;
+
+    let hour = parseInt(match[1], 10) % 12;
+    if (/^p/i.test(match[3])) hour += 12;
+    const minute = match[2] ? parseInt(match[2], 10) : 0;
+
+    const textAfterTime = message.slice(match.index + match[0].length, match.index + match[0].length + 40);
+    const zoneMatch = TIME_ZONE_PATTERNS.find(([patterns]) => patterns.some(pattern => pattern.test(textAfterTime)));
+    return { releaseTime: { hour, minute }, timeZone: zoneMatch ? zoneMatch[1] : null };
+}
+
+/**
+ * Reads the booking window length from a `facilityRules` entry, if the campground has one.
+ * @param {object|undefined} facilityRules The `facilityRules` of the campground model.
+ * @returns {{amount: number, unit: 'months'|'days'}|null} The window length, or null if there is no such rule.
+ */
+function parseWindowRule(facilityRules) {
+    for (const key in facilityRules || {}) {
+        if (!/reservation.*window|booking.*window/i.test(key)) continue;
+        const amount = parseInt(facilityRules[key]?.value, 10);
+        if (!Number.isFinite(amount) || amount <= 0) continue;
+        const units = String(facilityRules[key].units || '').toLowerCase();
+        if (units.startsWith('month')) return { amount, unit: 'months' };
+        if (units.startsWith('week')) return { amount: amount * 7, unit: 'days' };
+        if (units.startsWith('day') || units === '') return { amount, unit: 'days' };
+    }
+    return null;
+}
+
+/**
+ * Works out the campground's booking window from its metadata.
+ * @param {object|null} metadata The campground model (`campgroundMetadata`).
+ * @returns {BookingWindow|null} The booking window, or null if its length cannot be determined.
+ */
+export function parseBookingWindow(metadata) {
+    const message = metadata?.bookingWindowMessage || '';
+
+    let length = parseWindowRule(metadata?.facilityRules);
+    const source = length ? 'rules' : 'message';
+    if (!length) {
+        const lengthMatch = message.match(/(\d+)\s*(month|week|day)s?\b/i);
+        if (lengthMatch) {
+            const amount = parseInt(lengthMatch[1], 10);
+            const unit = lengthMatch[2].toLowerCase();
+            length = unit === 'month' ? { amount, unit: 'months' } : { amount: unit === 'week' ? amount * 7 : amount, unit: 'days' };
+        }
+    }
+    if (!length || length.amount <= 0) return null;
+
+    const dayOfMonthMatch = message.match(/\b(\d{1,2})(?:st|nd|rd|th)\s+(?:day\s+)?of\s+(?:each|every|the)\s+month/i);
+    const releaseDayOfMonth = dayOfMonthMatch ? parseInt(dayOfMonthMatch[1], 10) : null;
+    const isMonthlyBlock = length.unit === 'months' && releaseDayOfMonth >= 1 && releaseDayOfMonth <= 28;
+
+    const parsedTime = parseReleaseTime(message);
+    const facilityTimeZone = isValidTimeZone(metadata?.timeZone) ? metadata.timeZone : null;
+
+    return {
+        amount: length.amount,
+        unit: length.unit,
+        pattern: isMonthlyBlock ? 'monthly' : 'rolling',
+        releaseDayOfMonth: isMonthlyBlock ? releaseDayOfMonth : null,
+        releaseTime: parsedTime ? parsedTime.releaseTime : DEFAULT_RELEASE_TIME,
+        timeZone: parsedTime ? (parsedTime.timeZone || facilityTimeZone || DEFAULT_TIME_ZONE) : DEFAULT_TIME_ZONE,
+        isTimeAssumed: !parsedTime,
+        source,
+    };
+}
+
+/**
+ * Calculates when a night becomes reservable.
+ * For rolling windows measured in months, a night on a day the release month does not have
+ * (e.g. August 31 with a six-month window) opens on the first day of the following month.
+ * @param {string} date The night ('YYYY-MM-DD', or an API date key such as '2025-07-04T00:00:00Z').
+ * @param {BookingWindow} bookingWindow The booking window from `parseBookingWindow`.
+ * @returns {Date} The release instant.
+ */
+export function getReleaseDateTime(date, bookingWindow) {
+    const year = parseInt(date.slice(0, 4), 10);
+    const monthIndex = parseInt(date.slice(5, 7), 10) - 1;
+    const day = parseInt(date.slice(8, 10), 10);
+    const { amount, unit, pattern, releaseDayOfMonth, releaseTime, timeZone } = bookingWindow;
+
+    if (unit === 'days') {
+        return zonedTimeToDate(year, monthIndex, day - amount, releaseTime, timeZone);
+    }
+    if (pattern === 'monthly') {
+        // Each block runs from the release day of one month to the day before it in the next.
+        const blockMonthIndex = day >= releaseDayOfMonth ? monthIndex : monthIndex - 1;
+        return zonedTimeToDate(year, blockMonthIndex - amount, releaseDayOfMonth, releaseTime, timeZone);
+    }
+    const daysInReleaseMonth = new Date(Date.UTC(year, monthIndex - amount + 1, 0)).getUTCDate();
+    return day > daysInReleaseMonth
+        ? zonedTimeToDate(year, monthIndex - amount + 1, 1, releaseTime, timeZone)
+        : zonedTimeToDate(year, monthIndex - amount, day, releaseTime, timeZone);
+}
+
+/**
+ * Lists the 'NYR' nights in the merged availability data with the time each one is released.
+ * @param {object} campsites The merged `campsites` object from `fetchAvailabilityData`.
+ * @param {BookingWindow} bookingWindow The booking window from `parseBookingWindow`.
+ * @param {object} [options={}] Optional filters.
+ * @param {string|null} [options.startDate=null] The first night to include ('YYYY-MM-DD').
+ * @param {string|null} [options.endDate=null] The last night to include ('YYYY-MM-DD').
+ * @param {function(object): boolean} [options.siteFilter] If set, only campsites for which this returns true are included.
+ * @returns {NightRelease[]} One entry per night, ordered by release time.
+ */
+export function findNightReleases(campsites, bookingWindow, options = {}) {
+    const { startDate = null, endDate = null, siteFilter = () => true } = options;
+    const sitesByNight = new Map();
+
+    for (const campsiteId in campsites || {}) {
+        const campsite = campsites[campsiteId];
+        if (!campsite?.availabilities || !siteFilter(campsite)) continue;
+        for (const dateKey in campsite.availabilities) {
+            if (campsite.availabilities[dateKey] !== 'NYR') continue;
+            const date = dateKey.slice(0, 10);
+            if ((startDate && date < startDate) || (endDate && date > endDate)) continue;
+            if (!sitesByNight.has(date)) sitesByNight.set(date, []);
+            sitesByNight.get(date).push(campsite.site);
+        }
+    }
+
+    return [...sitesByNight.entries()]
+        .map(([date, sites]) => ({ date, releaseAt: getReleaseDateTime(date, bookingWindow), sites }))
+        .sort((a, b) => a.releaseAt - b.releaseAt || a.date.localeCompare(b.date));
+}
+
+/**
+ * Describes a booking window in one sentence, for display next to the original message.
+ * @param {BookingWindow} bookingWindow The booking window from `parseBookingWindow`.
+ * @returns {string} The description.
+ */
+export function describeBookingWindow(bookingWindow) {
+    const { amount, unit, pattern, releaseDayOfMonth, releaseTime, timeZone, isTimeAssumed } = bookingWindow;
+    const sampleRelease = zonedTimeToDate(2000, 0, 1, releaseTime, timeZone);
+    const timeText = sampleRelease.toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit', timeZoneName: 'shortGeneric' });
+    const lengthText = `${amount} ${amount === 1 ? unit.slice(0, -1) : unit}`;
+    const releaseText = pattern === 'monthly'
+        ? `a month at a time on day ${releaseDayOfMonth} of each month`
+        : 'one night at a time, every day';
+    return `Nights open ${lengthText} ahead, ${releaseText}, at ${timeText}${isTimeAssumed ? ' (assumed; the usual Recreation.gov release time)' : ''}.`;
+}
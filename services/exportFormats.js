@@ -0,0 +1,320 @@
+/**
+ * =================================================================================================
+ * Export Formats Module
+ * =================================================================================================
+ *
+ * Description:
+ * Turns availability rows and found stays into downloadable text formats: CSV for spreadsheets,
+ * iCalendar (.ics) for shared calendars, and a structured JSON report. Release times for 'NYR'
+ * nights can also be exported as timed calendar events with a reminder.
+ *
+ * This module has no DOM or network dependencies. It only builds strings; the caller decides how
+ * to download them.
+ *
+ */
+
+const BOOKING_BASE_URL = 'https://www.recreation.gov/camping';
+const ICS_PRODUCT_ID = '-//Campsite Availability Checker//EN';
+
+/**
+ * @typedef {object} ExportContext
+ * @property {string} campgroundId The Recreation.gov campground ID.
+ * @property {string} campgroundName A display name for the campground.
+ * @property {object} config The effective configuration used for the search.
+ * @property {Date} requestDateTime When the availability data was requested.
+ */
+
+/**
+ * Formats a Date as 'YYYY-MM-DD' using its UTC date, which is how the availability API dates are stored.
+ * @param {Date} date The date.
+ * @returns {string} The date string.
+ */
+function toDateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// --- CSV ---
+
+/**
+ * Quotes a CSV field if it contains a comma, quote or line break. Text that a spreadsheet would run as a
+ * formula (starting with `=`, `+`, `-`, `@`, a tab or a carriage return) is prefixed with `'`, since site and
+ * campground names come from upstream. Numbers are written as-is.
+ * @param {*} value The field value. null and undefined become empty fields.
+ * @returns {string} The escaped field.
+ */
+function escapeCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV document (RFC 4180, CRLF line endings).
+ * @param {string[]} headers The column headers.
+ * @param {Array<Array<*>>} rows The rows, each an array of values in header order.
+ * @returns {string} The CSV text.
+ */
+export function toCsv(headers, rows) {
+    return [headers, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds a CSV of availability rows (one line per site-night).
+ * @param {Array<object>} rows Rows from `processAndSortAvailability`.
+ * @returns {string} The CSV text.
+ */
+export function buildAvailabilityCsv(rows) {
+    const includeCampground = rows.some(row => row.campground);
+    const includeEquipmentFit = rows.some(row => row.equipmentFit);
+    const headers = [...(includeCampground ? ['Campground'] : []), 'Site', 'Date', 'Weekday', 'Availability', 'Quantity', 'Nightly Price', 'Campsite ID',
+        ...(includeEquipmentFit ? ['Equipment Fit', 'Equipment Note'] : []), 'Booking URL'];
+    const csvRows = rows.map(row => [
+        ...(includeCampground ? [row.campground] : []),
+        row.site,
+        toDateKey(row.originalDate),
+        row.originalDate.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' }),
+        row.availability,
+        row.quantity,
+        row.price ? row.price.cost.toFixed(2) : '',
+        row.campsiteId,
+        ...(includeEquipmentFit ? [row.equipmentFit?.status ?? '', row.equipmentFit?.reason ?? ''] : []),
+        `${BOOKING_BASE_URL}/campsites/${row.campsiteId}`,
+    ]);
+    return toCsv(headers, csvRows);
+}
+
+/**
+ * Builds a CSV of found stays (one line per site and arrival date).
+ * @param {Array<object>} stays Stays from `findConsecutiveStays`.
+ * @returns {string} The CSV text.
+ */
+export function buildStaysCsv(stays) {
+    const headers = ['Site', 'Loop', 'Arrival', 'Departure', 'Nights', 'Total Cost', 'All Nights Priced', 'Campsite ID', 'Booking URL'];
+    const csvRows = stays.map(stay => [
+        stay.site,
+        stay.loop,
+        toDateKey(stay.arrivalDate),
+        toDateKey(stay.departureDate),
+        stay.nights,
+        stay.cost ? stay.cost.total.toFixed(2) : '',
+        stay.cost ? (stay.cost.isComplete ? 'Yes' : 'No') : '',
+        stay.campsiteId,
+        `${BOOKING_BASE_URL}/campsites/${stay.campsiteId}`,
+    ]);
+    return toCsv(headers, csvRows);
+}
+
+// --- iCalendar ---
+
+/**
+ * Escapes text for an iCalendar property value (RFC 5545, section 3.3.11).
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+function escapeIcsText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to at most 75 octets of UTF-8, continuing on lines that start with a space
+ * (RFC 5545, section 3.1). Lines are only broken between code points, so multi-byte characters and
+ * surrogate pairs stay whole.
+ * @param {string} line The unfolded line.
+ * @returns {string} The folded line.
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    for (const codePoint of line) {
+        const octets = encoder.encode(codePoint).length;
+        // Continuation lines lose one octet to the leading space.
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += codePoint;
+        currentOctets += octets;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a Date as an iCalendar UTC timestamp (e.g., '20250704T120000Z').
+ * @param {Date} date The date.
+ * @returns {string} The timestamp.
+ */
+function toIcsTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * @typedef {object} CalendarEvent
+ * @property {string} uid A globally unique, stable ID, so re-imports update events instead of duplicating them.
+ * @property {Date} start The first day (UTC midnight), or the start instant for timed events.
+ * @property {Date} end The day after the last day (UTC midnight), as iCalendar all-day events require, or the end instant for timed events.
+ * @property {string} summary The event title.
+ * @property {string} [description] Longer text.
+ * @property {string} [url] A link for the event.
+ * @property {boolean} [timed=false] If true, the event runs from `start` to `end` instead of covering whole days.
+ * @property {number} [alarmMinutesBefore] If set, adds a reminder this many minutes before the event starts.
+ */
+
+/**
+ * Builds an iCalendar document of all-day (or timed) events.
+ * @param {CalendarEvent[]} events The events.
+ * @param {object} [options={}] Calendar settings.
+ * @param {string} [options.calendarName] A name shown by calendar apps that support `X-WR-CALNAME`.
+ * @param {Date} [options.now=new Date()] The creation timestamp for every event.
+ * @returns {string} The .ics text.
+ */
+export function toICalendar(events, options = {}) {
+    const { calendarName, now = new Date() } = options;
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (calendarName) lines.push(`X-WR-CALNAME:${escapeIcsText(calendarName)}`);
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${toIcsTimestamp(now)}`,
+            event.timed ? `DTSTART:${toIcsTimestamp(event.start)}` : `DTSTART;VALUE=DATE:${toDateKey(event.start).replace(/-/g, '')}`,
+            event.timed ? `DTEND:${toIcsTimestamp(event.end)}` : `DTEND;VALUE=DATE:${toDateKey(event.end).replace(/-/g, '')}`,
+            `SUMMARY:${escapeIcsText(event.summary)}`,
+            event.timed ? 'TRANSP:OPAQUE' : 'TRANSP:TRANSPARENT'
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        if (event.alarmMinutesBefore !== undefined) {
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeIcsText(event.summary)}`, `TRIGGER:-PT${event.alarmMinutesBefore}M`, 'END:VALARM');
+        }
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds an iCalendar document with one all-day event per 'Available' site-night.
+ * Rows with any other status are skipped.
+ * @param {Array<object>} rows Rows from `processAndSortAvailability`.
+ * @param {ExportContext} context The search the rows came from.
+ * @returns {string} The .ics text.
+ */
+export function buildAvailabilityIcs(rows, context) {
+    const events = rows
+        .filter(row => row.availability === 'Available')
+        .map(row => {
+            const nextDay = new Date(row.originalDate);
+            nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+            const campgroundName = row.campground || context.campgroundName;
+            return {
+                uid: `night-${row.campsiteId}-${toDateKey(row.originalDate)}@campsite-availability`,
+                start: row.originalDate,
+                end: nextDay,
+                summary: `Site ${row.site} available - ${campgroundName}`,
+                description: `Site ${row.site} at ${campgroundName} was available for the night of ${toDateKey(row.originalDate)} as of ${context.requestDateTime.toISOString()}.`,
+                url: `${BOOKING_BASE_URL}/campsites/${row.campsiteId}`,
+            };
+        });
+    return toICalendar(events, { calendarName: `Open sites - ${context.campgroundName}` });
+}
+
+/**
+ * Builds an iCalendar document with one event per found stay, spanning arrival to departure.
+ * @param {Array<object>} stays Stays from `findConsecutiveStays`.
+ * @param {ExportContext} context The search the stays came from.
+ * @returns {string} The .ics text.
+ */
+export function buildStaysIcs(stays, context) {
+    const events = stays.map(stay => ({
+        uid: `stay-${stay.campsiteId}-${toDateKey(stay.arrivalDate)}-${stay.nights}@campsite-availability`,
+        start: stay.arrivalDate,
+        end: stay.departureDate,
+        summary: `Site ${stay.site}: ${stay.nights} night(s) - ${context.campgroundName}`,
+        description: `Site ${stay.site} at ${context.campgroundName} was available from ${toDateKey(stay.arrivalDate)} to ${toDateKey(stay.departureDate)} as of ${context.requestDateTime.toISOString()}.`,
+        url: `${BOOKING_BASE_URL}/campsites/${stay.campsiteId}`,
+    }));
+    return toICalendar(events, { calendarName: `Open stays - ${context.campgroundName}` });
+}
+
+/**
+ * Builds an iCalendar document with one short timed event per release time, each with a reminder
+ * 15 minutes before, so a team can be ready when the nights open.
+ * @param {Array<{date: string, releaseAt: Date, sites: string[]}>} releases Releases from `findNightReleases`.
+ * @param {ExportContext} context The search the releases came from.
+ * @returns {string} The .ics text.
+ */
+export function buildReleaseIcs(releases, context) {
+    // Several nights often open at the same moment, so group them into one event per release time.
+    const nightsByRelease = new Map();
+    releases.forEach(release => {
+        const key = release.releaseAt.getTime();
+        if (!nightsByRelease.has(key)) nightsByRelease.set(key, []);
+        nightsByRelease.get(key).push(release);
+    });
+
+    const events = [...nightsByRelease.entries()].map(([time, nights]) => {
+        const dates = nights.map(night => night.date);
+        const nightsText = dates.length === 1 ? `the night of ${dates[0]}` : `${dates.length} nights (${dates[0]} to ${dates[dates.length - 1]})`;
+        return {
+            uid: `release-${context.campgroundId}-${toIcsTimestamp(new Date(time))}@campsite-availability`,
+            start: new Date(time),
+            end: new Date(time + 15 * 60 * 1000),
+            timed: true,
+            alarmMinutesBefore: 15,
+            summary: `Booking opens: ${context.campgroundName}`,
+            description: `Reservations open for ${nightsText} at ${context.campgroundName}. Sites not yet released as of ${context.requestDateTime.toISOString()}: ${[...new Set(nights.flatMap(night => night.sites))].join(', ')}.`,
+            url: `${BOOKING_BASE_URL}/campgrounds/${context.campgroundId}`,
+        };
+    });
+    return toICalendar(events, { calendarName: `Release times - ${context.campgroundName}` });
+}
+
+// --- JSON Report ---
+
+/**
+ * Builds a structured JSON report of a search: what was searched (the effective configuration)
+ * and what was found.
+ * @param {'nights'|'stays'} kind Whether `items` are availability rows or stays.
+ * @param {Array<object>} items The rows or stays shown in the tab.
+ * @param {ExportContext} context The search the items came from.
+ * @returns {string} The pretty-printed JSON text.
+ */
+export function buildJsonReport(kind, items, context) {
+    const results = kind === 'stays'
+        ? items.map(stay => ({
+            site: stay.site,
+            loop: stay.loop ?? null,
+            campsiteId: stay.campsiteId,
+            arrival: toDateKey(stay.arrivalDate),
+            departure: toDateKey(stay.departureDate),
+            nights: stay.nights,
+            totalCost: stay.cost?.total ?? null,
+        }))
+        : items.map(row => ({
+            ...(row.campground ? { campground: row.campground } : {}),
+            site: row.site,
+            campsiteId: row.campsiteId,
+            date: toDateKey(row.originalDate),
+            availability: row.availability,
+            quantity: row.quantity ?? null,
+            nightlyPrice: row.price?.cost ?? null,
+        }));
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        dataRequestedAt: context.requestDateTime.toISOString(),
+        campground: { id: context.campgroundId, name: context.campgroundName },
+        kind,
+        resultCount: results.length,
+        effectiveConfig: context.config,
+        results,
+    };
+    return JSON.stringify(report, null, 2);
+}
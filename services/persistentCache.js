@@ -0,0 +1,144 @@
+/**
+ * =================================================================================================
+ * Persistent Cache Module
+ * =================================================================================================
+ *
+ * Description:
+ * Keeps API results that rarely change (campsite attributes, facility and recreation area details,
+ * media) in the browser's IndexedDB, so they survive page reloads and later visits.
+ *
+ * Every entry records when it was stored; readers pass the maximum age they accept and older entries
+ * are deleted on read. When IndexedDB is unavailable (e.g. some private browsing modes) or fails,
+ * every call quietly behaves like an empty cache, so callers never need to handle its errors.
+ *
+ */
+
+const DB_NAME = 'campsite-availability';
+const DB_VERSION = 1;
+const STORE_NAME = 'api-details';
+
+/** @type {Promise<IDBDatabase|null>|null} The shared database connection, opened on first use. */
+let databasePromise = null;
+
+/**
+ * When each value returned from the cache was stored, so the UI can show its age without the
+ * cached objects carrying an extra property.
+ * @type {WeakMap<object, number>}
+ */
+const storedAtByValue = new WeakMap();
+
+/**
+ * @typedef {object} PersistentCacheEntry
+ * @property {string} key The cache key.
+ * @property {any} value The cached data.
+ * @property {number} storedAt When the entry was stored (ms since epoch).
+ */
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request The request.
+ * @returns {Promise<any>} A promise that resolves to the request's result.
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens (and on first use, creates) the cache database.
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable.
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            console.warn('[openDatabase] IndexedDB is unavailable; details will not be saved between visits.', error);
+            return null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Runs a single request against the cache's object store.
+ * @param {IDBTransactionMode} mode 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} operation Creates the request.
+ * @returns {Promise<any>} The request's result, or undefined if IndexedDB is unavailable.
+ */
+async function runStoreRequest(mode, operation) {
+    const database = await openDatabase();
+    if (!database) return undefined;
+    const store = database.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return requestToPromise(operation(store));
+}
+
+/**
+ * Reads a cached entry if it is younger than `maxAgeMs`. Expired entries are deleted.
+ * @param {string} key The cache key.
+ * @param {number} maxAgeMs The maximum age to accept, in milliseconds.
+ * @returns {Promise<PersistentCacheEntry|null>} The entry, or null on a miss.
+ */
+export async function getCachedEntry(key, maxAgeMs) {
+    try {
+        const entry = await runStoreRequest('readonly', store => store.get(key));
+        if (!entry) return null;
+        if (Date.now() - entry.storedAt > maxAgeMs) {
+            await runStoreRequest('readwrite', store => store.delete(key));
+            return null;
+        }
+        if (entry.value && typeof entry.value === 'object') storedAtByValue.set(entry.value, entry.storedAt);
+        return entry;
+    } catch (error) {
+        console.warn(`[getCachedEntry] Could not read '${key}' from the browser cache.`, error);
+        return null;
+    }
+}
+
+/**
+ * Stores a value, replacing any existing entry for the key.
+ * @param {string} key The cache key.
+ * @param {any} value The data to store. Must be structured-cloneable (plain JSON data is).
+ * @returns {Promise<void>}
+ */
+export async function setCachedEntry(key, value) {
+    try {
+        await runStoreRequest('readwrite', store => store.put({ key, value, storedAt: Date.now() }));
+    } catch (error) {
+        console.warn(`[setCachedEntry] Could not save '${key}' to the browser cache.`, error);
+    }
+}
+
+/**
+ * Deletes every cached entry.
+ * @returns {Promise<number>} The number of entries deleted.
+ */
+export async function clearPersistentCache() {
+    try {
+        const count = await runStoreRequest('readonly', store => store.count()) ?? 0;
+        await runStoreRequest('readwrite', store => store.clear());
+        console.log(`[clearPersistentCache] Deleted ${count} cached entries.`);
+        return count;
+    } catch (error) {
+        console.warn('[clearPersistentCache] Could not clear the browser cache.', error);
+        return 0;
+    }
+}
+
+/**
+ * Returns when a value was stored, if it was read from this cache during the current page session.
+ * @param {any} value A value returned by a cached fetcher.
+ * @returns {number|null} The storage time (ms since epoch), or null if the value was fetched live.
+ */
+export function getCachedAt(value) {
+    return value && typeof value === 'object' ? storedAtByValue.get(value) ?? null : null;
+}
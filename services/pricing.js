@@ -0,0 +1,136 @@
+/**
+ * =================================================================================================
+ * Pricing Module
+ * =================================================================================================
+ *
+ * Description:
+ * Joins availability data to the campground's seasonal rates (`feePolicies` in the campground
+ * model, the same data shown in the "Facility Rates" table), so each night can show its price
+ * and each found stay its total cost.
+ *
+ * A night's rate is the rate of the season that contains the date, for the site's type
+ * (`campsiteType`, e.g. 'STANDARD NONELECTRIC'). If a season lists only one rate, it applies to
+ * every site. Nights without a matching season or site type have no price, and are never excluded
+ * by a budget.
+ *
+ * This module has no DOM or network dependencies.
+ *
+ */
+
+/**
+ * @typedef {object} NightlyRate
+ * @property {number} cost The price for the night, in US dollars.
+ * @property {string} season The season name (e.g., 'Peak Season').
+ * @property {string} siteType The rate's site type.
+ */
+
+/**
+ * @typedef {object} StayCost
+ * @property {number} total The sum of the known nightly prices.
+ * @property {number} pricedNights How many nights have a known price.
+ * @property {boolean} isComplete True if every night has a known price.
+ */
+
+/**
+ * Converts an API date (e.g. "2025-07-04T00:00:00Z") into a "YYYY-MM-DD" key.
+ * @param {string} dateStr The date string.
+ * @returns {string|null} The day key, or null if the date cannot be parsed.
+ */
+function toDayKey(dateStr) {
+    const date = new Date(dateStr);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalizes a site type for comparison (case and spacing vary between the rate and availability data).
+ * @param {string|undefined} siteType The site type.
+ * @returns {string} The normalized site type.
+ */
+function normalizeSiteType(siteType) {
+    return String(siteType || '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * Finds the nightly rate for a site type on a date.
+ * @param {Array<object>|null|undefined} feePolicies The `feePolicies` of the campground model.
+ * @param {string|undefined} campsiteType The site's `campsiteType`.
+ * @param {string} dateStr The night's API date key or a "YYYY-MM-DD" string.
+ * @returns {NightlyRate|null} The rate, or null if no season and site type match.
+ */
+export function findNightlyRate(feePolicies, campsiteType, dateStr) {
+    if (!Array.isArray(feePolicies)) return null;
+    const dayKey = toDayKey(dateStr.length === 10 ? `${dateStr}T00:00:00Z` : dateStr);
+    if (!dayKey) return null;
+    const siteType = normalizeSiteType(campsiteType);
+
+    for (const policy of feePolicies) {
+        const rates = (policy.rates || []).filter(rate => Number.isFinite(parseFloat(rate.cost)));
+        const startKey = toDayKey(policy.startDate);
+        const endKey = toDayKey(policy.endDate);
+        // Seasons with missing or unparseable dates are skipped rather than failing the whole results render.
+        if (rates.length === 0 || !policy.startDate || !policy.endDate || !startKey || !endKey) continue;
+        if (dayKey < startKey || dayKey > endKey) continue;
+
+        const rate = rates.find(candidate => normalizeSiteType(candidate.siteType) === siteType)
+            || (rates.length === 1 ? rates[0] : null);
+        if (rate) return { cost: parseFloat(rate.cost), season: policy.season || '', siteType: rate.siteType || '' };
+    }
+    return null;
+}
+
+/**
+ * Returns copies of the campsites with a `nightlyRates` object (date key -> `NightlyRate`) for each priced night.
+ * The input objects are not changed, so cached availability data stays untouched.
+ * @param {object|null} campsites The merged campsites data.
+ * @param {Array<object>|null|undefined} feePolicies The `feePolicies` of the campground model.
+ * @returns {object|null} The priced campsites, or the input unchanged if there are no rates.
+ */
+export function attachNightlyRates(campsites, feePolicies) {
+    if (!campsites || !Array.isArray(feePolicies) || feePolicies.length === 0) return campsites;
+    const pricedCampsites = {};
+    for (const campsiteId in campsites) {
+        const campsite = campsites[campsiteId];
+        const nightlyRates = {};
+        for (const dateStr in campsite.availabilities || {}) {
+            const rate = findNightlyRate(feePolicies, campsite.campsiteType, dateStr);
+            if (rate) nightlyRates[dateStr] = rate;
+        }
+        pricedCampsites[campsiteId] = { ...campsite, nightlyRates };
+    }
+    return pricedCampsites;
+}
+
+/**
+ * Adds up the nightly prices of a stay.
+ * @param {Object<string, NightlyRate>|undefined} nightlyRates The site's `nightlyRates`, from `attachNightlyRates`.
+ * @param {string[]} nightDates The API date keys of the stay's nights.
+ * @returns {StayCost|null} The cost, or null if no night has a known price.
+ */
+export function estimateStayCost(nightlyRates, nightDates) {
+    const prices = nightDates.map(dateStr => nightlyRates?.[dateStr]?.cost).filter(cost => cost !== undefined);
+    if (prices.length === 0) return null;
+    return {
+        total: prices.reduce((sum, cost) => sum + cost, 0),
+        pricedNights: prices.length,
+        isComplete: prices.length === nightDates.length,
+    };
+}
+
+/**
+ * Checks a nightly price against the budget. Unknown prices are always within budget.
+ * @param {NightlyRate|null|undefined} rate The night's rate.
+ * @param {number|null} maxNightlyPrice The most the user will pay per night, or null for no limit.
+ * @returns {boolean} True if the night is within budget.
+ */
+export function isNightWithinBudget(rate, maxNightlyPrice) {
+    return !(maxNightlyPrice > 0) || !rate || rate.cost <= maxNightlyPrice;
+}
+
+/**
+ * Formats a price in US dollars (e.g., '$28.00').
+ * @param {number} amount The amount.
+ * @returns {string} The formatted price.
+ */
+export function formatPrice(amount) {
+    return `$${amount.toFixed(2)}`;
+}
@@ -0,0 +1,452 @@
+/**
+ * =================================================================================================
+ * Response Models Module
+ * =================================================================================================
+ *
+ * Description:
+ * Maps each proxy route's response (the `type` values of `API_ROUTES` in `api/_lib/ridb.js`) into the
+ * internal model the rest of the app reads. Responses are first normalized against their schema
+ * (`responseSchemas.js`), so the mappers can rely on the value types and only choose the names.
+ *
+ * The models use the app's own camelCase field names and drop the upstream envelopes: the
+ * `campground` wrapper of the metadata, the `results` list of the search API, the `RECDATA` and
+ * `METADATA` of RIDB lists, and the one-item array RIDB returns for a single campsite. Upstream names
+ * appear only in this module and the schemas, so when Recreation.gov renames a field, the mapping here
+ * is the one place to change. Fields the app does not read are left out.
+ *
+ * `RESPONSE_MODEL_VERSION` is part of the browser cache keys (`apiService.js`), so models saved by an
+ * older version of this module are never read back as the current one.
+ *
+ * This module has no DOM or network dependencies.
+ *
+ */
+
+/** Increase when a model changes shape, so results saved in the browser under the old shape are ignored. */
+export const RESPONSE_MODEL_VERSION = 2;
+
+/**
+ * @typedef {object} CampsiteAvailability The availability of one campsite (route `availability`).
+ * @property {string} campsiteId The Recreation.gov campsite ID.
+ * @property {string} site The site name (e.g., '012').
+ * @property {string} loop The loop name.
+ * @property {string} campsiteType The site type (e.g., 'STANDARD NONELECTRIC').
+ * @property {string} typeOfUse 'Overnight' or 'Day'.
+ * @property {Object<string, string>} availabilities The status of each night, keyed by ISO date.
+ * @property {Object<string, number>} quantities The number of units left each night (group sites), keyed by ISO date.
+ */
+
+/**
+ * @typedef {object} FeePolicy One season of a campground's fees.
+ * @property {string} season The season name.
+ * @property {string} startDate The first day of the season (ISO date).
+ * @property {string} endDate The last day of the season (ISO date).
+ * @property {Array<{siteType: string, cost: number}>} rates The nightly cost per site type.
+ */
+
+/**
+ * @typedef {object} CampgroundModel A campground's reservation details (route `campgroundMetadata`).
+ * @property {string} facilityId The RIDB facility ID.
+ * @property {string|null} recAreaId The parent recreation area's RIDB ID.
+ * @property {string} name The campground name.
+ * @property {string} city The nearest city.
+ * @property {string} state The state.
+ * @property {string} timeZone The IANA time zone (e.g., 'America/Los_Angeles').
+ * @property {boolean|null} isCommerciallyManaged True if a concessionaire runs the campground.
+ * @property {string} bookingWindowMessage The free-text booking window description.
+ * @property {Array<{name: string, description: string}>} rules Reservation rules as a list (newer campgrounds).
+ * @property {Object<string, {value: any, units: string, description: string}>} facilityRules Reservation rules by
+ * name (e.g., `maxConsecutiveStay`), as used by older campgrounds and by the stay and booking window checks.
+ * @property {FeePolicy[]} feePolicies The fee seasons.
+ * @property {Array<{text: string, type: string}>} notices Important notices. `text` may contain HTML.
+ * @property {Array<{title: string, url: string, description: string}>} links Related links.
+ * @property {string[]} activities Activity names.
+ * @property {Array<{address1: string, address2: string, address3: string, city: string, stateCode: string, postalCode: string}>} addresses Addresses.
+ */
+
+/**
+ * @typedef {object} CampgroundSummary The Recreation.gov search summary of a campground (route `rec-gov-search`).
+ * @property {string} name The campground name.
+ * @property {string} orgName The managing organization.
+ * @property {string} orgId The managing organization's ID.
+ * @property {string} stateCode The two-letter state code.
+ * @property {number|null} averageRating The average user rating, out of 5.
+ * @property {number|null} ratingCount How many users rated the campground.
+ * @property {number|null} campsiteCount How many campsites it has.
+ * @property {string[]} reserveTypes How sites are reserved (e.g., 'Site-Specific').
+ * @property {string[]} equipmentNames The equipment sites allow.
+ * @property {number|null} cellCoverage The aggregate cell coverage score reported by users.
+ * @property {string} previewImageUrl The campground's preview image.
+ * @property {{min: number, max: number, perUnit: string}|null} priceRange The nightly price range.
+ */
+
+/**
+ * @typedef {object} MediaModel An RIDB media item.
+ * @property {string} mediaType 'Image', 'Video', etc.
+ * @property {string} url The media URL.
+ * @property {string} title The title.
+ * @property {string} description The description.
+ * @property {boolean} isPrimary True for the entity's main image.
+ */
+
+/**
+ * @typedef {object} FacilityModel An RIDB facility (routes `facilityDetails`, `facilitySearch` and `recAreaFacilities`).
+ * @property {string} id The RIDB facility ID (the same as the Recreation.gov campground ID).
+ * @property {string|null} parentRecAreaId The parent recreation area's ID.
+ * @property {string} orgFacilityId The managing organization's own ID for the facility.
+ * @property {string} name The facility name.
+ * @property {string} typeDescription The facility type (e.g., 'Campground').
+ * @property {string} description The description (HTML).
+ * @property {string} directions Directions (HTML).
+ * @property {string} phone The phone number.
+ * @property {string} email The email address.
+ * @property {string} accessibilityText Accessibility notes.
+ * @property {string} adaAccess 'Y' or 'N' if known.
+ * @property {number|null} latitude The latitude, from the facility fields or its GeoJSON point.
+ * @property {number|null} longitude The longitude, from the facility fields or its GeoJSON point.
+ * @property {{street: string, city: string, stateCode: string, postalCode: string}|null} address The first listed address.
+ * @property {string} organizationName The managing organization's name.
+ * @property {string} recAreaName The parent recreation area's name.
+ * @property {string} keywords Comma-separated keywords.
+ * @property {boolean} reservable True if the facility can be reserved online.
+ * @property {boolean} enabled True if the facility is enabled in RIDB.
+ * @property {string} lastUpdated When RIDB last updated the record.
+ * @property {MediaModel[]} media The facility's media.
+ */
+
+/**
+ * @typedef {object} RecAreaModel An RIDB recreation area (routes `recAreaDetails` and `recAreaSearch`).
+ * @property {string} id The RIDB recreation area ID.
+ * @property {string} name The name.
+ * @property {string} description The description (HTML).
+ * @property {string} directions Directions (HTML).
+ * @property {string} phone The phone number.
+ * @property {string} email The email address.
+ * @property {number|null} latitude The latitude.
+ * @property {number|null} longitude The longitude.
+ * @property {string} keywords Comma-separated keywords.
+ * @property {string} lastUpdated When RIDB last updated the record.
+ */
+
+/**
+ * @typedef {object} EventModel An RIDB event (route `recAreaEvents`).
+ * @property {string} name The event name.
+ * @property {string} description The description (HTML).
+ * @property {string} type The event type.
+ * @property {string} url A link with more information.
+ * @property {string} startDate When the event starts.
+ * @property {string} endDate When the event ends.
+ */
+
+/**
+ * @typedef {object} CampsiteModel An RIDB campsite record (routes `campsiteDetails` and `facilityCampsites`).
+ * @property {string} id The campsite ID (the same as the Recreation.gov campsite ID).
+ * @property {string} name The site name.
+ * @property {string} type The site type (e.g., 'STANDARD ELECTRIC').
+ * @property {string} loop The loop name.
+ * @property {string} typeOfUse 'Overnight' or 'Day'.
+ * @property {boolean} reservable True if the site can be reserved.
+ * @property {boolean} accessible True if the site is marked accessible.
+ * @property {Array<{name: string, value: string}>} attributes Free-form features (e.g., 'Max Vehicle Length').
+ * @property {Array<{name: string, maxLength: number|null}>} permittedEquipment The equipment allowed, with its maximum length in feet.
+ * @property {MediaModel[]} media The site's media.
+ */
+
+/**
+ * @template T
+ * @typedef {object} RecordList One page of an RIDB list route.
+ * @property {T[]} records The records on this page.
+ * @property {number} totalCount How many records the list has across all pages.
+ */
+
+// --- Field Helpers ---
+
+/**
+ * Reads a text field, using '' for anything missing.
+ * @param {any} value The field.
+ * @returns {string} The text.
+ */
+function text(value) {
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Reads a numeric field, using null for anything that is not a finite number.
+ * @param {any} value The field.
+ * @returns {number|null} The number.
+ */
+function numberOrNull(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Reads a list field, using an empty list for anything that is not an array.
+ * @param {any} value The field.
+ * @returns {Array<any>} The list.
+ */
+function list(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Reads an ID field, using null when it is missing or empty.
+ * @param {any} value The field.
+ * @returns {string|null} The ID.
+ */
+function idOrNull(value) {
+    return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+// --- Mappers ---
+
+/**
+ * Maps an RIDB media item.
+ * @param {object} media The upstream media item.
+ * @returns {MediaModel} The model.
+ */
+function toMedia(media) {
+    return {
+        mediaType: text(media?.MediaType),
+        url: text(media?.URL),
+        title: text(media?.Title),
+        description: text(media?.Description),
+        isPrimary: media?.IsPrimary === true,
+    };
+}
+
+/**
+ * Maps an RIDB facility record.
+ * @param {object} facility The upstream record.
+ * @returns {FacilityModel} The model.
+ */
+function toFacility(facility) {
+    const coordinates = list(facility?.GEOJSON?.COORDINATES);
+    // RIDB sends 0 for coordinates it does not have, and some facilities only have the GeoJSON point.
+    const hasFields = !!numberOrNull(facility?.FacilityLatitude) && !!numberOrNull(facility?.FacilityLongitude);
+    const hasPoint = coordinates.length === 2 && numberOrNull(coordinates[0]) !== null && numberOrNull(coordinates[1]) !== null;
+    const address = list(facility?.FACILITYADDRESS)[0];
+
+    return {
+        id: text(facility?.FacilityID),
+        parentRecAreaId: idOrNull(facility?.ParentRecAreaID),
+        orgFacilityId: text(facility?.OrgFacilityID),
+        name: text(facility?.FacilityName),
+        typeDescription: text(facility?.FacilityTypeDescription),
+        description: text(facility?.FacilityDescription),
+        directions: text(facility?.FacilityDirections),
+        phone: text(facility?.FacilityPhone),
+        email: text(facility?.FacilityEmail),
+        accessibilityText: text(facility?.FacilityAccessibilityText),
+        adaAccess: text(facility?.FacilityAdaAccess),
+        latitude: hasFields ? facility.FacilityLatitude : (hasPoint ? coordinates[1] : null),
+        longitude: hasFields ? facility.FacilityLongitude : (hasPoint ? coordinates[0] : null),
+        address: address ? {
+            street: text(address.FacilityStreetAddress1),
+            city: text(address.City),
+            stateCode: text(address.AddressStateCode),
+            postalCode: text(address.PostalCode),
+        } : null,
+        organizationName: text(list(facility?.ORGANIZATION)[0]?.OrgName),
+        recAreaName: text(list(facility?.RECAREA)[0]?.RecAreaName),
+        keywords: text(facility?.Keywords),
+        reservable: facility?.Reservable === true,
+        enabled: facility?.Enabled === true,
+        lastUpdated: text(facility?.LastUpdatedDate),
+        media: list(facility?.MEDIA).map(toMedia),
+    };
+}
+
+/**
+ * Maps an RIDB recreation area record.
+ * @param {object} recArea The upstream record.
+ * @returns {RecAreaModel} The model.
+ */
+function toRecArea(recArea) {
+    return {
+        id: text(recArea?.RecAreaID),
+        name: text(recArea?.RecAreaName),
+        description: text(recArea?.RecAreaDescription),
+        directions: text(recArea?.RecAreaDirections),
+        phone: text(recArea?.RecAreaPhone),
+        email: text(recArea?.RecAreaEmail),
+        latitude: numberOrNull(recArea?.RecAreaLatitude),
+        longitude: numberOrNull(recArea?.RecAreaLongitude),
+        keywords: text(recArea?.Keywords),
+        lastUpdated: text(recArea?.LastUpdatedDate),
+    };
+}
+
+/**
+ * Maps an RIDB event record.
+ * @param {object} event The upstream record.
+ * @returns {EventModel} The model.
+ */
+function toEvent(event) {
+    return {
+        name: text(event?.EventName),
+        description: text(event?.EventDescription),
+        type: text(event?.EventType),
+        url: text(event?.EventURL),
+        startDate: text(event?.EventStartDate),
+        endDate: text(event?.EventEndDate),
+    };
+}
+
+/**
+ * Maps an RIDB campsite record.
+ * @param {object} campsite The upstream record.
+ * @returns {CampsiteModel} The model.
+ */
+function toCampsite(campsite) {
+    return {
+        id: text(campsite?.CampsiteID),
+        name: text(campsite?.CampsiteName),
+        type: text(campsite?.CampsiteType),
+        loop: text(campsite?.Loop),
+        typeOfUse: text(campsite?.TypeOfUse),
+        reservable: campsite?.CampsiteReservable === true,
+        accessible: campsite?.CampsiteAccessible === true,
+        attributes: list(campsite?.ATTRIBUTES).map(attribute => ({ name: text(attribute?.AttributeName), value: text(attribute?.AttributeValue) })),
+        permittedEquipment: list(campsite?.PERMITTEDEQUIPMENT).map(item => ({ name: text(item?.EquipmentName), maxLength: numberOrNull(item?.MaxLength) })),
+        media: list(campsite?.ENTITYMEDIA).map(toMedia),
+    };
+}
+
+/**
+ * Maps one page of an RIDB list route.
+ * @template T
+ * @param {object} page The upstream page.
+ * @param {function(object): T} toRecord The record mapper.
+ * @returns {RecordList<T>} The model.
+ */
+function toRecordList(page, toRecord) {
+    const records = list(page?.RECDATA).map(toRecord);
+    return { records, totalCount: numberOrNull(page?.METADATA?.RESULTS?.TOTAL_COUNT) ?? records.length };
+}
+
+/**
+ * Maps the availability of one campsite.
+ * @param {object} campsite The upstream campsite.
+ * @returns {CampsiteAvailability} The model.
+ */
+function toCampsiteAvailability(campsite) {
+    return {
+        campsiteId: text(campsite?.campsite_id),
+        site: text(campsite?.site),
+        loop: text(campsite?.loop),
+        campsiteType: text(campsite?.campsite_type),
+        typeOfUse: text(campsite?.type_of_use),
+        availabilities: { ...campsite?.availabilities },
+        quantities: { ...campsite?.quantities },
+    };
+}
+
+/**
+ * Maps a campground's metadata.
+ * @param {object} campground The upstream `campground` object.
+ * @returns {CampgroundModel} The model.
+ */
+function toCampground(campground) {
+    const facilityRules = {};
+    for (const [name, rule] of Object.entries(campground.facility_rules || {})) {
+        facilityRules[name] = { value: rule?.value ?? null, units: text(rule?.units), description: text(rule?.description) };
+    }
+
+    return {
+        facilityId: text(campground.facility_id),
+        recAreaId: idOrNull(campground.parent_rec_area_id),
+        name: text(campground.facility_name),
+        city: text(campground.city),
+        state: text(campground.state),
+        timeZone: text(campground.facility_time_zone),
+        isCommerciallyManaged: typeof campground.is_commercially_managed === 'boolean' ? campground.is_commercially_managed : null,
+        bookingWindowMessage: text(campground.booking_information?.booking_window_message),
+        rules: list(campground.rules).map(rule => ({ name: text(rule?.name), description: text(rule?.description) })),
+        facilityRules,
+        feePolicies: list(campground.fee_policies).map(policy => ({
+            season: text(policy?.season),
+            startDate: text(policy?.start_date),
+            endDate: text(policy?.end_date),
+            rates: list(policy?.rates).map(rate => ({ siteType: text(rate?.site_type), cost: rate?.cost })),
+        })),
+        notices: list(campground.notices).map(notice => ({ text: text(notice?.notice_text), type: text(notice?.notice_type) })),
+        links: list(campground.links).map(link => ({ title: text(link?.title), url: text(link?.url), description: text(link?.description) })),
+        activities: list(campground.activities).map(activity => text(activity?.activity_name)).filter(Boolean),
+        addresses: list(campground.addresses).map(address => ({
+            address1: text(address?.address1),
+            address2: text(address?.address2),
+            address3: text(address?.address3),
+            city: text(address?.city),
+            stateCode: text(address?.state_code),
+            postalCode: text(address?.postal_code),
+        })),
+    };
+}
+
+/**
+ * Maps a Recreation.gov search result.
+ * @param {object} result The upstream result.
+ * @returns {CampgroundSummary} The model.
+ */
+function toCampgroundSummary(result) {
+    const priceRange = result.price_range;
+    return {
+        name: text(result.name),
+        orgName: text(result.org_name),
+        orgId: text(result.org_id),
+        stateCode: text(result.state_code),
+        averageRating: numberOrNull(result.average_rating),
+        ratingCount: numberOrNull(result.number_of_ratings),
+        campsiteCount: numberOrNull(result.campsites_count),
+        reserveTypes: list(result.campsite_reserve_type).map(text),
+        equipmentNames: list(result.campsite_equipment_name).map(text),
+        cellCoverage: numberOrNull(result.aggregate_cell_coverage),
+        previewImageUrl: text(result.preview_image_url),
+        priceRange: numberOrNull(priceRange?.amount_min) !== null
+            ? { min: priceRange.amount_min, max: numberOrNull(priceRange.amount_max) ?? priceRange.amount_min, perUnit: text(priceRange.per_unit) }
+            : null,
+    };
+}
+
+/**
+ * The model mapper of each proxy route, keyed by route type. Each takes the normalized response.
+ * @type {Object<string, function(any): any>}
+ */
+export const RESPONSE_MODELS = {
+    /** @returns {Object<string, CampsiteAvailability>|null} The sites' availability, keyed by campsite ID, or null if the response has none (a failed month). */
+    availability: (json) => (json?.campsites
+        ? Object.fromEntries(Object.entries(json.campsites).map(([campsiteId, campsite]) => [campsiteId, toCampsiteAvailability(campsite)]))
+        : null),
+    /** @returns {CampgroundModel|null} The campground, or null if the response has none. */
+    campgroundMetadata: (json) => (json?.campground ? toCampground(json.campground) : null),
+    /** @returns {CampgroundSummary|null} The campground's search summary, or null if the search found nothing. */
+    'rec-gov-search': (json) => (json?.results?.[0] ? toCampgroundSummary(json.results[0]) : null),
+    /** @returns {FacilityModel} The facility. */
+    facilityDetails: toFacility,
+    /** @returns {RecAreaModel} The recreation area. */
+    recAreaDetails: toRecArea,
+    /** @returns {RecordList<EventModel>} The events. */
+    recAreaEvents: (json) => toRecordList(json, toEvent),
+    /** @returns {RecordList<MediaModel>} The media. */
+    recAreaMedia: (json) => toRecordList(json, toMedia),
+    /** @returns {CampsiteModel|null} The campsite. RIDB returns it as the only item of an array. */
+    campsiteDetails: (json) => (Array.isArray(json) && json.length > 0 ? toCampsite(json[0]) : null),
+    /** @returns {RecordList<CampsiteModel>} The facility's campsites. */
+    facilityCampsites: (json) => toRecordList(json, toCampsite),
+    /** @returns {RecordList<FacilityModel>} The matching facilities. */
+    facilitySearch: (json) => toRecordList(json, toFacility),
+    /** @returns {RecordList<RecAreaModel>} The matching recreation areas. */
+    recAreaSearch: (json) => toRecordList(json, toRecArea),
+    /** @returns {RecordList<FacilityModel>} The recreation area's facilities. */
+    recAreaFacilities: (json) => toRecordList(json, toFacility),
+};
+
+/**
+ * Maps a normalized proxy response to its route's model.
+ * @param {string} type The route type (a key of `RESPONSE_MODELS`).
+ * @param {any} data The response, normalized by `normalizeResponse` in `responseSchemas.js`.
+ * @returns {any} The model. Types without a model are returned unchanged.
+ */
+export function toResponseModel(type, data) {
+    const toModel = Object.hasOwn(RESPONSE_MODELS, type) ? RESPONSE_MODELS[type] : null;
+    return toModel ? toModel(data) : data;
+}
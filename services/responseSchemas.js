@@ -0,0 +1,304 @@
+/**
+ * =================================================================================================
+ * Response Schemas Module
+ * =================================================================================================
+ *
+ * Description:
+ * Describes the shape the app relies on in each proxy route's response (the `type` values of
+ * `API_ROUTES` in `api/_lib/ridb.js`), and normalizes responses against it before they are mapped to
+ * the app's internal models (`responseModels.js`).
+ *
+ * Normalizing keeps the upstream field names, but guarantees their types: IDs are always strings,
+ * numeric fields are numbers, and lists are always arrays. Fields the schema does not mention are passed
+ * through untouched. The schemas list every upstream field the models read.
+ *
+ * Anything that does not match (a missing required field, or a value of the wrong type) is reported
+ * as a schema drift issue, so a change on Recreation.gov's side shows up in the debug output instead
+ * of as silently blank results. Issues repeated across many records are reported once, with a count.
+ *
+ * This module has no DOM or network dependencies.
+ *
+ */
+
+/**
+ * @typedef {object} FieldSchema
+ * @property {'string'|'id'|'number'|'boolean'|'array'|'object'|'map'} kind The expected type. 'id' accepts
+ * strings and numbers and always yields a string; 'map' is an object keyed by arbitrary names (e.g., dates).
+ * @property {boolean} [required] True if the field must be present.
+ * @property {any} [default] The value to use when the field is missing or of the wrong type.
+ * @property {FieldSchema} [items] For 'array': the schema of each item.
+ * @property {FieldSchema} [values] For 'map': the schema of each value.
+ * @property {Object<string, FieldSchema>} [fields] For 'object': the schemas of the fields the app reads.
+ */
+
+/**
+ * @typedef {object} NormalizedResponse
+ * @property {any} data The normalized response.
+ * @property {string[]} issues Descriptions of each kind of mismatch found, e.g. "campsites{}.site is missing (in 84 records)".
+ */
+
+// --- Schema Building Blocks ---
+
+const string = { kind: 'string' };
+const id = { kind: 'id' };
+const number = { kind: 'number' };
+const boolean = { kind: 'boolean' };
+const requiredField = (schema) => ({ ...schema, required: true });
+const arrayOf = (items, options = {}) => ({ kind: 'array', items, default: [], ...options });
+const objectWith = (fields, options = {}) => ({ kind: 'object', fields, ...options });
+const mapOf = (values, options = {}) => ({ kind: 'map', values, ...options });
+
+/** A paginated RIDB list response. */
+const ridbList = (recordSchema) => objectWith({
+    RECDATA: requiredField(arrayOf(recordSchema)),
+    METADATA: objectWith({ RESULTS: objectWith({ TOTAL_COUNT: number }) }),
+});
+
+const ridbMedia = objectWith({
+    MediaType: requiredField(string),
+    URL: requiredField(string),
+    Title: string,
+    Description: string,
+    IsPrimary: boolean,
+});
+
+const ridbCampsite = objectWith({
+    CampsiteID: requiredField(id),
+    CampsiteName: string,
+    CampsiteType: string,
+    Loop: string,
+    TypeOfUse: string,
+    CampsiteReservable: boolean,
+    CampsiteAccessible: boolean,
+    ATTRIBUTES: arrayOf(objectWith({ AttributeName: requiredField(string), AttributeValue: string })),
+    PERMITTEDEQUIPMENT: arrayOf(objectWith({ EquipmentName: requiredField(string), MaxLength: number })),
+    ENTITYMEDIA: arrayOf(ridbMedia),
+});
+
+const ridbFacility = objectWith({
+    FacilityID: requiredField(id),
+    ParentRecAreaID: id,
+    OrgFacilityID: string,
+    FacilityName: requiredField(string),
+    FacilityTypeDescription: string,
+    FacilityDescription: string,
+    FacilityDirections: string,
+    FacilityPhone: string,
+    FacilityEmail: string,
+    FacilityAdaAccess: string,
+    FacilityAccessibilityText: string,
+    FacilityLatitude: number,
+    FacilityLongitude: number,
+    GEOJSON: objectWith({ COORDINATES: arrayOf(number) }),
+    FACILITYADDRESS: arrayOf(objectWith({ FacilityStreetAddress1: string, City: string, AddressStateCode: string, PostalCode: string })),
+    ORGANIZATION: arrayOf(objectWith({ OrgName: string })),
+    RECAREA: arrayOf(objectWith({ RecAreaName: string })),
+    Keywords: string,
+    Reservable: boolean,
+    Enabled: boolean,
+    LastUpdatedDate: string,
+    MEDIA: arrayOf(ridbMedia),
+});
+
+const ridbRecArea = objectWith({
+    RecAreaID: requiredField(id),
+    RecAreaName: requiredField(string),
+    RecAreaDescription: string,
+    RecAreaDirections: string,
+    RecAreaPhone: string,
+    RecAreaEmail: string,
+    RecAreaLatitude: number,
+    RecAreaLongitude: number,
+    Keywords: string,
+    LastUpdatedDate: string,
+});
+
+const ridbEvent = objectWith({
+    EventName: requiredField(string),
+    EventDescription: string,
+    EventType: string,
+    EventURL: string,
+    EventStartDate: string,
+    EventEndDate: string,
+});
+
+/**
+ * The schema of each proxy route's response, keyed by route type.
+ * @type {Object<string, FieldSchema>}
+ */
+export const RESPONSE_SCHEMAS = {
+    availability: objectWith({
+        // No default: a response without `campsites` is a failed month, not an empty one.
+        campsites: requiredField(mapOf(objectWith({
+            campsite_id: requiredField(id),
+            site: requiredField(string),
+            loop: string,
+            campsite_type: string,
+            type_of_use: string,
+            availabilities: requiredField(mapOf(string, { default: {} })),
+            quantities: mapOf(number, { default: {} }),
+        }))),
+    }),
+    campgroundMetadata: objectWith({
+        campground: requiredField(objectWith({
+            facility_id: requiredField(id),
+            parent_rec_area_id: id,
+            facility_name: string,
+            city: string,
+            state: string,
+            facility_time_zone: string,
+            is_commercially_managed: boolean,
+            booking_information: objectWith({ booking_window_message: string }),
+            facility_rules: mapOf(objectWith({ units: string, description: string })),
+            rules: arrayOf(objectWith({ name: string, description: string }), { default: undefined }), // Older campgrounds use `facility_rules` instead.
+            fee_policies: arrayOf(objectWith({
+                season: string,
+                start_date: string,
+                end_date: string,
+                rates: arrayOf(objectWith({ site_type: string, cost: number })),
+            })),
+            notices: arrayOf(objectWith({ notice_text: string, notice_type: string })),
+            links: arrayOf(objectWith({ title: string, url: string, description: string })),
+            activities: arrayOf(objectWith({ activity_name: string })),
+            addresses: arrayOf(objectWith({ address1: string, address2: string, address3: string, city: string, state_code: string, postal_code: string })),
+        })),
+    }),
+    'rec-gov-search': objectWith({
+        results: requiredField(arrayOf(objectWith({
+            name: string,
+            org_name: string,
+            org_id: id,
+            state_code: string,
+            average_rating: number,
+            number_of_ratings: number,
+            campsites_count: number,
+            aggregate_cell_coverage: number,
+            preview_image_url: string,
+            campsite_reserve_type: arrayOf(string),
+            campsite_equipment_name: arrayOf(string),
+            price_range: objectWith({ amount_min: number, amount_max: number, per_unit: string }),
+        }))),
+    }),
+    facilityDetails: ridbFacility,
+    recAreaDetails: ridbRecArea,
+    recAreaEvents: ridbList(ridbEvent),
+    recAreaMedia: ridbList(ridbMedia),
+    campsiteDetails: requiredField(arrayOf(ridbCampsite)),
+    facilityCampsites: ridbList(ridbCampsite),
+    facilitySearch: ridbList(ridbFacility),
+    recAreaSearch: ridbList(ridbRecArea),
+    recAreaFacilities: ridbList(ridbFacility),
+};
+
+// --- Normalization ---
+
+/** How each schema kind is described in issue messages. */
+const EXPECTED_DESCRIPTIONS = {
+    id: 'an ID',
+    string: 'a string',
+    number: 'a number',
+    boolean: 'a boolean',
+    array: 'an array',
+    object: 'an object',
+    map: 'an object',
+};
+
+/**
+ * Describes a value's type for an issue message.
+ * @param {any} value The value.
+ * @returns {string} The type (e.g., 'array', 'null', 'string').
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Returns a field's default value, copied so normalized responses never share it.
+ * @param {FieldSchema} schema The schema.
+ * @returns {any} The default, or undefined if there is none.
+ */
+function getDefault(schema) {
+    return schema.default === undefined ? undefined : structuredClone(schema.default);
+}
+
+/**
+ * Normalizes a value against a schema, recording any mismatch.
+ * @param {any} value The value.
+ * @param {FieldSchema} schema The schema.
+ * @param {string} path The generic path of the value, with `[]` for array items and `{}` for map values.
+ * @param {Map<string, number>} issues Mismatch descriptions, counted by how often they occurred.
+ * @returns {any} The normalized value (undefined if it should be left out).
+ */
+function normalizeValue(value, schema, path, issues) {
+    const report = (problem) => {
+        const issue = `${path || 'response'} ${problem}`;
+        issues.set(issue, (issues.get(issue) || 0) + 1);
+    };
+
+    if (value === undefined || value === null) {
+        if (schema.required) report('is missing');
+        return getDefault(schema) ?? value;
+    }
+
+    switch (schema.kind) {
+        case 'id':
+            if (typeof value === 'string' || typeof value === 'number') return String(value);
+            break;
+        case 'string':
+            if (typeof value === 'string') return value;
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                report(`is a ${typeof value}, expected ${EXPECTED_DESCRIPTIONS.string}`);
+                return String(value);
+            }
+            break;
+        case 'number':
+            if (typeof value === 'number') return value;
+            // RIDB sends some numbers (coordinates, lengths) as strings; an empty string means "not set".
+            if (typeof value === 'string' && value.trim() === '') return getDefault(schema);
+            if (typeof value === 'string' && Number.isFinite(Number(value))) return Number(value);
+            break;
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            break;
+        case 'array':
+            if (Array.isArray(value)) return value.map(item => normalizeValue(item, schema.items, `${path}[]`, issues));
+            break;
+        case 'map':
+            if (describeType(value) === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalizeValue(item, schema.values, `${path}{}`, issues)]));
+            }
+            break;
+        case 'object':
+            if (describeType(value) === 'object') {
+                const normalized = { ...value };
+                for (const [name, fieldSchema] of Object.entries(schema.fields)) {
+                    const fieldValue = normalizeValue(value[name], fieldSchema, path ? `${path}.${name}` : name, issues);
+                    if (fieldValue !== undefined) normalized[name] = fieldValue;
+                }
+                return normalized;
+            }
+            break;
+    }
+
+    const actualType = describeType(value);
+    report(`is ${/^[aeiou]/.test(actualType) ? 'an' : 'a'} ${actualType}, expected ${EXPECTED_DESCRIPTIONS[schema.kind]}`);
+    return getDefault(schema) ?? value;
+}
+
+/**
+ * Normalizes a proxy response against its route's schema.
+ * @param {string} type The route type (a key of `RESPONSE_SCHEMAS`).
+ * @param {any} json The parsed response.
+ * @returns {NormalizedResponse} The normalized response and any schema drift found. Types without a
+ * schema are returned unchanged, with no issues.
+ */
+export function normalizeResponse(type, json) {
+    const schema = RESPONSE_SCHEMAS[type];
+    if (!schema) return { data: json, issues: [] };
+
+    const issueCounts = new Map();
+    const data = normalizeValue(json, schema, '', issueCounts);
+    const issues = [...issueCounts].map(([issue, count]) => (count > 1 ? `${issue} (in ${count} records)` : issue));
+    return { data, issues };
+}
@@ -0,0 +1,279 @@
+/**
+ * =================================================================================================
+ * Saved Searches Module
+ * =================================================================================================
+ *
+ * Description:
+ * Keeps the user's named saved searches in the browser (localStorage). Each saved search holds the
+ * full search form (the output of `buildConfigFromForm`: campgrounds, sites, dates, toggles, sort and
+ * so on) under a name, in the order the user arranged them.
+ *
+ * Collections are imported and exported as JSON in the same shape as `presets.json` (an object of
+ * `{ "Name": { campgroundId, sites } }`), with the full form under an extra `config` key. A plain
+ * `presets.json` therefore imports as-is.
+ *
+ * Team presets, shared by everyone who uses the site, use the same shape. They come from the bundled
+ * `presets.json` and the `/api/presets` route; the functions at the end of this module call that route.
+ *
+ * The list functions never change their input; they return a new list, and throw an `Error` with a
+ * message suitable for the user when an operation is not possible (e.g., a duplicate name).
+ *
+ */
+
+const STORAGE_KEY = 'campsite-availability-saved-searches';
+
+/**
+ * @typedef {object} SavedSearch
+ * @property {string} name The name shown in the dropdown. Unique within the list.
+ * @property {object} config The saved form: a full config from `buildConfigFromForm`, or for entries
+ * imported from a plain preset, just `api` and `siteFilters`.
+ */
+
+/**
+ * Reads the saved searches.
+ * @returns {SavedSearch[]|null} The saved searches in order, or null if none were ever saved (or storage is unavailable).
+ */
+export function loadSavedSearches() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(saved) ? saved : null;
+    } catch (error) {
+        console.warn('[loadSavedSearches] Could not read saved searches.', error);
+        return null;
+    }
+}
+
+/**
+ * Stores the saved searches, replacing the stored list.
+ * @param {SavedSearch[]} searches The saved searches in order.
+ * @returns {boolean} True if they were stored; false if storage is unavailable or full.
+ */
+export function storeSavedSearches(searches) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+        return true;
+    } catch (error) {
+        console.warn('[storeSavedSearches] Could not store saved searches.', error);
+        return false;
+    }
+}
+
+/**
+ * Checks and trims a saved search name.
+ * @param {string} name The name.
+ * @returns {string} The trimmed name.
+ * @throws {Error} If the name is empty.
+ */
+function normalizeName(name) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) throw new Error('A saved search needs a name.');
+    return trimmed;
+}
+
+/**
+ * Saves a search under a name. An existing search with the same name is replaced in place;
+ * otherwise the search is added at the end.
+ * @param {SavedSearch[]} searches The current list.
+ * @param {string} name The name.
+ * @param {object} config The form to save.
+ * @returns {SavedSearch[]} The new list.
+ * @throws {Error} If the name is empty.
+ */
+export function upsertSavedSearch(searches, name, config) {
+    const entry = { name: normalizeName(name), config };
+    const index = searches.findIndex(search => search.name === entry.name);
+    return index === -1
+        ? [...searches, entry]
+        : searches.map((search, i) => (i === index ? entry : search));
+}
+
+/**
+ * Renames a saved search, keeping its position.
+ * @param {SavedSearch[]} searches The current list.
+ * @param {string} oldName The current name.
+ * @param {string} newName The new name.
+ * @returns {SavedSearch[]} The new list.
+ * @throws {Error} If the new name is empty or already used by another search.
+ */
+export function renameSavedSearch(searches, oldName, newName) {
+    const name = normalizeName(newName);
+    if (name !== oldName && searches.some(search => search.name === name)) {
+        throw new Error(`A saved search named '${name}' already exists.`);
+    }
+    return searches.map(search => (search.name === oldName ? { ...search, name } : search));
+}
+
+/**
+ * Deletes a saved search.
+ * @param {SavedSearch[]} searches The current list.
+ * @param {string} name The name of the search to delete.
+ * @returns {SavedSearch[]} The new list.
+ */
+export function deleteSavedSearch(searches, name) {
+    return searches.filter(search => search.name !== name);
+}
+
+/**
+ * Moves a saved search up or down the list. Moves past either end are ignored.
+ * @param {SavedSearch[]} searches The current list.
+ * @param {string} name The name of the search to move.
+ * @param {number} offset -1 to move up, 1 to move down.
+ * @returns {SavedSearch[]} The new list.
+ */
+export function moveSavedSearch(searches, name, offset) {
+    const from = searches.findIndex(search => search.name === name);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= searches.length) return searches;
+    const reordered = [...searches];
+    const [moved] = reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    return reordered;
+}
+
+/**
+ * Converts an entry in the `presets.json` shape into a saved search.
+ * @param {string} name The preset name.
+ * @param {{campgroundId: string, sites?: Array<string|number>, config?: object}} preset The preset.
+ * @returns {SavedSearch} The saved search.
+ * @throws {Error} If the preset has neither a `config` nor a `campgroundId`.
+ */
+function presetToSavedSearch(name, preset) {
+    if (preset?.config && typeof preset.config === 'object') {
+        return { name: normalizeName(name), config: preset.config };
+    }
+    if (!preset || preset.campgroundId === undefined) {
+        throw new Error(`The entry '${name}' has no campgroundId.`);
+    }
+    return {
+        name: normalizeName(name),
+        config: {
+            api: { campgroundId: String(preset.campgroundId) },
+            siteFilters: { siteNumbersToFilter: (preset.sites || []).map(String) },
+        },
+    };
+}
+
+/**
+ * Converts a collection in the `presets.json` shape into saved searches, in the collection's order.
+ * @param {object} presets The parsed collection.
+ * @returns {SavedSearch[]} The saved searches.
+ * @throws {Error} If the collection is not an object of presets.
+ */
+export function savedSearchesFromPresets(presets) {
+    if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+        throw new Error('Expected an object of named searches, like presets.json.');
+    }
+    return Object.entries(presets).map(([name, preset]) => presetToSavedSearch(name, preset));
+}
+
+/**
+ * Merges imported JSON into the current list. Imported searches replace existing ones with the same
+ * name in place; new names are added at the end.
+ * @param {SavedSearch[]} searches The current list.
+ * @param {string} jsonText The imported file's text, in the `presets.json` shape.
+ * @returns {{searches: SavedSearch[], importedCount: number}} The new list and how many searches were imported.
+ * @throws {Error} If the text is not valid JSON or not in the expected shape.
+ */
+export function importSavedSearches(searches, jsonText) {
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+    const imported = savedSearchesFromPresets(parsed);
+    const merged = imported.reduce((list, search) => upsertSavedSearch(list, search.name, search.config), searches);
+    return { searches: merged, importedCount: imported.length };
+}
+
+/**
+ * Exports the list as JSON in the `presets.json` shape. `campgroundId` and `sites` are filled in from each
+ * saved form, so the file still works where only those keys are read.
+ * @param {SavedSearch[]} searches The list.
+ * @returns {string} The pretty-printed JSON text.
+ */
+export function exportSavedSearches(searches) {
+    const presets = {};
+    searches.forEach(search => {
+        const { name, ...preset } = savedSearchToPreset(search);
+        presets[name] = preset;
+    });
+    return JSON.stringify(presets, null, 2);
+}
+
+/**
+ * Converts a saved search into a named entry in the `presets.json` shape.
+ * @param {SavedSearch} search The saved search.
+ * @returns {{name: string, campgroundId: string, sites: string[], config: object}} The preset.
+ */
+function savedSearchToPreset({ name, config }) {
+    const campgroundIds = config.api?.campgroundIds?.length ? config.api.campgroundIds : [config.api?.campgroundId].filter(Boolean);
+    return {
+        name,
+        campgroundId: campgroundIds.join(', '),
+        sites: config.siteFilters?.siteNumbersToFilter || [],
+        config,
+    };
+}
+
+// --- Team Presets (`/api/presets`) ---
+
+/**
+ * Sends a request to the team presets route.
+ * @param {string} method The HTTP method.
+ * @param {object} [options] The request details.
+ * @param {string} [options.name] The preset name, for PUT and DELETE.
+ * @param {object} [options.body] The JSON body, for POST and PUT.
+ * @returns {Promise<object|null>} The parsed response body, or null for an empty response.
+ * @throws {Error} If the request fails, with the server's error message and details.
+ */
+async function requestTeamPresets(method, { name, body } = {}) {
+    const url = name === undefined ? '/api/presets' : `/api/presets?name=${encodeURIComponent(name)}`;
+    const headers = { 'Accept': 'application/json' };
+    if (body) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const text = await response.text();
+    const json = text ? JSON.parse(text) : null;
+    if (!response.ok) {
+        const details = json?.details ? ` ${json.details.join(' ')}` : '';
+        throw new Error(`${json?.error || `Team presets request failed with status ${response.status}.`}${details}`);
+    }
+    return json;
+}
+
+/**
+ * Fetches the team presets stored on the server. The request is authorized by the browser's session cookie.
+ * @returns {Promise<object>} The presets, in the `presets.json` shape.
+ * @throws {Error} If the request fails.
+ */
+export async function fetchTeamPresets() {
+    const json = await requestTeamPresets('GET');
+    return json?.presets || {};
+}
+
+/**
+ * Shares a saved search with the team, creating a server preset or replacing the one with the same name.
+ * @param {SavedSearch} search The search to share.
+ * @param {boolean} replaceExisting True to replace an existing server preset with the same name.
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails (e.g., the preset is invalid, or the name is taken and `replaceExisting` is false).
+ */
+export async function shareTeamPreset(search, replaceExisting) {
+    const body = savedSearchToPreset(search);
+    if (replaceExisting) {
+        await requestTeamPresets('PUT', { name: search.name, body });
+    } else {
+        await requestTeamPresets('POST', { body });
+    }
+}
+
+/**
+ * Deletes a team preset from the server.
+ * @param {string} name The preset name.
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails.
+ */
+export async function deleteTeamPreset(name) {
+    await requestTeamPresets('DELETE', { name });
+}
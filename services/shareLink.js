@@ -0,0 +1,127 @@
+/**
+ * =================================================================================================
+ * Share Link Module
+ * =================================================================================================
+ *
+ * Description:
+ * Encodes a search configuration into a single compact value for the `q=` parameter of a shareable
+ * link, and decodes it again when the link is opened.
+ *
+ * The value is the format version, a dot, and the base64url-encoded JSON of only the settings that
+ * differ from the defaults (e.g. `q=1.eyJhcGkiOnsi...`), so a link stays short however many options
+ * the form grows. Settings the page no longer knows are ignored when decoding, and settings added
+ * since the link was made keep their defaults. Links made by a newer format version are rejected.
+ *
+ * Older links that list each setting as its own query parameter are still read by `initializePage`.
+ *
+ * This module has no DOM or network dependencies.
+ *
+ */
+
+/** The current share link format version. Increase it when a change would make older pages misread new links. */
+export const SHARE_LINK_VERSION = 1;
+
+const SHARE_LINK_PATTERN = /^(\d+)\.([A-Za-z0-9_-]*)$/;
+
+/**
+ * Encodes text as base64url (UTF-8, no padding), which is safe in a query string without escaping.
+ * @param {string} text The text.
+ * @returns {string} The encoded text.
+ */
+function toBase64Url(text) {
+    const binary = Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url text (UTF-8, with or without padding).
+ * @param {string} encoded The encoded text.
+ * @returns {string} The decoded text.
+ */
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, character => character.charCodeAt(0)));
+}
+
+/**
+ * Checks whether a value is a plain object (a config section), rather than an array, null or a primitive.
+ * @param {any} value The value.
+ * @returns {boolean} True if the value is a plain object.
+ */
+function isSection(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a decoded setting has the same kind of value as its default, so a hand-edited or
+ * outdated link cannot put, say, a string where the page expects an array.
+ * @param {any} value The decoded value.
+ * @param {any} defaultValue The default value.
+ * @returns {boolean} True if the value can replace the default.
+ */
+function isSameKind(value, defaultValue) {
+    if (defaultValue === null || value === null) return true;
+    if (Array.isArray(defaultValue)) return Array.isArray(value);
+    return typeof value === typeof defaultValue && !Array.isArray(value);
+}
+
+/**
+ * Encodes the settings of a config that differ from the defaults.
+ * @param {object} searchConfig The config to share (the output of `buildConfigFromForm`).
+ * @param {object} defaults The default config.
+ * @returns {string} The value for the `q=` parameter.
+ */
+export function encodeShareConfig(searchConfig, defaults) {
+    const changes = {};
+    for (const sectionName in searchConfig) {
+        const section = searchConfig[sectionName];
+        const defaultSection = defaults[sectionName];
+        if (!isSection(section) || !isSection(defaultSection)) continue;
+
+        for (const key in section) {
+            if (JSON.stringify(section[key]) === JSON.stringify(defaultSection[key])) continue;
+            changes[sectionName] = changes[sectionName] || {};
+            changes[sectionName][key] = section[key];
+        }
+    }
+    return `${SHARE_LINK_VERSION}.${toBase64Url(JSON.stringify(changes))}`;
+}
+
+/**
+ * Decodes a `q=` value onto a base config. Only settings that exist in the base config are applied.
+ * @param {string} encoded The value of the `q=` parameter.
+ * @param {object} base The config to apply the shared settings to (e.g., the defaults). It is not changed.
+ * @returns {object} A new config with the shared settings applied.
+ * @throws {Error} If the value is malformed or was made by a newer format version.
+ */
+export function decodeShareConfig(encoded, base) {
+    const match = String(encoded).trim().match(SHARE_LINK_PATTERN);
+    if (!match) throw new Error('The shared link is not in a recognized format.');
+
+    const version = parseInt(match[1], 10);
+    if (version < 1 || version > SHARE_LINK_VERSION) {
+        throw new Error(`The shared link uses format version ${version}, but this page only reads up to version ${SHARE_LINK_VERSION}. Try reloading the page.`);
+    }
+
+    let changes;
+    try {
+        changes = JSON.parse(fromBase64Url(match[2]));
+    } catch (error) {
+        throw new Error(`The shared link is damaged and could not be read: ${error.message}`);
+    }
+    if (!isSection(changes)) throw new Error('The shared link does not contain a search.');
+
+    const decoded = JSON.parse(JSON.stringify(base));
+    for (const sectionName in changes) {
+        const section = changes[sectionName];
+        const baseSection = Object.hasOwn(decoded, sectionName) ? decoded[sectionName] : null;
+        if (!isSection(section) || !isSection(baseSection)) continue;
+
+        for (const key in section) {
+            if (Object.hasOwn(baseSection, key) && isSameKind(section[key], baseSection[key])) {
+                baseSection[key] = section[key];
+            }
+        }
+    }
+    return decoded;
+}
@@ -0,0 +1,232 @@
+/**
+ * =================================================================================================
+ * Site Attributes Module
+ * =================================================================================================
+ *
+ * Description:
+ * Reads the physical features of a campsite (vehicle length, driveway, site type, accessibility,
+ * electric hookups and shade) from its RIDB campsite model, and matches them against the site
+ * attribute filters from the search form. It also checks whether the user's own equipment (e.g. a
+ * 24 ft trailer) is allowed on a site, from the site's `permittedEquipment` list.
+ *
+ * RIDB records list most features as free-form `attributes` name/value pairs that vary between
+ * campgrounds, so each feature is read from the few names and values seen in practice. A site whose
+ * record does not mention a feature never matches a filter on that feature.
+ *
+ * This module has no DOM or network dependencies.
+ *
+ */
+
+const RV_EQUIPMENT_PATTERN = /\b(rv|trailer|fifth wheel|motorhome|pop ?up|caravan|camper)\b/i;
+const NO_VALUE_PATTERN = /^(no|none|n\/?a|0)$/i;
+
+/**
+ * @typedef {object} SiteAttributeFilters
+ * @property {number|null} minVehicleLength Only sites that allow a vehicle at least this long (feet).
+ * @property {string} drivewayEntry '' for any, or 'pull-through', 'back-in' or 'parallel'.
+ * @property {string} siteType '' for any, or 'tent' (tent-only), 'rv' or 'group'.
+ * @property {boolean} accessibleOnly Only accessible sites.
+ * @property {boolean} electricOnly Only sites with an electric hookup.
+ * @property {boolean} shadeOnly Only sites with full or partial shade.
+ */
+
+/**
+ * @typedef {object} SiteFeatures
+ * @property {number|null} maxVehicleLength The longest vehicle or equipment allowed (feet), if known.
+ * @property {string|null} drivewayEntry 'pull-through', 'back-in', 'parallel', or null if not listed.
+ * @property {Set<string>} siteTypes Any of 'tent', 'rv' and 'group'.
+ * @property {boolean} accessible True if the site is marked accessible.
+ * @property {boolean} electric True if the site has an electric hookup.
+ * @property {boolean} shade True if the site has full or partial shade.
+ */
+
+/**
+ * Reads the features of a campsite from its RIDB record.
+ * @param {object} campsite A campsite model (from the facility campsites list or campsite details).
+ * @returns {SiteFeatures} The features.
+ */
+export function getSiteFeatures(campsite) {
+    const attributes = new Map((campsite.attributes || []).map(attribute => [
+        String(attribute.name || '').trim().toLowerCase(),
+        String(attribute.value ?? '').trim()
+    ]));
+    const equipment = campsite.permittedEquipment || [];
+    const campsiteType = String(campsite.type || '').toUpperCase();
+
+    const lengths = [parseFloat(attributes.get('max vehicle length')), ...equipment.map(item => parseFloat(item.maxLength))]
+        .filter(length => Number.isFinite(length) && length > 0);
+
+    const drivewayText = (attributes.get('driveway entry') || '').toLowerCase();
+    let drivewayEntry = null;
+    if (drivewayText.includes('pull')) drivewayEntry = 'pull-through';
+    else if (drivewayText.includes('back')) drivewayEntry = 'back-in';
+    else if (drivewayText.includes('parallel')) drivewayEntry = 'parallel';
+
+    const siteTypes = new Set();
+    if (campsiteType.includes('GROUP')) siteTypes.add('group');
+    if (/TENT ONLY|WALK TO|HIKE TO|BOAT IN/.test(campsiteType)) {
+        siteTypes.add('tent');
+    } else if (campsiteType.includes('RV') || equipment.some(item => RV_EQUIPMENT_PATTERN.test(item.name || ''))) {
+        siteTypes.add('rv');
+    }
+
+    const accessibleText = attributes.get('accessibility') || attributes.get('accessible') || '';
+    const electricText = attributes.get('electricity hookup') || attributes.get('electric hookup') || '';
+    const shadeText = attributes.get('shade') || '';
+
+    return {
+        maxVehicleLength: lengths.length > 0 ? Math.max(...lengths) : null,
+        drivewayEntry,
+        siteTypes,
+        accessible: campsite.accessible === true || /^(y|yes|true)$/i.test(accessibleText),
+        electric: (electricText !== '' && !NO_VALUE_PATTERN.test(electricText)) || (/ELECTRIC/.test(campsiteType) && !/NONELECTRIC/.test(campsiteType)),
+        shade: shadeText !== '' && !NO_VALUE_PATTERN.test(shadeText),
+    };
+}
+
+/**
+ * Checks whether any site attribute filter is set.
+ * @param {SiteAttributeFilters|undefined} filters The filters.
+ * @returns {boolean} True if at least one filter would exclude sites.
+ */
+export function hasSiteAttributeFilters(filters) {
+    return !!filters && (filters.minVehicleLength > 0 || !!filters.drivewayEntry || !!filters.siteType ||
+        !!filters.accessibleOnly || !!filters.electricOnly || !!filters.shadeOnly);
+}
+
+/**
+ * Checks a site's features against the filters. Unknown features never match a filter on them.
+ * @param {SiteFeatures} features The site's features, from `getSiteFeatures`.
+ * @param {SiteAttributeFilters} filters The filters.
+ * @returns {boolean} True if the site matches every filter that is set.
+ */
+export function matchesSiteAttributeFilters(features, filters) {
+    if (filters.minVehicleLength > 0 && !(features.maxVehicleLength >= filters.minVehicleLength)) return false;
+    if (filters.drivewayEntry && features.drivewayEntry !== filters.drivewayEntry) return false;
+    if (filters.siteType && !features.siteTypes.has(filters.siteType)) return false;
+    if (filters.accessibleOnly && !features.accessible) return false;
+    if (filters.electricOnly && !features.electric) return false;
+    if (filters.shadeOnly && !features.shade) return false;
+    return true;
+}
+
+/**
+ * Finds the campsites that match the filters.
+ * @param {Array<object>} ridbCampsites The facility's RIDB campsite models.
+ * @param {SiteAttributeFilters} filters The filters.
+ * @returns {Set<string>} The matching campsite IDs.
+ */
+export function findMatchingCampsiteIds(ridbCampsites, filters) {
+    return new Set(ridbCampsites
+        .filter(campsite => matchesSiteAttributeFilters(getSiteFeatures(campsite), filters))
+        .map(campsite => String(campsite.id)));
+}
+
+/**
+ * Describes the active filters in a short phrase (e.g., 'RV sites, 30+ ft, pull-through, electric').
+ * @param {SiteAttributeFilters} filters The filters.
+ * @returns {string} The description.
+ */
+export function describeSiteAttributeFilters(filters) {
+    const siteTypeLabels = { tent: 'tent-only sites', rv: 'RV sites', group: 'group sites' };
+    return [
+        filters.siteType ? siteTypeLabels[filters.siteType] : null,
+        filters.minVehicleLength > 0 ? `${filters.minVehicleLength}+ ft` : null,
+        filters.drivewayEntry || null,
+        filters.accessibleOnly ? 'accessible' : null,
+        filters.electricOnly ? 'electric' : null,
+        filters.shadeOnly ? 'shaded' : null,
+    ].filter(Boolean).join(', ');
+}
+
+// --- Equipment Fit ---
+
+/**
+ * The equipment a user can describe: a label, the noun used in sentences, and the `permittedEquipment` names it matches.
+ * @type {Object<string, {label: string, noun: string, pattern: RegExp}>}
+ */
+export const EQUIPMENT_TYPES = {
+    tent: { label: 'Tent', noun: 'tent', pattern: /tent/i },
+    trailer: { label: 'Trailer', noun: 'trailer', pattern: /trailer/i },
+    'fifth-wheel': { label: 'Fifth wheel', noun: 'fifth wheel', pattern: /fifth wheel/i },
+    rv: { label: 'RV', noun: 'RV', pattern: /\brv\b|motor ?home/i },
+    'pop-up': { label: 'Pop-up', noun: 'pop-up camper', pattern: /pop ?up/i },
+    van: { label: 'Van', noun: 'van or truck camper', pattern: /\bvan\b|caravan|pickup camper|truck camper/i },
+};
+
+/**
+ * Whether a site can take the user's equipment. The values double as CSS class suffixes.
+ * @enum {string}
+ */
+export const EQUIPMENT_FIT = {
+    FITS: 'fits',
+    DOES_NOT_FIT: 'does-not-fit',
+    UNKNOWN: 'unknown',
+};
+
+/**
+ * @typedef {object} Equipment
+ * @property {string} type A key of `EQUIPMENT_TYPES`, or '' if not set.
+ * @property {number|null} length The length in feet, if known.
+ * @property {boolean} hideNonFitting If true, sites that do not fit are left out of the results.
+ */
+
+/**
+ * @typedef {object} EquipmentFitResult
+ * @property {EQUIPMENT_FIT} status Whether the equipment fits.
+ * @property {string} reason A short explanation (e.g., 'Trailer up to 30 ft').
+ */
+
+/**
+ * Checks whether the user has described their equipment.
+ * @param {Equipment|undefined} equipment The equipment.
+ * @returns {boolean} True if an equipment type is set.
+ */
+export function hasEquipment(equipment) {
+    return !!equipment && !!EQUIPMENT_TYPES[equipment.type];
+}
+
+/**
+ * Describes the equipment in a short phrase (e.g., '24 ft trailer').
+ * @param {Equipment} equipment The equipment.
+ * @returns {string} The description.
+ */
+export function describeEquipment(equipment) {
+    const { noun } = EQUIPMENT_TYPES[equipment.type];
+    return equipment.length > 0 ? `${equipment.length} ft ${noun}` : noun;
+}
+
+/**
+ * Checks a site's `permittedEquipment` against the user's equipment.
+ * A site fits when it lists the equipment type with a maximum length at least as long as the equipment.
+ * Tents fit without a listed length; other equipment without a listed length is unknown.
+ * @param {object} campsite A campsite model (from the facility campsites list or campsite details).
+ * @param {Equipment} equipment The equipment; `hasEquipment(equipment)` must be true.
+ * @returns {EquipmentFitResult} The result.
+ */
+export function checkEquipmentFit(campsite, equipment) {
+    const { label, pattern } = EQUIPMENT_TYPES[equipment.type];
+    const permitted = campsite.permittedEquipment || [];
+    if (permitted.length === 0) {
+        return { status: EQUIPMENT_FIT.UNKNOWN, reason: 'No permitted equipment listed' };
+    }
+
+    const matches = permitted.filter(item => pattern.test(item.name || ''));
+    if (matches.length === 0) {
+        const names = [...new Set(permitted.map(item => item.name).filter(Boolean))];
+        return { status: EQUIPMENT_FIT.DOES_NOT_FIT, reason: `Allows ${names.join(', ')} only` };
+    }
+
+    const maxLength = Math.max(0, ...matches.map(item => parseFloat(item.maxLength)).filter(Number.isFinite));
+    if (!(equipment.length > 0)) {
+        return { status: EQUIPMENT_FIT.FITS, reason: `${label} allowed` };
+    }
+    if (maxLength === 0) {
+        return equipment.type === 'tent'
+            ? { status: EQUIPMENT_FIT.FITS, reason: `${label} allowed` }
+            : { status: EQUIPMENT_FIT.UNKNOWN, reason: `${label} allowed, no maximum length listed` };
+    }
+    return maxLength >= equipment.length
+        ? { status: EQUIPMENT_FIT.FITS, reason: `${label} up to ${maxLength} ft` }
+        : { status: EQUIPMENT_FIT.DOES_NOT_FIT, reason: `${label} up to ${maxLength} ft only` };
+}
@@ -0,0 +1,159 @@
+/**
+ * =================================================================================================
+ * Stay Finder Module
+ * =================================================================================================
+ *
+ * Description:
+ * This module turns the night-by-night availability grid returned by the Recreation.gov
+ * availability API into multi-night "stays": a single site that is free for several
+ * consecutive nights starting on a given arrival date.
+ *
+ * It contains no DOM or network logic so it can be shared by the browser UI and by
+ * server-side code that works with the same merged `campsites` object.
+ *
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts an API date key (e.g. "2025-07-04T00:00:00Z") or a "YYYY-MM-DD" string
+ * into a Date at UTC midnight.
+ * @param {string} dateStr The date string to parse.
+ * @returns {Date} The date normalized to UTC midnight.
+ */
+function toUTCMidnight(dateStr) {
+    const date = new Date(dateStr.length === 10 ? `${dateStr}T00:00:00.000Z` : dateStr);
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+}
+
+/**
+ * Formats a Date as a "YYYY-MM-DD" key using its UTC components.
+ * @param {Date} date The date to format.
+ * @returns {string} The formatted day key.
+ */
+function toDayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Reads the minimum and maximum consecutive-stay rules from the campground model.
+ * These are the same `facilityRules` entries shown in the "Reservation Rules" table.
+ * @param {object|null} metadata The campground model (`campgroundMetadata`).
+ * @returns {{minNights: number|null, maxNights: number|null}} The parsed limits, or null where no rule applies.
+ */
+export function getStayLengthRules(metadata) {
+    const facilityRules = metadata?.facilityRules;
+    const parseRuleValue = (rule) => {
+        const value = parseInt(rule?.value, 10);
+        return Number.isFinite(value) && value > 0 ? value : null;
+    };
+
+    return {
+        minNights: parseRuleValue(facilityRules?.minConsecutiveStay),
+        maxNights: parseRuleValue(facilityRules?.maxConsecutiveStay),
+    };
+}
+
+/**
+ * Combines the user's requested stay length with the campground's own limits.
+ * @param {{minNights: number, maxNights: number}} requested The stay length from the search form.
+ * @param {{minNights: number|null, maxNights: number|null}} rules The campground limits from `getStayLengthRules`.
+ * @returns {{minNights: number, maxNights: number}} The effective range. `minNights` may exceed `maxNights` if the two cannot be reconciled.
+ */
+export function getEffectiveStayLength(requested, rules) {
+    let minNights = Math.max(1, requested.minNights || 1);
+    let maxNights = Math.max(minNights, requested.maxNights || minNights);
+
+    if (rules.minNights) minNights = Math.max(minNights, rules.minNights);
+    if (rules.maxNights) maxNights = Math.min(maxNights, rules.maxNights);
+
+    return { minNights, maxNights };
+}
+
+/**
+ * @typedef {object} StayResult
+ * @property {string} campsiteId The Recreation.gov campsite ID.
+ * @property {string} site The site name (e.g. "A040").
+ * @property {string|undefined} loop The loop the site belongs to.
+ * @property {Date} arrivalDate The first night of the stay (UTC midnight).
+ * @property {Date} departureDate The morning the stay ends (UTC midnight).
+ * @property {number} nights The number of consecutive nights available from the arrival date.
+ * @property {string[]} nightDates The original API date keys for each night of the stay.
+ */
+
+/**
+ * Finds every site/arrival-date combination where a site is free for a run of consecutive nights.
+ * For each combination, the longest run (capped at `maxNights`) is reported, so one row covers
+ * every shorter stay from the same arrival date as well.
+ *
+ * @param {object} campsites The merged `campsites` object from `fetchAvailabilityData`.
+ * @param {object} options Search options.
+ * @param {number} options.minNights The minimum number of nights a stay must last.
+ * @param {number} options.maxNights The maximum number of nights to report for a stay.
+ * @param {number[]} [options.arrivalWeekdays=[]] Allowed arrival weekdays (0 = Sunday). Empty means any day.
+ * @param {string|null} [options.startDate=null] The first night that may be used ("YYYY-MM-DD").
+ * @param {string|null} [options.endDate=null] The last night that may be used ("YYYY-MM-DD").
+ * @param {string[]} [options.statuses=['Available']] Availability statuses that count as a free night.
+ * @param {function(object): boolean} [options.siteFilter] An optional predicate to restrict which campsites are searched.
+ * @returns {StayResult[]} The matching stays, in no particular order.
+ */
+export function findConsecutiveStays(campsites, options) {
+    const {
+        minNights,
+        maxNights,
+        arrivalWeekdays = [],
+        startDate = null,
+        endDate = null,
+        statuses = ['Available'],
+        siteFilter = () => true,
+    } = options;
+
+    const stays = [];
+    if (!campsites || minNights > maxNights) return stays;
+
+    const rangeStart = startDate ? toUTCMidnight(startDate).getTime() : -Infinity;
+    const rangeEnd = endDate ? toUTCMidnight(endDate).getTime() : Infinity;
+
+    for (const campsiteId in campsites) {
+        const campsite = campsites[campsiteId];
+        if (!campsite?.availabilities || !siteFilter(campsite)) continue;
+
+        // Index the free nights by day so runs can be walked one day at a time.
+        const freeNights = new Map();
+        for (const dateStr in campsite.availabilities) {
+            const night = toUTCMidnight(dateStr);
+            const time = night.getTime();
+            if (time < rangeStart || time > rangeEnd) continue;
+            if (statuses.includes(campsite.availabilities[dateStr])) {
+                freeNights.set(toDayKey(night), dateStr);
+            }
+        }
+
+        for (const [dayKey, dateStr] of freeNights) {
+            const arrivalDate = toUTCMidnight(dayKey);
+            if (arrivalWeekdays.length > 0 && !arrivalWeekdays.includes(arrivalDate.getUTCDay())) continue;
+
+            const nightDates = [dateStr];
+            while (nightDates.length < maxNights) {
+                const nextKey = toDayKey(new Date(arrivalDate.getTime() + nightDates.length * MS_PER_DAY));
+                if (!freeNights.has(nextKey)) break;
+                nightDates.push(freeNights.get(nextKey));
+            }
+
+            if (nightDates.length >= minNights) {
+                stays.push({
+                    campsiteId: campsite.campsiteId,
+                    site: campsite.site,
+                    loop: campsite.loop,
+                    arrivalDate,
+                    departureDate: new Date(arrivalDate.getTime() + nightDates.length * MS_PER_DAY),
+                    nights: nightDates.length,
+                    nightDates,
+                });
+            }
+        }
+    }
+
+    return stays;
+}
@@ -0,0 +1,80 @@
+/**
+ * =================================================================================================
+ * US Holidays Module
+ * =================================================================================================
+ *
+ * Description:
+ * Calculates US federal holiday dates so views can highlight the nights that book up first.
+ * Holidays are returned on their actual calendar date, not the weekday they are observed on.
+ *
+ * This module has no DOM or network dependencies.
+ *
+ */
+
+/**
+ * Formats year, month and day numbers as a 'YYYY-MM-DD' string.
+ * @param {number} year The full year.
+ * @param {number} monthIndex The month, 0-based.
+ * @param {number} day The day of the month.
+ * @returns {string} The date string.
+ */
+function toDateKey(year, monthIndex, day) {
+    return `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Finds the nth occurrence of a weekday in a month (e.g., the third Monday of January).
+ * @param {number} year The full year.
+ * @param {number} monthIndex The month, 0-based.
+ * @param {number} weekday The weekday (0 = Sunday).
+ * @param {number} n Which occurrence, starting at 1. Use -1 for the last occurrence.
+ * @returns {number} The day of the month.
+ */
+function nthWeekdayOfMonth(year, monthIndex, weekday, n) {
+    if (n === -1) {
+        const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0));
+        return lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7);
+    }
+    const firstWeekday = new Date(Date.UTC(year, monthIndex, 1)).getUTCDay();
+    return 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+}
+
+/**
+ * Lists the US federal holidays for a year.
+ * @param {number} year The full year.
+ * @returns {Map<string, string>} A map from 'YYYY-MM-DD' to the holiday name.
+ */
+export function getUsHolidays(year) {
+    const holidays = [
+        [0, 1, "New Year's Day"],
+        [0, nthWeekdayOfMonth(year, 0, 1, 3), 'Martin Luther King Jr. Day'],
+        [1, nthWeekdayOfMonth(year, 1, 1, 3), "Presidents' Day"],
+        [4, nthWeekdayOfMonth(year, 4, 1, -1), 'Memorial Day'],
+        [5, 19, 'Juneteenth'],
+        [6, 4, 'Independence Day'],
+        [8, nthWeekdayOfMonth(year, 8, 1, 1), 'Labor Day'],
+        [9, nthWeekdayOfMonth(year, 9, 1, 2), "Columbus / Indigenous Peoples' Day"],
+        [10, 11, 'Veterans Day'],
+        [10, nthWeekdayOfMonth(year, 10, 4, 4), 'Thanksgiving'],
+        [11, 25, 'Christmas Day'],
+    ];
+    return new Map(holidays.map(([monthIndex, day, name]) => [toDateKey(year, monthIndex, day), name]));
+}
+
+/**
+ * Lists the US federal holidays that fall between two dates (inclusive).
+ * @param {string} startDate The first date ('YYYY-MM-DD').
+ * @param {string} endDate The last date ('YYYY-MM-DD').
+ * @returns {Map<string, string>} A map from 'YYYY-MM-DD' to the holiday name.
+ */
+export function getUsHolidaysInRange(startDate, endDate) {
+    const result = new Map();
+    const startYear = parseInt(startDate.slice(0, 4), 10);
+    const endYear = parseInt(endDate.slice(0, 4), 10);
+    for (let year = startYear; year <= endYear; year++) {
+        getUsHolidays(year).forEach((name, date) => {
+            if (date >= startDate && date <= endDate) result.set(date, name);
+        });
+    }
+    return result;
+}
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createAvailabilitySnapshot,
+    mergeAvailabilitySnapshots,
+    diffAvailabilitySnapshots,
+    classifyAvailabilityChange,
+    findStatusSince,
+    CHANGE_KIND,
+} from '../services/availabilityDiff.js';
+
+const JULY_4 = '2025-07-04T00:00:00Z';
+const JULY_5 = '2025-07-05T00:00:00Z';
+
+test('createAvailabilitySnapshot keeps only site names and statuses, and copies them', () => {
+    const campsites = { 1: { campsiteId: '1', site: '001', loop: 'A', availabilities: { [JULY_4]: 'Reserved' } }, 2: { site: '002' } };
+    const snapshot = createAvailabilitySnapshot(campsites);
+
+    assert.deepEqual(snapshot, { 1: { site: '001', availabilities: { [JULY_4]: 'Reserved' } } });
+    campsites[1].availabilities[JULY_4] = 'Available';
+    assert.equal(snapshot[1].availabilities[JULY_4], 'Reserved');
+    assert.deepEqual(createAvailabilitySnapshot(null), {});
+});
+
+test('diffAvailabilitySnapshots reports only nights present in both snapshots, sorted by date then site', () => {
+    const previous = {
+        1: { site: '10', availabilities: { [JULY_4]: 'Reserved', [JULY_5]: 'Reserved' } },
+        2: { site: '9', availabilities: { [JULY_4]: 'Reserved' } },
+    };
+    const current = {
+        1: { site: '10', availabilities: { [JULY_4]: 'Available', [JULY_5]: 'Reserved', '2025-07-06T00:00:00Z': 'Available' } },
+        2: { site: '9', availabilities: { [JULY_4]: 'Available' } },
+        3: { site: '11', availabilities: { [JULY_4]: 'Available' } },
+    };
+
+    assert.deepEqual(diffAvailabilitySnapshots(previous, current), [
+        { campsiteId: '2', site: '9', date: JULY_4, from: 'Reserved', to: 'Available' },
+        { campsiteId: '1', site: '10', date: JULY_4, from: 'Reserved', to: 'Available' },
+    ]);
+    assert.deepEqual(diffAvailabilitySnapshots(null, current), []);
+});
+
+test('diffAvailabilitySnapshots applies the status, date and site filters', () => {
+    const previous = { 1: { site: 'A1', availabilities: { [JULY_4]: 'Available', [JULY_5]: 'Reserved' } } };
+    const current = { 1: { site: 'A1', availabilities: { [JULY_4]: 'Reserved', [JULY_5]: 'Available' } } };
+
+    assert.deepEqual(diffAvailabilitySnapshots(previous, current, { statuses: ['Available'] }).map(change => change.date), [JULY_5]);
+    assert.deepEqual(diffAvailabilitySnapshots(previous, current, { dateFilter: date => date === JULY_4 }).map(change => change.date), [JULY_4]);
+    assert.deepEqual(diffAvailabilitySnapshots(previous, current, { siteFilter: site => site !== 'A1' }), []);
+});
+
+test('mergeAvailabilitySnapshots keeps nights missing from the newer snapshot', () => {
+    const previous = { 1: { site: '1', availabilities: { [JULY_4]: 'Reserved', [JULY_5]: 'Reserved' } } };
+    const current = { 1: { site: '1', availabilities: { [JULY_5]: 'Available' } }, 2: { site: '2', availabilities: { [JULY_4]: 'Open' } } };
+    const merged = mergeAvailabilitySnapshots(previous, current);
+
+    assert.deepEqual(merged, {
+        1: { site: '1', availabilities: { [JULY_4]: 'Reserved', [JULY_5]: 'Available' } },
+        2: { site: '2', availabilities: { [JULY_4]: 'Open' } },
+    });
+    assert.equal(previous[1].availabilities[JULY_5], 'Reserved');
+});
+
+test('classifyAvailabilityChange tells releases from cancellations', () => {
+    assert.equal(classifyAvailabilityChange({ from: 'NYR', to: 'Available' }), CHANGE_KIND.NEWLY_RELEASED);
+    assert.equal(classifyAvailabilityChange({ from: 'Reserved', to: 'Available' }), CHANGE_KIND.NEWLY_AVAILABLE);
+    assert.equal(classifyAvailabilityChange({ from: 'Available', to: 'Reserved' }), CHANGE_KIND.NEWLY_RESERVED);
+    assert.equal(classifyAvailabilityChange({ from: 'Available', to: 'Closed' }), CHANGE_KIND.OTHER);
+});
+
+test('findStatusSince walks back through runs with the same status', () => {
+    const run = (checkedAt, status) => ({ checkedAt, snapshot: { 1: { site: '1', availabilities: { [JULY_4]: status } } } });
+
+    assert.deepEqual(findStatusSince([run('t3', 'Available'), run('t2', 'Available'), run('t1', 'Reserved')], '1', JULY_4, 'Available'),
+        { since: 't2', isOldestRun: false });
+    assert.deepEqual(findStatusSince([run('t2', 'Available'), run('t1', 'Available')], '1', JULY_4, 'Available'),
+        { since: 't1', isOldestRun: true });
+    assert.deepEqual(findStatusSince([run('t1', 'Reserved')], '1', JULY_4, 'Available'), { since: null, isOldestRun: false });
+});
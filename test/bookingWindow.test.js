@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBookingWindow, getReleaseDateTime, findNightReleases, describeBookingWindow } from '../services/bookingWindow.js';
+
+/**
+ * Builds campground metadata with a booking window message.
+ * @param {string} message The `bookingWindowMessage`.
+ * @param {object} [extra={}] Other metadata fields.
+ * @returns {object} The metadata.
+ */
+function metadataWithMessage(message, extra = {}) {
+    return { bookingWindowMessage: message, ...extra };
+}
+
+const SIX_MONTHS_EASTERN = parseBookingWindow(metadataWithMessage(
+    'Reservations can be made 6 months in advance. New dates are released daily at 10:00 AM Eastern Time.'));
+
+test('parseBookingWindow reads the length, pattern, time and time zone from the message', () => {
+    assert.deepEqual(SIX_MONTHS_EASTERN, {
+        amount: 6, unit: 'months', pattern: 'rolling', releaseDayOfMonth: null,
+        releaseTime: { hour: 10, minute: 0 }, timeZone: 'America/New_York', isTimeAssumed: false, source: 'message',
+    });
+
+    const monthly = parseBookingWindow(metadataWithMessage('Sites open on the 15th of each month, 5 months in advance.'));
+    assert.equal(monthly.pattern, 'monthly');
+    assert.equal(monthly.releaseDayOfMonth, 15);
+    assert.equal(monthly.isTimeAssumed, true);
+
+    const fromRules = parseBookingWindow({ facilityRules: { reservationWindow: { value: '2', units: 'Weeks' } } });
+    assert.deepEqual([fromRules.amount, fromRules.unit, fromRules.source], [14, 'days', 'rules']);
+
+    assert.equal(parseBookingWindow(null), null);
+    assert.equal(parseBookingWindow(metadataWithMessage('Call the office for reservations.')), null);
+});
+
+test('parseBookingWindow does not read place names as time zones', () => {
+    const window = parseBookingWindow(metadataWithMessage('Book 6 months ahead at 7 AM near Mt. Rainier.', { timeZone: 'America/Los_Angeles' }));
+    assert.equal(window.timeZone, 'America/Los_Angeles');
+});
+
+test('getReleaseDateTime handles rolling month windows, short months and daylight saving', () => {
+    assert.equal(getReleaseDateTime('2026-01-15', SIX_MONTHS_EASTERN).toISOString(), '2025-07-15T14:00:00.000Z');
+    // June has no 31st, so December 31 opens on July 1.
+    assert.equal(getReleaseDateTime('2025-12-31T00:00:00Z', SIX_MONTHS_EASTERN).toISOString(), '2025-07-01T14:00:00.000Z');
+    // Released in November, after daylight saving time ends.
+    assert.equal(getReleaseDateTime('2026-05-15', SIX_MONTHS_EASTERN).toISOString(), '2025-11-15T15:00:00.000Z');
+});
+
+test('getReleaseDateTime handles day windows and monthly blocks', () => {
+    const days = parseBookingWindow(metadataWithMessage('Reservations are available 180 days in advance at 7 AM Pacific.'));
+    assert.equal(getReleaseDateTime('2025-07-04', days).toISOString(), '2025-01-05T15:00:00.000Z');
+
+    const monthly = parseBookingWindow(metadataWithMessage('Sites open on the 15th of each month, 5 months in advance.'));
+    assert.equal(getReleaseDateTime('2025-08-20', monthly).toISOString(), '2025-03-15T14:00:00.000Z');
+    assert.equal(getReleaseDateTime('2025-08-10', monthly).toISOString(), '2025-02-15T15:00:00.000Z');
+});
+
+test('findNightReleases groups NYR sites by night, in release order, within the date range', () => {
+    const campsites = {
+        1: { site: '1', availabilities: { '2026-01-16T00:00:00Z': 'NYR', '2026-01-15T00:00:00Z': 'NYR', '2026-01-14T00:00:00Z': 'Available' } },
+        2: { site: '2', availabilities: { '2026-01-15T00:00:00Z': 'NYR', '2026-02-01T00:00:00Z': 'NYR' } },
+    };
+    const releases = findNightReleases(campsites, SIX_MONTHS_EASTERN, { endDate: '2026-01-31' });
+
+    assert.deepEqual(releases.map(release => [release.date, release.sites]), [['2026-01-15', ['1', '2']], ['2026-01-16', ['1']]]);
+    assert.equal(releases[0].releaseAt.toISOString(), '2025-07-15T14:00:00.000Z');
+});
+
+test('describeBookingWindow summarizes the window', () => {
+    assert.match(describeBookingWindow(SIX_MONTHS_EASTERN), /^Nights open 6 months ahead, one night at a time, every day, at 10:00/);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, buildStaysCsv, toICalendar } from '../services/exportFormats.js';
+
+test('toCsv quotes commas, quotes and line breaks, with CRLF line endings', () => {
+    assert.equal(toCsv(['Name', 'Note'], [['Site, A', 'say "hi"'], ['B', 'two\nlines']]),
+        'Name,Note\r\n"Site, A","say ""hi"""\r\nB,"two\nlines"\r\n');
+    assert.equal(toCsv(['Empty'], [[null], [undefined]]), 'Empty\r\n\r\n\r\n');
+});
+
+test('toCsv prefixes text a spreadsheet would run as a formula, but not numbers', () => {
+    const csv = toCsv(['Value'], [['=HYPERLINK("x")'], ['+1'], ['-2'], ['@SUM(A1)'], [-3], ['A-1']]);
+    assert.deepEqual(csv.trimEnd().split('\r\n').slice(1), ['"\'=HYPERLINK(""x"")"', "'+1", "'-2", "'@SUM(A1)", '-3', 'A-1']);
+});
+
+test('buildStaysCsv writes one line per stay with UTC dates', () => {
+    const csv = buildStaysCsv([{
+        site: '=cmd', loop: 'A', campsiteId: '42', nights: 2,
+        arrivalDate: new Date('2025-07-04T00:00:00Z'), departureDate: new Date('2025-07-06T00:00:00Z'),
+        cost: { total: 50, isComplete: true },
+    }]);
+    assert.equal(csv.split('\r\n')[1], "'=cmd,A,2025-07-04,2025-07-06,2,50.00,Yes,42,https://www.recreation.gov/camping/campsites/42");
+});
+
+test('toICalendar escapes text and builds all-day and timed events', () => {
+    const ics = toICalendar([
+        { uid: 'a@test', start: new Date('2025-07-04T00:00:00Z'), end: new Date('2025-07-05T00:00:00Z'), summary: 'Site 1; open, now' },
+        { uid: 'b@test', start: new Date('2025-07-04T12:00:00Z'), end: new Date('2025-07-04T12:15:00Z'), summary: 'Release', timed: true, alarmMinutesBefore: 15 },
+    ], { now: new Date('2025-07-01T00:00:00Z') });
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20250704'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20250705'));
+    assert.ok(lines.includes('SUMMARY:Site 1\\; open\\, now'));
+    assert.ok(lines.includes('DTSTART:20250704T120000Z'));
+    assert.ok(lines.includes('TRIGGER:-PT15M'));
+    assert.ok(lines.includes('DTSTAMP:20250701T000000Z'));
+});
+
+test('toICalendar folds long lines at 75 octets without splitting characters', () => {
+    const summary = 'Campground Añejo 🏕️ '.repeat(12);
+    const ics = toICalendar([{ uid: 'c@test', start: new Date('2025-07-04T00:00:00Z'), end: new Date('2025-07-05T00:00:00Z'), summary }],
+        { now: new Date('2025-07-01T00:00:00Z') });
+    const encoder = new TextEncoder();
+    const lines = ics.split('\r\n');
+
+    assert.ok(lines.every(line => encoder.encode(line).length <= 75));
+    assert.ok(lines.every(line => line.isWellFormed()));
+    const unfolded = ics.replace(/\r\n /g, '');
+    assert.ok(unfolded.includes(`SUMMARY:${summary}`));
+});
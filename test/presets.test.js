@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePresetInput, toPresetCollection } from '../api/_lib/presets.js';
+
+test('validatePresetInput cleans a valid preset', () => {
+    const { preset, errors } = validatePresetInput({ name: ' Lakeside ', campgroundId: '232447, 232447,234059', sites: ['A1', 12, ' '] });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(preset, { name: 'Lakeside', campgroundId: '232447, 234059', sites: ['A1', '12'], config: null });
+});
+
+test('validatePresetInput reports every problem', () => {
+    assert.deepEqual(validatePresetInput([]).errors, ['Request body must be a JSON object.']);
+    const { preset, errors } = validatePresetInput({ name: '', campgroundId: 'abc', sites: 'A1', config: [] });
+    assert.equal(preset, null);
+    assert.equal(errors.length, 4);
+});
+
+test('toPresetCollection keys presets by name, including names that clash with Object.prototype', () => {
+    const presets = [
+        { name: 'constructor', campgroundId: '2', sites: [], config: null, updatedAt: 't2' },
+        { name: '__proto__', campgroundId: '1', sites: ['A1'], config: { nights: 2 }, updatedAt: 't1' },
+    ];
+    const collection = toPresetCollection(presets);
+
+    assert.deepEqual(Object.keys(collection), ['__proto__', 'constructor']);
+    assert.deepEqual({ ...collection.__proto__ }, { campgroundId: '1', sites: ['A1'], config: { nights: 2 }, updatedAt: 't1' });
+    assert.deepEqual(Object.keys(JSON.parse(JSON.stringify(collection))), ['__proto__', 'constructor']);
+    assert.equal(presets[0].name, 'constructor');
+});
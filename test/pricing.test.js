@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findNightlyRate, attachNightlyRates, estimateStayCost, isNightWithinBudget, formatPrice } from '../services/pricing.js';
+
+const FEE_POLICIES = [
+    {
+        season: 'Peak Season', startDate: '2025-06-01T00:00:00Z', endDate: '2025-08-31T00:00:00Z',
+        rates: [{ siteType: 'STANDARD NONELECTRIC', cost: '30' }, { siteType: 'Standard  Electric', cost: 40 }],
+    },
+    { season: 'Off Season', startDate: '2025-09-01T00:00:00Z', endDate: '2025-10-31T00:00:00Z', rates: [{ siteType: 'ANY', cost: 20 }] },
+];
+
+test('findNightlyRate matches the season by date and the rate by site type', () => {
+    assert.deepEqual(findNightlyRate(FEE_POLICIES, 'STANDARD NONELECTRIC', '2025-07-04T00:00:00Z'),
+        { cost: 30, season: 'Peak Season', siteType: 'STANDARD NONELECTRIC' });
+    assert.equal(findNightlyRate(FEE_POLICIES, 'standard electric', '2025-08-31').cost, 40);
+    // A season with a single rate applies to every site type.
+    assert.equal(findNightlyRate(FEE_POLICIES, 'TENT ONLY', '2025-09-15').cost, 20);
+    assert.equal(findNightlyRate(FEE_POLICIES, 'TENT ONLY', '2025-07-04'), null);
+    assert.equal(findNightlyRate(FEE_POLICIES, 'STANDARD NONELECTRIC', '2025-11-01'), null);
+    assert.equal(findNightlyRate(null, 'STANDARD NONELECTRIC', '2025-07-04'), null);
+});
+
+test('findNightlyRate skips seasons and nights with unparseable dates instead of throwing', () => {
+    const policies = [{ season: 'Broken', startDate: 'soon', endDate: '2025-08-31', rates: [{ cost: 10 }] }, ...FEE_POLICIES];
+    assert.equal(findNightlyRate(policies, 'STANDARD NONELECTRIC', '2025-07-04').season, 'Peak Season');
+    assert.equal(findNightlyRate(FEE_POLICIES, 'STANDARD NONELECTRIC', 'not a date'), null);
+    assert.deepEqual(attachNightlyRates({ 1: { campsiteType: 'ANY', availabilities: { garbage: 'Available' } } }, FEE_POLICIES)[1].nightlyRates, {});
+});
+
+test('attachNightlyRates copies the campsites and prices each night', () => {
+    const campsites = { 1: { campsiteType: 'STANDARD NONELECTRIC', availabilities: { '2025-08-31T00:00:00Z': 'Available', '2025-09-01T00:00:00Z': 'Reserved' } } };
+    const priced = attachNightlyRates(campsites, FEE_POLICIES);
+
+    assert.deepEqual(Object.fromEntries(Object.entries(priced[1].nightlyRates).map(([date, rate]) => [date, rate.cost])),
+        { '2025-08-31T00:00:00Z': 30, '2025-09-01T00:00:00Z': 20 });
+    assert.equal(campsites[1].nightlyRates, undefined);
+    assert.equal(attachNightlyRates(campsites, []), campsites);
+});
+
+test('estimateStayCost, isNightWithinBudget and formatPrice', () => {
+    const rates = { a: { cost: 30 }, b: { cost: 20.5 } };
+    assert.deepEqual(estimateStayCost(rates, ['a', 'b']), { total: 50.5, pricedNights: 2, isComplete: true });
+    assert.deepEqual(estimateStayCost(rates, ['a', 'c']), { total: 30, pricedNights: 1, isComplete: false });
+    assert.equal(estimateStayCost(rates, ['c']), null);
+
+    assert.equal(isNightWithinBudget({ cost: 30 }, 25), false);
+    assert.equal(isNightWithinBudget(null, 25), true);
+    assert.equal(isNightWithinBudget({ cost: 30 }, null), true);
+    assert.equal(formatPrice(28), '$28.00');
+});
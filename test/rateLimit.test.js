@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, getClientAddress, getClientKey } from '../api/_lib/rateLimit.js';
+
+const LIMIT = { burst: 3, perMinute: 6 };
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+test('take allows a burst, then refuses until tokens refill', () => {
+    const limiter = createRateLimiter();
+    assert.deepEqual([1, 2, 3].map(() => limiter.take('alice', LIMIT, NOW).remaining), [2, 1, 0]);
+    assert.deepEqual(limiter.take('alice', LIMIT, NOW), { allowed: false, remaining: 0, retryAfterSeconds: 10 });
+
+    assert.equal(limiter.take('alice', LIMIT, NOW + 5000).retryAfterSeconds, 5);
+    assert.equal(limiter.take('alice', LIMIT, NOW + 10000).allowed, true);
+    assert.equal(limiter.take('bob', LIMIT, NOW).allowed, true);
+});
+
+test('buckets refill only up to the burst size', () => {
+    const limiter = createRateLimiter();
+    limiter.take('alice', LIMIT, NOW);
+    assert.equal(limiter.take('alice', LIMIT, NOW + 60 * 60 * 1000).remaining, LIMIT.burst - 1);
+});
+
+test('peek reports a bucket without taking a token', () => {
+    const limiter = createRateLimiter();
+    assert.deepEqual(limiter.peek('alice', LIMIT, NOW), { allowed: true, remaining: 3, retryAfterSeconds: 0 });
+
+    [1, 2, 3].forEach(() => limiter.take('alice', LIMIT, NOW));
+    assert.deepEqual(limiter.peek('alice', LIMIT, NOW), { allowed: false, remaining: 0, retryAfterSeconds: 10 });
+    assert.deepEqual(limiter.peek('alice', LIMIT, NOW + 10000), { allowed: true, remaining: 1, retryAfterSeconds: 0 });
+    assert.equal(limiter.take('alice', LIMIT, NOW + 10000).allowed, true);
+});
+
+test('clients are the signed-in user or the first forwarded address', () => {
+    const request = { headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' }, socket: { remoteAddress: '10.0.0.2' } };
+    assert.equal(getClientAddress(request), '203.0.113.7');
+    assert.equal(getClientAddress({ headers: {}, socket: { remoteAddress: '10.0.0.2' } }), '10.0.0.2');
+    assert.equal(getClientKey(request, { username: 'alice' }), 'alice');
+    assert.equal(getClientKey(request, {}), 'ip:203.0.113.7');
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toResponseModel } from '../services/responseModels.js';
+
+test('toResponseModel maps availability by campsite ID, and a response without campsites to null', () => {
+    const model = toResponseModel('availability', {
+        campsites: { 101: { campsite_id: '101', site: '012', loop: 'A', campsite_type: 'STANDARD NONELECTRIC', type_of_use: 'Overnight', availabilities: { '2025-07-04T00:00:00Z': 'Available' } } },
+    });
+    assert.deepEqual(model['101'], {
+        campsiteId: '101', site: '012', loop: 'A', campsiteType: 'STANDARD NONELECTRIC', typeOfUse: 'Overnight',
+        availabilities: { '2025-07-04T00:00:00Z': 'Available' }, quantities: {},
+    });
+    assert.equal(toResponseModel('availability', {}), null);
+});
+
+test('toResponseModel maps campground metadata to camelCase fields', () => {
+    const model = toResponseModel('campgroundMetadata', {
+        campground: {
+            facility_id: '232447',
+            parent_rec_area_id: '2991',
+            facility_name: 'Upper Pines',
+            facility_time_zone: 'America/Los_Angeles',
+            booking_information: { booking_window_message: '5 months in advance' },
+            facility_rules: { reservationWindow: { value: 5, units: 'Months' } },
+            fee_policies: [{ season: 'Peak', start_date: '2025-05-01T00:00:00Z', end_date: '2025-09-30T00:00:00Z', rates: [{ site_type: 'STANDARD', cost: 36 }] }],
+            notices: [{ notice_text: 'Bear country', notice_type: 'warning' }],
+            activities: [{ activity_name: 'Hiking' }, {}],
+        },
+    });
+    assert.equal(model.facilityId, '232447');
+    assert.equal(model.recAreaId, '2991');
+    assert.equal(model.name, 'Upper Pines');
+    assert.equal(model.timeZone, 'America/Los_Angeles');
+    assert.equal(model.bookingWindowMessage, '5 months in advance');
+    assert.equal(model.isCommerciallyManaged, null);
+    assert.deepEqual(model.rules, []);
+    assert.deepEqual(model.facilityRules, { reservationWindow: { value: 5, units: 'Months', description: '' } });
+    assert.deepEqual(model.feePolicies[0].rates, [{ siteType: 'STANDARD', cost: 36 }]);
+    assert.deepEqual(model.notices, [{ text: 'Bear country', type: 'warning' }]);
+    assert.deepEqual(model.activities, ['Hiking']);
+    assert.equal(toResponseModel('campgroundMetadata', {}), null);
+});
+
+test('toResponseModel maps list routes to records and a total count', () => {
+    const model = toResponseModel('recAreaEvents', {
+        RECDATA: [{ EventName: 'Star Party', EventStartDate: '2025-08-01' }],
+        METADATA: { RESULTS: { TOTAL_COUNT: 12 } },
+    });
+    assert.equal(model.totalCount, 12);
+    assert.equal(model.records[0].name, 'Star Party');
+    assert.equal(model.records[0].startDate, '2025-08-01');
+
+    assert.equal(toResponseModel('recAreaMedia', { RECDATA: [{ MediaType: 'Image', URL: 'a.jpg' }] }).totalCount, 1);
+});
+
+test('toResponseModel maps the only campsite of a campsite details response', () => {
+    const model = toResponseModel('campsiteDetails', [{
+        CampsiteID: '101',
+        CampsiteName: '012',
+        CampsiteAccessible: true,
+        ATTRIBUTES: [{ AttributeName: 'Max Num of People', AttributeValue: '6' }],
+        PERMITTEDEQUIPMENT: [{ EquipmentName: 'Tent', MaxLength: 0 }],
+    }]);
+    assert.equal(model.id, '101');
+    assert.equal(model.name, '012');
+    assert.equal(model.accessible, true);
+    assert.equal(model.reservable, false);
+    assert.deepEqual(model.attributes, [{ name: 'Max Num of People', value: '6' }]);
+    assert.deepEqual(model.permittedEquipment, [{ name: 'Tent', maxLength: 0 }]);
+    assert.deepEqual(model.media, []);
+    assert.equal(toResponseModel('campsiteDetails', []), null);
+});
+
+test('toResponseModel falls back to the GeoJSON point when a facility has no coordinates', () => {
+    const model = toResponseModel('facilityDetails', {
+        FacilityID: '232447', FacilityName: 'Upper Pines', FacilityLatitude: 0, FacilityLongitude: 0,
+        GEOJSON: { COORDINATES: [-119.56, 37.73] },
+    });
+    assert.equal(model.latitude, 37.73);
+    assert.equal(model.longitude, -119.56);
+    assert.equal(model.address, null);
+});
+
+test('toResponseModel returns types without a model unchanged', () => {
+    const data = { anything: true };
+    assert.equal(toResponseModel('unknownRoute', data), data);
+    assert.equal(toResponseModel('toString', data), data);
+});
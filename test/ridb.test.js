@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildUpstreamUrl, isKnownRouteType, pickRouteParams, UpstreamError } from '../api/_lib/ridb.js';
+
+test('isKnownRouteType accepts only route names', () => {
+    assert.equal(isKnownRouteType('availability'), true);
+    assert.equal(isKnownRouteType('constructor'), false);
+    assert.equal(isKnownRouteType(['availability']), false);
+    assert.equal(isKnownRouteType(undefined), false);
+});
+
+test('pickRouteParams keeps only the parameters a route reads', () => {
+    const query = { type: 'facilitySearch', query: 'lake', state: 'CA', offset: '50', access_code: 'x', fresh: '1', page: ['1', '2'] };
+    assert.deepEqual(pickRouteParams('facilitySearch', query), { query: 'lake', state: 'CA', offset: '50' });
+    assert.deepEqual(pickRouteParams('availability', { campgroundId: '232447', start_date: '2025-07-01', limit: '5' }),
+        { campgroundId: '232447', start_date: '2025-07-01' });
+    assert.deepEqual(pickRouteParams('facilityCampsites', { facilityId: ['1', '2'] }), {});
+});
+
+test('buildUpstreamUrl fills the template and attaches the API key', () => {
+    assert.equal(buildUpstreamUrl('facilityCampsites', { facilityId: '232447', offset: '50' }, 'KEY'),
+        'https://ridb.recreation.gov/api/v1/facilities/232447/campsites?limit=50&offset=50&apikey=KEY');
+    assert.equal(buildUpstreamUrl('campgroundMetadata', { campgroundId: '232447' }, 'KEY'),
+        'https://www.recreation.gov/api/camps/campgrounds/232447');
+    assert.throws(() => buildUpstreamUrl('toString', {}, 'KEY'), error => error instanceof UpstreamError && error.status === 400);
+    assert.throws(() => buildUpstreamUrl('availability', { campgroundId: '1' }, 'KEY'), /Missing required parameter 'start_date'/);
+});
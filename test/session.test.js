@@ -0,0 +1,81 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { checkLoginCredentials, createSessionToken, verifySessionToken, readCookie, buildSessionCookie, checkRequestAccess, SESSION_MAX_AGE_SECONDS, TEAM_USERNAME } from '../api/_lib/session.js';
+import { checkAccessCode } from '../api/_lib/accessCode.js';
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.ACCESS_CODE = 'open-sesame';
+    process.env.SESSION_SECRET = 'test-secret';
+    process.env.AUTH_USERS = JSON.stringify({
+        alice: 'correct horse',
+        bob: `sha256:${createHash('sha256').update('battery staple').digest('hex').toUpperCase()}`,
+    });
+});
+
+test('session tokens round-trip until they expire', async () => {
+    const { token, expiresAt } = await createSessionToken('alice', NOW);
+    assert.equal(expiresAt, NOW + SESSION_MAX_AGE_SECONDS * 1000);
+    assert.deepEqual(await verifySessionToken(token, NOW + 1000), { username: 'alice', expiresAt });
+    assert.equal(await verifySessionToken(token, expiresAt), null);
+});
+
+test('verifySessionToken rejects tampered, malformed and re-keyed tokens', async () => {
+    const { token } = await createSessionToken('alice', NOW);
+    const [payload, signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ u: 'bob', exp: NOW * 2 })).toString('base64url');
+
+    assert.equal(await verifySessionToken(`${forgedPayload}.${signature}`, NOW), null);
+    assert.equal(await verifySessionToken(`${payload}.${signature}.extra`, NOW), null);
+    assert.equal(await verifySessionToken(`${payload}.!!`, NOW), null);
+    assert.equal(await verifySessionToken(null, NOW), null);
+
+    process.env.SESSION_SECRET = 'rotated';
+    assert.equal(await verifySessionToken(token, NOW), null);
+});
+
+test('readCookie finds the session cookie among others', async () => {
+    const { token } = await createSessionToken('alice', NOW);
+    const cookie = buildSessionCookie(token, true);
+    assert.match(cookie, /; HttpOnly; SameSite=Lax; Max-Age=\d+; Secure$/);
+
+    assert.equal(readCookie(`theme=dark; ${cookie.split(';')[0]}; other=1`), token);
+    assert.equal(readCookie('campsite_session_old=x'), null);
+    assert.equal(readCookie(undefined), null);
+});
+
+test('checkLoginCredentials accepts the access code and configured users only', async () => {
+    assert.deepEqual(await checkLoginCredentials('', 'open-sesame'), { ok: true, username: TEAM_USERNAME });
+    assert.deepEqual(await checkLoginCredentials(' alice ', 'correct horse'), { ok: true, username: 'alice' });
+    assert.deepEqual(await checkLoginCredentials('bob', 'battery staple'), { ok: true, username: 'bob' });
+
+    assert.equal((await checkLoginCredentials('', 'open-sesame!')).status, 401);
+    assert.equal((await checkLoginCredentials('alice', 'open-sesame')).status, 401);
+    assert.equal((await checkLoginCredentials('mallory', 'anything')).status, 401);
+    assert.equal((await checkLoginCredentials('alice', '')).status, 401);
+});
+
+test('checkAccessCode reports a missing ACCESS_CODE and skips the check under vercel dev', async () => {
+    assert.deepEqual(await checkAccessCode(undefined), { ok: false, status: 401, error: 'Access Denied' });
+
+    delete process.env.ACCESS_CODE;
+    assert.equal((await checkAccessCode('open-sesame')).status, 500);
+
+    process.env.NODE_ENV = 'development';
+    assert.deepEqual(await checkAccessCode(null), { ok: true });
+});
+
+test('checkRequestAccess accepts a session cookie or the access code header', async () => {
+    const { token } = await createSessionToken('alice');
+    assert.deepEqual(await checkRequestAccess({ headers: { cookie: `campsite_session=${token}` } }), { ok: true, username: 'alice' });
+    assert.deepEqual(await checkRequestAccess({ headers: { 'x-access-code': 'open-sesame' } }), { ok: true });
+    assert.equal((await checkRequestAccess({ headers: {} })).status, 401);
+});
+
+test('checkRequestAccess ignores an access code in the query string', async () => {
+    const access = await checkRequestAccess({ headers: {}, query: { access_code: 'open-sesame' } });
+    assert.equal(access.status, 401);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareConfig, decodeShareConfig, SHARE_LINK_VERSION } from '../services/shareLink.js';
+
+const DEFAULTS = {
+    api: { campgroundId: '', startDate: '', nights: 1 },
+    filters: { sites: [], budget: null, showReserved: false },
+};
+
+/**
+ * Encodes an object the way a share link does, for building hand-made links.
+ * @param {any} value The value to encode.
+ * @returns {string} The base64url JSON.
+ */
+function encodeJson(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+test('encodeShareConfig keeps only changed settings and decodeShareConfig restores them', () => {
+    const config = {
+        api: { campgroundId: '232447', startDate: '2025-07-04', nights: 1 },
+        filters: { sites: ['A1', 'Ünïcode'], budget: 40, showReserved: false },
+    };
+    const encoded = encodeShareConfig(config, DEFAULTS);
+
+    assert.match(encoded, new RegExp(`^${SHARE_LINK_VERSION}\\.[A-Za-z0-9_-]+$`));
+    assert.deepEqual(JSON.parse(Buffer.from(encoded.split('.')[1], 'base64url').toString()),
+        { api: { campgroundId: '232447', startDate: '2025-07-04' }, filters: { sites: ['A1', 'Ünïcode'], budget: 40 } });
+    assert.deepEqual(decodeShareConfig(encoded, DEFAULTS), config);
+    assert.equal(DEFAULTS.api.campgroundId, '');
+});
+
+test('decodeShareConfig ignores unknown settings and values of the wrong kind', () => {
+    const encoded = `1.${encodeJson({ api: { nights: '3', removed: true }, filters: { sites: 'A1', budget: 25 }, gone: { x: 1 } })}`;
+    assert.deepEqual(decodeShareConfig(encoded, DEFAULTS), { ...DEFAULTS, filters: { ...DEFAULTS.filters, budget: 25 } });
+});
+
+test('decodeShareConfig does not apply inherited keys such as __proto__', () => {
+    const encoded = `1.${encodeJson({ api: JSON.parse('{"__proto__": {"polluted": true}, "toString": "x"}') })}`;
+    const decoded = decodeShareConfig(encoded, DEFAULTS);
+    assert.equal(Object.getPrototypeOf(decoded.api), Object.prototype);
+    assert.equal(decoded.api.polluted, undefined);
+    assert.deepEqual(decoded, DEFAULTS);
+
+    const inheritedSection = `1.${encodeJson(JSON.parse('{"__proto__": {"__proto__": {}, "toString": "x"}}'))}`;
+    assert.deepEqual(decodeShareConfig(inheritedSection, DEFAULTS), DEFAULTS);
+    assert.equal(typeof Object.prototype.toString, 'function');
+});
+
+test('decodeShareConfig rejects malformed links and newer versions', () => {
+    assert.throws(() => decodeShareConfig('not-a-link', DEFAULTS), /not in a recognized format/);
+    assert.throws(() => decodeShareConfig(`${SHARE_LINK_VERSION + 1}.${encodeJson({})}`, DEFAULTS), /format version 2/);
+    assert.throws(() => decodeShareConfig('0.', DEFAULTS), /format version 0/);
+    assert.throws(() => decodeShareConfig('1.e30x', DEFAULTS), /damaged/);
+    assert.throws(() => decodeShareConfig(`1.${encodeJson([1])}`, DEFAULTS), /does not contain a search/);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findConsecutiveStays, getStayLengthRules, getEffectiveStayLength } from '../services/stayFinder.js';
+
+/**
+ * Builds a campsite with the given night statuses.
+ * @param {string} id The campsite ID.
+ * @param {Object<string, string>} nights Statuses keyed by "YYYY-MM-DD".
+ * @returns {object} The campsite, as in the merged `campsites` object.
+ */
+function campsite(id, nights) {
+    const availabilities = Object.fromEntries(Object.entries(nights).map(([day, status]) => [`${day}T00:00:00Z`, status]));
+    return { campsiteId: id, site: `S${id}`, loop: 'A', availabilities };
+}
+
+test('findConsecutiveStays reports the longest run from each arrival date', () => {
+    const campsites = {
+        1: campsite('1', { '2025-07-01': 'Available', '2025-07-02': 'Available', '2025-07-03': 'Available', '2025-07-04': 'Reserved' }),
+    };
+    const stays = findConsecutiveStays(campsites, { minNights: 2, maxNights: 5 });
+
+    assert.deepEqual(stays.map(stay => [stay.arrivalDate.toISOString().slice(0, 10), stay.nights]), [['2025-07-01', 3], ['2025-07-02', 2]]);
+    assert.equal(stays[0].departureDate.toISOString(), '2025-07-04T00:00:00.000Z');
+    assert.deepEqual(stays[0].nightDates, ['2025-07-01T00:00:00Z', '2025-07-02T00:00:00Z', '2025-07-03T00:00:00Z']);
+});
+
+test('findConsecutiveStays caps runs at maxNights and continues across month boundaries', () => {
+    const campsites = {
+        1: campsite('1', { '2025-07-30': 'Available', '2025-07-31': 'Available', '2025-08-01': 'Available' }),
+    };
+    const [first] = findConsecutiveStays(campsites, { minNights: 1, maxNights: 2 });
+    assert.equal(first.nights, 2);
+
+    const [longest] = findConsecutiveStays(campsites, { minNights: 3, maxNights: 3 });
+    assert.equal(longest.arrivalDate.toISOString().slice(0, 10), '2025-07-30');
+});
+
+test('findConsecutiveStays applies the date range, arrival weekdays, statuses and site filter', () => {
+    const campsites = {
+        1: campsite('1', { '2025-07-04': 'Available', '2025-07-05': 'Not Reservable', '2025-07-06': 'Available' }),
+        2: campsite('2', { '2025-07-04': 'Available' }),
+    };
+    const options = { minNights: 1, maxNights: 3 };
+
+    assert.deepEqual(findConsecutiveStays(campsites, { ...options, startDate: '2025-07-06' }).map(stay => stay.site), ['S1']);
+    // 2025-07-04 is a Friday.
+    assert.equal(findConsecutiveStays(campsites, { ...options, arrivalWeekdays: [5] }).length, 2);
+    assert.equal(findConsecutiveStays(campsites, { ...options, statuses: ['Available', 'Not Reservable'] })[0].nights, 3);
+    assert.deepEqual(findConsecutiveStays(campsites, { ...options, siteFilter: site => site.site === 'S2' }).map(stay => stay.site), ['S2']);
+});
+
+test('findConsecutiveStays returns nothing for missing data or an impossible range', () => {
+    assert.deepEqual(findConsecutiveStays(null, { minNights: 1, maxNights: 1 }), []);
+    assert.deepEqual(findConsecutiveStays({ 1: campsite('1', { '2025-07-04': 'Available' }) }, { minNights: 3, maxNights: 2 }), []);
+});
+
+test('getStayLengthRules and getEffectiveStayLength combine the request with the campground limits', () => {
+    const rules = getStayLengthRules({ facilityRules: { minConsecutiveStay: { value: '2' }, maxConsecutiveStay: { value: 'n/a' } } });
+    assert.deepEqual(rules, { minNights: 2, maxNights: null });
+    assert.deepEqual(getEffectiveStayLength({ minNights: 1, maxNights: 7 }, { minNights: 2, maxNights: 5 }), { minNights: 2, maxNights: 5 });
+    assert.deepEqual(getStayLengthRules(null), { minNights: null, maxNights: null });
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runWatch, validateWatchInput } from '../api/_lib/watches.js';
+
+/**
+ * Creates a store stub that records every write.
+ * @param {object|null} initial The snapshot `get` returns.
+ * @returns {object} The store.
+ */
+function createSnapshotStore(initial) {
+    return {
+        writes: [],
+        async get() { return initial; },
+        async set(key, value) { this.writes.push([key, value]); },
+    };
+}
+
+const watch = {
+    id: 'w1', name: 'Test', campgroundId: '1', startDate: '2025-07-01', endDate: '2025-07-10',
+    sites: [], minNights: 1, maxNights: 1, arrivalWeekdays: [], includeNotReservable: false,
+};
+
+test('runWatch returns the merged snapshot instead of saving it', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => ({
+        ok: true,
+        json: async () => ({ campsites: { 9: { campsite_id: '9', site: '9', availabilities: { '2025-07-04T00:00:00Z': 'Available' } } } }),
+    }));
+    process.env.RIDB_API_KEY = 'test-key';
+    const store = createSnapshotStore({ 9: { site: '9', availabilities: { '2025-07-04T00:00:00Z': 'Reserved' } } });
+
+    const { status, matches, snapshot } = await runWatch(watch, store, new Date('2025-06-01T00:00:00Z'));
+
+    assert.equal(status, 'checked');
+    assert.deepEqual(matches.map(match => match.date), ['2025-07-04']);
+    assert.equal(snapshot[9].availabilities['2025-07-04T00:00:00Z'], 'Available');
+    assert.deepEqual(store.writes, []);
+});
+
+test('runWatch skips expired watches without a snapshot', async () => {
+    const result = await runWatch(watch, createSnapshotStore(null), new Date('2025-08-01T00:00:00Z'));
+    assert.deepEqual(result, { status: 'expired', matches: [], snapshot: null });
+});
+
+test('validateWatchInput rejects impossible dates', async () => {
+    process.env.WATCH_WEBHOOK_URL = 'https://hooks.example.com/default';
+    const input = { campgroundId: '232447', startDate: '2025-07-01', endDate: '2025-07-10' };
+
+    assert.deepEqual((await validateWatchInput(input)).errors, []);
+    assert.deepEqual((await validateWatchInput({ ...input, startDate: '2025-13-45' })).errors,
+        ["'startDate' must be a valid date in YYYY-MM-DD format."]);
+    assert.deepEqual((await validateWatchInput({ ...input, endDate: '2025-02-30' })).errors,
+        ["'endDate' must be a valid date in YYYY-MM-DD format."]);
+    assert.deepEqual((await validateWatchInput({ ...input, endDate: '2025-06-30' })).errors,
+        ["'endDate' must not be before 'startDate'."]);
+});